@@ -9,6 +9,7 @@ import {
   Milestone,
   isGameOwned,
   wasGameAcquiredInYear,
+  wasGameOwnedAtEndOfYear,
   isPlayInYear,
   getAvailableYears,
   calculateHourHIndex,
@@ -39,6 +40,8 @@ import {
   getOwnedGamesNeverPlayed,
   getOwnedBaseGamesMissingPricePaid,
   getOwnedBaseGamesWithoutRating,
+  DataQualityIssue,
+  getDataQualityIssues,
   getSuggestedGames,
   getHIndexBreakdown,
   getHourHIndexBreakdown,
@@ -47,6 +50,8 @@ import {
   getTopGamesByMetric,
   getTopNewToMeGames,
   getTopReturningGames,
+  getGameTurnover,
+  getLongestResurrectionGap,
   getTimeAndActivityStats,
   getLoggingTotals,
   getSoloStats,
@@ -61,6 +66,8 @@ import {
   getTopGamesByUniqueLocations,
   getAllLocationsBySession,
   getMostConsistentGame,
+  getYearComparison,
+  getPlayDistribution,
   ValueClub,
   getTotalCost,
   getValueClubGames,
@@ -68,10 +75,15 @@ import {
   getNewValueClubGames,
   getSkippedValueClubCount,
   getCostPerMetricStats,
+  getNetCostPerMetricStats,
   getShelfOfShame,
   getShelfOfShameChanges,
   getPlayedRatingBreakdown,
   getCollectionRatingBreakdown,
+  RATING_SCALE,
+  getRatingBand,
+  getRatingDistribution,
+  getRatingSummary,
   calculateHourStaircaseLevel,
   calculateSessionStaircaseLevel,
   calculatePlayStaircaseLevel,
@@ -84,12 +96,47 @@ import {
   calculateCostPerMetric,
   getGameRankings,
   getTopGamesByTag,
+  MetadataField,
+  getMetadataBreakdown,
+  calculateMetadataHIndex,
+  getPlayerCountDistributionByGame,
+  getMedianDurationByPlayerCount,
+  getSweetSpot,
+  getCumulativeTimeline,
+  getMonthlyPlayVolumeByYear,
+  getHIndexTimeline,
+  getDailyActivity,
+  getDailyMetricValue,
+  getActivityLevel,
+  getCalendarWeeks,
+  getPlaysOnDate,
+  getPlayPatterns,
+  getCollectionTimeline,
+  getAcquisitionsByMonth,
+  getAcquisitionsByYear,
+  getBiggestPurchaseMonths,
+  FreshnessBucket,
+  getTimeToFirstPlay,
+  getFirstPlayRecords,
+  getExpansionUsage,
+  getUnusedOwnedExpansions,
+  MIN_RIVALRY_PLAYS,
+  getWinRateByGame,
+  getWinRateByOpponent,
+  getAverageFinishByPlayerCount,
+  getHighestScores,
+  getHeadToHeadRecords,
+  getRivals,
+  getCoopRecord,
   AchievementType,
   getAchievements,
 } from './stats.js';
 
-import { escapeHtml, formatApproximateHours, formatCostLabel, formatDateShort, formatDateWithWeekday, formatDateWithWeekdayAndYear, formatDateWithYear, formatDurationHM, formatLargeNumber, renderRatingHexagon } from './formatting.js';
+import { escapeHtml, formatApproximateHours, formatCostLabel, formatCurrency, formatDateShort, formatDateWithWeekday, formatDateWithWeekdayAndYear, formatDateWithYear, formatDurationHM, formatHourOfDay, formatLargeNumber, formatMonthShort, formatWeekday, renderRatingHexagon } from './formatting.js';
+import { renderLineChart, renderBarChart, renderStackedAreaChart } from './charts.js';
 import { tableColumnConfigs, getDefaultSort, sortTableData, createSortableHeaderHtml } from './table-sorting.js';
+import { ExportFormat, buildExportTable, toCsv, toSpreadsheetMl, getExportFileName } from './table-export.js';
+import { resolveConfig } from './config.js';
 
 /**
  * Helper: Get acquisition date for a game (from first owned or first copy)
@@ -464,6 +511,12 @@ let showAllYearReviewMetrics = false;
 let firstLoggedPlayDate = null;
 let selectedAchievementType = null;
 let showAllAchievementMetrics = false;
+let selectedCalendarDay = null; // YYYY-MM-DD of the play calendar day being drilled into
+let ratingHistogramStep = 1; // Band width of the rating histograms: 1 or 0.5
+let ratingHistogramWeighted = false; // Weight the played-ratings histogram by the base metric
+let ratingHistogramCompare = false; // Overlay the previous year's rating histogram
+let selectedRatingBand = null; // Rating band (lower bound) the rating table is filtered to
+let yearComparisonYears = null; // { from, to } picked in the Year in Review comparison; null = selected year vs the one before
 
 // Assigned in initializeImageModal; renderModals drives the image modal through
 // this handle because its state (zoom, gallery index) is encapsulated there.
@@ -472,6 +525,10 @@ let setImageModalState = null;
 // Cache for calculated statistics (refreshed when year changes)
 let statsCache = null;
 
+// Rows and columns of the open detail table, as shown, for the export buttons.
+// Set by setExportableTable while rendering; null for sections without a table.
+let exportableTable = null;
+
 // Theme management
 let currentTheme = 'system'; // 'system', 'light', or 'dark'
 
@@ -671,6 +728,9 @@ async function loadData() {
     }
     gameData = await response.json();
 
+    // data.json from before stats.config.json existed has no config: use defaults
+    gameData.config = resolveConfig(gameData.config);
+
     // Compute first logged play date (global, never changes)
     firstLoggedPlayDate = gameData.plays.reduce((earliest, play) => {
         return !earliest || play.date < earliest ? play.date : earliest;
@@ -714,6 +774,7 @@ function setupYearFilter() {
 
     yearSelect.addEventListener('change', (e) => {
         currentYear = e.target.value === 'all' ? null : parseInt(e.target.value);
+        yearComparisonYears = null;
         updateYearInfoBadge();
         updateHeaderScrollMargin();
         updateSectionVisibility();
@@ -742,16 +803,16 @@ function setupYearFilter() {
             // Close detail section if:
             // - It's a play-related stat and year is pre-logging, OR
             // - It's the year-review stat and switching to All Time (or pre-logging year), OR
-            // - It's the achievements stat and switching away from All Time
+            // - It's an All Time only stat (achievements, play patterns) and switching away from All Time
             if (currentlyOpenStatType) {
                 const shouldCloseYearReview = currentlyOpenStatType === 'year-review' &&
                     (currentYear === null || isNewYearPreLogging);
                 const shouldClosePlayRelated = isNewYearPreLogging &&
                     playRelatedStats.includes(currentlyOpenStatType);
-                const shouldCloseAchievements = currentlyOpenStatType === 'achievements' &&
+                const shouldCloseAllTimeOnly = ['achievements', 'play-patterns'].includes(currentlyOpenStatType) &&
                     currentYear !== null;
 
-                if (shouldCloseYearReview || shouldClosePlayRelated || shouldCloseAchievements) {
+                if (shouldCloseYearReview || shouldClosePlayRelated || shouldCloseAllTimeOnly) {
                     closeDetailSection();
                 } else {
                     // Refresh the detail section with updated data for the new year
@@ -783,14 +844,20 @@ function setupBaseMetricFilter() {
 
         // Recalculate cost/value club data for new metric and update UI
         statsCache.costPerMetricData = getCostPerMetricStats(gameData.games, gameData.plays, currentBaseMetric, currentYear);
+        statsCache.netCostPerMetricData = getNetCostPerMetricStats(gameData.games, gameData.plays, currentBaseMetric, currentYear);
         statsCache.fiveDollarClubData = getValueClubGames(gameData.games, gameData.plays, currentBaseMetric, ValueClub.FIVE_DOLLAR, currentYear);
         statsCache.twoFiftyClubData = getValueClubGames(gameData.games, gameData.plays, currentBaseMetric, ValueClub.TWO_FIFTY, currentYear);
         statsCache.oneDollarClubData = getValueClubGames(gameData.games, gameData.plays, currentBaseMetric, ValueClub.ONE_DOLLAR, currentYear);
         statsCache.fiftyCentClubData = getValueClubGames(gameData.games, gameData.plays, currentBaseMetric, ValueClub.FIFTY_CENTS, currentYear);
         statsCache.topGamesByTag = getTopGamesByTag(gameData.games, gameData.plays, currentBaseMetric, currentYear);
+        statsCache.designerStats = getMetadataBreakdown(gameData.games, gameData.plays, MetadataField.DESIGNERS, currentBaseMetric, currentYear);
+        statsCache.mechanicStats = getMetadataBreakdown(gameData.games, gameData.plays, MetadataField.MECHANICS, currentBaseMetric, currentYear);
+        statsCache.categoryStats = getMetadataBreakdown(gameData.games, gameData.plays, MetadataField.CATEGORIES, currentBaseMetric, currentYear);
+        statsCache.designerHIndex = calculateMetadataHIndex(gameData.games, gameData.plays, MetadataField.DESIGNERS, currentBaseMetric, currentYear);
         updateCostAnalysisStats();
         updateValueClubsStats();
         updateSocialLocationStats();
+        updateMetadataStats();
         updatePlayedRatingStats();
 
         // Only refresh sections if not loading from permalink
@@ -827,6 +894,12 @@ function setupBaseMetricFilter() {
                 showDetailSection(currentlyOpenStatType);
             }
 
+            // Refresh designer/mechanic/category detail sections if open (metric-aware columns)
+            const metadataStats = ['designers', 'mechanics', 'categories'];
+            if (metadataStats.includes(currentlyOpenStatType)) {
+                showDetailSection(currentlyOpenStatType);
+            }
+
             // Update year-review filter if open and toggle is not checked
             if (currentlyOpenStatType === 'year-review') {
                 const toggleCheckbox = document.getElementById('year-review-show-all-metrics');
@@ -840,6 +913,11 @@ function setupBaseMetricFilter() {
             if (currentlyOpenStatType === 'achievements') {
                 showDetailSection('achievements');
             }
+
+            // Refresh play patterns detail if open (metric-aware charts and rows)
+            if (currentlyOpenStatType === 'play-patterns') {
+                showDetailSection('play-patterns');
+            }
         }
 
         // Update URL when base metric changes
@@ -919,7 +997,8 @@ function updateAllStats() {
         neverPlayedGames: getOwnedGamesNeverPlayed(gameData.games, gameData.plays, currentYear),
         missingPricePaidGames: getOwnedBaseGamesMissingPricePaid(gameData.games),
         unratedGames: getOwnedBaseGamesWithoutRating(gameData.games, gameData.plays),
-        suggestedGames: getSuggestedGames(gameData.games, gameData.plays),
+        dataQualityIssues: getDataQualityIssues(gameData.games, gameData.plays),
+        suggestedGames: getSuggestedGames(gameData.games, gameData.plays, gameData.config.suggestionExcludedTags),
         dailySessionStats: getDailySessionStats(gameData.plays, currentYear),
         achievements: getAchievements({
             games: gameData.games,
@@ -936,9 +1015,15 @@ function updateAllStats() {
         collectionRatingData: getCollectionRatingBreakdown(gameData.games, currentYear),
         // Top 10's by tag (rating-ranked, metric column respects the year filter)
         topGamesByTag: getTopGamesByTag(gameData.games, gameData.plays, currentBaseMetric, currentYear),
+        // Designers & Mechanics stats (from BGG metadata)
+        designerStats: getMetadataBreakdown(gameData.games, gameData.plays, MetadataField.DESIGNERS, currentBaseMetric, currentYear),
+        mechanicStats: getMetadataBreakdown(gameData.games, gameData.plays, MetadataField.MECHANICS, currentBaseMetric, currentYear),
+        categoryStats: getMetadataBreakdown(gameData.games, gameData.plays, MetadataField.CATEGORIES, currentBaseMetric, currentYear),
+        designerHIndex: calculateMetadataHIndex(gameData.games, gameData.plays, MetadataField.DESIGNERS, currentBaseMetric, currentYear),
         // Cost Analysis stats (hidden)
         totalCostData: getTotalCost(gameData.games, currentYear),
         costPerMetricData: getCostPerMetricStats(gameData.games, gameData.plays, currentBaseMetric, currentYear),
+        netCostPerMetricData: getNetCostPerMetricStats(gameData.games, gameData.plays, currentBaseMetric, currentYear),
         shelfOfShameData: getShelfOfShame(gameData.games, gameData.plays, currentYear),
         fiveDollarClubData: getValueClubGames(gameData.games, gameData.plays, currentBaseMetric, ValueClub.FIVE_DOLLAR, currentYear),
         twoFiftyClubData: getValueClubGames(gameData.games, gameData.plays, currentBaseMetric, ValueClub.TWO_FIFTY, currentYear),
@@ -1017,6 +1102,9 @@ function updateAllStats() {
             // Time and Activity stats
             timeAndActivity: getTimeAndActivityStats(gameData.plays, currentYear),
 
+            // Play patterns (weekday, hour of day, player counts, notable days)
+            playPatterns: getPlayPatterns(gameData.games, gameData.plays, gameData.anonymousPlayerId, currentYear, getPlayPatternTimeZones()),
+
             // Top games by metric (for Game Highlights section)
             topGamesByHours: getTopGamesByMetric(gameData.games, gameData.plays, currentYear, Metric.HOURS, 3),
             topGamesBySessions: getTopGamesByMetric(gameData.games, gameData.plays, currentYear, Metric.SESSIONS, 3),
@@ -1059,6 +1147,17 @@ function updateAllStats() {
 
             // Most consistent game (played in most months)
             mostConsistentGame: getMostConsistentGame(gameData.games, gameData.plays, currentYear),
+
+            // Game turnover (resurrected and dormant games) and the resurrection gap record
+            gameTurnover: getGameTurnover(gameData.games, gameData.plays, currentYear),
+            longestResurrectionGap: getLongestResurrectionGap(gameData.games, gameData.plays, currentYear),
+
+            // Play distribution (concentration and novelty), with the previous year for comparison
+            playDistribution: getPlayDistribution(gameData.games, gameData.plays, currentYear),
+            previousPlayDistribution: getPlayDistribution(gameData.games, gameData.plays, currentYear - 1),
+
+            // Fastest and slowest first plays of the year's acquisitions
+            firstPlayRecords: getFirstPlayRecords(gameData.games, gameData.plays, currentYear),
         };
         // Populate value club cache dynamically for each tier and metric
         ValueClub.values.forEach(tierValue => {
@@ -1080,6 +1179,7 @@ function updateAllStats() {
     updateMilestoneCardLabels();
     updateMilestoneCumulativeSubstats();
     updateSocialLocationStats();
+    updateMetadataStats();
     updateCollectionRatingStats();
     updatePlayedRatingStats();
     updateDiagnosticsSection();
@@ -1087,6 +1187,7 @@ function updateAllStats() {
     updateValueClubsStats();
     updateYearInReview();
     updateAchievements();
+    updatePlayPatterns();
 }
 
 /**
@@ -1260,7 +1361,7 @@ function updateCollectionStats() {
     const expansionsLabel = document.querySelector('#total-expansions .stat-label');
 
     if (currentYear) {
-        gamesOwnedLabel.textContent = 'Total Games Acquired';
+        gamesOwnedLabel.textContent = `Games Owned at End of ${currentYear}`;
         bggEntriesLabel.textContent = 'Total BGG Entries Acquired';
         expansionsLabel.textContent = 'Total Expansions Acquired';
     } else {
@@ -1409,6 +1510,44 @@ function updateSocialLocationStats() {
     document.querySelector('#locations-card .widget__value').textContent = locationStats.locationCount;
 }
 
+/**
+ * Update Designers & Mechanics section
+ * Hidden when no games carry BGG metadata, or in pre-logging years
+ */
+function updateMetadataStats() {
+    const section = document.getElementById('metadata-section');
+    const designersCard = document.getElementById('designers-card');
+    const mechanicsCard = document.getElementById('mechanics-card');
+    const categoriesCard = document.getElementById('categories-card');
+
+    const hasMetadata = gameData.games.some(game => game.bggMetadata);
+    const isPreLogging = currentYear && yearDataCache
+        && yearDataCache.find(y => y.year === currentYear)?.isPreLogging;
+
+    const displayValue = hasMetadata && !isPreLogging ? '' : 'none';
+    section.style.display = hasMetadata && !isPreLogging ? 'block' : 'none';
+    designersCard.style.display = displayValue;
+    mechanicsCard.style.display = displayValue;
+    categoriesCard.style.display = displayValue;
+    if (displayValue === 'none') return;
+
+    // Designer H-Index description follows the current metric
+    designersCard.querySelector('.widget__value').textContent = statsCache.designerHIndex;
+    document.getElementById('designers-description').textContent =
+        `Designers with N games at N+ ${currentBaseMetric}`;
+
+    // Mechanics and Categories: count, with the leader for the current metric
+    [
+        { card: mechanicsCard, entries: statsCache.mechanicStats, topId: 'top-mechanic' },
+        { card: categoriesCard, entries: statsCache.categoryStats, topId: 'top-category' },
+    ].forEach(({ card, entries, topId }) => {
+        card.querySelector('.widget__value').textContent = entries.length;
+        document.getElementById(topId).textContent = entries.length > 0 && entries[0].metricValue > 0
+            ? entries[0].name
+            : '--';
+    });
+}
+
 /**
  * Update collection rating statistics
  */
@@ -1478,6 +1617,7 @@ function updateDiagnosticsSection() {
     const neverPlayedCard = document.getElementById('never-played');
     const missingPriceCard = document.getElementById('missing-price-paid');
     const unratedCard = document.getElementById('unrated-games');
+    const dataQualityCard = document.getElementById('data-quality-issues');
 
     // Show/hide section based on hidden flag
     if (!isHiddenEnabled()) {
@@ -1486,6 +1626,7 @@ function updateDiagnosticsSection() {
         neverPlayedCard.style.display = 'none';
         missingPriceCard.style.display = 'none';
         unratedCard.style.display = 'none';
+        dataQualityCard.style.display = 'none';
         return;
     }
 
@@ -1494,12 +1635,23 @@ function updateDiagnosticsSection() {
     neverPlayedCard.style.display = 'flex';
     missingPriceCard.style.display = 'flex';
     unratedCard.style.display = 'flex';
+    dataQualityCard.style.display = 'flex';
 
     // Update card values
     unknownCard.querySelector('.widget__value').textContent = statsCache.unknownGames.length;
     neverPlayedCard.querySelector('.widget__value').textContent = statsCache.neverPlayedGames.length;
     missingPriceCard.querySelector('.widget__value').textContent = statsCache.missingPricePaidGames.length;
     unratedCard.querySelector('.widget__value').textContent = statsCache.unratedGames.length;
+    dataQualityCard.querySelector('.widget__value').textContent = statsCache.dataQualityIssues.length;
+}
+
+/**
+ * Currency all prices and costs are shown in (copy prices are converted to
+ * it during preprocessing)
+ * @returns {string} ISO 4217 currency code
+ */
+function getBaseCurrency() {
+    return gameData.config.baseCurrency;
 }
 
 /**
@@ -1511,6 +1663,7 @@ function updateCostAnalysisStats() {
 
     const totalCostCard = document.getElementById('total-cost');
     const avgCostCard = document.getElementById('avg-cost-per-metric');
+    const netCostCard = document.getElementById('net-cost-per-metric');
     const shelfOfShameCard = document.getElementById('shelf-of-shame');
 
     // Show/hide section based on hidden flag
@@ -1518,6 +1671,7 @@ function updateCostAnalysisStats() {
         section.style.display = 'none';
         totalCostCard.style.display = 'none';
         avgCostCard.style.display = 'none';
+        netCostCard.style.display = 'none';
         shelfOfShameCard.style.display = 'none';
         return;
     }
@@ -1531,7 +1685,7 @@ function updateCostAnalysisStats() {
     const totalCostValue = statsCache.totalCostData.totalCost;
     const prefix = statsCache.totalCostData.gamesWithoutPrice > 0 ? '> ' : '';
     document.querySelector('#total-cost .widget__value').textContent =
-        `${prefix}$${totalCostValue.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
+        `${prefix}${formatCurrency(totalCostValue, getBaseCurrency(), 0)}`;
 
     // Update Total Cost description based on year filter
     const totalCostDescription = currentYear
@@ -1542,12 +1696,16 @@ function updateCostAnalysisStats() {
     // Show/hide cards based on pre-logging status
     totalCostCard.style.display = '';
     avgCostCard.style.display = isPreLogging ? 'none' : '';
+    netCostCard.style.display = isPreLogging ? 'none' : '';
     shelfOfShameCard.style.display = isPreLogging ? 'none' : '';
 
     if (!isPreLogging) {
         // Update Average Cost Per Metric card
         updateAvgCostPerMetricCard();
 
+        // Update Net Cost Per Metric card
+        updateNetCostPerMetricCard();
+
         // Update Shelf of Shame card
         updateShelfOfShameCard();
     }
@@ -1576,7 +1734,7 @@ function updateAvgCostPerMetricCard() {
     // Update main value (median) with < prefix
     const mainValueEl = document.querySelector('#avg-cost-per-metric .widget__value');
     if (data.median !== null) {
-        mainValueEl.textContent = `< $${data.median.toFixed(2)}`;
+        mainValueEl.textContent = `< ${formatCurrency(data.median, getBaseCurrency())}`;
     } else {
         mainValueEl.textContent = '--';
     }
@@ -1591,8 +1749,41 @@ function updateAvgCostPerMetricCard() {
     const gameAvgEl = document.getElementById('avg-cost-game-average');
     const overallRateEl = document.getElementById('avg-cost-overall-rate');
 
-    gameAvgEl.textContent = data.gameAverage !== null ? `< $${data.gameAverage.toFixed(2)}` : '--';
-    overallRateEl.textContent = data.overallRate !== null ? `< $${data.overallRate.toFixed(2)}` : '--';
+    gameAvgEl.textContent = data.gameAverage !== null ? `< ${formatCurrency(data.gameAverage, getBaseCurrency())}` : '--';
+    overallRateEl.textContent = data.overallRate !== null ? `< ${formatCurrency(data.overallRate, getBaseCurrency())}` : '--';
+}
+
+/**
+ * Update Net Cost Per Metric card
+ */
+function updateNetCostPerMetricCard() {
+    const data = statsCache.netCostPerMetricData;
+
+    const metricLabels = {
+        hours: 'Net Cost Per Hour',
+        sessions: 'Net Cost Per Session',
+        plays: 'Net Cost Per Play',
+    };
+    const metricUnits = {
+        hours: 'hour',
+        sessions: 'session',
+        plays: 'play',
+    };
+
+    document.getElementById('net-cost-label').textContent = metricLabels[currentBaseMetric] || metricLabels.hours;
+
+    // Main value: median net cost per metric
+    document.querySelector('#net-cost-per-metric .widget__value').textContent = data.median !== null
+        ? formatCurrency(data.median, getBaseCurrency())
+        : '--';
+
+    const yearSuffix = currentYear ? ` through ${currentYear}` : '';
+    const unit = metricUnits[currentBaseMetric] || 'hour';
+    document.getElementById('net-cost-description').textContent =
+        `Median net cost per ${unit} (of ${data.gameCount} games bought${yearSuffix}, including ones sold or traded away)`;
+
+    document.getElementById('net-cost-total').textContent = formatCurrency(data.totalNetCost, getBaseCurrency(), 0);
+    document.getElementById('net-cost-disposed').textContent = data.disposedCount;
 }
 
 /**
@@ -1604,8 +1795,8 @@ function updateShelfOfShameCard() {
     // Main value: total cost with < prefix
     const mainValueEl = document.querySelector('#shelf-of-shame .widget__value');
     mainValueEl.textContent = data.totalCost > 0
-        ? `< $${data.totalCost.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`
-        : '$0';
+        ? `< ${formatCurrency(data.totalCost, getBaseCurrency(), 0)}`
+        : formatCurrency(0, getBaseCurrency(), 0);
 
     // Substat: game count
     document.getElementById('shelf-of-shame-count').textContent =
@@ -1675,7 +1866,7 @@ function updateValueClubCardLabels() {
 
     // Generate labels dynamically from ValueClub.values with ranges
     ValueClub.values.forEach((tierValue) => {
-        const label = formatCostLabel(tierValue);
+        const label = formatCostLabel(tierValue, getBaseCurrency());
         const { nextThreshold } = ValueClub.getThreshold(tierValue);
 
         // Build element ID from tier value
@@ -1688,7 +1879,7 @@ function updateValueClubCardLabels() {
         // Build range description (descending: show nextThreshold-threshold range, or "threshold or less" for last tier)
         let rangeText;
         if (nextThreshold !== null) {
-            const nextLabel = formatCostLabel(nextThreshold);
+            const nextLabel = formatCostLabel(nextThreshold, getBaseCurrency());
             rangeText = `${nextLabel}-${label}`;
         } else {
             rangeText = `${label} or less`;
@@ -1697,6 +1888,7 @@ function updateValueClubCardLabels() {
         const element = document.getElementById(elementId);
         if (element) {
             element.textContent = `Games at ${rangeText} per ${unit}${yearSuffix}`;
+            element.closest('.widget').querySelector('.widget__title').textContent = `${label} Club`;
         }
     });
 }
@@ -1727,9 +1919,9 @@ function updateValueClubCumulativeSubstats() {
     const cumulativeOneDollar = oneDollarCount + fiftyCentCount;
 
     // Update labels
-    document.getElementById('five-dollar-cumulative-label').textContent = `All games at $5 or less per ${unit}:`;
-    document.getElementById('two-fifty-cumulative-label').textContent = `All games at $2.50 or less per ${unit}:`;
-    document.getElementById('one-dollar-cumulative-label').textContent = `All games at $1 or less per ${unit}:`;
+    document.getElementById('five-dollar-cumulative-label').textContent = `All games at ${formatCostLabel(5, getBaseCurrency())} or less per ${unit}:`;
+    document.getElementById('two-fifty-cumulative-label').textContent = `All games at ${formatCostLabel(2.5, getBaseCurrency())} or less per ${unit}:`;
+    document.getElementById('one-dollar-cumulative-label').textContent = `All games at ${formatCostLabel(1, getBaseCurrency())} or less per ${unit}:`;
 
     // Update values
     document.getElementById('five-dollar-cumulative').textContent = cumulativeFiveDollar;
@@ -1774,6 +1966,15 @@ function updateAchievements() {
     achievementsCard.style.display = currentYear === null ? 'block' : 'none';
 }
 
+/**
+ * Update Play Patterns card visibility. Shown only on All Time; a selected year's
+ * patterns are part of its Year in Review.
+ */
+function updatePlayPatterns() {
+    const playPatternsCard = document.getElementById('play-patterns-card');
+    playPatternsCard.style.display = currentYear === null ? 'block' : 'none';
+}
+
 /**
  * Setup event listeners for clickable stat cards
  */
@@ -1804,6 +2005,10 @@ function setupEventListeners() {
     // Permalink button
     document.getElementById('permalink-btn').addEventListener('click', () => copyPermalink());
 
+    // Export buttons
+    document.getElementById('export-csv-btn').addEventListener('click', () => downloadExportableTable(ExportFormat.CSV));
+    document.getElementById('export-spreadsheet-btn').addEventListener('click', () => downloadExportableTable(ExportFormat.SPREADSHEET));
+
     // Theme toggle button
     const themeToggle = document.getElementById('theme-toggle');
     if (themeToggle) {
@@ -2087,6 +2292,7 @@ function renderGameDetailModal(gameId) {
         .map(id => gameData.games.find(g => g.id === id))
         .filter(Boolean)
         .sort((a, b) => a.bggId - b.bggId);
+    const expansionUsage = getExpansionUsage(gameData.games, gameData.plays, gameId);
 
     // Rankings (among base games)
     const { ratingRank, hoursRank, sessionsRank, playsRank } = getGameRankings(gameData.games, gameData.plays, gameId);
@@ -2241,23 +2447,53 @@ function renderGameDetailModal(gameId) {
         html += `</div>`;
     }
 
+    // Player Counts section (histogram of plays per player count)
+    const playerCountDistribution = getPlayerCountDistributionByGame(gamePlays).get(gameId);
+    if (playerCountDistribution) {
+        const sweetSpot = getSweetSpot(game, playerCountDistribution);
+        const medianDurations = getMedianDurationByPlayerCount(gamePlays).get(gameId);
+        const bestCounts = game.bggMetadata?.bestPlayerCounts || [];
+        const maxPlays = Math.max(...playerCountDistribution.map(entry => entry.plays));
+
+        html += `<div class="game-detail-section-card">`;
+        html += `<h4>Player Counts</h4>`;
+        html += `<div class="player-count-histogram">`;
+        for (const entry of playerCountDistribution) {
+            const isSweetSpot = sweetSpot?.playerCount === entry.playerCount;
+            const medianMinutes = medianDurations?.get(entry.playerCount);
+            const title = `${entry.plays} play${entry.plays === 1 ? '' : 's'} at ${entry.playerCount}`
+                + (medianMinutes ? `, median ${fmtMinutes(medianMinutes)}` : '')
+                + (bestCounts.includes(entry.playerCount) ? ' (BGG best)' : '');
+            html += `<div class="player-count-row${isSweetSpot ? ' player-count-row--sweet-spot' : ''}" title="${title}">
+                <span class="player-count-label">${entry.playerCount}${bestCounts.includes(entry.playerCount) ? '<span class="player-count-best">★</span>' : ''}</span>
+                <span class="player-count-bar-track"><span class="player-count-bar" style="width: ${(entry.plays / maxPlays * 100).toFixed(1)}%"></span></span>
+                <span class="player-count-value">${entry.plays}</span>
+            </div>`;
+        }
+        html += `</div>`;
+        if (sweetSpot) {
+            html += `<div class="game-detail-row" title="Share of my plays, weighted up for counts the BGG poll rates best or recommended"><span class="label">My Sweet Spot</span><span class="value">${sweetSpot.playerCount} player${sweetSpot.playerCount === 1 ? '' : 's'}</span></div>`;
+        }
+        html += `</div>`;
+    }
+
     // Value Stats section (hidden feature)
     if (pricePaid !== null && isHiddenEnabled()) {
         const priceInfoIcon = '<span class="info-tooltip" data-tooltip="Includes price of all owned expansions"><svg class="info-tooltip-icon" width="12" height="12" viewBox="0 0 16 16"><circle cx="8" cy="8" r="7" fill="none" stroke="currentColor" stroke-width="1.5"/><text x="8" y="11.5" font-size="10" font-weight="bold" text-anchor="middle" fill="currentColor">i</text></svg></span>';
         html += `<div class="game-detail-section-card">`;
         html += `<h4>Value</h4>`;
-        html += `<div class="game-detail-row"><span class="label">Price Paid ${priceInfoIcon}</span><span class="value">${formatCostLabel(pricePaid)}</span></div>`;
+        html += `<div class="game-detail-row"><span class="label">Price Paid ${priceInfoIcon}</span><span class="value">${formatCostLabel(pricePaid, getBaseCurrency())}</span></div>`;
         if (totalMinutes > 0) {
             const costPerHour = calculateCostPerMetric(pricePaid, totalMinutes / 60);
-            html += `<div class="game-detail-row"><span class="label">Cost per Hour</span><span class="value">${formatCostLabel(costPerHour)}</span></div>`;
+            html += `<div class="game-detail-row"><span class="label">Cost per Hour</span><span class="value">${formatCostLabel(costPerHour, getBaseCurrency())}</span></div>`;
         }
         if (totalSessions > 0) {
             const costPerSession = calculateCostPerMetric(pricePaid, totalSessions);
-            html += `<div class="game-detail-row"><span class="label">Cost per Session</span><span class="value">${formatCostLabel(costPerSession)}</span></div>`;
+            html += `<div class="game-detail-row"><span class="label">Cost per Session</span><span class="value">${formatCostLabel(costPerSession, getBaseCurrency())}</span></div>`;
         }
         if (totalPlays > 0) {
             const costPerPlay = calculateCostPerMetric(pricePaid, totalPlays);
-            html += `<div class="game-detail-row"><span class="label">Cost per Play</span><span class="value">${formatCostLabel(costPerPlay)}</span></div>`;
+            html += `<div class="game-detail-row"><span class="label">Cost per Play</span><span class="value">${formatCostLabel(costPerPlay, getBaseCurrency())}</span></div>`;
         }
         html += `</div>`;
     }
@@ -2335,6 +2571,41 @@ function renderGameDetailModal(gameId) {
         html += `</div></div>`;
     }
 
+    // Expansion usage section (cost per use is part of the hidden value stats)
+    if (expansionUsage.length > 0 && totalPlays > 0) {
+        const showCostPerUse = isHiddenEnabled();
+        html += `<div class="game-detail-section"><h4>Expansion Usage</h4>`;
+        html += `<table class="game-detail-expansion-table">
+            <thead>
+                <tr>
+                    <th>Expansion</th>
+                    <th>Plays</th>
+                    <th>Sessions</th>
+                    <th>Hours</th>
+                    <th>Share of Plays</th>
+                    <th>First Used</th>
+                    <th>Last Used</th>
+                    ${showCostPerUse ? '<th>Cost per Use</th>' : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${expansionUsage.map(entry => `
+                    <tr>
+                        <td>${entry.game.name}${entry.isOwned ? '' : ' <span class="game-detail-expansion-unowned">(not owned)</span>'}</td>
+                        <td>${entry.plays}</td>
+                        <td>${entry.sessions}</td>
+                        <td>${fmtMinutes(entry.hours * 60)}</td>
+                        <td>${(entry.share * 100).toFixed(0)}%</td>
+                        <td>${entry.firstUsed ? formatDateWithYear(entry.firstUsed) : '—'}</td>
+                        <td>${entry.lastUsed ? formatDateWithYear(entry.lastUsed) : '—'}</td>
+                        ${showCostPerUse ? `<td>${entry.costPerUse !== null ? formatCostLabel(entry.costPerUse, getBaseCurrency()) : '—'}</td>` : ''}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>`;
+        html += `</div>`;
+    }
+
     // BGG link
     html += bggLink;
 
@@ -2400,7 +2671,7 @@ const statDetailHandlers = {
         }
     },
     'total-games-owned': {
-        getTitle: (currentYear) => currentYear ? `Games Acquired in <span style="white-space: nowrap">${currentYear}</span>` : 'Games Owned <span style="white-space: nowrap">(All Time)</span>',
+        getTitle: (currentYear) => currentYear ? `Games Owned at End of <span style="white-space: nowrap">${currentYear}</span>` : 'Games Owned <span style="white-space: nowrap">(All Time)</span>',
         render: (detailContent) => {
             showGamesOwned(detailContent);
         }
@@ -2517,6 +2788,24 @@ const statDetailHandlers = {
             showLocationsBreakdown(detailContent);
         }
     },
+    'designers': {
+        getTitle: (currentYear) => currentYear ? `Designers <span style="white-space: nowrap">(${currentYear})</span>` : 'Designers <span style="white-space: nowrap">(All Time)</span>',
+        render: (detailContent) => {
+            showMetadataBreakdown(detailContent, 'designers', statsCache.designerStats, 'Designer');
+        }
+    },
+    'mechanics': {
+        getTitle: (currentYear) => currentYear ? `Mechanics <span style="white-space: nowrap">(${currentYear})</span>` : 'Mechanics <span style="white-space: nowrap">(All Time)</span>',
+        render: (detailContent) => {
+            showMetadataBreakdown(detailContent, 'mechanics', statsCache.mechanicStats, 'Mechanic');
+        }
+    },
+    'categories': {
+        getTitle: (currentYear) => currentYear ? `Categories <span style="white-space: nowrap">(${currentYear})</span>` : 'Categories <span style="white-space: nowrap">(All Time)</span>',
+        render: (detailContent) => {
+            showMetadataBreakdown(detailContent, 'categories', statsCache.categoryStats, 'Category');
+        }
+    },
     'collection-rating': {
         getTitle: (currentYear) => currentYear
             ? `Ratings of Games Acquired in <span style="white-space: nowrap">${currentYear}</span>`
@@ -2582,6 +2871,12 @@ const statDetailHandlers = {
             showAchievementsDetail(detailContent, statsCache);
         },
     },
+    'play-patterns': {
+        getTitle: () => 'Play Patterns <span style="white-space: nowrap">(All Time)</span>',
+        render: (detailContent) => {
+            showPlayPatterns(detailContent);
+        },
+    },
     'shelf-gallery': {
         getTitle: () => 'Shelf Gallery',
         render: (detailContent) => {
@@ -2597,6 +2892,24 @@ const statDetailHandlers = {
             showVirtualShelf(detailContent);
         },
     },
+    'trends': {
+        getTitle: (currentYear) => currentYear ? `Trends <span style="white-space: nowrap">(${currentYear})</span>` : 'Trends <span style="white-space: nowrap">(All Time)</span>',
+        render: (detailContent) => {
+            showTrends(detailContent);
+        },
+    },
+    'collection-timeline': {
+        getTitle: (currentYear) => currentYear ? `Collection Timeline <span style="white-space: nowrap">(${currentYear})</span>` : 'Collection Timeline <span style="white-space: nowrap">(All Time)</span>',
+        render: (detailContent) => {
+            showCollectionTimeline(detailContent);
+        },
+    },
+    'play-calendar': {
+        getTitle: (currentYear) => currentYear ? `Play Calendar <span style="white-space: nowrap">(${currentYear})</span>` : 'Play Calendar <span style="white-space: nowrap">(All Time)</span>',
+        render: (detailContent) => {
+            showPlayCalendar(detailContent);
+        },
+    },
     'total-cost': {
         getTitle: (currentYear) => {
             const yearText = currentYear
@@ -2610,10 +2923,11 @@ const statDetailHandlers = {
     },
     'five-dollar-club': {
         getTitle: (currentYear) => {
+            const clubLabel = formatCostLabel(5, getBaseCurrency());
             const metricLabels = {
-                hours: '$5 Club (Per Hour)',
-                sessions: '$5 Club (Per Session)',
-                plays: '$5 Club (Per Play)',
+                hours: `${clubLabel} Club (Per Hour)`,
+                sessions: `${clubLabel} Club (Per Session)`,
+                plays: `${clubLabel} Club (Per Play)`,
             };
             const label = metricLabels[currentBaseMetric] || metricLabels.hours;
             const yearText = currentYear
@@ -2622,15 +2936,16 @@ const statDetailHandlers = {
             return `${label} ${yearText}`;
         },
         render: (detailContent, statsCache) => {
-            showValueClubBreakdown(detailContent, statsCache.fiveDollarClubData, '$5');
+            showValueClubBreakdown(detailContent, statsCache.fiveDollarClubData, formatCostLabel(5, getBaseCurrency()));
         },
     },
     'two-fifty-club': {
         getTitle: (currentYear) => {
+            const clubLabel = formatCostLabel(2.5, getBaseCurrency());
             const metricLabels = {
-                hours: '$2.50 Club (Per Hour)',
-                sessions: '$2.50 Club (Per Session)',
-                plays: '$2.50 Club (Per Play)',
+                hours: `${clubLabel} Club (Per Hour)`,
+                sessions: `${clubLabel} Club (Per Session)`,
+                plays: `${clubLabel} Club (Per Play)`,
             };
             const label = metricLabels[currentBaseMetric] || metricLabels.hours;
             const yearText = currentYear
@@ -2639,15 +2954,16 @@ const statDetailHandlers = {
             return `${label} ${yearText}`;
         },
         render: (detailContent, statsCache) => {
-            showValueClubBreakdown(detailContent, statsCache.twoFiftyClubData, '$2.50');
+            showValueClubBreakdown(detailContent, statsCache.twoFiftyClubData, formatCostLabel(2.5, getBaseCurrency()));
         },
     },
     'one-dollar-club': {
         getTitle: (currentYear) => {
+            const clubLabel = formatCostLabel(1, getBaseCurrency());
             const metricLabels = {
-                hours: '$1 Club (Per Hour)',
-                sessions: '$1 Club (Per Session)',
-                plays: '$1 Club (Per Play)',
+                hours: `${clubLabel} Club (Per Hour)`,
+                sessions: `${clubLabel} Club (Per Session)`,
+                plays: `${clubLabel} Club (Per Play)`,
             };
             const label = metricLabels[currentBaseMetric] || metricLabels.hours;
             const yearText = currentYear
@@ -2656,15 +2972,16 @@ const statDetailHandlers = {
             return `${label} ${yearText}`;
         },
         render: (detailContent, statsCache) => {
-            showValueClubBreakdown(detailContent, statsCache.oneDollarClubData, '$1');
+            showValueClubBreakdown(detailContent, statsCache.oneDollarClubData, formatCostLabel(1, getBaseCurrency()));
         },
     },
     'fifty-cent-club': {
         getTitle: (currentYear) => {
+            const clubLabel = formatCostLabel(0.5, getBaseCurrency());
             const metricLabels = {
-                hours: '50¢ Club (Per Hour)',
-                sessions: '50¢ Club (Per Session)',
-                plays: '50¢ Club (Per Play)',
+                hours: `${clubLabel} Club (Per Hour)`,
+                sessions: `${clubLabel} Club (Per Session)`,
+                plays: `${clubLabel} Club (Per Play)`,
             };
             const label = metricLabels[currentBaseMetric] || metricLabels.hours;
             const yearText = currentYear
@@ -2673,7 +2990,7 @@ const statDetailHandlers = {
             return `${label} ${yearText}`;
         },
         render: (detailContent, statsCache) => {
-            showValueClubBreakdown(detailContent, statsCache.fiftyCentClubData, '50¢');
+            showValueClubBreakdown(detailContent, statsCache.fiftyCentClubData, formatCostLabel(0.5, getBaseCurrency()));
         },
     },
     'avg-cost-per-metric': {
@@ -2694,12 +3011,43 @@ const statDetailHandlers = {
             showCostPerMetricBreakdown(detailContent);
         },
     },
+    'net-cost-per-metric': {
+        getTitle: (currentYear) => {
+            const metricLabels = {
+                hours: 'Net Cost Per Hour',
+                sessions: 'Net Cost Per Session',
+                plays: 'Net Cost Per Play',
+            };
+            const label = metricLabels[currentBaseMetric] || metricLabels.hours;
+            const yearText = currentYear
+                ? `<span style="white-space: nowrap">(through ${currentYear})</span>`
+                : '<span style="white-space: nowrap">(All Time)</span>';
+            return `${label} ${yearText}`;
+        },
+        render: (detailContent) => {
+            showNetCostPerMetricBreakdown(detailContent);
+        },
+    },
     'shelf-of-shame': {
         getTitle: () => 'Shelf of Shame',
         render: (detailContent) => {
             showShelfOfShameBreakdown(detailContent);
         },
     },
+    'shelf-aging': {
+        getTitle: (currentYear) => currentYear
+            ? `Shelf Aging <span style="white-space: nowrap">(Acquired ${currentYear})</span>`
+            : 'Shelf Aging',
+        render: (detailContent) => {
+            showShelfAging(detailContent);
+        },
+    },
+    'win-rates': {
+        getTitle: (currentYear) => currentYear ? `Win Rates <span style="white-space: nowrap">(${currentYear})</span>` : 'Win Rates <span style="white-space: nowrap">(All Time)</span>',
+        render: (detailContent) => {
+            showWinRates(detailContent);
+        },
+    },
     'unknown-acquisition-dates': {
         getTitle: () => 'Unknown Acquisition Dates',
         render: (detailContent, statsCache) => {
@@ -2736,6 +3084,12 @@ const statDetailHandlers = {
             createGameTable(detailContent, statsCache.unratedGames, ['Name', 'Year', 'Last Played'], { column: 'Last Played', direction: 'desc' });
         },
     },
+    'data-quality-issues': {
+        getTitle: () => 'Data Quality Issues',
+        render: (detailContent, statsCache) => {
+            showDataQualityIssues(detailContent, statsCache.dataQualityIssues);
+        },
+    },
 };
 
 /**
@@ -2755,7 +3109,9 @@ function rerenderDetailContent(statType) {
     if (!handler) return;
 
     // Render content using handler
+    exportableTable = null;
     handler.render(detailContent, statsCache, currentYear);
+    updateExportButtons();
 
     // Call renderSummary if handler provides custom summary rendering
     if (handler.renderSummary) {
@@ -2777,6 +3133,8 @@ function showDetailSection(statType) {
     if (currentlyOpenStatType !== statType && !isLoadingFromPermalink) {
         currentSortCol = null;
         currentSortDir = null;
+        selectedCalendarDay = null;
+        selectedRatingBand = null;
     }
 
     // Remove active class from all stat cards
@@ -2822,7 +3180,9 @@ function showDetailSection(statType) {
     detailTitle.innerHTML = handler.getTitle(currentYear);
 
     // Render content using handler
+    exportableTable = null;
     handler.render(detailContent, statsCache, currentYear);
+    updateExportButtons();
 
     // Call renderSummary if handler provides custom summary rendering (e.g., year-review toggle)
     if (handler.renderSummary) {
@@ -2873,6 +3233,9 @@ function closeDetailSection() {
     // Clear sort state when closing detail section
     currentSortCol = null;
     currentSortDir = null;
+    selectedCalendarDay = null;
+    selectedRatingBand = null;
+    yearComparisonYears = null;
 
     // Remove active class from all stat cards
     document.querySelectorAll('.widget.clickable').forEach(card => {
@@ -2919,12 +3282,14 @@ function showHIndexBreakdown(container, metric, hIndex) {
     breakdown = sortTableData(breakdown, statType, currentSortCol, currentSortDir);
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'rank', label: 'Rank' },
         { key: 'game', label: 'Game' },
         { key: 'value', label: columnHeader },
         { key: 'contributes', label: 'Contributes to H-Index?' },
-    ], currentSortCol, currentSortDir);
+    ];
+    setExportableTable(statType, columns, breakdown);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
 
     const table = document.createElement('table');
     table.className = 'breakdown-table';
@@ -2975,12 +3340,14 @@ function showPeopleHIndexBreakdown(container, hIndex) {
     breakdown = sortTableData(breakdown, statType, currentSortCol, currentSortDir);
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'rank', label: 'Rank' },
         { key: 'game', label: 'Game' },
         { key: 'players', label: 'Unique Players' },
         { key: 'contributes', label: 'Contributes to H-Index?' },
-    ], currentSortCol, currentSortDir);
+    ];
+    setExportableTable(statType, columns, breakdown);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
 
     const table = document.createElement('table');
     table.className = 'breakdown-table';
@@ -3039,13 +3406,15 @@ function showStaircaseLevelBreakdown(container, metric, staircaseLevel) {
     breakdown = sortTableData(breakdown, statType, currentSortCol, currentSortDir);
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'rank', label: 'Rank' },
         { key: 'game', label: 'Game' },
         { key: 'value', label: columnHeader },
         { key: 'threshold', label: 'Threshold' },
         { key: 'contributes', label: 'Contributes?' },
-    ], currentSortCol, currentSortDir);
+    ];
+    setExportableTable(statType, columns, breakdown);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
 
     const table = document.createElement('table');
     table.className = 'breakdown-table';
@@ -3165,11 +3534,13 @@ function showBGGEntries(container) {
     const sortedEntries = sortTableData(processedEntries, statType, currentSortCol, currentSortDir);
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'name', label: 'Name' },
         { key: 'type', label: 'Type' },
         { key: 'date', label: 'Acquisition Date' },
-    ], currentSortCol, currentSortDir);
+    ];
+    setExportableTable(statType, columns, sortedEntries);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
 
     const table = document.createElement('table');
     table.innerHTML = `
@@ -3196,8 +3567,8 @@ function showGamesOwned(container) {
     const games = gameData.games.filter(game => {
         if (!game.isBaseGame) return false;
         if (currentYear) {
-            // Check if ANY copy was acquired in the target year
-            return wasGameAcquiredInYear(game, currentYear);
+            // Games owned at the end of the target year, including ones sold since
+            return wasGameOwnedAtEndOfYear(game, currentYear);
         }
         // No year: only show currently owned games
         return isGameOwned(game);
@@ -3206,6 +3577,62 @@ function showGamesOwned(container) {
     createGameTable(container, games, ['Name', 'Year', 'Acquisition Date', 'Plays'], { column: 'Name', direction: 'asc' }, currentYear);
 }
 
+/**
+ * Labels for data quality issue types
+ */
+const DATA_QUALITY_ISSUE_LABELS = {
+    [DataQualityIssue.UNKNOWN_GAME]: 'Unknown game',
+    [DataQualityIssue.PLAYED_BEFORE_PUBLICATION]: 'Played before publication',
+    [DataQualityIssue.PLAY_OVER_24_HOURS]: 'Play over 24 hours',
+    [DataQualityIssue.COPY_ACQUIRED_AFTER_PLAY]: 'Copy acquired after play',
+    [DataQualityIssue.EXPANSION_WITHOUT_BASE_GAME]: 'Expansion without base game',
+    [DataQualityIssue.UNCONVERTIBLE_PRICE]: 'Unconvertible price',
+};
+
+/**
+ * Show data quality issues table
+ */
+function showDataQualityIssues(container, issues) {
+    // Pre-process entries for sorting
+    let entries = issues.map(issue => ({
+        ...issue,
+        label: DATA_QUALITY_ISSUE_LABELS[issue.type],
+        name: issue.game ? issue.game.name : `Game ${issue.gameId}`,
+    }));
+
+    // Apply current sort
+    const statType = 'data-quality-issues';
+    entries = sortTableData(entries, statType, currentSortCol, currentSortDir);
+
+    // Generate sortable headers
+    const columns = [
+        { key: 'issue', label: 'Issue' },
+        { key: 'game', label: 'Game' },
+        { key: 'date', label: 'Date' },
+        { key: 'details', label: 'Details' },
+    ];
+    setExportableTable(statType, columns, entries);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
+
+    const table = document.createElement('table');
+    table.innerHTML = `
+        <thead>
+            <tr>${headerHtml}</tr>
+        </thead>
+        <tbody>
+            ${entries.map(entry => `
+                <tr>
+                    <td>${entry.label}</td>
+                    <td>${entry.game ? renderGameNameWithThumbnail(entry.game) : entry.name}</td>
+                    <td>${entry.date || ''}</td>
+                    <td>${entry.message}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+    container.appendChild(table);
+}
+
 /**
  * Show expansions table
  */
@@ -3234,11 +3661,13 @@ function showExpansions(container) {
     entries = sortTableData(entries, statType, currentSortCol, currentSortDir);
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'name', label: 'Name' },
         { key: 'type', label: 'Type' },
         { key: 'date', label: 'Acquisition Date' },
-    ], currentSortCol, currentSortDir);
+    ];
+    setExportableTable(statType, columns, entries);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
 
     const table = document.createElement('table');
     table.innerHTML = `
@@ -3256,6 +3685,15 @@ function showExpansions(container) {
         </tbody>
     `;
     container.appendChild(table);
+
+    // Owned expansions never logged with a play (all time, so only without a year filter)
+    const unusedExpansions = currentYear ? [] : getUnusedOwnedExpansions(gameData.games, gameData.plays);
+    if (unusedExpansions.length > 0) {
+        const unusedNote = document.createElement('p');
+        unusedNote.className = 'detail-note';
+        unusedNote.innerHTML = `<strong>Never used (${unusedExpansions.length}):</strong> ${unusedExpansions.map(game => escapeHtml(game.name)).join(', ')}`;
+        container.appendChild(unusedNote);
+    }
 }
 
 /**
@@ -3298,13 +3736,15 @@ function showGamesPlayed(container) {
     gamesWithPlays = sortTableData(gamesWithPlays, statType, currentSortCol, currentSortDir);
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'game', label: 'Game' },
         { key: 'plays', label: 'Plays' },
         { key: 'status', label: currentYear
             ? '<span style="font-size: 0.85em;">Others\' 👥<br>New to me ✨</span>'
             : 'Others\' 👥' },
-    ], currentSortCol, currentSortDir);
+    ];
+    setExportableTable(statType, columns, gamesWithPlays);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
 
     const statusIcons = (item) => {
         const icons = [];
@@ -3358,10 +3798,12 @@ function showMilestoneGames(container, milestone, milestonesData) {
     const columnHeader = columnHeaders[currentBaseMetric] || 'Total Hours';
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'game', label: 'Game' },
         { key: 'count', label: columnHeader },
-    ], currentSortCol, currentSortDir);
+    ];
+    setExportableTable(statType, columns, games);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
 
     const table = document.createElement('table');
     table.innerHTML = `
@@ -3400,13 +3842,15 @@ function showDaysPlayedBreakdown(container) {
     breakdown = sortTableData(breakdown, statType, currentSortCol, currentSortDir);
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'game', label: 'Game' },
         { key: 'days', label: 'Days Played' },
         { key: 'medavgplays', label: 'Median/Avg Plays Per Day' },
         { key: 'minmaxtime', label: 'Min/Max Time Per Day' },
         { key: 'medavgtime', label: 'Median/Avg Time Per Day' },
-    ], currentSortCol, currentSortDir);
+    ];
+    setExportableTable(statType, columns, breakdown);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
 
     const table = document.createElement('table');
     table.innerHTML = `
@@ -3462,13 +3906,15 @@ function showPlayTimeBreakdown(container) {
     breakdown = sortTableData(breakdown, statType, currentSortCol, currentSortDir);
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'game', label: 'Game' },
         { key: 'time', label: 'Time Played' },
         { key: 'minmax', label: 'Min/Max Play Time' },
         { key: 'medavg', label: 'Median/Avg Play Time' },
         { key: 'durations', label: 'Play Durations' },
-    ], currentSortCol, currentSortDir);
+    ];
+    setExportableTable(statType, columns, breakdown);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
 
     const table = document.createElement('table');
     table.innerHTML = `
@@ -3529,6 +3975,12 @@ function showSuggestedGames(container) {
         return;
     }
 
+    setExportableTable(null, [
+        { key: 'game', label: 'Game', exportValue: suggestion => suggestion.game.name },
+        { key: 'reasons', label: 'Recommendation Reason', exportValue: suggestion => suggestion.reasons.join('; ') },
+        { key: 'details', label: 'Details', exportValue: suggestion => suggestion.stats.join('; ') },
+    ], suggestions);
+
     const table = document.createElement('table');
     table.innerHTML = `
         <thead>
@@ -3557,85 +4009,459 @@ function showSuggestedGames(container) {
 }
 
 /**
- * Show shelf gallery
+ * Show trend charts: cumulative totals, monthly play volume, and h-index and
+ * staircase level trajectories
  */
-function showShelfGallery(container) {
-    if (shelfPhotos.length === 0) {
-        container.innerHTML = '<p>No photos available.</p>';
-        return;
-    }
-
-    const fullPhotos = shelfPhotos.filter(p => p.type === 'full');
-    const casePhotos = shelfPhotos.filter(p => p.type === 'case');
+function showTrends(container) {
+    const cumulative = getCumulativeTimeline(gameData.plays, currentYear);
+    const volumeByYear = getMonthlyPlayVolumeByYear(gameData.plays, currentYear);
+    const hIndexTimeline = getHIndexTimeline(gameData.games, gameData.plays, currentYear);
+
+    // Month labels carry the year only when the charts span several years
+    const monthLabels = cumulative.map(entry => formatMonthShort(entry.month, currentYear === null));
+    const calendarMonthLabels = Array.from({ length: 12 }, (_, i) => formatMonthShort(`2000-${String(i + 1).padStart(2, '0')}`));
+    const metricSeries = (values) => [
+        { name: 'Hours', values: values.map(v => v[Metric.HOURS]), color: 'var(--color-metric-hours)' },
+        { name: 'Sessions', values: values.map(v => v[Metric.SESSIONS]), color: 'var(--color-metric-sessions)' },
+        { name: 'Plays', values: values.map(v => v[Metric.PLAYS]), color: 'var(--color-metric-plays)' },
+    ];
 
-    // Render full-width photos
-    if (fullPhotos.length > 0) {
-        const fullDiv = document.createElement('div');
-        fullDiv.className = 'shelf-gallery-full';
-        fullDiv.innerHTML = fullPhotos.map((photo) => {
-            const index = shelfPhotos.indexOf(photo);
-            return `
-                <div class="shelf-gallery-item shelf-gallery-item--full">
-                    <img
-                        src="${photo.src}"
-                        alt="Shelf photo ${index + 1}"
-                        class="shelf-gallery-image game-image-clickable"
-                        data-full-image="${photo.src}"
-                    />
-                </div>
-            `;
-        }).join('');
-        container.appendChild(fullDiv);
-    }
+    // One year shows its months as bars; all time stacks each year's months
+    const volumeSeries = volumeByYear.map(volume => ({ name: String(volume.year), values: volume.plays }));
+    const volumeChart = currentYear
+        ? renderBarChart({ title: 'Plays per Month', labels: calendarMonthLabels, series: volumeSeries, integer: true })
+        : renderStackedAreaChart({ title: 'Plays per Month by Year', labels: calendarMonthLabels, series: volumeSeries, integer: true });
+
+    const charts = [
+        renderLineChart({
+            title: 'Cumulative Plays & Unique Games',
+            labels: monthLabels,
+            series: [
+                { name: 'Plays', values: cumulative.map(entry => entry.plays), color: 'var(--color-metric-plays)' },
+                { name: 'Unique Games', values: cumulative.map(entry => entry.uniqueGames), color: 'var(--color-unique-games)' },
+            ],
+            integer: true,
+        }),
+        renderLineChart({
+            title: 'Cumulative Hours',
+            labels: monthLabels,
+            series: [{ name: 'Hours', values: cumulative.map(entry => entry.hours), color: 'var(--color-metric-hours)' }],
+        }),
+        volumeChart,
+        renderLineChart({
+            title: 'H-Index',
+            labels: monthLabels,
+            series: metricSeries(hIndexTimeline.map(entry => entry.hIndex)),
+            integer: true,
+        }),
+        renderLineChart({
+            title: 'Staircase Level',
+            labels: monthLabels,
+            series: metricSeries(hIndexTimeline.map(entry => entry.staircaseLevel)),
+            integer: true,
+        }),
+    ];
 
-    // Render case photos in grid
-    if (casePhotos.length > 0) {
-        const caseDiv = document.createElement('div');
-        caseDiv.className = 'shelf-gallery-grid';
-        caseDiv.innerHTML = casePhotos.map((photo) => {
-            const index = shelfPhotos.indexOf(photo);
-            return `
-                <div class="shelf-gallery-item shelf-gallery-item--case">
-                    <img
-                        src="${photo.src}"
-                        alt="Shelf photo ${index + 1}"
-                        class="shelf-gallery-image game-image-clickable"
-                        data-full-image="${photo.src}"
-                    />
-                </div>
-            `;
-        }).join('');
-        container.appendChild(caseDiv);
-    }
+    const grid = document.createElement('div');
+    grid.className = 'charts-grid';
+    grid.innerHTML = charts.join('');
+    container.appendChild(grid);
 }
 
 /**
- * Virtual shelf state
+ * Show collection timeline: games owned by type over time, acquisition spend,
+ * the biggest purchase months, and a table of acquisitions per year (or per
+ * month when a year is selected)
  */
-let virtualShelfIncludeUnowned = false;
+function showCollectionTimeline(container) {
+    const statType = 'collection-timeline';
+    const timeline = getCollectionTimeline(gameData.games, gameData.plays, currentYear);
+    if (timeline.length === 0) {
+        container.innerHTML = '<p>No acquisition dates found.</p>';
+        return;
+    }
+
+    const currency = getBaseCurrency();
+    const monthlyAcquisitions = getAcquisitionsByMonth(gameData.games, currentYear);
+    const spendByMonth = new Map(monthlyAcquisitions.map(entry => [entry.month, entry.spend]));
+    const monthLabels = timeline.map(entry => formatMonthShort(entry.month, currentYear === null));
+
+    const charts = [
+        renderStackedAreaChart({
+            title: 'Games Owned',
+            labels: monthLabels,
+            series: [
+                { name: 'Base Games', values: timeline.map(entry => entry.baseGames) },
+                { name: 'Expansions', values: timeline.map(entry => entry.expansions) },
+                { name: 'Expandalones', values: timeline.map(entry => entry.expandalones) },
+            ],
+            integer: true,
+        }),
+        renderBarChart({
+            title: 'Spend per Month',
+            labels: monthLabels,
+            series: [{ name: 'Spend', values: timeline.map(entry => spendByMonth.get(entry.month) || 0) }],
+            formatValue: value => formatCurrency(value, currency, 0),
+        }),
+    ];
+
+    const grid = document.createElement('div');
+    grid.className = 'charts-grid';
+    grid.innerHTML = charts.join('');
+    container.appendChild(grid);
+
+    const biggestMonths = getBiggestPurchaseMonths(gameData.games, currentYear);
+    if (biggestMonths.length > 0) {
+        const monthsText = biggestMonths
+            .map(entry => `${formatMonthShort(entry.month, true)} (${formatCurrency(entry.spend, currency, 0)}, ${entry.count} ${entry.count === 1 ? 'copy' : 'copies'})`)
+            .join(', ');
+        const explanationDiv = document.createElement('div');
+        explanationDiv.className = 'detail-explanation';
+        explanationDiv.innerHTML = `
+            <p><strong>Biggest purchase months:</strong> ${monthsText}</p>
+        `;
+        container.appendChild(explanationDiv);
+    }
+
+    // A selected year is broken down by month; all time by year
+    const rows = currentYear
+        ? monthlyAcquisitions.map(entry => ({ ...entry, period: entry.month, label: formatMonthShort(entry.month, true) }))
+        : getAcquisitionsByYear(gameData.games, gameData.plays).map(entry => ({ ...entry, period: String(entry.year), label: String(entry.year) }));
+    const sortedRows = sortTableData(rows, statType, currentSortCol, currentSortDir);
+
+    const columns = [
+        { key: 'period', label: currentYear ? 'Month' : 'Year' },
+        { key: 'count', label: 'Acquired' },
+        { key: 'spend', label: 'Spend' },
+        { key: 'average', label: 'Avg Price' },
+        ...(currentYear ? [] : [
+            { key: 'plays', label: 'Plays' },
+            { key: 'ratio', label: 'Acquisitions/Play' },
+        ]),
+    ];
+    setExportableTable(statType, columns, sortedRows);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
+
+    const table = document.createElement('table');
+    table.innerHTML = `
+        <thead>
+            <tr>${headerHtml}</tr>
+        </thead>
+        <tbody>
+            ${sortedRows.map(row => `
+                <tr>
+                    <td>${row.label}</td>
+                    <td>${row.count}</td>
+                    <td>${formatCurrency(row.spend, currency)}</td>
+                    <td>${row.averagePrice !== null ? formatCurrency(row.averagePrice, currency) : '--'}</td>
+                    ${currentYear ? '' : `
+                        <td>${row.plays}</td>
+                        <td>${row.acquisitionToPlayRatio !== null ? row.acquisitionToPlayRatio.toFixed(2) : '--'}</td>
+                    `}
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+    container.appendChild(table);
+}
 
 /**
- * Show virtual shelf - grid of game cover art
+ * Show play calendar: a heatmap per year of each day's activity, shaded by the
+ * base metric, with the plays of the selected day listed below
  */
-function showVirtualShelf(container) {
+function showPlayCalendar(container) {
+    const activity = getDailyActivity(gameData.plays, currentYear);
+    if (activity.size === 0) {
+        container.innerHTML = '<p>No plays logged.</p>';
+        return;
+    }
 
-    // Filter to base games
-    let games = gameData.games.filter(game => game.isBaseGame);
+    const years = currentYear
+        ? [currentYear]
+        : [...new Set(Array.from(activity.keys(), date => parseInt(date.substring(0, 4))))].sort((a, b) => b - a);
+    // One scale across all years so shades are comparable between them
+    const maxValue = Math.max(...Array.from(activity.values(), day => getDailyMetricValue(day, currentBaseMetric)));
+    const weekdayLabels = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+    const metricLabels = { hours: 'hours played', sessions: 'games played', plays: 'plays' };
 
-    // Apply ownership filter
-    if (virtualShelfIncludeUnowned) {
-        // Include owned base games + unowned base games that have play data
-        const playedGameIds = new Set(gameData.plays.map(p => p.gameId));
-        games = games.filter(game => isGameOwned(game) || playedGameIds.has(game.id));
-    } else {
-        games = games.filter(game => isGameOwned(game));
+    // A day from a permalink or an earlier year filter may not be on the calendar
+    if (selectedCalendarDay !== null && !years.includes(parseInt(selectedCalendarDay.substring(0, 4)))) {
+        selectedCalendarDay = null;
     }
 
-    // Build metric lookup for sorting (always all-time, not year-filtered)
-    const hoursBreakdown = getPlayTimeByGame(gameData.games, gameData.plays, null);
-    const sessionsBreakdown = getDaysPlayedByGame(gameData.games, gameData.plays, null);
+    const renderDay = (date) => {
+        if (date === null) {
+            return '<span class="calendar-day calendar-day--empty"></span>';
+        }
+        const day = activity.get(date);
+        const level = getActivityLevel(getDailyMetricValue(day, currentBaseMetric), maxValue);
+        const summary = day
+            ? `${day.plays} play${day.plays === 1 ? '' : 's'}, ${formatDurationHM(day.minutes)}`
+            : 'No plays';
+        const selected = date === selectedCalendarDay ? ' is-selected' : '';
+        return `<button type="button" class="calendar-day calendar-day--level-${level}${selected}" data-date="${date}" title="${formatDateWithYear(date)}: ${summary}"></button>`;
+    };
 
-    const metricMap = new Map();
+    const heatmaps = years.map(year => {
+        const weeks = getCalendarWeeks(year);
+        // Label a month above the week its first day falls in
+        const monthLabels = weeks.map(week => {
+            const firstOfMonth = week.find(date => date !== null && date.endsWith('-01'));
+            return `<span>${firstOfMonth ? formatMonthShort(firstOfMonth.substring(0, 7)) : ''}</span>`;
+        }).join('');
+        const yearPlays = Array.from(activity.entries())
+            .filter(([date]) => date.startsWith(`${year}-`))
+            .reduce((sum, [, day]) => sum + day.plays, 0);
+
+        return `
+            <div class="calendar-year">
+                <div class="calendar-year-title">${year} <span class="calendar-year-total">${yearPlays.toLocaleString()} play${yearPlays === 1 ? '' : 's'}</span></div>
+                <div class="calendar-heatmap">
+                    <span></span>
+                    <div class="calendar-months">${monthLabels}</div>
+                    <div class="calendar-weekdays">${weekdayLabels.map(label => `<span>${label}</span>`).join('')}</div>
+                    <div class="calendar-days">${weeks.flat().map(renderDay).join('')}</div>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    const legendCells = [0, 1, 2, 3, 4].map(level => `<span class="calendar-day calendar-day--level-${level}"></span>`).join('');
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'play-calendar';
+    wrapper.style.setProperty('--calendar-color', `var(--color-metric-${currentBaseMetric})`);
+    wrapper.innerHTML = `
+        ${heatmaps}
+        <div class="calendar-legend">
+            <span>Shaded by ${metricLabels[currentBaseMetric]} per day · Less</span>
+            ${legendCells}
+            <span>More</span>
+        </div>
+        <div class="calendar-day-detail"></div>
+    `;
+    container.appendChild(wrapper);
+
+    const dayDetail = wrapper.querySelector('.calendar-day-detail');
+    if (selectedCalendarDay !== null) {
+        renderCalendarDayDetail(dayDetail, selectedCalendarDay);
+    }
+
+    // Clicking a day drills into its plays; clicking it again closes them
+    wrapper.addEventListener('click', (e) => {
+        const dayButton = e.target.closest('.calendar-day[data-date]');
+        if (!dayButton) return;
+
+        selectedCalendarDay = selectedCalendarDay === dayButton.dataset.date ? null : dayButton.dataset.date;
+        wrapper.querySelectorAll('.calendar-day.is-selected').forEach(el => el.classList.remove('is-selected'));
+        if (selectedCalendarDay !== null) {
+            dayButton.classList.add('is-selected');
+            renderCalendarDayDetail(dayDetail, selectedCalendarDay);
+        } else {
+            dayDetail.innerHTML = '';
+        }
+        updateURL();
+    });
+}
+
+/**
+ * Helper: Render the plays of a play calendar day as a table
+ * @param {HTMLElement} container - Day detail element
+ * @param {string} date - Date in YYYY-MM-DD format
+ */
+function renderCalendarDayDetail(container, date) {
+    const plays = getPlaysOnDate(gameData.plays, date);
+    const heading = `<h3 class="calendar-day-title">${formatDateWithWeekdayAndYear(date)}</h3>`;
+    if (plays.length === 0) {
+        container.innerHTML = `${heading}<p>No plays logged on this day.</p>`;
+        return;
+    }
+
+    const gameById = new Map(gameData.games.map(g => [g.id, g]));
+    const playerNameById = new Map(gameData.players.map(p => [p.playerId, p.name]));
+    const locationNameById = new Map(gameData.locations.map(l => [l.locationId, l.name]));
+    const totalMinutes = plays.reduce((sum, play) => sum + (play.durationMin || 0), 0);
+
+    const rows = plays.map(play => {
+        const game = gameById.get(play.gameId);
+        const players = play.players.map(id => playerNameById.get(id)).filter(Boolean).join(', ');
+        // Estimated durations are marked so they aren't mistaken for logged ones
+        const duration = play.durationEstimated
+            ? `<span title="Estimated">~${formatDurationHM(play.durationMin)}</span>`
+            : formatDurationHM(play.durationMin);
+        return `
+            <tr>
+                <td>${game ? renderGameNameWithTinyThumbnail(game) : ''}</td>
+                <td>${duration}</td>
+                <td>${players || '-'}</td>
+                <td>${locationNameById.get(play.locationId) || '-'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        ${heading}
+        <p class="calendar-day-summary">${plays.length} play${plays.length === 1 ? '' : 's'} · ${formatDurationHM(totalMinutes)}</p>
+        <table class="breakdown-table calendar-day-table">
+            <thead>
+                <tr>
+                    <th>Game</th>
+                    <th>Duration</th>
+                    <th>Players</th>
+                    <th>Location</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Helper: Get the timezones for play patterns: BG Stats records timestamps in the
+ * configured timezone, and patterns are reported in it too so every visitor
+ * sees the same weekdays and hours
+ * @returns {Object} { sourceTimeZone, timeZone }
+ */
+function getPlayPatternTimeZones() {
+    return {
+        sourceTimeZone: gameData.config.timezone,
+        timeZone: gameData.config.timezone,
+    };
+}
+
+/**
+ * Show all-time play patterns: the base metric by weekday and by starting hour,
+ * followed by the same summary rows as the Year in Review
+ */
+function showPlayPatterns(container) {
+    const timeZones = getPlayPatternTimeZones();
+    const playPatterns = getPlayPatterns(gameData.games, gameData.plays, gameData.anonymousPlayerId, null, timeZones);
+    const rows = renderPlayPatternRows(playPatterns, [currentBaseMetric]);
+    if (!rows) {
+        container.innerHTML = '<p>No plays logged yet.</p>';
+        return;
+    }
+
+    const metricLabels = {
+        hours: 'Hours',
+        sessions: 'Sessions',
+        plays: 'Plays',
+    };
+    const metricLabel = metricLabels[currentBaseMetric];
+    const metricSeries = (entries) => [{
+        name: metricLabel,
+        values: entries.map(entry => entry[currentBaseMetric]),
+        color: `var(--color-metric-${currentBaseMetric})`,
+    }];
+    const integer = currentBaseMetric !== Metric.HOURS;
+
+    const charts = [
+        renderBarChart({
+            title: `${metricLabel} by Day of the Week`,
+            labels: playPatterns.weekdays.map(entry => formatWeekday(entry.weekday, true)),
+            series: metricSeries(playPatterns.weekdays),
+            integer,
+        }),
+        renderBarChart({
+            title: `${metricLabel} by Starting Hour`,
+            labels: playPatterns.hours.map(entry => formatHourOfDay(entry.hour)),
+            series: metricSeries(playPatterns.hours),
+            integer,
+        }),
+    ];
+
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = `
+        <div class="charts-grid">${charts.join('')}</div>
+        <p class="play-patterns-note">Times are shown in ${escapeHtml(timeZones.timeZone)}.</p>
+        <table class="year-review-table">
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    setupYearReviewExpandableRows(wrapper);
+    container.appendChild(wrapper);
+}
+
+/**
+ * Show shelf gallery
+ */
+function showShelfGallery(container) {
+    if (shelfPhotos.length === 0) {
+        container.innerHTML = '<p>No photos available.</p>';
+        return;
+    }
+
+    const fullPhotos = shelfPhotos.filter(p => p.type === 'full');
+    const casePhotos = shelfPhotos.filter(p => p.type === 'case');
+
+    // Render full-width photos
+    if (fullPhotos.length > 0) {
+        const fullDiv = document.createElement('div');
+        fullDiv.className = 'shelf-gallery-full';
+        fullDiv.innerHTML = fullPhotos.map((photo) => {
+            const index = shelfPhotos.indexOf(photo);
+            return `
+                <div class="shelf-gallery-item shelf-gallery-item--full">
+                    <img
+                        src="${photo.src}"
+                        alt="Shelf photo ${index + 1}"
+                        class="shelf-gallery-image game-image-clickable"
+                        data-full-image="${photo.src}"
+                    />
+                </div>
+            `;
+        }).join('');
+        container.appendChild(fullDiv);
+    }
+
+    // Render case photos in grid
+    if (casePhotos.length > 0) {
+        const caseDiv = document.createElement('div');
+        caseDiv.className = 'shelf-gallery-grid';
+        caseDiv.innerHTML = casePhotos.map((photo) => {
+            const index = shelfPhotos.indexOf(photo);
+            return `
+                <div class="shelf-gallery-item shelf-gallery-item--case">
+                    <img
+                        src="${photo.src}"
+                        alt="Shelf photo ${index + 1}"
+                        class="shelf-gallery-image game-image-clickable"
+                        data-full-image="${photo.src}"
+                    />
+                </div>
+            `;
+        }).join('');
+        container.appendChild(caseDiv);
+    }
+}
+
+/**
+ * Virtual shelf state
+ */
+let virtualShelfIncludeUnowned = false;
+
+/**
+ * Show virtual shelf - grid of game cover art
+ */
+function showVirtualShelf(container) {
+
+    // Filter to base games
+    let games = gameData.games.filter(game => game.isBaseGame);
+
+    // Apply ownership filter
+    if (virtualShelfIncludeUnowned) {
+        // Include owned base games + unowned base games that have play data
+        const playedGameIds = new Set(gameData.plays.map(p => p.gameId));
+        games = games.filter(game => isGameOwned(game) || playedGameIds.has(game.id));
+    } else {
+        games = games.filter(game => isGameOwned(game));
+    }
+
+    // Build metric lookup for sorting (always all-time, not year-filtered)
+    const hoursBreakdown = getPlayTimeByGame(gameData.games, gameData.plays, null);
+    const sessionsBreakdown = getDaysPlayedByGame(gameData.games, gameData.plays, null);
+
+    const metricMap = new Map();
     hoursBreakdown.forEach(entry => {
         metricMap.set(entry.game.id, {
             totalMinutes: entry.totalMinutes,
@@ -3838,10 +4664,12 @@ function showTotalCostBreakdown(container) {
     const sortedGames = sortTableData(games, statType, currentSortCol, currentSortDir);
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'game', label: 'Game' },
         { key: 'price', label: 'Price Paid' },
-    ], currentSortCol, currentSortDir);
+    ];
+    setExportableTable(statType, columns, sortedGames);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
 
     const table = document.createElement('table');
     table.innerHTML = `
@@ -3851,7 +4679,7 @@ function showTotalCostBreakdown(container) {
         <tbody>
             ${sortedGames.map(item => {
                 const priceDisplay = item.totalPricePaid !== null
-                    ? `$${item.totalPricePaid.toFixed(2)}`
+                    ? formatCurrency(item.totalPricePaid, getBaseCurrency())
                     : 'unknown';
                 return `
                     <tr>
@@ -3893,12 +4721,14 @@ function showValueClubBreakdown(container, clubData, clubLabel) {
     const sortedGames = sortTableData(games, statType, currentSortCol, currentSortDir);
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'game', label: 'Game' },
         { key: 'value', label: metricLabel },
         { key: 'costper', label: `Cost/${metricLabelSingular}` },
         { key: 'price', label: 'Price Paid' },
-    ], currentSortCol, currentSortDir);
+    ];
+    setExportableTable(statType, columns, sortedGames);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
 
     const table = document.createElement('table');
     table.innerHTML = `
@@ -3914,8 +4744,8 @@ function showValueClubBreakdown(container, clubData, clubLabel) {
                     <tr>
                         <td>${renderGameNameWithThumbnail(item.game)}</td>
                         <td>${metricDisplay}</td>
-                        <td>$${item.costPerMetric.toFixed(2)}</td>
-                        <td>$${item.pricePaid.toFixed(2)}</td>
+                        <td>${formatCurrency(item.costPerMetric, getBaseCurrency())}</td>
+                        <td>${formatCurrency(item.pricePaid, getBaseCurrency())}</td>
                     </tr>
                 `;
             }).join('')}
@@ -3955,12 +4785,14 @@ function showCostPerMetricBreakdown(container) {
     const sortedGames = sortTableData(games, statType, currentSortCol, currentSortDir);
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'game', label: 'Game' },
         { key: 'value', label: metricLabel },
         { key: 'costper', label: `Cost/${metricLabelSingular}` },
         { key: 'price', label: 'Price Paid' },
-    ], currentSortCol, currentSortDir);
+    ];
+    setExportableTable(statType, columns, sortedGames);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
 
     const table = document.createElement('table');
     table.innerHTML = `
@@ -3976,8 +4808,74 @@ function showCostPerMetricBreakdown(container) {
                     <tr>
                         <td>${renderGameNameWithThumbnail(item.game)}</td>
                         <td>${metricDisplay}</td>
-                        <td>$${item.costPerMetric.toFixed(2)}</td>
-                        <td>$${item.pricePaid.toFixed(2)}</td>
+                        <td>${formatCurrency(item.costPerMetric, getBaseCurrency())}</td>
+                        <td>${formatCurrency(item.pricePaid, getBaseCurrency())}</td>
+                    </tr>
+                `;
+            }).join('')}
+        </tbody>
+    `;
+    container.appendChild(table);
+}
+
+/**
+ * Show net cost per metric breakdown, including games no longer owned
+ */
+function showNetCostPerMetricBreakdown(container) {
+    const statType = 'net-cost-per-metric';
+    const { games } = statsCache.netCostPerMetricData;
+
+    if (games.length === 0) {
+        container.innerHTML = '<p>No games with price data found.</p>';
+        return;
+    }
+
+    const metricLabel = currentBaseMetric === 'hours' ? 'Hours'
+        : currentBaseMetric === 'sessions' ? 'Sessions' : 'Plays';
+    const metricLabelSingular = currentBaseMetric === 'hours' ? 'Hour'
+        : currentBaseMetric === 'sessions' ? 'Session' : 'Play';
+
+    const explanationDiv = document.createElement('div');
+    explanationDiv.className = 'detail-explanation';
+    explanationDiv.innerHTML = `
+        <p><strong>Net Cost:</strong> Price paid minus what sold copies brought in. Copies traded or given away without a sale price count as bringing in nothing.</p>
+    `;
+    container.appendChild(explanationDiv);
+
+    // Apply current sort
+    const sortedGames = sortTableData(games, statType, currentSortCol, currentSortDir);
+
+    const columns = [
+        { key: 'game', label: 'Game' },
+        { key: 'value', label: metricLabel },
+        { key: 'costper', label: `Net Cost/${metricLabelSingular}` },
+        { key: 'price', label: 'Price Paid' },
+        { key: 'sale', label: 'Sold For' },
+        { key: 'net', label: 'Net Cost' },
+        { key: 'status', label: 'Status' },
+    ];
+    setExportableTable(statType, columns, sortedGames);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
+
+    const table = document.createElement('table');
+    table.innerHTML = `
+        <thead>
+            <tr>${headerHtml}</tr>
+        </thead>
+        <tbody>
+            ${sortedGames.map(item => {
+                const metricDisplay = currentBaseMetric === 'hours'
+                    ? item.metricValue.toFixed(1)
+                    : Math.floor(item.metricValue);
+                return `
+                    <tr>
+                        <td>${renderGameNameWithThumbnail(item.game)}</td>
+                        <td>${metricDisplay}</td>
+                        <td>${formatCurrency(item.costPerMetric, getBaseCurrency())}</td>
+                        <td>${formatCurrency(item.pricePaid, getBaseCurrency())}</td>
+                        <td>${item.salePrice > 0 ? formatCurrency(item.salePrice, getBaseCurrency()) : '--'}</td>
+                        <td>${formatCurrency(item.netCost, getBaseCurrency())}</td>
+                        <td>${item.isOwned ? 'Owned' : 'No longer owned'}</td>
                     </tr>
                 `;
             }).join('')}
@@ -4011,10 +4909,12 @@ function showShelfOfShameBreakdown(container) {
     const sortedGames = sortTableData(games, statType, currentSortCol, currentSortDir);
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'game', label: 'Game' },
         { key: 'price', label: 'Price Paid' },
-    ], currentSortCol, currentSortDir);
+    ];
+    setExportableTable(statType, columns, sortedGames);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
 
     const table = document.createElement('table');
     table.innerHTML = `
@@ -4025,17 +4925,278 @@ function showShelfOfShameBreakdown(container) {
             ${sortedGames.map(item => `
                 <tr>
                     <td>${renderGameNameWithThumbnail(item.game)}</td>
-                    <td>$${item.pricePaid.toFixed(2)}</td>
+                    <td>${formatCurrency(item.pricePaid, getBaseCurrency())}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+    container.appendChild(table);
+
+    const summaryNote = document.createElement('p');
+    summaryNote.className = 'detail-note';
+    summaryNote.innerHTML = `<strong>${count} game${count === 1 ? '' : 's'}</strong> totaling <strong>< ${formatCurrency(totalCost, getBaseCurrency())}</strong> waiting to be played.`;
+    container.appendChild(summaryNote);
+}
+
+/**
+ * Labels for freshness buckets
+ */
+const FRESHNESS_BUCKET_LABELS = {
+    [FreshnessBucket.WEEK]: 'Within a week',
+    [FreshnessBucket.MONTH]: 'Within a month',
+    [FreshnessBucket.YEAR]: 'Within a year',
+    [FreshnessBucket.LATER]: 'After a year',
+    [FreshnessBucket.NEVER]: 'Never played',
+};
+
+/**
+ * Show shelf aging: days from acquisition to first play for owned base games,
+ * summarized by acquisition year and freshness bucket, with the current age
+ * of games still waiting to be played
+ */
+function showShelfAging(container) {
+    const statType = 'shelf-aging';
+    const { games, byYear, bucketCounts } = getTimeToFirstPlay(gameData.games, gameData.plays, currentYear);
+
+    if (games.length === 0) {
+        container.innerHTML = '<p>No owned base games with known acquisition dates found.</p>';
+        return;
+    }
+
+    const formatDays = (days) => days === null ? '--' : `${Math.round(days).toLocaleString()} day${Math.round(days) === 1 ? '' : 's'}`;
+
+    const explanationDiv = document.createElement('div');
+    explanationDiv.className = 'detail-explanation';
+    explanationDiv.innerHTML = `
+        <p><strong>Time to first play:</strong> Days from acquiring an owned base game to its first logged play. Games played before they were acquired count as 0 days.</p>
+        <p>${Object.values(FreshnessBucket).map(bucket => `${FRESHNESS_BUCKET_LABELS[bucket]}: <strong>${bucketCounts[bucket]}</strong>`).join(' · ')}</p>
+    `;
+    container.appendChild(explanationDiv);
+
+    const yearTable = document.createElement('table');
+    yearTable.innerHTML = `
+        <thead>
+            <tr>
+                <th>Acquired</th>
+                <th>Games</th>
+                <th>Played</th>
+                <th>Median Wait</th>
+                <th>Mean Wait</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${byYear.map(entry => `
+                <tr>
+                    <td>${entry.year}</td>
+                    <td>${entry.count}</td>
+                    <td>${entry.playedCount}</td>
+                    <td>${formatDays(entry.medianDays)}</td>
+                    <td>${formatDays(entry.meanDays)}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+    container.appendChild(yearTable);
+
+    // Apply current sort
+    const entries = games.map(entry => ({ ...entry, label: FRESHNESS_BUCKET_LABELS[entry.bucket] }));
+    const sortedEntries = sortTableData(entries, statType, currentSortCol, currentSortDir);
+
+    const columns = [
+        { key: 'game', label: 'Game' },
+        { key: 'acquired', label: 'Acquired' },
+        { key: 'firstplay', label: 'First Play' },
+        { key: 'days', label: 'Days to First Play' },
+        { key: 'age', label: 'Days Waiting' },
+        { key: 'freshness', label: 'Freshness' },
+    ];
+    setExportableTable(statType, columns, sortedEntries);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
+
+    const table = document.createElement('table');
+    table.innerHTML = `
+        <thead>
+            <tr>${headerHtml}</tr>
+        </thead>
+        <tbody>
+            ${sortedEntries.map(entry => `
+                <tr>
+                    <td>${renderGameNameWithThumbnail(entry.game)}</td>
+                    <td>${formatDateWithYear(entry.acquisitionDate)}</td>
+                    <td>${entry.firstPlayDate ? formatDateWithYear(entry.firstPlayDate) : '--'}</td>
+                    <td>${formatDays(entry.daysToFirstPlay)}</td>
+                    <td>${formatDays(entry.ageDays)}</td>
+                    <td>${entry.label}</td>
                 </tr>
             `).join('')}
         </tbody>
     `;
     container.appendChild(table);
+}
+
+/**
+ * Format a win rate (0-1) as a whole percentage
+ * @param {number|null} winRate - Win rate
+ * @returns {string} Percentage, or -- without a rate
+ */
+function formatWinRate(winRate) {
+    return winRate === null ? '--' : `${Math.round(winRate * 100)}%`;
+}
+
+/**
+ * Show win rates: my record per game, with my rivals and co-op record up top,
+ * followed by opponents, finishing position by player count, co-op games and
+ * high scores
+ */
+function showWinRates(container) {
+    const statType = 'win-rates';
+    const { games, plays, players, selfPlayerId, anonymousPlayerId } = gameData;
+    const gameRecords = getWinRateByGame(games, plays, selfPlayerId, currentYear);
+    const coopRecord = getCoopRecord(games, plays, selfPlayerId, currentYear);
+    const highScores = getHighestScores(games, plays, players, selfPlayerId, currentYear);
+
+    if (gameRecords.length === 0 && coopRecord.plays === 0 && highScores.length === 0) {
+        container.innerHTML = '<p>No plays with logged winners, ranks or scores.</p>';
+        return;
+    }
+
+    const headToHead = getHeadToHeadRecords(games, plays, players, selfPlayerId, anonymousPlayerId, currentYear);
+    const { nemesis, favouriteVictim } = getRivals(headToHead);
+    const formatRecord = (record) => `${record.wins}-${record.losses}-${record.ties}`;
+    const formatRival = (record) => record
+        ? `${escapeHtml(record.name)} (${formatRecord(record)}, ${formatWinRate(record.winRate)})`
+        : `-- (needs ${MIN_RIVALRY_PLAYS}+ head-to-head plays)`;
+
+    const explanationDiv = document.createElement('div');
+    explanationDiv.className = 'detail-explanation';
+    explanationDiv.innerHTML = `
+        <p><strong>Win rates</strong> count competitive plays: non-co-op games against at least one other player with a winner or rank logged. Head-to-head records (wins-losses-ties) compare finishing positions.</p>
+        <p><strong>Nemesis:</strong> ${formatRival(nemesis)} · <strong>Favourite victim:</strong> ${formatRival(favouriteVictim)}</p>
+        ${coopRecord.plays > 0 ? `<p><strong>Co-op record:</strong> ${coopRecord.wins}-${coopRecord.losses} against the game (${formatWinRate(coopRecord.winRate)})</p>` : ''}
+    `;
+    container.appendChild(explanationDiv);
+
+    if (gameRecords.length > 0) {
+        // Apply current sort
+        const sortedRecords = sortTableData(gameRecords, statType, currentSortCol, currentSortDir);
+
+        const columns = [
+            { key: 'game', label: 'Game' },
+            { key: 'plays', label: 'Plays' },
+            { key: 'wins', label: 'Wins' },
+            { key: 'winrate', label: 'Win Rate' },
+        ];
+        setExportableTable(statType, columns, sortedRecords);
+        const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol, currentSortDir);
+
+        const table = document.createElement('table');
+        table.innerHTML = `
+            <thead>
+                <tr>${headerHtml}</tr>
+            </thead>
+            <tbody>
+                ${sortedRecords.map(record => `
+                    <tr>
+                        <td>${renderGameNameWithThumbnail(record.game)}</td>
+                        <td>${record.plays}</td>
+                        <td>${record.wins}</td>
+                        <td>${formatWinRate(record.winRate)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+        container.appendChild(table);
+    }
+
+    const appendSection = (heading, tableHtml) => {
+        const section = document.createElement('div');
+        section.innerHTML = `
+            <h3 class="win-rates-heading">${heading}</h3>
+            <table>${tableHtml}</table>
+        `;
+        container.appendChild(section);
+    };
+
+    const opponents = getWinRateByOpponent(games, plays, players, selfPlayerId, anonymousPlayerId, currentYear);
+    if (opponents.length > 0) {
+        const headToHeadById = new Map(headToHead.map(record => [record.playerId, record]));
+        appendSection('Opponents', `
+            <thead>
+                <tr><th>Opponent</th><th>Plays</th><th>My Wins</th><th>Their Wins</th><th>Win Rate</th><th>Head-to-Head</th></tr>
+            </thead>
+            <tbody>
+                ${opponents.map(opponent => {
+                    const record = headToHeadById.get(opponent.playerId);
+                    return `
+                        <tr>
+                            <td>${escapeHtml(opponent.name)}</td>
+                            <td>${opponent.plays}</td>
+                            <td>${opponent.wins}</td>
+                            <td>${opponent.theirWins}</td>
+                            <td>${formatWinRate(opponent.winRate)}</td>
+                            <td>${record ? formatRecord(record) : '--'}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        `);
+    }
+
+    const finishes = getAverageFinishByPlayerCount(games, plays, selfPlayerId, currentYear);
+    if (finishes.length > 0) {
+        appendSection('Finishing Position by Player Count', `
+            <thead>
+                <tr><th>Players</th><th>Plays</th><th>Average Position</th></tr>
+            </thead>
+            <tbody>
+                ${finishes.map(entry => `
+                    <tr>
+                        <td>${entry.playerCount}</td>
+                        <td>${entry.plays}</td>
+                        <td>${entry.averagePosition.toFixed(1)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `);
+    }
+
+    if (coopRecord.games.length > 0) {
+        appendSection('Co-op Games', `
+            <thead>
+                <tr><th>Game</th><th>Plays</th><th>Wins</th><th>Losses</th><th>Win Rate</th></tr>
+            </thead>
+            <tbody>
+                ${coopRecord.games.map(record => `
+                    <tr>
+                        <td>${renderGameNameWithThumbnail(record.game)}</td>
+                        <td>${record.plays}</td>
+                        <td>${record.wins}</td>
+                        <td>${record.losses}</td>
+                        <td>${formatWinRate(record.winRate)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `);
+    }
 
-    const summaryNote = document.createElement('p');
-    summaryNote.className = 'detail-note';
-    summaryNote.innerHTML = `<strong>${count} game${count === 1 ? '' : 's'}</strong> totaling <strong>< $${totalCost.toFixed(2)}</strong> waiting to be played.`;
-    container.appendChild(summaryNote);
+    if (highScores.length > 0) {
+        appendSection('High Scores', `
+            <thead>
+                <tr><th>Game</th><th>High Score</th><th>By</th><th>Date</th><th>My Best</th></tr>
+            </thead>
+            <tbody>
+                ${highScores.map(entry => `
+                    <tr>
+                        <td>${renderGameNameWithThumbnail(entry.game)}</td>
+                        <td>${entry.score}</td>
+                        <td>${entry.playerId === selfPlayerId ? 'Me' : escapeHtml(entry.name)}</td>
+                        <td>${formatDateWithYear(entry.date)}</td>
+                        <td>${entry.selfScore ?? '--'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `);
+    }
 }
 
 /**
@@ -4060,12 +5221,14 @@ function showPlayersBreakdown(container) {
     );
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'player', label: 'Player' },
         { key: 'hours', label: 'Hours' },
         { key: 'sessions', label: 'Sessions' },
         { key: 'plays', label: 'Plays' },
-    ], currentSortCol || currentBaseMetric, currentSortDir || 'desc');
+    ];
+    setExportableTable(statType, columns, sortedPlayers);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol || currentBaseMetric, currentSortDir || 'desc');
 
     const table = document.createElement('table');
     table.innerHTML = `
@@ -4108,12 +5271,14 @@ function showSoloBreakdown(container) {
     );
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'game', label: 'Game' },
         { key: 'hours', label: 'Hours' },
         { key: 'sessions', label: 'Sessions' },
         { key: 'plays', label: 'Plays' },
-    ], currentSortCol || currentBaseMetric, currentSortDir || 'desc');
+    ];
+    setExportableTable(statType, columns, sortedGames);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol || currentBaseMetric, currentSortDir || 'desc');
 
     const table = document.createElement('table');
     table.innerHTML = `
@@ -4156,12 +5321,14 @@ function showLocationsBreakdown(container) {
     );
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'location', label: 'Location' },
         { key: 'hours', label: 'Hours' },
         { key: 'sessions', label: 'Sessions' },
         { key: 'plays', label: 'Plays' },
-    ], currentSortCol || currentBaseMetric, currentSortDir || 'desc');
+    ];
+    setExportableTable(statType, columns, sortedLocations);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol || currentBaseMetric, currentSortDir || 'desc');
 
     const table = document.createElement('table');
     table.innerHTML = `
@@ -4182,6 +5349,80 @@ function showLocationsBreakdown(container) {
     container.appendChild(table);
 }
 
+/**
+ * Show designer, mechanic, or category breakdown
+ * @param {HTMLElement} container - Detail content container
+ * @param {string} statType - 'designers', 'mechanics', or 'categories'
+ * @param {Array} entries - Rows from getMetadataBreakdown
+ * @param {string} nameLabel - Header for the name column
+ */
+function showMetadataBreakdown(container, statType, entries, nameLabel) {
+    if (entries.length === 0) {
+        container.innerHTML = '<p>No games with BGG metadata found for this period.</p>';
+        return;
+    }
+
+    const metricLabelSingular = currentBaseMetric === 'hours' ? 'Hour'
+        : currentBaseMetric === 'sessions' ? 'Session' : 'Play';
+    // Cost columns follow the Cost Analysis section and only show when hidden stats are enabled
+    const showCost = isHiddenEnabled();
+
+    // Explanation section
+    const explanationDiv = document.createElement('div');
+    explanationDiv.className = 'detail-explanation';
+    explanationDiv.innerHTML = `
+        <p><strong>H-Index:</strong> Largest N such that N of the ${nameLabel.toLowerCase()}'s games reached N ${currentBaseMetric}. Games with several ${statType} count toward each.</p>
+    `;
+    container.appendChild(explanationDiv);
+
+    // Apply current sort (uses currentBaseMetric as default sort column)
+    const sortedEntries = sortTableData(
+        entries,
+        statType,
+        currentSortCol,
+        currentSortDir,
+        currentBaseMetric,
+    );
+
+    // Generate sortable headers
+    const columns = [
+        { key: 'name', label: nameLabel },
+        { key: 'games', label: 'Games' },
+        { key: 'hours', label: 'Hours' },
+        { key: 'sessions', label: 'Sessions' },
+        { key: 'plays', label: 'Plays' },
+        { key: 'rating', label: 'Avg Rating' },
+    ];
+    if (showCost) {
+        columns.push({ key: 'costper', label: `Cost/${metricLabelSingular}` });
+    }
+    columns.push({ key: 'hindex', label: 'H-Index' });
+    setExportableTable(statType, columns, sortedEntries);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol || currentBaseMetric, currentSortDir || 'desc');
+
+    const table = document.createElement('table');
+    table.innerHTML = `
+        <thead>
+            <tr>${headerHtml}</tr>
+        </thead>
+        <tbody>
+            ${sortedEntries.map(entry => `
+                <tr>
+                    <td>${escapeHtml(entry.name)}</td>
+                    <td>${entry.gameCount}</td>
+                    <td>${(entry.minutes / 60).toFixed(1)}</td>
+                    <td>${entry.sessions}</td>
+                    <td>${entry.plays}</td>
+                    <td>${renderRatingHexagon(entry.averageRating !== null ? Math.round(entry.averageRating * 10) / 10 : null)}</td>
+                    ${showCost ? `<td>${entry.costPerMetric !== null ? formatCurrency(entry.costPerMetric, getBaseCurrency()) : '--'}</td>` : ''}
+                    <td>${entry.hIndex}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+    container.appendChild(table);
+}
+
 /**
  * Display metadata per achievement type: icon, color chip class, and a text
  * renderer for the achievement description. Add an entry here for each new
@@ -4255,6 +5496,14 @@ const ACHIEVEMENT_TYPE_META = {
             return `New longest session: ${formatDurationHM(row.threshold)} of play in a day`;
         },
     },
+    [AchievementType.RESURRECTION]: {
+        label: 'Resurrection',
+        icon: '🧟',
+        chipClass: 'achievement-chip--resurrection',
+        renderText: (row, gameHtml) => {
+            return `${gameHtml} returned after ${row.threshold.toLocaleString()} days, your longest gap yet (last played ${formatDateWithYear(row.lastPlayedDate)})`;
+        },
+    },
     [AchievementType.MILESTONE]: {
         label: 'Milestone',
         icon: '🏅',
@@ -4286,7 +5535,7 @@ const ACHIEVEMENT_TYPE_META = {
         chipClass: 'achievement-chip--value-club',
         renderText: (row, gameHtml) => {
             const unit = { hours: 'hour', sessions: 'session', plays: 'play' }[row.metric];
-            return `${gameHtml} joined the ${formatCostLabel(row.threshold)} per <span class="metric-name ${row.metric}">${unit}</span> club`;
+            return `${gameHtml} joined the ${formatCostLabel(row.threshold, getBaseCurrency())} per <span class="metric-name ${row.metric}">${unit}</span> club`;
         },
     },
 };
@@ -4559,6 +5808,13 @@ function showTopTenTagBreakdown(container, tag) {
     const formatMetricValue = (value) =>
         currentBaseMetric === Metric.HOURS ? value.toFixed(1) : value;
 
+    setExportableTable(null, [
+        { key: 'rank', label: 'Rank', exportValue: item => group.games.indexOf(item) + 1 },
+        { key: 'game', label: 'Game', exportValue: item => item.game.name },
+        { key: 'rating', label: 'Rating', exportValue: item => item.rating },
+        { key: 'value', label: metricHeader, exportValue: item => item.metricValue },
+    ], group.games);
+
     const rows = group.games.map((item, index) => {
         const rank = index + 1;
         const highlightClass = rank <= 10 ? ' class="top-ten-highlight"' : '';
@@ -4627,6 +5883,168 @@ function renderTopTenCards() {
     });
 }
 
+/**
+ * Helper: Describe a rating band, e.g. "7 to under 8"
+ * @param {number} band - Lower bound of the band
+ * @param {number} step - Band width
+ * @returns {string} Band description
+ */
+function formatRatingBandRange(band, step) {
+    return band >= RATING_SCALE.max ? `${band}` : `${band} to under ${band + step}`;
+}
+
+/**
+ * Render the rating histogram above a rating table: band width and comparison
+ * controls, the chart, and mean / median / standard deviation. Clicking a bar
+ * filters the table below to that band (selectedRatingBand).
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options
+ * @param {Array} options.gameRatings - Rating entries shown in the table
+ * @param {Function} options.getPreviousYearRatings - Returns the previous year's rating entries
+ * @param {Function|null} [options.getWeight] - Weight of an entry in the base
+ *   metric when the histogram can be weighted (played games); null for a
+ *   count-only histogram
+ */
+function renderRatingHistogram(container, { gameRatings, getPreviousYearRatings, getWeight = null }) {
+    const step = ratingHistogramStep;
+    const isWeighted = getWeight !== null && ratingHistogramWeighted;
+    const weight = isWeighted ? getWeight : undefined;
+    const getBarValue = entry => isWeighted ? entry.weight : entry.count;
+
+    const metricLabels = { hours: 'Hours', sessions: 'Sessions', plays: 'Plays' };
+    const valueLabel = isWeighted ? metricLabels[currentBaseMetric] : 'Games';
+
+    const distribution = getRatingDistribution(gameRatings, step, weight);
+    const datasets = [{ name: currentYear ? String(currentYear) : valueLabel, gameRatings, distribution }];
+    if (currentYear && ratingHistogramCompare) {
+        const previousYearRatings = getPreviousYearRatings();
+        datasets.push({
+            name: String(currentYear - 1),
+            gameRatings: previousYearRatings,
+            distribution: getRatingDistribution(previousYearRatings, step, weight),
+            color: 'var(--text-muted)',
+        });
+    }
+
+    const selectedIndex = selectedRatingBand === null
+        ? null
+        : distribution.findIndex(entry => entry.band === selectedRatingBand);
+    const chart = renderBarChart({
+        title: `${valueLabel} by Rating`,
+        labels: distribution.map(entry => String(entry.band)),
+        series: datasets.map(dataset => ({
+            name: dataset.name,
+            values: dataset.distribution.map(getBarValue),
+            color: dataset.color || 'var(--color-primary)',
+        })),
+        integer: !isWeighted || currentBaseMetric !== Metric.HOURS,
+        selectedIndex,
+    });
+
+    const summaries = datasets.map(dataset => {
+        const { mean, median, standardDeviation } = getRatingSummary(dataset.gameRatings, weight);
+        if (mean === null) return '';
+        const prefix = datasets.length > 1 ? `<strong>${dataset.name}:</strong> ` : '';
+        return `<div>${prefix}Mean ${mean.toFixed(1)} · Median ${median.toFixed(1)} · Std dev ${standardDeviation.toFixed(1)}</div>`;
+    }).join('');
+
+    const weightToggle = getWeight === null ? '' : `
+        <div class="rating-histogram-toggle">
+            <label class="toggle-switch">
+                <input type="checkbox" id="rating-histogram-weighted" ${ratingHistogramWeighted ? 'checked' : ''}>
+                <span class="toggle-slider"></span>
+            </label>
+            <span class="toggle-label">Weight by ${metricLabels[currentBaseMetric].toLowerCase()}</span>
+        </div>
+    `;
+    const compareToggle = !currentYear ? '' : `
+        <div class="rating-histogram-toggle">
+            <label class="toggle-switch">
+                <input type="checkbox" id="rating-histogram-compare" ${ratingHistogramCompare ? 'checked' : ''}>
+                <span class="toggle-slider"></span>
+            </label>
+            <span class="toggle-label">Compare with ${currentYear - 1}</span>
+        </div>
+    `;
+    const bandFilter = selectedRatingBand === null ? '' : `
+        <p class="rating-band-filter">
+            Showing games rated ${formatRatingBandRange(selectedRatingBand, step)}
+            <button type="button" class="rating-band-clear">Show all</button>
+        </p>
+    `;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'rating-histogram';
+    wrapper.innerHTML = `
+        <div class="rating-histogram-controls">
+            <select id="rating-histogram-step" class="rating-histogram-select">
+                <option value="1"${step === 1 ? ' selected' : ''}>1.0 steps</option>
+                <option value="0.5"${step === 0.5 ? ' selected' : ''}>0.5 steps</option>
+            </select>
+            ${weightToggle}
+            ${compareToggle}
+        </div>
+        ${chart}
+        <div class="rating-histogram-summary">${summaries}</div>
+        ${bandFilter}
+    `;
+    container.appendChild(wrapper);
+
+    wrapper.querySelector('#rating-histogram-step').addEventListener('change', (e) => {
+        ratingHistogramStep = Number(e.target.value);
+        selectedRatingBand = null;
+        rerenderDetailContent(currentlyOpenStatType);
+    });
+    wrapper.querySelector('#rating-histogram-weighted')?.addEventListener('change', (e) => {
+        ratingHistogramWeighted = e.target.checked;
+        rerenderDetailContent(currentlyOpenStatType);
+    });
+    wrapper.querySelector('#rating-histogram-compare')?.addEventListener('change', (e) => {
+        ratingHistogramCompare = e.target.checked;
+        rerenderDetailContent(currentlyOpenStatType);
+    });
+    wrapper.querySelector('.rating-band-clear')?.addEventListener('click', () => {
+        selectedRatingBand = null;
+        rerenderDetailContent(currentlyOpenStatType);
+    });
+
+    // Clicking a bar filters the table to its band; clicking it again clears the filter
+    wrapper.addEventListener('click', (e) => {
+        const bar = e.target.closest('.chart-bar');
+        if (!bar) return;
+        const band = distribution[Number(bar.dataset.index)].band;
+        selectedRatingBand = selectedRatingBand === band ? null : band;
+        rerenderDetailContent(currentlyOpenStatType);
+    });
+}
+
+/**
+ * Helper: Filter rating entries to the selected histogram band, if any
+ * @param {Array} gameRatings - Rated entries
+ * @returns {Array} Entries in selectedRatingBand
+ */
+function filterToSelectedRatingBand(gameRatings) {
+    if (selectedRatingBand === null) return gameRatings;
+    return gameRatings.filter(item => getRatingBand(item.rating, ratingHistogramStep) === selectedRatingBand);
+}
+
+/**
+ * Helper: Weight of a played game in the current base metric's units
+ * @param {Object} item - Played rating entry from getPlayedRatingBreakdown
+ * @returns {number} Minutes, sessions or plays
+ */
+function getPlayedRatingWeight(item) {
+    switch (currentBaseMetric) {
+        case Metric.SESSIONS:
+            return item.playData.uniqueDates;
+        case Metric.PLAYS:
+            return item.playData.playCount;
+        case Metric.HOURS:
+        default:
+            return item.playData.totalMinutes;
+    }
+}
+
 function showCollectionRatingBreakdown(container) {
     const statType = 'collection-rating';
     const data = statsCache.collectionRatingData;
@@ -4643,9 +6061,14 @@ function showCollectionRatingBreakdown(container) {
         return;
     }
 
+    renderRatingHistogram(container, {
+        gameRatings: ratedGames,
+        getPreviousYearRatings: () => getCollectionRatingBreakdown(gameData.games, currentYear - 1).gameRatings,
+    });
+
     // Apply current sort
     const sortedGames = sortTableData(
-        ratedGames,
+        filterToSelectedRatingBand(ratedGames),
         statType,
         currentSortCol,
         currentSortDir,
@@ -4658,11 +6081,13 @@ function showCollectionRatingBreakdown(container) {
     };
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'game', label: 'Game' },
         { key: 'rating', label: 'Rating' },
         { key: 'acquired', label: 'Acquired' },
-    ], currentSortCol || 'rating', currentSortDir || 'desc');
+    ];
+    setExportableTable(statType, columns, sortedGames);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol || 'rating', currentSortDir || 'desc');
 
     const table = document.createElement('table');
     table.innerHTML = `
@@ -4699,26 +6124,20 @@ function showPlayedRatingBreakdown(container) {
         return;
     }
 
-    // Raw metric weight for a game, in the current base metric's units
-    const getMetricWeight = (item) => {
-        switch (currentBaseMetric) {
-            case Metric.SESSIONS:
-                return item.playData.uniqueDates;
-            case Metric.PLAYS:
-                return item.playData.playCount;
-            case Metric.HOURS:
-            default:
-                return item.playData.totalMinutes;
-        }
-    };
+    renderRatingHistogram(container, {
+        gameRatings: ratedGames,
+        getPreviousYearRatings: () => getPlayedRatingBreakdown(gameData.games, gameData.plays, currentYear - 1).gameRatings,
+        // Chart hours rather than the minutes the weight is kept in
+        getWeight: currentBaseMetric === Metric.HOURS ? item => getPlayedRatingWeight(item) / 60 : getPlayedRatingWeight,
+    });
 
     // Each rated game's share of the weighted rating drives the weighted average,
     // so surface it as a sortable "% of metric" column. Shares are relative to
     // the rated games shown, so they sum to 100%.
-    const totalWeight = ratedGames.reduce((sum, item) => sum + getMetricWeight(item), 0);
-    const weightedGames = ratedGames.map(item => ({
+    const totalWeight = ratedGames.reduce((sum, item) => sum + getPlayedRatingWeight(item), 0);
+    const weightedGames = filterToSelectedRatingBand(ratedGames).map(item => ({
         ...item,
-        weightShare: totalWeight > 0 ? getMetricWeight(item) / totalWeight : 0,
+        weightShare: totalWeight > 0 ? getPlayedRatingWeight(item) / totalWeight : 0,
     }));
 
     // Apply current sort
@@ -4757,13 +6176,15 @@ function showPlayedRatingBreakdown(container) {
     };
 
     // Generate sortable headers
-    const headerHtml = createSortableHeaderHtml(statType, [
+    const columns = [
         { key: 'game', label: 'Game' },
         { key: 'rating', label: 'Rating' },
         { key: currentBaseMetric, label: metricHeader },
         { key: 'weight', label: shareHeader },
         { key: 'status', label: 'Others\' 👥' },
-    ], currentSortCol || 'rating', currentSortDir || 'desc');
+    ];
+    setExportableTable(statType, columns, sortedGames);
+    const headerHtml = createSortableHeaderHtml(statType, columns, currentSortCol || 'rating', currentSortDir || 'desc');
 
     const table = document.createElement('table');
     table.innerHTML = `
@@ -5588,6 +7009,140 @@ function showYearReviewDetail(container, statsCache) {
         detailDiv.appendChild(timeActivitySubsection);
     }
 
+    // Add Play Patterns subsection
+    const playPatternRows = renderPlayPatternRows(statsCache.yearReview.playPatterns, [Metric.HOURS, Metric.SESSIONS, Metric.PLAYS]);
+    if (playPatternRows) {
+        const playPatternsSubsection = document.createElement('div');
+        playPatternsSubsection.className = 'year-review-subsection';
+        playPatternsSubsection.innerHTML = `
+            <h3 class="year-review-subsection-heading">Play Patterns</h3>
+            <table class="year-review-table">
+                <tbody>
+                    ${playPatternRows}
+                </tbody>
+            </table>
+        `;
+        detailDiv.appendChild(playPatternsSubsection);
+    }
+
+    // Add Game Turnover subsection
+    const { resurrected, dormant } = statsCache.yearReview.gameTurnover;
+    const longestResurrectionGap = statsCache.yearReview.longestResurrectionGap;
+    if (resurrected.length > 0 || dormant.length > 0 || longestResurrectionGap) {
+        const formatGapDays = (days) => `${days.toLocaleString()} day${days === 1 ? '' : 's'}`;
+
+        const renderTurnoverRow = (detail, label, items, formatValue) => `
+            <tr class="year-review-row year-review-row-clickable" data-detail="${detail}">
+                <td class="year-review-label-detail">
+                    <span class="year-review-expand-icon">▶</span>
+                    ${label}
+                </td>
+                <td class="year-review-value-detail">${items.length}</td>
+            </tr>
+            <tr class="year-review-expanded-content" data-detail="${detail}" style="display: none;">
+                <td colspan="2">
+                    <div class="year-review-games-list">
+                        ${items.map(item => `
+                            <div class="year-review-game-item">
+                                <span class="year-review-game-name">${renderGameNameWithThumbnail(item.game)}</span>
+                                <span class="year-review-game-value">${formatValue(item)}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </td>
+            </tr>
+        `;
+
+        let turnoverRows = '';
+        if (resurrected.length > 0) {
+            turnoverRows += renderTurnoverRow(
+                'resurrected-games',
+                `Resurrected games (not played in ${currentYear - 1}):`,
+                resurrected,
+                item => `back after ${formatGapDays(item.gapDays)} (last played ${formatDateWithYear(item.lastPlayedDate)})`,
+            );
+        }
+        if (dormant.length > 0) {
+            turnoverRows += renderTurnoverRow(
+                'dormant-games',
+                `Dormant games (played in ${currentYear - 1}, not this year):`,
+                dormant,
+                item => `${formatGapDays(item.gapDays)} (last played ${formatDateWithYear(item.lastPlayedDate)})`,
+            );
+        }
+        if (longestResurrectionGap) {
+            const isNewRecord = longestResurrectionGap.returnDate.startsWith(currentYear.toString());
+            turnoverRows += `
+                <tr class="year-review-row">
+                    <td class="year-review-label-detail">Longest resurrection gap (all time)${isNewRecord ? ', set this year' : ''}:</td>
+                    <td class="year-review-value-detail">${renderGameNameWithTinyThumbnail(longestResurrectionGap.game)} after ${formatGapDays(longestResurrectionGap.gapDays)} (<span class="nowrap-date">${formatDateWithYear(longestResurrectionGap.lastPlayedDate)}</span> to <span class="nowrap-date">${formatDateWithYear(longestResurrectionGap.returnDate)}</span>)</td>
+                </tr>
+            `;
+        }
+
+        const gameTurnoverSubsection = document.createElement('div');
+        gameTurnoverSubsection.className = 'year-review-subsection';
+        gameTurnoverSubsection.innerHTML = `
+            <h3 class="year-review-subsection-heading">Game Turnover</h3>
+            <table class="year-review-table">
+                <tbody>
+                    ${turnoverRows}
+                </tbody>
+            </table>
+        `;
+        detailDiv.appendChild(gameTurnoverSubsection);
+    }
+
+    // Add Play Distribution subsection
+    const playDistribution = statsCache.yearReview.playDistribution;
+    if (playDistribution.gameCount > 0) {
+        // The previous year is shown alongside when it has plays to compare with
+        const previousDistribution = statsCache.yearReview.previousPlayDistribution;
+        const hasPrevious = previousDistribution.gameCount > 0;
+        const formatShare = (share) => `${(share * 100).toFixed(1)}%`;
+        const withPrevious = (value, previousValue, format) =>
+            hasPrevious && previousValue !== null ? `${format(value)} (${format(previousValue)} in ${currentYear - 1})` : format(value);
+
+        const renderRow = (label, value, metric) => `
+            <tr class="year-review-row"${metric ? ` data-metric="${metric}"` : ''}>
+                <td class="year-review-label-detail">${label}</td>
+                <td class="year-review-value-detail">${value}</td>
+            </tr>
+        `;
+
+        const distributionRows = [Metric.HOURS, Metric.SESSIONS, Metric.PLAYS]
+            .filter(metric => playDistribution.topGamesShare[metric] !== null)
+            .map(metric => renderRow(
+                `Share of <span class="metric-name ${metric}">${metric}</span> from the top 10 games:`,
+                withPrevious(playDistribution.topGamesShare[metric], previousDistribution.topGamesShare[metric], formatShare),
+                metric,
+            ));
+        distributionRows.push(renderRow(
+            'Gini coefficient of plays per game (0 = evenly spread):',
+            withPrevious(playDistribution.gini, previousDistribution.gini, value => value.toFixed(2)),
+        ));
+        distributionRows.push(renderRow(
+            'Herfindahl index of plays per game:',
+            `${withPrevious(playDistribution.herfindahl, previousDistribution.herfindahl, value => value.toFixed(3))}, like ${Math.round(1 / playDistribution.herfindahl)} equally played games`,
+        ));
+        distributionRows.push(renderRow(
+            'Plays of new-to-me vs previously played games:',
+            `${playDistribution.newToMePlays} vs ${playDistribution.familiarPlays}, ${withPrevious(playDistribution.newToMeShare, previousDistribution.newToMeShare, formatShare)} new to me`,
+        ));
+
+        const playDistributionSubsection = document.createElement('div');
+        playDistributionSubsection.className = 'year-review-subsection';
+        playDistributionSubsection.innerHTML = `
+            <h3 class="year-review-subsection-heading">Play Distribution</h3>
+            <table class="year-review-table">
+                <tbody>
+                    ${distributionRows.join('')}
+                </tbody>
+            </table>
+        `;
+        detailDiv.appendChild(playDistributionSubsection);
+    }
+
     // Add Logging Totals subsection
     const loggingTotals = statsCache.yearReview.loggingTotals;
     if (loggingTotals && loggingTotals.length > 0) {
@@ -5740,7 +7295,7 @@ function showYearReviewDetail(container, statsCache) {
         // Generate definitions dynamically from ValueClub.values
         ValueClub.values.forEach(tierValue => {
             [Metric.HOURS, Metric.SESSIONS, Metric.PLAYS].forEach(metric => {
-                const label = formatCostLabel(tierValue);
+                const label = formatCostLabel(tierValue, getBaseCurrency());
                 const unit = metricUnits[metric];
 
                 const increase = statsCache.yearReview[`valueClub_${tierValue}_${metric}_increase`];
@@ -5792,7 +7347,7 @@ function showYearReviewDetail(container, statsCache) {
                                             return `
                                                 <div class="year-review-game-item">
                                                     <span class="year-review-game-name">${renderGameNameWithThumbnail(item.game)}</span>
-                                                    <span class="year-review-game-value">$${item.costPerMetric.toFixed(2)}/${unit} (${metricValue} ${unit}s total, ${thisYearValue} this year)</span>
+                                                    <span class="year-review-game-value">${formatCurrency(item.costPerMetric, getBaseCurrency())}/${unit} (${metricValue} ${unit}s total, ${thisYearValue} this year)</span>
                                                 </div>
                                             `;
                                         }).join('')
@@ -5901,8 +7456,238 @@ function showYearReviewDetail(container, statsCache) {
         detailDiv.appendChild(shelfOfShameSubsection);
     }
 
+    // Add Time to First Play subsection
+    const { fastest, slowest } = statsCache.yearReview.firstPlayRecords;
+    if (fastest) {
+        const formatWait = (entry) => `${entry.daysToFirstPlay.toLocaleString()} day${entry.daysToFirstPlay === 1 ? '' : 's'} (acquired <span class="nowrap-date">${formatDateWithYear(entry.acquisitionDate)}</span>, first played <span class="nowrap-date">${formatDateWithYear(entry.firstPlayDate)}</span>)`;
+        const renderRecordRow = (label, entry) => `
+            <tr class="year-review-row">
+                <td class="year-review-label-detail">${label}</td>
+                <td class="year-review-value-detail">${renderGameNameWithTinyThumbnail(entry.game)} after ${formatWait(entry)}</td>
+            </tr>
+        `;
+
+        let firstPlayRows = renderRecordRow(`Fastest to hit the table (acquired in ${currentYear}):`, fastest);
+        if (slowest !== fastest) {
+            firstPlayRows += renderRecordRow(`Longest wait before first play (acquired in ${currentYear}):`, slowest);
+        }
+
+        const firstPlaySubsection = document.createElement('div');
+        firstPlaySubsection.className = 'year-review-subsection';
+        firstPlaySubsection.innerHTML = `
+            <h3 class="year-review-subsection-heading">Time to First Play</h3>
+            <table class="year-review-table">
+                <tbody>
+                    ${firstPlayRows}
+                </tbody>
+            </table>
+        `;
+        detailDiv.appendChild(firstPlaySubsection);
+    }
+
+    // Add Year over Year subsection right after the summary (needs another year with plays)
+    const playYears = yearDataCache.filter(y => y.hasPlays).map(y => y.year).sort((a, b) => b - a);
+    if (playYears.some(year => year !== currentYear)) {
+        const comparisonSubsection = document.createElement('div');
+        comparisonSubsection.className = 'year-review-subsection';
+        renderYearComparison(comparisonSubsection, playYears);
+        const summarySubsection = detailDiv.querySelector('.year-review-summary');
+        if (summarySubsection) {
+            summarySubsection.after(comparisonSubsection);
+        } else {
+            detailDiv.prepend(comparisonSubsection);
+        }
+    }
+
     // Add click handlers for expandable rows
-    const clickableRows = detailDiv.querySelectorAll('.year-review-row-clickable');
+    setupYearReviewExpandableRows(detailDiv);
+
+    container.appendChild(detailDiv);
+}
+
+/**
+ * Render the Year in Review's year-over-year comparison: totals with absolute
+ * and % changes, and the games whose play counts rose or fell the most. Both
+ * years can be picked; the pick lasts until the year filter changes.
+ * @param {HTMLElement} subsection - Subsection element to fill
+ * @param {Array<number>} playYears - Years with plays, newest first
+ */
+function renderYearComparison(subsection, playYears) {
+    const defaultFromYear = playYears.find(year => year < currentYear) ?? playYears.find(year => year !== currentYear);
+    const { from: fromYear, to: toYear } = yearComparisonYears || { from: defaultFromYear, to: currentYear };
+    const comparison = getYearComparison(gameData.games, gameData.plays, gameData.selfPlayerId, gameData.anonymousPlayerId, fromYear, toYear);
+
+    const totalDefinitions = [
+        { key: 'plays', label: '<span class="metric-name plays">Plays</span>' },
+        { key: 'sessions', label: '<span class="metric-name sessions">Sessions</span>' },
+        { key: 'hours', label: '<span class="metric-name hours">Hours</span>', decimals: 1 },
+        { key: 'uniqueGames', label: 'Unique games' },
+        { key: 'newToMeGames', label: 'New-to-me games' },
+        { key: 'players', label: 'Players' },
+        { key: 'locations', label: 'Locations' },
+    ];
+    const formatSigned = (value, format) => `${value > 0 ? '+' : ''}${format(value)}`;
+
+    const totalRows = totalDefinitions.map(({ key, label, decimals }) => {
+        const { from, to, change, percentChange } = comparison.totals[key];
+        const format = decimals ? value => value.toFixed(decimals) : value => value.toLocaleString();
+        const percent = percentChange === null ? '' : `, ${formatSigned(percentChange, Math.round)}%`;
+        return `
+            <tr class="year-review-row">
+                <td class="year-review-label-detail">${label}:</td>
+                <td class="year-review-value-detail">${formatSigned(change, format)}${percent} (from ${format(from)} to ${format(to)})</td>
+            </tr>
+        `;
+    }).join('');
+
+    const renderGameChanges = (label, items, emptyText) => `
+        <tr class="year-review-row">
+            <td class="year-review-label-detail" colspan="2">${label}:</td>
+        </tr>
+        <tr>
+            <td colspan="2">
+                <div class="year-review-games-list">
+                    ${items.length > 0
+                        ? items.map(item => `
+                            <div class="year-review-game-item">
+                                <span class="year-review-game-name">${renderGameNameWithThumbnail(item.game)}</span>
+                                <span class="year-review-game-value">${formatSigned(item.change, String)} plays (from ${item.from} to ${item.to})</span>
+                            </div>
+                        `).join('')
+                        : `<div class="year-review-no-games">${emptyText}</div>`
+                    }
+                </div>
+            </td>
+        </tr>
+    `;
+
+    const yearOptions = (selectedYear) => playYears
+        .map(year => `<option value="${year}"${year === selectedYear ? ' selected' : ''}>${year}</option>`)
+        .join('');
+
+    subsection.innerHTML = `
+        <h3 class="year-review-subsection-heading">Year over Year</h3>
+        <div class="year-comparison-controls">
+            <select id="year-comparison-from" class="year-comparison-select" aria-label="Compare from year">${yearOptions(fromYear)}</select>
+            <span>→</span>
+            <select id="year-comparison-to" class="year-comparison-select" aria-label="Compare to year">${yearOptions(toYear)}</select>
+        </div>
+        <table class="year-review-table">
+            <tbody>
+                ${totalRows}
+                ${renderGameChanges('Biggest play count increases', comparison.biggestIncreases, 'No games were played more')}
+                ${renderGameChanges('Biggest play count decreases', comparison.biggestDecreases, 'No games were played less')}
+            </tbody>
+        </table>
+    `;
+
+    subsection.querySelectorAll('.year-comparison-select').forEach(select => {
+        select.addEventListener('change', () => {
+            yearComparisonYears = {
+                from: parseInt(subsection.querySelector('#year-comparison-from').value),
+                to: parseInt(subsection.querySelector('#year-comparison-to').value),
+            };
+            renderYearComparison(subsection, playYears);
+        });
+    });
+}
+
+/**
+ * Render play pattern rows in the Year in Review table layout: the busiest weekday,
+ * peak starting hour and weekend share for each metric (tagged with data-metric),
+ * then the most common player count and the biggest and speed gaming days
+ * @param {Object} playPatterns - Result of getPlayPatterns
+ * @param {Array<string>} metrics - Metrics to show the weekday, hour and weekend rows for
+ * @returns {string} Table rows HTML, empty without plays
+ */
+function renderPlayPatternRows(playPatterns, metrics) {
+    const { weekdays, hours, weekendSplit, mostCommonPlayerCount, biggestGamingDay, speedGamingDay } = playPatterns;
+    if (!mostCommonPlayerCount) return '';
+
+    const formatMetricValue = (value, metric) => {
+        switch (metric) {
+            case Metric.SESSIONS:
+                return `${value} session${value === 1 ? '' : 's'}`;
+            case Metric.PLAYS:
+                return `${value} play${value === 1 ? '' : 's'}`;
+            case Metric.HOURS:
+            default:
+                return `${value.toFixed(1)} hours`;
+        }
+    };
+    const formatShare = (share) => `${(share * 100).toFixed(1)}%`;
+    // Earliest entry wins ties (Sunday, midnight)
+    const getBusiest = (entries, metric) => entries.reduce((busiest, entry) => entry[metric] > busiest[metric] ? entry : busiest);
+
+    const renderRow = (label, value, metric) => `
+        <tr class="year-review-row" data-metric="${metric}">
+            <td class="year-review-label-detail">${label}</td>
+            <td class="year-review-value-detail">${value}</td>
+        </tr>
+    `;
+    const renderDayRow = (detail, label, value, games) => `
+        <tr class="year-review-row year-review-row-clickable" data-detail="${detail}">
+            <td class="year-review-label-detail">
+                <span class="year-review-expand-icon">▶</span>
+                ${label}
+            </td>
+            <td class="year-review-value-detail">${value}</td>
+        </tr>
+        <tr class="year-review-expanded-content" data-detail="${detail}" style="display: none;">
+            <td colspan="2">
+                <div class="year-review-games-list">
+                    ${games.map(game => `
+                        <div class="year-review-game-item">
+                            <span class="year-review-game-name">${renderGameNameWithThumbnail(game)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </td>
+        </tr>
+    `;
+
+    const rows = [];
+    metrics.forEach(metric => {
+        const metricName = `<span class="metric-name ${metric}">${metric}</span>`;
+        const busiestWeekday = getBusiest(weekdays, metric);
+        const peakHour = getBusiest(hours, metric);
+        if (busiestWeekday[metric] > 0) {
+            rows.push(renderRow(`Busiest day of the week by ${metricName}:`, `${formatWeekday(busiestWeekday.weekday)} (${formatMetricValue(busiestWeekday[metric], metric)})`, metric));
+            rows.push(renderRow(`Peak starting hour by ${metricName}:`, `${formatHourOfDay(peakHour.hour)} (${formatMetricValue(peakHour[metric], metric)})`, metric));
+            rows.push(renderRow(`Weekend share of ${metricName}:`, `${formatShare(weekendSplit.weekendShare[metric])} on weekends, ${formatShare(1 - weekendSplit.weekendShare[metric])} on weekdays`, metric));
+        }
+    });
+
+    rows.push(`
+        <tr class="year-review-row">
+            <td class="year-review-label-detail">Most common player count:</td>
+            <td class="year-review-value-detail">${mostCommonPlayerCount.playerCount} player${mostCommonPlayerCount.playerCount === 1 ? '' : 's'} (${formatShare(mostCommonPlayerCount.share)} of plays)</td>
+        </tr>
+    `);
+    rows.push(renderDayRow(
+        'biggest-gaming-day',
+        'Biggest gaming day (most players):',
+        `${biggestGamingDay.playerCount} player${biggestGamingDay.playerCount === 1 ? '' : 's'} on <span class="nowrap-date">${formatDateWithWeekdayAndYear(biggestGamingDay.date)}</span>`,
+        biggestGamingDay.games,
+    ));
+    if (speedGamingDay) {
+        rows.push(renderDayRow(
+            'speed-gaming-day',
+            'Speed gaming day (most games per hour):',
+            `${speedGamingDay.gameCount} games in ${formatDurationHM(speedGamingDay.spanMinutes)} on <span class="nowrap-date">${formatDateWithWeekdayAndYear(speedGamingDay.date)}</span>`,
+            speedGamingDay.games,
+        ));
+    }
+
+    return rows.join('');
+}
+
+/**
+ * Toggle the expanded content row that follows each clickable Year in Review row
+ * @param {HTMLElement} root - Element containing the rows
+ */
+function setupYearReviewExpandableRows(root) {
+    const clickableRows = root.querySelectorAll('.year-review-row-clickable');
     clickableRows.forEach(row => {
         row.addEventListener('click', (e) => {
             // Ignore clicks on thumbnails (they open the image modal)
@@ -5927,8 +7712,6 @@ function showYearReviewDetail(container, statsCache) {
             }
         });
     });
-
-    container.appendChild(detailDiv);
 }
 
 /**
@@ -5969,6 +7752,32 @@ function applyYearReviewMetricFilter(detailDiv, showAll) {
 function createGameTable(container, games, columns, defaultSort, filterYear = null) {
     const table = document.createElement('table');
 
+    const getType = (game) => game.isBaseGame ? 'Base Game' :
+                              game.isExpandalone ? 'Expandalone' :
+                              game.isExpansion ? 'Expansion' : 'Unknown';
+    const getAcquisitionDate = (game) => {
+        // If year filter is active and game has copies, use the matching copy's date
+        if (filterYear && game.copies && game.copies.length > 0) {
+            const matchingCopy = game.copies.find(copy =>
+                copy.acquisitionDate && copy.acquisitionDate.startsWith(filterYear.toString())
+            );
+            if (matchingCopy) {
+                return matchingCopy.acquisitionDate;
+            }
+        }
+        return getGameAcquisitionDate(game);
+    };
+
+    const exportValues = {
+        'Name': game => game.name,
+        'Type': getType,
+        'Year': game => game.year,
+        'Acquisition Date': getAcquisitionDate,
+        'Plays': game => game.playCount,
+        'Last Played': game => game.lastPlayDate,
+    };
+    setExportableTable(null, columns.map(col => ({ key: col, label: col, exportValue: exportValues[col] })), games);
+
     const headerRow = columns.map(col => {
         const sortClass = col === defaultSort.column ? ` class="sorted-${defaultSort.direction}"` : '';
         return `<th${sortClass}>${col}</th>`;
@@ -5982,26 +7791,13 @@ function createGameTable(container, games, columns, defaultSort, filterYear = nu
                     cells.push(`<td>${renderGameNameWithThumbnail(game)}</td>`);
                     break;
                 case 'Type':
-                    const type = game.isBaseGame ? 'Base Game' :
-                                game.isExpandalone ? 'Expandalone' :
-                                game.isExpansion ? 'Expansion' : 'Unknown';
-                    cells.push(`<td>${type}</td>`);
+                    cells.push(`<td>${getType(game)}</td>`);
                     break;
                 case 'Year':
                     cells.push(`<td>${game.year || 'N/A'}</td>`);
                     break;
                 case 'Acquisition Date':
-                    let acqDate = getGameAcquisitionDate(game) || 'Unknown';
-                    // If year filter is active and game has copies, show the matching copy's date
-                    if (filterYear && game.copies && game.copies.length > 0) {
-                        const matchingCopy = game.copies.find(copy =>
-                            copy.acquisitionDate && copy.acquisitionDate.startsWith(filterYear.toString())
-                        );
-                        if (matchingCopy) {
-                            acqDate = matchingCopy.acquisitionDate;
-                        }
-                    }
-                    cells.push(`<td>${acqDate}</td>`);
+                    cells.push(`<td>${getAcquisitionDate(game) || 'Unknown'}</td>`);
                     break;
                 case 'Plays':
                     cells.push(`<td>${game.playCount}</td>`);
@@ -6042,6 +7838,7 @@ function loadFromPermalink() {
     const photoParam = urlParams.get('photo');
     const achievementTypeParam = urlParams.get('achievementType');
     const achievementAllMetricsParam = urlParams.get('achievementAllMetrics');
+    const dayParam = urlParams.get('day');
 
     // Initialize showAllYearReviewMetrics from URL before early return check
     if (showAllMetricsParam === 'true') {
@@ -6058,6 +7855,11 @@ function loadFromPermalink() {
         selectedAchievementType = achievementTypeParam;
     }
 
+    // Restore the play calendar day being drilled into
+    if (dayParam !== null && /^\d{4}-\d{2}-\d{2}$/.test(dayParam)) {
+        selectedCalendarDay = dayParam;
+    }
+
     if (!yearParam && !baseMetricParam && !statParam && !modalParam && !shelfGameParam && !photoParam) {
         return; // No permalink parameters
     }
@@ -6149,6 +7951,50 @@ async function copyPermalink() {
     }
 }
 
+/**
+ * Record the open detail table for export
+ * @param {string|null} statType - Stat type whose column configs give the values,
+ *   or null when each column carries its own exportValue
+ * @param {Array<{key: string, label: string}>} columns - On-screen columns with labels
+ * @param {Array} rows - Rows in on-screen order (sorted and year-filtered)
+ */
+function setExportableTable(statType, columns, rows) {
+    exportableTable = { statType, columns, rows };
+}
+
+/**
+ * Show the export buttons only when the open detail section has a table
+ */
+function updateExportButtons() {
+    const display = exportableTable ? '' : 'none';
+    document.getElementById('export-csv-btn').style.display = display;
+    document.getElementById('export-spreadsheet-btn').style.display = display;
+}
+
+/**
+ * Download the open detail table as a file
+ * @param {{extension: string, mimeType: string}} format - Export format
+ */
+function downloadExportableTable(format) {
+    if (!exportableTable) return;
+
+    const { statType, columns, rows } = exportableTable;
+    const table = buildExportTable(statType, columns, rows);
+    // The BOM makes Excel read the CSV as UTF-8
+    const content = format === ExportFormat.CSV
+        ? `\uFEFF${toCsv(table)}`
+        : toSpreadsheetMl(table, currentlyOpenStatType);
+
+    const url = URL.createObjectURL(new Blob([content], { type: format.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getExportFileName(currentlyOpenStatType, currentYear, format);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 // Modal navigation: the URL is the single source of truth for which modal is
 // open. Opening pushes a history entry; closing anything is a history "back";
 // renderModals() reconciles the DOM to the URL and is the only place a modal is
@@ -6276,6 +8122,11 @@ function updateURL() {
         if (currentlyOpenStatType === 'achievements' && showAllAchievementMetrics) {
             params.set('achievementAllMetrics', 'true');
         }
+
+        // For the play calendar, encode the day being drilled into
+        if (currentlyOpenStatType === 'play-calendar' && selectedCalendarDay !== null) {
+            params.set('day', selectedCalendarDay);
+        }
     }
 
     // Add showAllMetrics param if toggle is enabled (persists even when section is closed)
@@ -0,0 +1,292 @@
+/**
+ * Charts Module
+ * Dependency-free SVG line, bar and stacked area charts rendered as HTML strings.
+ *
+ * Colors are CSS custom properties (e.g. "var(--color-primary)") applied via
+ * inline styles, so charts follow the light/dark theme without re-rendering.
+ */
+
+import { escapeHtml } from './formatting.js';
+
+/**
+ * Chart geometry in SVG user units; the SVG scales to its container width.
+ * @constant {Object}
+ */
+export const CHART_SIZE = {
+    width: 640,
+    height: 240,
+    margin: { top: 12, right: 16, bottom: 28, left: 44 },
+};
+
+/**
+ * Series colors used in order when a series doesn't set its own.
+ * @constant {Array<string>}
+ */
+export const CHART_COLORS = [
+    'var(--color-primary)',
+    'var(--color-metric-hours)',
+    'var(--color-metric-plays)',
+    'var(--color-people)',
+    'var(--color-unique-games)',
+    'var(--color-staircase)',
+    'var(--color-longest-run)',
+    'var(--color-solo)',
+];
+
+// Most x-axis labels shown before labels are thinned out
+const MAX_X_LABELS = 12;
+
+/**
+ * Get evenly spaced "nice" y-axis ticks (steps of 1, 2 or 5 times a power of ten)
+ * from zero up to at least the maximum value.
+ * @param {number} maxValue - Largest value to show
+ * @param {Object} [options]
+ * @param {number} [options.count=4] - Approximate number of steps
+ * @param {boolean} [options.integer=false] - Only whole-number ticks (for counts)
+ * @returns {Array<number>} Tick values, starting at 0
+ */
+export function getNiceTicks(maxValue, { count = 4, integer = false } = {}) {
+    if (!(maxValue > 0)) return [0, 1];
+
+    const rawStep = maxValue / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const residual = rawStep / magnitude;
+    let step = (residual <= 1 ? 1 : residual <= 2 ? 2 : residual <= 5 ? 5 : 10) * magnitude;
+    if (integer) step = Math.max(1, Math.round(step));
+
+    const stepCount = Math.ceil(maxValue / step);
+    // Rounding keeps float steps like 0.1 * 3 from showing as 0.30000000000000004
+    return Array.from({ length: stepCount + 1 }, (_, i) => Math.round(i * step * 1e6) / 1e6);
+}
+
+/**
+ * Format a value for axis labels and tooltips: whole numbers with separators,
+ * others with one decimal.
+ * @param {number} value - Value to format
+ * @returns {string} Formatted value
+ */
+export function formatChartValue(value) {
+    return value.toLocaleString('en-US', { maximumFractionDigits: 1 });
+}
+
+/**
+ * Helper: Get the color of a series
+ * @param {Object} series - Series with optional color
+ * @param {number} index - Series index
+ * @returns {string} CSS color
+ */
+function getSeriesColor(series, index) {
+    return series.color || CHART_COLORS[index % CHART_COLORS.length];
+}
+
+/**
+ * Helper: Build the plot area scales shared by all chart types
+ * @param {number} maxValue - Largest stacked/plotted value
+ * @param {boolean} integer - Only whole-number ticks
+ * @returns {Object} { ticks, plotLeft, plotRight, plotTop, plotBottom, y }
+ */
+function createScales(maxValue, integer) {
+    const { width, height, margin } = CHART_SIZE;
+    const ticks = getNiceTicks(maxValue, { integer });
+    const maxTick = ticks[ticks.length - 1];
+    const plotTop = margin.top;
+    const plotBottom = height - margin.bottom;
+
+    return {
+        ticks,
+        plotLeft: margin.left,
+        plotRight: width - margin.right,
+        plotTop,
+        plotBottom,
+        y: value => plotBottom - (value / maxTick) * (plotBottom - plotTop),
+    };
+}
+
+/**
+ * Helper: Render horizontal grid lines with y-axis tick labels
+ * @param {Object} scales - Result of createScales
+ * @param {Function} formatValue - Value formatter
+ * @returns {string} SVG markup
+ */
+function renderYAxis(scales, formatValue) {
+    return scales.ticks.map(tick => {
+        const y = round(scales.y(tick));
+        return `<line class="chart-grid" x1="${scales.plotLeft}" y1="${y}" x2="${scales.plotRight}" y2="${y}"></line>`
+            + `<text class="chart-axis-label" x="${scales.plotLeft - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${escapeHtml(formatValue(tick))}</text>`;
+    }).join('');
+}
+
+/**
+ * Helper: Render x-axis labels, thinned out to at most MAX_X_LABELS
+ * @param {Array<string>} labels - X-axis labels
+ * @param {Function} getX - Maps a label index to its x position
+ * @param {number} plotBottom - Y position of the x axis
+ * @returns {string} SVG markup
+ */
+function renderXAxis(labels, getX, plotBottom) {
+    const every = Math.ceil(labels.length / MAX_X_LABELS);
+    return labels.map((label, index) => {
+        if (index % every !== 0) return '';
+        return `<text class="chart-axis-label" x="${round(getX(index))}" y="${plotBottom + 18}" text-anchor="middle">${escapeHtml(label)}</text>`;
+    }).join('');
+}
+
+/**
+ * Helper: Round a coordinate to two decimals to keep markup small
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Helper: Get x positions of points spread evenly across the plot area
+ * @param {Object} scales - Result of createScales
+ * @param {number} count - Number of points
+ * @returns {Function} Maps a point index to its x position
+ */
+function createPointX(scales, count) {
+    const plotWidth = scales.plotRight - scales.plotLeft;
+    if (count === 1) return () => scales.plotLeft + plotWidth / 2;
+    return index => scales.plotLeft + (index / (count - 1)) * plotWidth;
+}
+
+/**
+ * Helper: Wrap chart SVG in a figure with an optional caption and legend
+ * @param {string} svgContent - SVG child markup
+ * @param {Object} chart - Chart definition
+ * @returns {string} HTML string
+ */
+function renderFigure(svgContent, { title, series }) {
+    const { width, height } = CHART_SIZE;
+    const caption = title ? `<figcaption class="chart-title">${escapeHtml(title)}</figcaption>` : '';
+    const legend = series.length > 1
+        ? `<ul class="chart-legend">${series.map((s, index) => `
+            <li><span class="chart-legend-swatch" style="background: ${getSeriesColor(s, index)};"></span>${escapeHtml(s.name)}</li>`).join('')}
+        </ul>`
+        : '';
+    return `<figure class="chart">
+        ${caption}
+        <svg class="chart-svg" viewBox="0 0 ${width} ${height}" role="img">${svgContent}</svg>
+        ${legend}
+    </figure>`;
+}
+
+/**
+ * Helper: Render the placeholder shown when there is nothing to plot
+ * @param {Object} chart - Chart definition
+ * @returns {string} HTML string
+ */
+function renderEmptyChart({ title }) {
+    const caption = title ? `<figcaption class="chart-title">${escapeHtml(title)}</figcaption>` : '';
+    return `<figure class="chart chart--empty">${caption}<p class="chart-empty">No data to chart</p></figure>`;
+}
+
+/**
+ * Render a line chart with one line per series.
+ * @param {Object} chart
+ * @param {Array<string>} chart.labels - X-axis labels, one per point
+ * @param {Array<{name: string, values: Array<number>, color?: string}>} chart.series - Series to plot
+ * @param {string} [chart.title] - Caption
+ * @param {Function} [chart.formatValue] - Formats axis and tooltip values
+ * @param {boolean} [chart.integer=false] - Only whole-number y-axis ticks
+ * @returns {string} HTML string
+ */
+export function renderLineChart({ labels, series, title = '', formatValue = formatChartValue, integer = false }) {
+    if (labels.length === 0 || series.length === 0) return renderEmptyChart({ title });
+
+    const maxValue = Math.max(...series.flatMap(s => s.values));
+    const scales = createScales(maxValue, integer);
+    const getX = createPointX(scales, labels.length);
+
+    const lines = series.map((s, seriesIndex) => {
+        const color = getSeriesColor(s, seriesIndex);
+        const points = s.values.map((value, index) => [round(getX(index)), round(scales.y(value))]);
+        const path = points.map(([x, y], index) => `${index === 0 ? 'M' : 'L'}${x} ${y}`).join(' ');
+        const markers = points.map(([x, y], index) =>
+            `<circle class="chart-point" cx="${x}" cy="${y}" r="2.5" style="fill: ${color};"><title>${escapeHtml(`${s.name} · ${labels[index]}: ${formatValue(s.values[index])}`)}</title></circle>`
+        ).join('');
+        return `<path class="chart-line" d="${path}" style="stroke: ${color};"></path>${markers}`;
+    }).join('');
+
+    return renderFigure(
+        renderYAxis(scales, formatValue) + renderXAxis(labels, getX, scales.plotBottom) + lines,
+        { title, series },
+    );
+}
+
+/**
+ * Render a bar chart; several series are drawn as grouped bars.
+ * @param {Object} chart
+ * @param {Array<string>} chart.labels - X-axis labels, one per bar group
+ * @param {Array<{name: string, values: Array<number>, color?: string}>} chart.series - Series to plot
+ * @param {string} [chart.title] - Caption
+ * @param {Function} [chart.formatValue] - Formats axis and tooltip values
+ * @param {boolean} [chart.integer=false] - Only whole-number y-axis ticks
+ * @param {number|null} [chart.selectedIndex=null] - Label index to highlight; other bars are dimmed
+ * @returns {string} HTML string; each bar carries its label index as data-index
+ */
+export function renderBarChart({ labels, series, title = '', formatValue = formatChartValue, integer = false, selectedIndex = null }) {
+    if (labels.length === 0 || series.length === 0) return renderEmptyChart({ title });
+
+    const maxValue = Math.max(...series.flatMap(s => s.values));
+    const scales = createScales(maxValue, integer);
+    const bandWidth = (scales.plotRight - scales.plotLeft) / labels.length;
+    const barWidth = (bandWidth * 0.8) / series.length;
+    const getX = index => scales.plotLeft + bandWidth * (index + 0.5);
+
+    const bars = series.map((s, seriesIndex) => {
+        const color = getSeriesColor(s, seriesIndex);
+        return s.values.map((value, index) => {
+            const x = scales.plotLeft + bandWidth * index + bandWidth * 0.1 + barWidth * seriesIndex;
+            const y = scales.y(value);
+            const stateClass = selectedIndex === null ? '' : (index === selectedIndex ? ' chart-bar--selected' : ' chart-bar--dimmed');
+            return `<rect class="chart-bar${stateClass}" data-index="${index}" x="${round(x)}" y="${round(y)}" width="${round(barWidth)}" height="${round(scales.plotBottom - y)}" style="fill: ${color};"><title>${escapeHtml(`${s.name} · ${labels[index]}: ${formatValue(value)}`)}</title></rect>`;
+        }).join('');
+    }).join('');
+
+    return renderFigure(
+        renderYAxis(scales, formatValue) + renderXAxis(labels, getX, scales.plotBottom) + bars,
+        { title, series },
+    );
+}
+
+/**
+ * Render a stacked area chart; each series is stacked on top of the previous ones.
+ * @param {Object} chart
+ * @param {Array<string>} chart.labels - X-axis labels, one per point
+ * @param {Array<{name: string, values: Array<number>, color?: string}>} chart.series - Series to stack, bottom first
+ * @param {string} [chart.title] - Caption
+ * @param {Function} [chart.formatValue] - Formats axis and tooltip values
+ * @param {boolean} [chart.integer=false] - Only whole-number y-axis ticks
+ * @returns {string} HTML string
+ */
+export function renderStackedAreaChart({ labels, series, title = '', formatValue = formatChartValue, integer = false }) {
+    if (labels.length === 0 || series.length === 0) return renderEmptyChart({ title });
+
+    // Running totals: stackTops[s][i] is the top of series s at point i
+    const stackTops = [];
+    series.forEach((s, seriesIndex) => {
+        stackTops.push(s.values.map((value, index) => value + (seriesIndex > 0 ? stackTops[seriesIndex - 1][index] : 0)));
+    });
+
+    const maxValue = Math.max(...stackTops[stackTops.length - 1]);
+    const scales = createScales(maxValue, integer);
+    const getX = createPointX(scales, labels.length);
+
+    const areas = series.map((s, seriesIndex) => {
+        const color = getSeriesColor(s, seriesIndex);
+        const tops = stackTops[seriesIndex];
+        const bottoms = seriesIndex > 0 ? stackTops[seriesIndex - 1] : labels.map(() => 0);
+        const upper = tops.map((value, index) => `${round(getX(index))} ${round(scales.y(value))}`);
+        const lower = bottoms.map((value, index) => `${round(getX(index))} ${round(scales.y(value))}`).reverse();
+        const total = s.values.reduce((sum, value) => sum + value, 0);
+        return `<path class="chart-area" d="M${upper.join(' L')} L${lower.join(' L')} Z" style="fill: ${color};"><title>${escapeHtml(`${s.name}: ${formatValue(total)}`)}</title></path>`;
+    }).join('');
+
+    return renderFigure(
+        renderYAxis(scales, formatValue) + renderXAxis(labels, getX, scales.plotBottom) + areas,
+        { title, series },
+    );
+}
@@ -0,0 +1,207 @@
+import { describe, test, expect } from 'vitest';
+import {
+    CHART_SIZE,
+    CHART_COLORS,
+    getNiceTicks,
+    formatChartValue,
+    renderLineChart,
+    renderBarChart,
+    renderStackedAreaChart,
+} from './charts.js';
+
+/**
+ * Count occurrences of a substring
+ */
+function countOf(html, needle) {
+    return html.split(needle).length - 1;
+}
+
+describe('getNiceTicks', () => {
+    test('steps by 1, 2 or 5 times a power of ten up to the maximum', () => {
+        const cases = [
+            [10, [0, 5, 10]],
+            [37, [0, 10, 20, 30, 40]],
+            [7, [0, 2, 4, 6, 8]],
+            [250, [0, 100, 200, 300]],
+            [1, [0, 0.5, 1]],
+            [0.3, [0, 0.1, 0.2, 0.3]],
+        ];
+        cases.forEach(([maxValue, expected]) => {
+            expect(getNiceTicks(maxValue)).toEqual(expected);
+        });
+    });
+
+    test('uses whole-number steps for integer ticks', () => {
+        expect(getNiceTicks(1, { integer: true })).toEqual([0, 1]);
+        expect(getNiceTicks(3, { integer: true })).toEqual([0, 1, 2, 3]);
+    });
+
+    test('honours the step count', () => {
+        expect(getNiceTicks(100, { count: 2 })).toEqual([0, 50, 100]);
+    });
+
+    test('returns a unit axis when there is nothing above zero', () => {
+        expect(getNiceTicks(0)).toEqual([0, 1]);
+        expect(getNiceTicks(NaN)).toEqual([0, 1]);
+    });
+});
+
+describe('formatChartValue', () => {
+    test('formats whole numbers with separators and others with one decimal', () => {
+        expect(formatChartValue(1234)).toBe('1,234');
+        expect(formatChartValue(2.345)).toBe('2.3');
+        expect(formatChartValue(0)).toBe('0');
+    });
+});
+
+describe('renderLineChart', () => {
+    const chart = {
+        labels: ['Jan', 'Feb', 'Mar'],
+        series: [
+            { name: 'Plays', values: [1, 4, 6] },
+            { name: 'Games', values: [1, 2, 2], color: 'var(--color-unique-games)' },
+        ],
+        title: 'Cumulative plays',
+    };
+
+    test('renders one path and a marker per point for each series', () => {
+        const html = renderLineChart(chart);
+
+        expect(html).toContain(`viewBox="0 0 ${CHART_SIZE.width} ${CHART_SIZE.height}"`);
+        expect(countOf(html, '<path class="chart-line"')).toBe(2);
+        expect(countOf(html, '<circle class="chart-point"')).toBe(6);
+        expect(html).toContain('<figcaption class="chart-title">Cumulative plays</figcaption>');
+    });
+
+    test('colors series from the palette unless set', () => {
+        const html = renderLineChart(chart);
+
+        expect(html).toContain(`style="stroke: ${CHART_COLORS[0]};"`);
+        expect(html).toContain('style="stroke: var(--color-unique-games);"');
+    });
+
+    test('spans the plot area from the first to the last point', () => {
+        const html = renderLineChart(chart);
+        const { width, margin } = CHART_SIZE;
+
+        expect(html).toContain(`d="M${margin.left} `);
+        expect(html).toContain(`L${width - margin.right} `);
+    });
+
+    test('adds tooltips and a legend', () => {
+        const html = renderLineChart(chart);
+
+        expect(html).toContain('<title>Plays · Feb: 4</title>');
+        expect(html).toContain('<ul class="chart-legend">');
+        expect(countOf(html, 'chart-legend-swatch')).toBe(2);
+    });
+
+    test('leaves out the legend and caption for a single untitled series', () => {
+        const html = renderLineChart({ labels: ['Jan'], series: [{ name: 'Plays', values: [3] }] });
+
+        expect(html).not.toContain('chart-legend');
+        expect(html).not.toContain('figcaption');
+        // A single point sits in the middle of the plot area
+        const { width, margin } = CHART_SIZE;
+        expect(html).toContain(`cx="${margin.left + (width - margin.left - margin.right) / 2}"`);
+    });
+
+    test('uses the value formatter for axis labels and tooltips', () => {
+        const html = renderLineChart({ ...chart, formatValue: value => `${value}h` });
+
+        expect(html).toContain('>0h</text>');
+        expect(html).toContain('<title>Plays · Mar: 6h</title>');
+    });
+
+    test('thins out x-axis labels', () => {
+        const labels = Array.from({ length: 36 }, (_, i) => `M${i}`);
+        const html = renderLineChart({ labels, series: [{ name: 'Plays', values: labels.map((_, i) => i) }] });
+
+        expect(html).toContain('>M0</text>');
+        expect(html).toContain('>M3</text>');
+        expect(html).not.toContain('>M1</text>');
+    });
+
+    test('escapes labels', () => {
+        const html = renderLineChart({ labels: ['<Q1>'], series: [{ name: 'A & B', values: [1] }], title: 'X < Y' });
+
+        expect(html).toContain('&lt;Q1&gt;');
+        expect(html).toContain('A &amp; B');
+        expect(html).toContain('X &lt; Y');
+    });
+
+    test('renders a placeholder without data', () => {
+        expect(renderLineChart({ labels: [], series: [], title: 'Empty' })).toContain('No data to chart');
+        expect(renderLineChart({ labels: ['Jan'], series: [] })).toContain('chart--empty');
+    });
+});
+
+describe('renderBarChart', () => {
+    test('renders one bar per value, grouped by label', () => {
+        const html = renderBarChart({
+            labels: ['Jan', 'Feb'],
+            series: [
+                { name: '2023', values: [2, 4] },
+                { name: '2024', values: [3, 0] },
+            ],
+            integer: true,
+        });
+
+        expect(countOf(html, '<rect class="chart-bar"')).toBe(4);
+        expect(html).toContain('<title>2024 · Feb: 0</title>');
+        expect(html).toContain('height="0"');
+    });
+
+    test('tags bars with their label index and highlights the selected one', () => {
+        const chart = { labels: ['Jan', 'Feb'], series: [{ name: 'Plays', values: [2, 4] }] };
+
+        expect(renderBarChart(chart)).toContain('data-index="1"');
+        expect(renderBarChart(chart)).not.toContain('chart-bar--');
+
+        const html = renderBarChart({ ...chart, selectedIndex: 1 });
+        expect(html).toContain('<rect class="chart-bar chart-bar--dimmed" data-index="0"');
+        expect(html).toContain('<rect class="chart-bar chart-bar--selected" data-index="1"');
+    });
+
+    test('draws the tallest bar to the top tick', () => {
+        const html = renderBarChart({ labels: ['Jan'], series: [{ name: 'Plays', values: [10] }] });
+        const { margin } = CHART_SIZE;
+
+        expect(html).toContain(`y="${margin.top}"`);
+    });
+
+    test('renders a placeholder without data', () => {
+        expect(renderBarChart({ labels: [], series: [{ name: 'Plays', values: [] }] })).toContain('No data to chart');
+    });
+});
+
+describe('renderStackedAreaChart', () => {
+    const chart = {
+        labels: ['Jan', 'Feb', 'Mar'],
+        series: [
+            { name: '2023', values: [1, 2, 3] },
+            { name: '2024', values: [4, 4, 4] },
+        ],
+    };
+
+    test('renders one closed area per series with its total as tooltip', () => {
+        const html = renderStackedAreaChart(chart);
+
+        expect(countOf(html, '<path class="chart-area"')).toBe(2);
+        expect(countOf(html, ' Z"')).toBe(2);
+        expect(html).toContain('<title>2023: 6</title>');
+        expect(html).toContain('<title>2024: 12</title>');
+    });
+
+    test('scales the axis to the stacked total', () => {
+        const html = renderStackedAreaChart(chart);
+
+        // Stacked maximum is 7, so the axis tops out at 8
+        expect(html).toContain('>8</text>');
+        expect(html).not.toContain('>10</text>');
+    });
+
+    test('renders a placeholder without data', () => {
+        expect(renderStackedAreaChart({ labels: [], series: [] })).toContain('No data to chart');
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Configuration Module
+ * Defaults and validation for stats.config.json, shared by the preprocessor
+ * (which reads the file and embeds the result in data.json) and the browser
+ */
+
+/**
+ * Default configuration, used for any key missing from stats.config.json.
+ * @constant {Object}
+ */
+export const DEFAULT_CONFIG = Object.freeze({
+  // Timezone BG Stats timestamps are recorded in (IANA name)
+  timezone: 'America/Denver',
+  // Location treated as home (excluded from "top location" stats)
+  homeLocationName: '🏡 Home',
+  // Tag marking standalone expansions (matched case-insensitively)
+  expandaloneTagName: 'Data:Expandalone',
+  // Tag marking games that can only be played once (matched case-insensitively)
+  oneTimeTagName: 'One Time',
+  // Games with any of these tags are never suggested
+  suggestionExcludedTags: Object.freeze(['Classic']),
+  // Currency every price is converted to (ISO 4217 code)
+  baseCurrency: 'USD',
+});
+
+/**
+ * Check whether a string is a timezone name the runtime understands
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Validate a configuration object and fill in defaults for missing keys
+ * @param {Object|null|undefined} config - Parsed stats.config.json (or data.json's config)
+ * @returns {Object} Complete configuration
+ * @throws {Error} If the config is not an object, has unknown keys, or has invalid values
+ */
+export function resolveConfig(config) {
+  if (config === null || config === undefined) {
+    return resolveConfig({});
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Invalid config: expected an object');
+  }
+
+  const errors = [];
+  const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+  Object.keys(config).forEach(key => {
+    if (!(key in DEFAULT_CONFIG)) {
+      errors.push(`unknown key "${key}"`);
+    }
+  });
+
+  ['timezone', 'homeLocationName', 'expandaloneTagName', 'oneTimeTagName'].forEach(key => {
+    if (key in config && !isNonEmptyString(config[key])) {
+      errors.push(`"${key}" must be a non-empty string`);
+    }
+  });
+
+  if (isNonEmptyString(config.timezone) && !isValidTimezone(config.timezone)) {
+    errors.push(`"timezone" is not a valid IANA timezone: ${config.timezone}`);
+  }
+
+  if ('baseCurrency' in config && !(typeof config.baseCurrency === 'string' && /^[A-Z]{3}$/.test(config.baseCurrency))) {
+    errors.push('"baseCurrency" must be a three-letter currency code, e.g. "USD"');
+  }
+
+  if ('suggestionExcludedTags' in config
+    && !(Array.isArray(config.suggestionExcludedTags) && config.suggestionExcludedTags.every(isNonEmptyString))) {
+    errors.push('"suggestionExcludedTags" must be an array of non-empty strings');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid config: ${errors.join('; ')}`);
+  }
+
+  return {
+    ...DEFAULT_CONFIG,
+    ...config,
+    suggestionExcludedTags: [...(config.suggestionExcludedTags || DEFAULT_CONFIG.suggestionExcludedTags)],
+  };
+}
@@ -0,0 +1,75 @@
+import { describe, test, expect } from 'vitest';
+import { DEFAULT_CONFIG, resolveConfig } from './config.js';
+
+describe('resolveConfig', () => {
+  test('returns defaults for a missing config', () => {
+    expect(resolveConfig(null)).toEqual(DEFAULT_CONFIG);
+    expect(resolveConfig(undefined)).toEqual(DEFAULT_CONFIG);
+    expect(resolveConfig({})).toEqual(DEFAULT_CONFIG);
+  });
+
+  test('returns a copy that does not share the default tag list', () => {
+    const config = resolveConfig({});
+    config.suggestionExcludedTags.push('Extra');
+
+    expect(DEFAULT_CONFIG.suggestionExcludedTags).toEqual(['Classic']);
+  });
+
+  test('overrides defaults with given keys', () => {
+    const config = resolveConfig({
+      timezone: 'Europe/London',
+      homeLocationName: 'Home',
+      suggestionExcludedTags: [],
+    });
+
+    expect(config).toEqual({
+      timezone: 'Europe/London',
+      homeLocationName: 'Home',
+      expandaloneTagName: 'Data:Expandalone',
+      oneTimeTagName: 'One Time',
+      suggestionExcludedTags: [],
+      baseCurrency: 'USD',
+    });
+  });
+
+  test('rejects non-object configs', () => {
+    expect(() => resolveConfig('Europe/London')).toThrow('Invalid config: expected an object');
+    expect(() => resolveConfig(['Classic'])).toThrow('Invalid config: expected an object');
+  });
+
+  test('rejects unknown keys', () => {
+    expect(() => resolveConfig({ timeZone: 'Europe/London' })).toThrow('Invalid config: unknown key "timeZone"');
+  });
+
+  test('rejects empty or non-string names', () => {
+    expect(() => resolveConfig({ homeLocationName: '' })).toThrow('"homeLocationName" must be a non-empty string');
+    expect(() => resolveConfig({ expandaloneTagName: 3 })).toThrow('"expandaloneTagName" must be a non-empty string');
+    expect(() => resolveConfig({ oneTimeTagName: '  ' })).toThrow('"oneTimeTagName" must be a non-empty string');
+    expect(() => resolveConfig({ timezone: null })).toThrow('"timezone" must be a non-empty string');
+  });
+
+  test('rejects unknown timezones', () => {
+    expect(() => resolveConfig({ timezone: 'Mars/Olympus_Mons' }))
+      .toThrow('"timezone" is not a valid IANA timezone: Mars/Olympus_Mons');
+  });
+
+  test('rejects excluded tags that are not an array of strings', () => {
+    expect(() => resolveConfig({ suggestionExcludedTags: 'Classic' }))
+      .toThrow('"suggestionExcludedTags" must be an array of non-empty strings');
+    expect(() => resolveConfig({ suggestionExcludedTags: ['Classic', ''] }))
+      .toThrow('"suggestionExcludedTags" must be an array of non-empty strings');
+  });
+
+  test('rejects base currencies that are not currency codes', () => {
+    expect(resolveConfig({ baseCurrency: 'CAD' }).baseCurrency).toBe('CAD');
+    expect(() => resolveConfig({ baseCurrency: 'usd' }))
+      .toThrow('"baseCurrency" must be a three-letter currency code, e.g. "USD"');
+    expect(() => resolveConfig({ baseCurrency: 'Dollars' }))
+      .toThrow('"baseCurrency" must be a three-letter currency code, e.g. "USD"');
+  });
+
+  test('reports every problem at once', () => {
+    expect(() => resolveConfig({ extra: true, homeLocationName: 1 }))
+      .toThrow('Invalid config: unknown key "extra"; "homeLocationName" must be a non-empty string');
+  });
+});
@@ -81,6 +81,40 @@ export function formatDateWithWeekdayAndYear(dateString) {
     return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
 }
 
+/**
+ * Format a YYYY-MM month string as "Aug" or, with the year, "Aug '24"
+ * @param {string} monthString - Month in YYYY-MM format
+ * @param {boolean} includeYear - Append the two-digit year
+ * @returns {string} Formatted month string
+ */
+export function formatMonthShort(monthString, includeYear = false) {
+    const [year, month] = monthString.split('-').map(Number);
+    const name = new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short' });
+    return includeYear ? `${name} '${String(year).slice(2)}` : name;
+}
+
+/**
+ * Format a day of the week as "Saturday" or, short, "Sat"
+ * @param {number} weekday - Day of the week (0 = Sunday)
+ * @param {boolean} short - Use the three-letter name
+ * @returns {string} Weekday name
+ */
+export function formatWeekday(weekday, short = false) {
+    // Jan 7, 2024 was a Sunday
+    const date = new Date(2024, 0, 7 + weekday);
+    return date.toLocaleDateString('en-US', { weekday: short ? 'short' : 'long' });
+}
+
+/**
+ * Format an hour of the day on the 12-hour clock, e.g. "12 AM" or "8 PM"
+ * @param {number} hour - Hour of the day (0-23)
+ * @returns {string} Formatted hour
+ */
+export function formatHourOfDay(hour) {
+    const period = hour < 12 ? 'AM' : 'PM';
+    return `${hour % 12 || 12} ${period}`;
+}
+
 /**
  * Format a number with commas. If >= 1000, rounds to whole number; otherwise shows 1 decimal.
  * @param {number} num - The number to format
@@ -142,17 +176,34 @@ export function renderRatingHexagon(rating, extraClass = null) {
     return `<span class="${cls}" style="background-color: ${color};"${title}>${label}</span>`;
 }
 
+/**
+ * Format an amount of money, e.g. "$1,234.50", "CA$12.00", "€8"
+ * @param {number} value - Amount in the given currency
+ * @param {string} currency - ISO 4217 currency code (default: 'USD')
+ * @param {number} fractionDigits - Decimal places to show (default: 2)
+ * @returns {string} Formatted amount
+ */
+export function formatCurrency(value, currency = 'USD', fractionDigits = 2) {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: currency,
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits,
+    }).format(value);
+}
+
 /**
  * Format a cost value as a currency label
- * - Integer dollar values: "$5", "$1"
- * - Decimal dollar values: "$2.50"
- * - Sub-dollar values: "50¢"
- * @param {number} value - Cost value in dollars
+ * - Integer values: "$5", "€1"
+ * - Decimal values: "$2.50", "CA$2.50"
+ * - Sub-dollar US values: "50¢" (other currencies: "€0.50")
+ * @param {number} value - Cost value in the given currency
+ * @param {string} currency - ISO 4217 currency code (default: 'USD')
  * @returns {string} Formatted cost label
  */
-export function formatCostLabel(value) {
-    if (value >= 1) {
-        return Number.isInteger(value) ? `$${value}` : `$${value.toFixed(2)}`;
+export function formatCostLabel(value, currency = 'USD') {
+    if (value < 1 && currency === 'USD') {
+        return `${Math.round(value * 100)}¢`;
     }
-    return `${Math.round(value * 100)}¢`;
+    return formatCurrency(value, currency, Number.isInteger(value) ? 0 : 2);
 }
@@ -3,11 +3,15 @@ import {
   formatApproximateHours,
   formatDurationHM,
   formatCostLabel,
+  formatCurrency,
   formatDateShort,
   formatDateWithWeekday,
   formatDateWithWeekdayAndYear,
   formatDateWithYear,
   formatLargeNumber,
+  formatMonthShort,
+  formatWeekday,
+  formatHourOfDay,
   getRatingColor,
   renderRatingHexagon,
   escapeHtml,
@@ -68,6 +72,43 @@ describe('formatDateShort', () => {
   });
 });
 
+describe('formatMonthShort', () => {
+  test('formats month as "Mon"', () => {
+    expect(formatMonthShort('2024-08')).toBe('Aug');
+    expect(formatMonthShort('2024-01')).toBe('Jan');
+  });
+
+  test('appends the two-digit year when asked', () => {
+    expect(formatMonthShort('2024-08', true)).toBe("Aug '24");
+    expect(formatMonthShort('2009-12', true)).toBe("Dec '09");
+  });
+});
+
+describe('formatWeekday', () => {
+  test('formats the day of the week by name', () => {
+    expect(formatWeekday(0)).toBe('Sunday');
+    expect(formatWeekday(6)).toBe('Saturday');
+  });
+
+  test('uses the short name when asked', () => {
+    expect(formatWeekday(3, true)).toBe('Wed');
+  });
+});
+
+describe('formatHourOfDay', () => {
+  test('formats the hour on the 12-hour clock', () => {
+    const cases = [
+      [0, '12 AM'],
+      [9, '9 AM'],
+      [12, '12 PM'],
+      [20, '8 PM'],
+    ];
+    cases.forEach(([hour, expected]) => {
+      expect(formatHourOfDay(hour)).toBe(expected);
+    });
+  });
+});
+
 describe('formatDateWithYear', () => {
   test('formats date as "Mon\u00A0DD, YYYY" with non-breaking space between month and day', () => {
     expect(formatDateWithYear('2024-08-11')).toBe('Aug\u00A011, 2024');
@@ -158,6 +199,24 @@ describe('formatCostLabel', () => {
     expect(formatCostLabel(1)).toBe('$1');
     expect(formatCostLabel(0.99)).toBe('99¢');
   });
+
+  test('formats other currencies with their symbol', () => {
+    expect(formatCostLabel(5, 'EUR')).toBe('€5');
+    expect(formatCostLabel(2.5, 'CAD')).toBe('CA$2.50');
+    expect(formatCostLabel(0.5, 'EUR')).toBe('€0.50');
+  });
+});
+
+describe('formatCurrency', () => {
+  test('formats amounts with two decimal places and grouping', () => {
+    expect(formatCurrency(1234.5)).toBe('$1,234.50');
+    expect(formatCurrency(0.4)).toBe('$0.40');
+  });
+
+  test('uses the given currency and number of decimal places', () => {
+    expect(formatCurrency(1234.5, 'EUR', 0)).toBe('€1,235');
+    expect(formatCurrency(12, 'CAD')).toBe('CA$12.00');
+  });
 });
 
 describe('getRatingColor', () => {
@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+import { parseXml, findChild, findChildren } from './importers/xml.js';
+
+/**
+ * BGG link types collected into metadata lists, keyed by output field.
+ * @constant {Object<string, string>}
+ */
+const BGG_LINK_TYPES = {
+  mechanics: 'boardgamemechanic',
+  categories: 'boardgamecategory',
+  designers: 'boardgamedesigner',
+  publishers: 'boardgamepublisher',
+};
+
+/**
+ * Returns the values of an item's links of one type, in document order.
+ * @param {Object} item - <item> element node
+ * @param {string} type - BGG link type (e.g. 'boardgamemechanic')
+ * @returns {Array<string>} Link values
+ */
+function getLinkValues(item, type) {
+  return findChildren(item, 'link')
+    .filter(link => link.attributes.type === type && link.attributes.value)
+    .map(link => link.attributes.value);
+}
+
+/**
+ * Returns the average complexity weight from an item's statistics.
+ * BGG reports 0 when nobody has voted, which is treated as unknown.
+ * @param {Object} item - <item> element node
+ * @returns {number|null} Weight (1-5) or null
+ */
+function getWeight(item) {
+  const statistics = findChild(item, 'statistics');
+  const ratings = statistics && findChild(statistics, 'ratings');
+  const weight = parseFloat(ratings && findChild(ratings, 'averageweight')?.attributes.value);
+  return weight > 0 ? Math.round(weight * 100) / 100 : null;
+}
+
+/**
+ * Derives best and recommended player counts from the suggested_numplayers
+ * poll, using BGG's own rules: a count is "best" when Best has the most votes,
+ * and "recommended" when Best + Recommended outvote Not Recommended.
+ * Open-ended counts such as "4+" are skipped.
+ * @param {Object} item - <item> element node
+ * @returns {Object} { bestPlayerCounts, recommendedPlayerCounts } (sorted arrays)
+ */
+function getPlayerCountPoll(item) {
+  const poll = findChildren(item, 'poll').find(p => p.attributes.name === 'suggested_numplayers');
+  const bestPlayerCounts = [];
+  const recommendedPlayerCounts = [];
+
+  (poll ? findChildren(poll, 'results') : []).forEach(results => {
+    if (!/^\d+$/.test(results.attributes.numplayers)) return;
+    const playerCount = parseInt(results.attributes.numplayers, 10);
+
+    const votes = { 'Best': 0, 'Recommended': 0, 'Not Recommended': 0 };
+    findChildren(results, 'result').forEach(result => {
+      votes[result.attributes.value] = parseInt(result.attributes.numvotes, 10) || 0;
+    });
+
+    const total = votes['Best'] + votes['Recommended'] + votes['Not Recommended'];
+    if (total === 0) return;
+    if (votes['Best'] >= votes['Recommended'] && votes['Best'] >= votes['Not Recommended']) {
+      bestPlayerCounts.push(playerCount);
+    }
+    if (votes['Best'] + votes['Recommended'] > votes['Not Recommended']) {
+      recommendedPlayerCounts.push(playerCount);
+    }
+  });
+
+  const byNumber = (a, b) => a - b;
+  return {
+    bestPlayerCounts: bestPlayerCounts.sort(byNumber),
+    recommendedPlayerCounts: recommendedPlayerCounts.sort(byNumber),
+  };
+}
+
+/**
+ * Parses a BGG XML API thing response (xmlapi2/thing?id=...&stats=1).
+ * @param {string} xml - XML document text
+ * @returns {Map<string, Object>} Map of BGG ID string to metadata
+ *   { weight, mechanics, categories, designers, publishers, bestPlayerCounts, recommendedPlayerCounts }
+ */
+function parseBggThingXml(xml) {
+  const root = parseXml(xml);
+  const metadata = new Map();
+
+  findChildren(root, 'item').forEach(item => {
+    const bggId = item.attributes.id;
+    if (!bggId) return;
+
+    const entry = { weight: getWeight(item) };
+    Object.entries(BGG_LINK_TYPES).forEach(([field, type]) => {
+      entry[field] = getLinkValues(item, type);
+    });
+    Object.assign(entry, getPlayerCountPoll(item));
+
+    metadata.set(bggId, entry);
+  });
+
+  return metadata;
+}
+
+/**
+ * Reads every .xml file in a directory of saved BGG thing responses.
+ * Files may hold one or many items; later files win for duplicate IDs.
+ * @param {string} dirPath - Directory containing the XML files
+ * @returns {Map<string, Object>} Map of BGG ID string to metadata
+ */
+function loadBggThingXmlDir(dirPath) {
+  const metadata = new Map();
+  fs.readdirSync(dirPath)
+    .filter(file => file.toLowerCase().endsWith('.xml'))
+    .sort()
+    .forEach(file => {
+      const xml = fs.readFileSync(path.join(dirPath, file), 'utf-8');
+      parseBggThingXml(xml).forEach((entry, bggId) => metadata.set(bggId, entry));
+    });
+  return metadata;
+}
+
+/**
+ * Loads the BGG thing metadata cache from disk.
+ * @param {string} cachePath - Path to the cache JSON file
+ * @returns {Map<string, Object>} Map of BGG ID string to metadata
+ */
+function loadBggThingCache(cachePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    return new Map(Object.entries(data));
+  } catch (e) {
+    return new Map();
+  }
+}
+
+/**
+ * Saves the BGG thing metadata cache to disk.
+ * @param {string} cachePath - Path to the cache JSON file
+ * @param {Map<string, Object>} cache - Map of BGG ID string to metadata
+ */
+function saveBggThingCache(cachePath, cache) {
+  const obj = Object.fromEntries(cache);
+  fs.writeFileSync(cachePath, JSON.stringify(obj, null, 2) + '\n');
+}
+
+export { parseBggThingXml, loadBggThingXmlDir, loadBggThingCache, saveBggThingCache };
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs, getUsage, runQuery } from './stats-query.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// File paths
+const DATA_FILE = path.join(__dirname, '..', 'data.json');
+
+try {
+  const parsedArgs = parseArgs(process.argv.slice(2));
+  if (parsedArgs.options.help || parsedArgs.command === null) {
+    console.log(getUsage());
+    process.exit(parsedArgs.options.help ? 0 : 1);
+  }
+
+  const dataFile = parsedArgs.options.data ? path.resolve(parsedArgs.options.data) : DATA_FILE;
+  if (!fs.existsSync(dataFile)) {
+    throw new Error(`${dataFile} not found. Run \`npm run process-data\` first.`);
+  }
+  const data = JSON.parse(fs.readFileSync(dataFile, 'utf-8'));
+
+  console.log(runQuery(data, parsedArgs));
+} catch (e) {
+  console.error(`Error: ${e.message}`);
+  process.exit(1);
+}
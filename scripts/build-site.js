@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveOutputDir, buildSite } from './site-renderer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// File paths
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_FILE = path.join(ROOT_DIR, 'data.json');
+const STATIC_FILES = ['styles.css', 'favicon.svg'];
+
+// CLI args
+function getArgValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : null;
+}
+
+const siteUrl = getArgValue('--site-url');
+let outputDir;
+try {
+  outputDir = resolveOutputDir(getArgValue('--out'), ROOT_DIR);
+} catch (e) {
+  console.error(`Error: ${e.message}`);
+  process.exit(1);
+}
+
+if (!fs.existsSync(DATA_FILE)) {
+  console.error('Error: data.json not found. Run `npm run process-data` first.');
+  process.exit(1);
+}
+
+console.log('Reading data.json...');
+const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
+
+console.log('Rendering pages...');
+const pages = buildSite(data, { siteUrl });
+
+// Start from an empty output folder so pages of deleted games don't linger
+fs.rmSync(outputDir, { recursive: true, force: true });
+pages.forEach((html, pagePath) => {
+  const filePath = path.join(outputDir, pagePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, html);
+});
+STATIC_FILES.forEach(file => fs.copyFileSync(path.join(ROOT_DIR, file), path.join(outputDir, file)));
+
+console.log(`\n=== Site Build Complete ===`);
+console.log(`Pages written: ${pages.size}`);
+console.log(`Output written to: ${outputDir}`);
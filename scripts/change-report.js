@@ -0,0 +1,265 @@
+/**
+ * Play fields compared when deciding whether a play was edited.
+ * Estimated durations are excluded (see getComparableDuration), since they
+ * shift whenever a game's typical play time changes.
+ * @constant {Array<string>}
+ */
+const EDITABLE_PLAY_FIELDS = ['durationMin', 'players', 'locationId', 'copyId'];
+
+/**
+ * Returns whether a processed game has at least one owned copy.
+ * @param {Object} game - Game object from data.json
+ * @returns {boolean} True if owned
+ */
+function isOwned(game) {
+  return (game.copies || []).some(copy => copy.statusOwned === true);
+}
+
+/**
+ * Returns the price of a copy as the user entered it. pricePaid and currency
+ * hold the price converted to the base currency, which changes whenever the
+ * exchange rates or base currency do; data.json files written before
+ * conversion only have those fields, holding the entered price.
+ * @param {Object} copy - Copy object from data.json
+ * @returns {Object} { pricePaid, currency }
+ */
+function getEnteredPrice(copy) {
+  if (copy.originalPricePaid === undefined) {
+    return { pricePaid: copy.pricePaid ?? null, currency: copy.currency ?? null };
+  }
+  return { pricePaid: copy.originalPricePaid ?? null, currency: copy.originalCurrency ?? null };
+}
+
+/**
+ * Builds the identity key of a processed play. Plays have no ID in data.json,
+ * so they are identified by game and timestamp; changing either shows up as
+ * one deleted play and one new play.
+ * @param {Object} play - Play object from data.json
+ * @returns {string} Identity key
+ */
+function getPlayKey(play) {
+  return `${play.gameId}|${play.timestamp}`;
+}
+
+/**
+ * Returns a play's logged duration, or null if it was estimated.
+ * @param {Object} play - Play object from data.json
+ * @returns {number|null} Logged duration in minutes
+ */
+function getComparableDuration(play) {
+  return play.durationEstimated ? null : play.durationMin;
+}
+
+/**
+ * Returns the fields that differ between two versions of a play.
+ * @param {Object} before - Previous play
+ * @param {Object} after - Current play
+ * @returns {Array<string>} Names of changed fields
+ */
+function getChangedPlayFields(before, after) {
+  return EDITABLE_PLAY_FIELDS.filter(field => {
+    if (field === 'durationMin') {
+      return getComparableDuration(before) !== getComparableDuration(after);
+    }
+    return JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null);
+  });
+}
+
+/**
+ * Groups plays by identity key. Plays sharing a key (same game logged twice
+ * at the same timestamp) are kept in order so they pair up one-to-one.
+ * @param {Array} plays - Plays from data.json
+ * @returns {Map<string, Array>} Map of key to plays
+ */
+function groupPlaysByKey(plays) {
+  const byKey = new Map();
+  plays.forEach(play => {
+    const key = getPlayKey(play);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(play);
+  });
+  return byKey;
+}
+
+/**
+ * Diffs play lists into added, removed and edited plays.
+ * @param {Array} previousPlays - Plays from the previous data.json
+ * @param {Array} currentPlays - Plays from the new data.json
+ * @returns {Object} { added, removed, edited: [{ before, after, fields }] }
+ */
+function diffPlays(previousPlays, currentPlays) {
+  const previousByKey = groupPlaysByKey(previousPlays);
+  const added = [];
+  const edited = [];
+
+  currentPlays.forEach(play => {
+    const candidates = previousByKey.get(getPlayKey(play));
+    if (!candidates || candidates.length === 0) {
+      added.push(play);
+      return;
+    }
+    const before = candidates.shift();
+    const fields = getChangedPlayFields(before, play);
+    if (fields.length > 0) {
+      edited.push({ before: before, after: play, fields: fields });
+    }
+  });
+
+  const removed = [...previousByKey.values()].flat();
+
+  return { added, removed, edited };
+}
+
+/**
+ * Computes a structured diff between the previous and the new data.json.
+ * @param {Object} previous - Previous data.json contents
+ * @param {Object} current - New data.json contents
+ * @returns {Object} Change set: plays, games, ownership, ratings and prices
+ */
+function diffData(previous, current) {
+  const previousGames = new Map(previous.games.map(game => [game.id, game]));
+  const currentGames = new Map(current.games.map(game => [game.id, game]));
+
+  const gamesAdded = current.games.filter(game => !previousGames.has(game.id));
+  const gamesRemoved = previous.games.filter(game => !currentGames.has(game.id));
+
+  const ownership = [];
+  const ratings = [];
+  const prices = [];
+
+  current.games.forEach(game => {
+    const before = previousGames.get(game.id);
+    if (!before) return;
+
+    if (isOwned(before) !== isOwned(game)) {
+      ownership.push({ gameId: game.id, name: game.name, before: isOwned(before), after: isOwned(game) });
+    }
+
+    if ((before.rating ?? null) !== (game.rating ?? null)) {
+      ratings.push({ gameId: game.id, name: game.name, before: before.rating ?? null, after: game.rating ?? null });
+    }
+
+    // Price edits are tracked per copy, for copies present in both versions
+    const previousCopies = new Map((before.copies || []).map(copy => [copy.copyId, copy]));
+    (game.copies || []).forEach(copy => {
+      const previousCopy = previousCopies.get(copy.copyId);
+      if (!previousCopy) return;
+      const previousPrice = getEnteredPrice(previousCopy);
+      const currentPrice = getEnteredPrice(copy);
+      if (previousPrice.pricePaid !== currentPrice.pricePaid || previousPrice.currency !== currentPrice.currency) {
+        prices.push({ gameId: game.id, name: game.name, copyId: copy.copyId, before: previousPrice, after: currentPrice });
+      }
+    });
+  });
+
+  return {
+    previousGeneratedAt: previous.generatedAt || null,
+    generatedAt: current.generatedAt || null,
+    plays: diffPlays(previous.plays, current.plays),
+    games: {
+      added: gamesAdded.map(game => ({ gameId: game.id, name: game.name })),
+      removed: gamesRemoved.map(game => ({ gameId: game.id, name: game.name })),
+    },
+    ownership: ownership,
+    ratings: ratings,
+    prices: prices,
+  };
+}
+
+/**
+ * Returns whether a change set contains any changes.
+ * @param {Object} changes - Change set from diffData
+ * @returns {boolean} True if anything changed
+ */
+function hasChanges(changes) {
+  return changes.plays.added.length > 0
+    || changes.plays.removed.length > 0
+    || changes.plays.edited.length > 0
+    || changes.games.added.length > 0
+    || changes.games.removed.length > 0
+    || changes.ownership.length > 0
+    || changes.ratings.length > 0
+    || changes.prices.length > 0;
+}
+
+/**
+ * Formats a price for the report.
+ * @param {Object} price - { pricePaid, currency }
+ * @returns {string} Formatted price
+ */
+function formatPrice({ pricePaid, currency }) {
+  if (pricePaid === null) return 'none';
+  return currency ? `${pricePaid.toFixed(2)} ${currency}` : pricePaid.toFixed(2);
+}
+
+/**
+ * Formats a single play field value for the report.
+ * @param {Object} play - Play object
+ * @param {string} field - Field name
+ * @returns {string} Formatted value
+ */
+function formatPlayField(play, field) {
+  if (field === 'durationMin') {
+    const duration = getComparableDuration(play);
+    return duration === null ? 'estimated' : `${duration} min`;
+  }
+  if (field === 'players') {
+    return `[${(play.players || []).join(', ')}]`;
+  }
+  return String(play[field] ?? 'none');
+}
+
+/**
+ * Formats a change set as a human-readable report.
+ * @param {Object} changes - Change set from diffData
+ * @param {Object} previous - Previous data.json contents (for names of removed games)
+ * @param {Object} current - New data.json contents (for game names)
+ * @returns {string} Multi-line report
+ */
+function formatChangeReport(changes, previous, current) {
+  if (!hasChanges(changes)) {
+    return 'No changes since the last run.';
+  }
+
+  const gameNames = new Map([...previous.games, ...current.games].map(game => [game.id, game.name]));
+  const playLabel = play => `${play.date} ${gameNames.get(play.gameId) || `Game ${play.gameId}`}`;
+  const lines = ['=== Changes Since Last Run ==='];
+
+  const { added, removed, edited } = changes.plays;
+  lines.push(`Plays: ${added.length} new, ${edited.length} edited, ${removed.length} deleted`);
+  added.forEach(play => lines.push(`  + ${playLabel(play)}`));
+  edited.forEach(({ before, after, fields }) => {
+    const details = fields.map(field => `${field}: ${formatPlayField(before, field)} → ${formatPlayField(after, field)}`);
+    lines.push(`  ~ ${playLabel(after)} (${details.join('; ')})`);
+  });
+  removed.forEach(play => lines.push(`  - ${playLabel(play)}`));
+
+  lines.push(`Games: ${changes.games.added.length} added, ${changes.games.removed.length} removed`);
+  changes.games.added.forEach(game => lines.push(`  + ${game.name}`));
+  changes.games.removed.forEach(game => lines.push(`  - ${game.name}`));
+
+  if (changes.ownership.length > 0) {
+    lines.push(`Ownership changes: ${changes.ownership.length}`);
+    changes.ownership.forEach(change => {
+      lines.push(`  ${change.name}: ${change.after ? 'now owned' : 'no longer owned'}`);
+    });
+  }
+
+  if (changes.ratings.length > 0) {
+    lines.push(`Rating changes: ${changes.ratings.length}`);
+    changes.ratings.forEach(change => {
+      lines.push(`  ${change.name}: ${change.before ?? 'unrated'} → ${change.after ?? 'unrated'}`);
+    });
+  }
+
+  if (changes.prices.length > 0) {
+    lines.push(`Price edits: ${changes.prices.length}`);
+    changes.prices.forEach(change => {
+      lines.push(`  ${change.name}: ${formatPrice(change.before)} → ${formatPrice(change.after)}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+export { diffData, hasChanges, formatChangeReport };
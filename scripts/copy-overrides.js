@@ -0,0 +1,71 @@
+/**
+ * Local overrides for copy disposal details (copy-overrides.json), for copies
+ * sold, traded or given away whose BG Stats metadata doesn't record how:
+ *
+ *   { "<copyId>": { "disposalDate": "2023-05-01", "disposalMethod": "sold", "salePrice": 40, "saleCurrency": "USD" } }
+ *
+ * Every field is optional. Overrides only fill in details missing from the
+ * BG Stats metadata, so values logged in the app always win.
+ */
+
+const OVERRIDE_FIELDS = ['disposalDate', 'disposalMethod', 'salePrice', 'saleCurrency'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validates a copy overrides table.
+ * @param {Object} copyOverrides - Parsed copy-overrides.json
+ * @throws {Error} If the table is malformed
+ */
+function validateCopyOverrides(copyOverrides) {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(copyOverrides)) {
+    throw new Error('Invalid copy overrides: expected an object keyed by copy ID');
+  }
+
+  const errors = [];
+  Object.entries(copyOverrides).forEach(([copyId, override]) => {
+    if (!isObject(override)) {
+      errors.push(`${copyId}: expected an object`);
+      return;
+    }
+    Object.keys(override)
+      .filter(key => !OVERRIDE_FIELDS.includes(key))
+      .forEach(key => errors.push(`${copyId}: unknown key "${key}"`));
+    if ('disposalDate' in override && !DATE_PATTERN.test(override.disposalDate)) {
+      errors.push(`${copyId}: "disposalDate" must be a YYYY-MM-DD date`);
+    }
+    if ('disposalMethod' in override && !(typeof override.disposalMethod === 'string' && override.disposalMethod.trim() !== '')) {
+      errors.push(`${copyId}: "disposalMethod" must be a non-empty string`);
+    }
+    if ('salePrice' in override && !(typeof override.salePrice === 'number' && override.salePrice >= 0)) {
+      errors.push(`${copyId}: "salePrice" must be a number of at least 0`);
+    }
+    if ('saleCurrency' in override && !/^[A-Z]{3}$/.test(override.saleCurrency)) {
+      errors.push(`${copyId}: "saleCurrency" must be a three-letter currency code`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid copy overrides: ${errors.join('; ')}`);
+  }
+}
+
+/**
+ * Fills in a copy's missing disposal details from its override.
+ * @param {Object} copy - Copy object from extractCopyMetadata
+ * @param {Object|undefined} override - Override for the copy, if any
+ * @returns {Object} Copy with missing details filled in
+ */
+function applyCopyOverride(copy, override) {
+  if (!override) return copy;
+
+  const result = { ...copy };
+  OVERRIDE_FIELDS.forEach(field => {
+    if (result[field] === null && field in override) {
+      result[field] = field === 'disposalMethod' ? override[field].trim().toLowerCase() : override[field];
+    }
+  });
+  return result;
+}
+
+export { applyCopyOverride, validateCopyOverrides };
@@ -0,0 +1,103 @@
+/**
+ * Converts copy prices to a single base currency using a local table of
+ * historical exchange rates (exchange-rates.json):
+ *
+ *   { "base": "USD", "rates": { "2024-01-01": { "CAD": 1.32, "EUR": 0.91 } } }
+ *
+ * Each dated entry gives how many units of each currency one unit of the
+ * table's base currency bought on that date. The table's base doesn't need
+ * to match the configured base currency; prices are converted through it.
+ */
+
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validates an exchange rate table.
+ * @param {Object} exchangeRates - Parsed exchange-rates.json
+ * @throws {Error} If the table is malformed
+ */
+function validateExchangeRates(exchangeRates) {
+  if (exchangeRates === null || typeof exchangeRates !== 'object' || Array.isArray(exchangeRates)) {
+    throw new Error('Invalid exchange rates: expected an object');
+  }
+
+  const errors = [];
+  if (!CURRENCY_CODE_PATTERN.test(exchangeRates.base)) {
+    errors.push('"base" must be a three-letter currency code');
+  }
+  const rates = exchangeRates.rates;
+  if (rates === null || typeof rates !== 'object' || Array.isArray(rates)) {
+    errors.push('"rates" must be an object keyed by date');
+  } else {
+    Object.entries(rates).forEach(([date, dateRates]) => {
+      if (!DATE_PATTERN.test(date)) {
+        errors.push(`"${date}" is not a YYYY-MM-DD date`);
+        return;
+      }
+      Object.entries(dateRates || {}).forEach(([currency, rate]) => {
+        if (!CURRENCY_CODE_PATTERN.test(currency) || !(typeof rate === 'number' && rate > 0)) {
+          errors.push(`${date}: ${currency} must be a currency code with a positive rate`);
+        }
+      });
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid exchange rates: ${errors.join('; ')}`);
+  }
+}
+
+/**
+ * Creates a converter from an exchange rate table to a base currency.
+ * A price is converted with the latest rate dated on or before its date;
+ * dates before the table starts use the earliest rate, and prices with no
+ * date use the latest one. Prices with no currency are taken to already be
+ * in the base currency.
+ * @param {Object|null} exchangeRates - Parsed exchange-rates.json (null for none)
+ * @param {string} baseCurrency - Currency code to convert to
+ * @returns {Function} convert(amount, currency, date) returning the amount in
+ *   the base currency rounded to cents, or null if there is no rate for it
+ * @throws {Error} If the table is malformed
+ */
+function createCurrencyConverter(exchangeRates, baseCurrency) {
+  const ratesByCurrency = new Map();
+
+  if (exchangeRates !== null && exchangeRates !== undefined) {
+    validateExchangeRates(exchangeRates);
+    Object.keys(exchangeRates.rates)
+      .sort()
+      .forEach(date => {
+        const dateRates = { ...exchangeRates.rates[date], [exchangeRates.base]: 1 };
+        Object.entries(dateRates).forEach(([currency, rate]) => {
+          if (!ratesByCurrency.has(currency)) {
+            ratesByCurrency.set(currency, []);
+          }
+          ratesByCurrency.get(currency).push({ date, rate });
+        });
+      });
+  }
+
+  // Rate in units of the table's base currency, or null if never listed
+  const getRate = (currency, date) => {
+    const rates = ratesByCurrency.get(currency);
+    if (!rates) return null;
+    if (!date) return rates[rates.length - 1].rate;
+    const onOrBefore = rates.filter(entry => entry.date <= date);
+    return onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1].rate : rates[0].rate;
+  };
+
+  return function convert(amount, currency, date) {
+    if (!currency || currency === baseCurrency) {
+      return amount;
+    }
+    const fromRate = getRate(currency, date);
+    const toRate = getRate(baseCurrency, date);
+    if (fromRate === null || toRate === null) {
+      return null;
+    }
+    return Math.round(amount / fromRate * toRate * 100) / 100;
+  };
+}
+
+export { createCurrencyConverter, validateExchangeRates };
@@ -0,0 +1,105 @@
+import { calculateMedian } from '../utils.js';
+
+/**
+ * Models used to estimate a missing play duration, most specific first.
+ * Each play records which one produced its estimate in durationModel.
+ * @constant {Object<string, string>}
+ */
+const DurationModel = {
+  PLAYERS_AND_EXPANSIONS: 'players-expansions',
+  PLAYERS: 'players',
+  TREND: 'trend',
+  DEFAULT: 'default',
+};
+
+/**
+ * Minimum logged plays in a player count (or player count and expansion)
+ * bucket before that bucket is trusted for an estimate.
+ * @constant {number}
+ */
+const MIN_SAMPLES = 2;
+
+/**
+ * Number of logged plays nearest in time to the estimated play whose median
+ * is used, so estimates follow how play times change as a game is learned.
+ * @constant {number}
+ */
+const TREND_WINDOW = 5;
+
+/**
+ * Builds the key identifying a set of expansions, regardless of order.
+ * @param {Array<number>} expansionIds - Expansion game IDs
+ * @returns {string} Key (empty string for no expansions)
+ */
+function getExpansionKey(expansionIds) {
+  return [...expansionIds].sort((a, b) => a - b).join(',');
+}
+
+/**
+ * Returns the median duration of the samples logged nearest to a date.
+ * @param {Array} samples - Logged samples ({ date, durationMin })
+ * @param {string} date - Date of the play being estimated (YYYY-MM-DD)
+ * @returns {number} Median duration in minutes
+ */
+function getNearestMedian(samples, date) {
+  const target = Date.parse(date);
+  const distance = sample => Math.abs(Date.parse(sample.date) - target);
+  const nearest = [...samples]
+    .sort((a, b) => distance(a) - distance(b))
+    .slice(0, TREND_WINDOW);
+  return calculateMedian(nearest.map(sample => sample.durationMin));
+}
+
+/**
+ * Creates a duration estimator from the plays that have a logged duration.
+ * Estimates use, in order of preference:
+ * 1. Plays of the game at the same player count with the same expansions
+ * 2. Plays of the game at the same player count
+ * 3. All plays of the game
+ * taking the median of the plays nearest in time, and fall back to the
+ * game's typical play time when the game has no logged durations at all.
+ * Buckets 1 and 2 need at least MIN_SAMPLES plays.
+ * @param {Array} samples - Array of { gameId, date, playerCount, expansionIds, durationMin };
+ *   samples with no duration are ignored
+ * @returns {Function} estimate(play, typicalPlayTimeMinutes) returning { durationMin, model },
+ *   or null if there is nothing to estimate from
+ */
+function createDurationEstimator(samples) {
+  const samplesByGame = new Map();
+  samples.forEach(sample => {
+    if (!(sample.durationMin > 0)) return;
+    if (!samplesByGame.has(sample.gameId)) {
+      samplesByGame.set(sample.gameId, []);
+    }
+    samplesByGame.get(sample.gameId).push({ ...sample, expansionKey: getExpansionKey(sample.expansionIds) });
+  });
+
+  return function estimate(play, typicalPlayTimeMinutes) {
+    const gameSamples = samplesByGame.get(play.gameId) || [];
+
+    if (play.playerCount > 0) {
+      const expansionKey = getExpansionKey(play.expansionIds);
+      const atPlayerCount = gameSamples.filter(sample => sample.playerCount === play.playerCount);
+      const withExpansions = atPlayerCount.filter(sample => sample.expansionKey === expansionKey);
+
+      if (withExpansions.length >= MIN_SAMPLES) {
+        return { durationMin: getNearestMedian(withExpansions, play.date), model: DurationModel.PLAYERS_AND_EXPANSIONS };
+      }
+      if (atPlayerCount.length >= MIN_SAMPLES) {
+        return { durationMin: getNearestMedian(atPlayerCount, play.date), model: DurationModel.PLAYERS };
+      }
+    }
+
+    if (gameSamples.length > 0) {
+      return { durationMin: getNearestMedian(gameSamples, play.date), model: DurationModel.TREND };
+    }
+
+    if (typicalPlayTimeMinutes !== null && typicalPlayTimeMinutes !== undefined) {
+      return { durationMin: typicalPlayTimeMinutes, model: DurationModel.DEFAULT };
+    }
+
+    return null;
+  };
+}
+
+export { DurationModel, MIN_SAMPLES, TREND_WINDOW, createDurationEstimator };
@@ -0,0 +1,304 @@
+import fs from 'fs';
+import { parseXml, findChild, findChildren } from './xml.js';
+
+/**
+ * Name BGG gives to players logged without a name or account.
+ * @constant {string}
+ */
+const BGG_ANONYMOUS_PLAYER_NAME = 'Anonymous player';
+
+/**
+ * BGG subtype used for expansions in both the collection and plays APIs.
+ * @constant {string}
+ */
+const BGG_EXPANSION_SUBTYPE = 'boardgameexpansion';
+
+/**
+ * Returns an attribute value as trimmed string, or null if missing/empty.
+ * @param {Object} node - XML element node
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value or null
+ */
+function getAttribute(node, name) {
+  const value = node?.attributes[name]?.trim();
+  return value ? value : null;
+}
+
+/**
+ * Returns a child element's text, or null if the child is missing/empty.
+ * @param {Object} node - Parent XML element node
+ * @param {string} name - Child element name
+ * @returns {string|null} Child text or null
+ */
+function getChildText(node, name) {
+  const child = findChild(node, name);
+  return child && child.text ? child.text : null;
+}
+
+/**
+ * Creates an empty game entry in BG Stats export shape for a BGG object.
+ * @param {number} bggId - BGG object ID (also used as the internal game ID)
+ * @param {string} name - Game name
+ * @returns {Object} Game object in BG Stats export shape
+ */
+function createGame(bggId, name) {
+  return {
+    id: bggId,
+    name: name,
+    bggId: bggId,
+    bggYear: null,
+    isBaseGame: 1,
+    isExpansion: 0,
+    urlThumb: null,
+    urlImage: null,
+    tags: [],
+    copies: [],
+  };
+}
+
+/**
+ * Marks a game as an expansion.
+ * @param {Object} game - Game object in BG Stats export shape
+ */
+function markAsExpansion(game) {
+  game.isBaseGame = 0;
+  game.isExpansion = 1;
+}
+
+/**
+ * Converts a BGG collection item into a BG Stats copy.
+ * Private info (acquisition date, price) and the user's rating/comment are
+ * packed into metaData the same way BG Stats stores them.
+ * @param {Object} item - <item> element from the collection XML
+ * @returns {Object} Copy object in BG Stats export shape
+ */
+function convertCollectionItem(item) {
+  const status = findChild(item, 'status');
+  const privateInfo = findChild(item, 'privateinfo');
+  const stats = findChild(item, 'stats');
+  const ratingNode = stats ? findChild(stats, 'rating') : null;
+
+  const metadata = {};
+  const acquisitionDate = getAttribute(privateInfo, 'acquisitiondate');
+  if (acquisitionDate && acquisitionDate !== '0000-00-00') {
+    metadata.AcquisitionDate = acquisitionDate;
+  }
+  const pricePaid = getAttribute(privateInfo, 'pricepaid');
+  if (pricePaid) {
+    metadata.PricePaid = pricePaid;
+  }
+  const currency = getAttribute(privateInfo, 'pp_currency');
+  if (currency) {
+    metadata.PricePaidCurrency = currency;
+  }
+  const rating = getAttribute(ratingNode, 'value');
+  if (rating && rating !== 'N/A') {
+    metadata.Rating = rating;
+  }
+  const comment = getChildText(item, 'comment');
+  if (comment) {
+    metadata.PublicComment = comment;
+  }
+
+  return {
+    uuid: `bgg-collection-${getAttribute(item, 'collid')}`,
+    versionName: null,
+    statusOwned: getAttribute(status, 'own') === '1',
+    metaData: JSON.stringify(metadata),
+  };
+}
+
+/**
+ * Adds games and copies from a BGG collection XML dump to the games map.
+ * Each collection item becomes one copy; repeated items for the same object
+ * (multiple copies) are merged into a single game.
+ * @param {string} collectionXml - BGG collection XML (xmlapi2/collection)
+ * @param {Map<number, Object>} gamesMap - Map of BGG ID to game (mutated)
+ */
+function addCollectionGames(collectionXml, gamesMap) {
+  const root = parseXml(collectionXml);
+
+  findChildren(root, 'item').forEach(item => {
+    if (getAttribute(item, 'objecttype') !== 'thing') return;
+
+    const bggId = parseInt(getAttribute(item, 'objectid'), 10);
+    if (!gamesMap.has(bggId)) {
+      gamesMap.set(bggId, createGame(bggId, getChildText(item, 'name')));
+    }
+    const game = gamesMap.get(bggId);
+
+    const year = parseInt(getChildText(item, 'yearpublished'), 10);
+    if (!isNaN(year) && year > 0) {
+      game.bggYear = year;
+    }
+    game.urlThumb = game.urlThumb || getChildText(item, 'thumbnail');
+    game.urlImage = game.urlImage || getChildText(item, 'image');
+    if (getAttribute(item, 'subtype') === BGG_EXPANSION_SUBTYPE) {
+      markAsExpansion(game);
+    }
+
+    game.copies.push(convertCollectionItem(item));
+  });
+}
+
+/**
+ * Builds a stable identity key for a BGG play participant.
+ * Registered users are keyed by username; everyone else by name.
+ * @param {Object} player - <player> element from the plays XML
+ * @returns {string} Identity key
+ */
+function getPlayerKey(player) {
+  const username = getAttribute(player, 'username');
+  if (username) return `user:${username.toLowerCase()}`;
+  const name = getAttribute(player, 'name') || BGG_ANONYMOUS_PLAYER_NAME;
+  if (name === BGG_ANONYMOUS_PLAYER_NAME) return 'anonymous';
+  return `name:${name}`;
+}
+
+/**
+ * Converts BGG plays XML into BG Stats plays, registering any games, players
+ * and locations encountered along the way.
+ * BGG logs repeated plays as a single entry with a quantity; each is emitted
+ * as its own play with the logged length split evenly. BGG records no time of
+ * day, so every play is timestamped at midnight.
+ * @param {string} playsXml - BGG plays XML (xmlapi2/plays)
+ * @param {Map<number, Object>} gamesMap - Map of BGG ID to game (mutated)
+ * @returns {Object} { plays, players, locations, meRefId }
+ */
+function convertPlays(playsXml, gamesMap) {
+  const root = parseXml(playsXml);
+  const selfUsername = getAttribute(root, 'username');
+  const selfKey = selfUsername ? `user:${selfUsername.toLowerCase()}` : null;
+
+  const players = [];
+  const playerIdsByKey = new Map();
+  const locations = [];
+  const locationIdsByName = new Map();
+
+  // Helper to look up (or assign) a sequential player ID
+  function getPlayerId(key, name) {
+    if (!playerIdsByKey.has(key)) {
+      const id = players.length + 1;
+      playerIdsByKey.set(key, id);
+      players.push({ id: id, name: name, isAnonymous: key === 'anonymous' });
+    }
+    return playerIdsByKey.get(key);
+  }
+
+  // Helper to look up (or assign) a sequential location ID
+  function getLocationId(name) {
+    if (!locationIdsByName.has(name)) {
+      const id = locations.length + 1;
+      locationIdsByName.set(name, id);
+      locations.push({ id: id, name: name });
+    }
+    return locationIdsByName.get(name);
+  }
+
+  // The exporting user is always player 1, even if they never appear in a play
+  const meRefId = getPlayerId(selfKey || 'self', selfUsername || 'Me');
+
+  const plays = [];
+  findChildren(root, 'play').forEach(play => {
+    const item = findChild(play, 'item');
+    if (!item || getAttribute(item, 'objecttype') !== 'thing') return;
+
+    const bggId = parseInt(getAttribute(item, 'objectid'), 10);
+    if (!gamesMap.has(bggId)) {
+      gamesMap.set(bggId, createGame(bggId, getAttribute(item, 'name')));
+    }
+    const subtypesNode = findChild(item, 'subtypes');
+    const subtypes = (subtypesNode ? findChildren(subtypesNode, 'subtype') : [])
+      .map(subtype => getAttribute(subtype, 'value'));
+    if (subtypes.includes(BGG_EXPANSION_SUBTYPE)) {
+      markAsExpansion(gamesMap.get(bggId));
+    }
+
+    const locationName = getAttribute(play, 'location');
+    const locationRefId = locationName ? getLocationId(locationName) : null;
+
+    const playersNode = findChild(play, 'players');
+    const playerScores = (playersNode ? findChildren(playersNode, 'player') : []).map(player => {
+      const key = getPlayerKey(player);
+      const name = getAttribute(player, 'name') || getAttribute(player, 'username') || BGG_ANONYMOUS_PLAYER_NAME;
+      let playerRefId;
+      if (key === selfKey) {
+        // Prefer the display name logged in plays over the bare username
+        players[meRefId - 1].name = name;
+        playerRefId = meRefId;
+      } else {
+        playerRefId = getPlayerId(key, name);
+      }
+      return {
+        playerRefId: playerRefId,
+        score: getAttribute(player, 'score') || '',
+        winner: getAttribute(player, 'win') === '1',
+        startPlayer: getAttribute(player, 'startposition') === '1',
+      };
+    });
+
+    const quantity = Math.max(parseInt(getAttribute(play, 'quantity'), 10) || 1, 1);
+    const length = parseInt(getAttribute(play, 'length'), 10) || 0;
+    const durationMin = Math.round(length / quantity);
+
+    for (let i = 0; i < quantity; i++) {
+      plays.push({
+        gameRefId: bggId,
+        playDate: `${getAttribute(play, 'date')} 00:00:00`,
+        durationMin: durationMin,
+        locationRefId: locationRefId,
+        playerScores: playerScores,
+        expansionPlays: [],
+      });
+    }
+  });
+
+  return { plays, players, locations, meRefId };
+}
+
+/**
+ * Converts BGG plays and collection XML dumps into the BG Stats export shape,
+ * so they can be fed through processData unchanged. Game IDs are BGG object IDs.
+ * Either dump may be omitted (null).
+ * @param {string|null} playsXml - BGG plays XML (xmlapi2/plays)
+ * @param {string|null} collectionXml - BGG collection XML (xmlapi2/collection)
+ * @returns {Object} Data in BG Stats export shape
+ */
+function convertBggXml(playsXml, collectionXml) {
+  const gamesMap = new Map();
+
+  if (collectionXml) {
+    addCollectionGames(collectionXml, gamesMap);
+  }
+
+  const { plays, players, locations, meRefId } = playsXml
+    ? convertPlays(playsXml, gamesMap)
+    : { plays: [], players: [{ id: 1, name: 'Me', isAnonymous: false }], locations: [], meRefId: 1 };
+
+  return {
+    userInfo: { meRefId: meRefId },
+    tags: [],
+    players: players,
+    locations: locations,
+    games: Array.from(gamesMap.values()),
+    plays: plays,
+  };
+}
+
+/**
+ * Reads BGG plays and collection XML dumps from disk and converts them.
+ * @param {Object} options - Importer options
+ * @param {string|null} options.bggPlaysFile - Path to the BGG plays XML dump
+ * @param {string|null} options.bggCollectionFile - Path to the BGG collection XML dump
+ * @returns {Object} Data in BG Stats export shape
+ */
+function loadBggXmlExport({ bggPlaysFile = null, bggCollectionFile = null }) {
+  if (!bggPlaysFile && !bggCollectionFile) {
+    throw new Error('The bgg-xml source needs --bgg-plays and/or --bgg-collection');
+  }
+  const playsXml = bggPlaysFile ? fs.readFileSync(bggPlaysFile, 'utf-8') : null;
+  const collectionXml = bggCollectionFile ? fs.readFileSync(bggCollectionFile, 'utf-8') : null;
+  return convertBggXml(playsXml, collectionXml);
+}
+
+export { convertBggXml, loadBggXmlExport };
@@ -0,0 +1,14 @@
+import fs from 'fs';
+
+/**
+ * Reads a BG Stats app export (BGStatsExport.json) from disk.
+ * The export is already in the shape processData expects, so no conversion is needed.
+ * @param {Object} options - Importer options
+ * @param {string} options.bgStatsFile - Path to BGStatsExport.json
+ * @returns {Object} Data in BG Stats export shape
+ */
+function loadBgStatsExport({ bgStatsFile }) {
+  return JSON.parse(fs.readFileSync(bgStatsFile, 'utf-8'));
+}
+
+export { loadBgStatsExport };
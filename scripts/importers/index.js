@@ -0,0 +1,40 @@
+import { loadBgStatsExport } from './bgstats-json.js';
+import { loadBggXmlExport } from './bgg-xml.js';
+
+/**
+ * Enum of supported import sources (values match the --source CLI flag).
+ * @readonly
+ * @enum {string}
+ */
+const ImportSource = {
+  BG_STATS: 'bgstats',
+  BGG_XML: 'bgg-xml',
+};
+
+/**
+ * Importers keyed by source. Each importer reads its files from disk and
+ * returns data in the BG Stats export shape, which processData consumes.
+ * To add a source, add an ImportSource value and a loader here.
+ * @constant {Object<string, Function>}
+ */
+const IMPORTERS = {
+  [ImportSource.BG_STATS]: loadBgStatsExport,
+  [ImportSource.BGG_XML]: loadBggXmlExport,
+};
+
+/**
+ * Loads source data with the importer registered for the given source.
+ * @param {string} source - One of the ImportSource values
+ * @param {Object} options - Importer options (file paths)
+ * @returns {Object} Data in BG Stats export shape
+ * @throws {Error} If the source is not registered
+ */
+function importSource(source, options) {
+  const importer = IMPORTERS[source];
+  if (!importer) {
+    throw new Error(`Unknown import source "${source}". Expected one of: ${Object.values(ImportSource).join(', ')}`);
+  }
+  return importer(options);
+}
+
+export { ImportSource, importSource };
@@ -0,0 +1,120 @@
+/**
+ * Minimal XML parser for BGG XML API dumps.
+ * Supports elements, attributes, text, CDATA, comments and the standard/numeric
+ * character entities. It is not a general-purpose XML parser (no DTDs or namespaces).
+ */
+
+/**
+ * Named character entities defined by XML.
+ * @constant {Object<string, string>}
+ */
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Decodes XML character entities (named and numeric) in a string.
+ * Unknown entities are left as-is.
+ * @param {string} text - Raw XML text or attribute value
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity.startsWith('#x')) {
+      return String.fromCodePoint(parseInt(entity.slice(2), 16));
+    }
+    if (entity.startsWith('#')) {
+      return String.fromCodePoint(parseInt(entity.slice(1), 10));
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Parses the attributes portion of a start tag.
+ * @param {string} source - Attribute source (everything after the tag name)
+ * @returns {Object<string, string>} Map of attribute name to decoded value
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+/**
+ * Parses an XML document into a tree of element nodes.
+ * Each node is { name, attributes, children, text }, where text is the
+ * concatenated, trimmed character data directly inside the element.
+ * @param {string} xml - XML document text
+ * @returns {Object} Root element node
+ * @throws {Error} If the document is malformed (unclosed or mismatched tags, no root)
+ */
+function parseXml(xml) {
+  const root = { name: null, attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(xml)) !== null) {
+    const current = stack[stack.length - 1];
+    const [, cdata, closeName, openName, attributeSource, selfClosing, text] = match;
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closeName !== undefined) {
+      if (current.name !== closeName) {
+        throw new Error(`Mismatched closing tag </${closeName}> (expected </${current.name}>)`);
+      }
+      current.text = current.text.trim();
+      stack.pop();
+    } else if (openName !== undefined) {
+      const node = { name: openName, attributes: parseAttributes(attributeSource), children: [], text: '' };
+      current.children.push(node);
+      if (!selfClosing) {
+        stack.push(node);
+      }
+    } else if (text !== undefined) {
+      current.text += decodeEntities(text);
+    }
+    // Comments, processing instructions and doctypes are ignored
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+  if (root.children.length === 0) {
+    throw new Error('XML document has no root element');
+  }
+
+  return root.children[0];
+}
+
+/**
+ * Finds the first direct child element with the given name.
+ * @param {Object} node - Parent element node
+ * @param {string} name - Child element name
+ * @returns {Object|undefined} Child element node, or undefined if not found
+ */
+function findChild(node, name) {
+  return node.children.find(child => child.name === name);
+}
+
+/**
+ * Finds all direct child elements with the given name.
+ * @param {Object} node - Parent element node
+ * @param {string} name - Child element name
+ * @returns {Array} Array of child element nodes
+ */
+function findChildren(node, name) {
+  return node.children.filter(child => child.name === name);
+}
+
+export { parseXml, findChild, findChildren, decodeEntities };
@@ -0,0 +1,214 @@
+/**
+ * Default tolerance (in minutes) when comparing durations of two plays that
+ * might be the same session logged by different household members.
+ * @constant {number}
+ */
+const DEFAULT_DURATION_TOLERANCE_MIN = 15;
+
+/**
+ * Normalizes a name for matching (trimmed, case-insensitive).
+ * @param {string} name - Name to normalize
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return (name || '').trim().toLowerCase();
+}
+
+/**
+ * Merges one export's entities (players, locations, tags, games) into the merged list.
+ * Entities are matched against those merged from earlier exports by any shared key
+ * (UUID first, then a natural key such as name). Entities within the same export are
+ * never matched to each other. Unmatched entities keep their ID when it is free,
+ * otherwise they get the next unused ID.
+ * @param {Array} merged - Merged entities so far (mutated)
+ * @param {Array} entities - Entities from the export being merged
+ * @param {Function} getMatchKeys - (entity) => Array of match keys (falsy keys ignored)
+ * @param {Function} [onMatch] - (mergedEntity, entity) => void, called when an entity matches
+ * @returns {Map<number, number>} Map of the export's entity ID to merged entity ID
+ */
+function mergeEntities(merged, entities, getMatchKeys, onMatch = () => {}) {
+  const idMap = new Map();
+
+  // Index entities merged from earlier exports by every match key
+  const byKey = new Map();
+  merged.forEach(entity => {
+    getMatchKeys(entity).filter(Boolean).forEach(key => byKey.set(key, entity));
+  });
+  const usedIds = new Set(merged.map(entity => entity.id));
+
+  entities.forEach(entity => {
+    const match = getMatchKeys(entity).filter(Boolean).map(key => byKey.get(key)).find(Boolean);
+    if (match) {
+      idMap.set(entity.id, match.id);
+      onMatch(match, entity);
+      return;
+    }
+
+    const id = usedIds.has(entity.id) ? Math.max(...usedIds) + 1 : entity.id;
+    usedIds.add(id);
+    merged.push({ ...entity, id: id });
+    idMap.set(entity.id, id);
+  });
+
+  return idMap;
+}
+
+/**
+ * Returns the player IDs participating in a play.
+ * @param {Object} play - Play object in BG Stats export shape
+ * @returns {Array<number>} Player IDs
+ */
+function getPlayerRefIds(play) {
+  return (play.playerScores || []).map(ps => ps.playerRefId);
+}
+
+/**
+ * Determines whether two plays (from different exports, IDs already reconciled)
+ * are the same session. Shared plays keep their UUID across databases; otherwise
+ * plays match on game, date, overlapping player set and similar duration.
+ * A missing (zero) duration is treated as similar to any duration.
+ * @param {Object} a - Merged play
+ * @param {Object} b - Candidate play from a later export
+ * @param {number} durationToleranceMin - Maximum duration difference in minutes
+ * @returns {boolean} True if the plays are duplicates
+ */
+function isDuplicatePlay(a, b, durationToleranceMin) {
+  if (a.uuid && a.uuid === b.uuid) return true;
+  if (a.gameRefId !== b.gameRefId) return false;
+  if (a.playDate.split(' ')[0] !== b.playDate.split(' ')[0]) return false;
+
+  const aPlayers = new Set(getPlayerRefIds(a));
+  const bPlayers = getPlayerRefIds(b);
+  const playersOverlap = aPlayers.size === 0 && bPlayers.length === 0
+    || bPlayers.some(id => aPlayers.has(id));
+  if (!playersOverlap) return false;
+
+  const aDuration = a.durationMin || 0;
+  const bDuration = b.durationMin || 0;
+  return aDuration === 0 || bDuration === 0 || Math.abs(aDuration - bDuration) <= durationToleranceMin;
+}
+
+/**
+ * Folds a duplicate play into the merged play it matched: records the additional
+ * logger, adds any players or expansions only the duplicate recorded, and fills in
+ * a missing duration.
+ * @param {Object} merged - Merged play (mutated)
+ * @param {Object} duplicate - Duplicate play (IDs already reconciled)
+ * @param {number} loggedBy - Merged player ID of the duplicate's logger
+ */
+function foldDuplicatePlay(merged, duplicate, loggedBy) {
+  if (!merged.loggedBy.includes(loggedBy)) {
+    merged.loggedBy = [...merged.loggedBy, loggedBy];
+  }
+
+  const knownPlayers = new Set(getPlayerRefIds(merged));
+  const extraScores = (duplicate.playerScores || []).filter(ps => !knownPlayers.has(ps.playerRefId));
+  if (extraScores.length > 0) {
+    merged.playerScores = [...(merged.playerScores || []), ...extraScores];
+  }
+
+  const knownExpansions = new Set((merged.expansionPlays || []).map(ep => ep.gameRefId));
+  const extraExpansions = (duplicate.expansionPlays || []).filter(ep => !knownExpansions.has(ep.gameRefId));
+  if (extraExpansions.length > 0) {
+    merged.expansionPlays = [...(merged.expansionPlays || []), ...extraExpansions];
+  }
+
+  if (!merged.durationMin && duplicate.durationMin) {
+    merged.durationMin = duplicate.durationMin;
+  }
+}
+
+/**
+ * Merges several BG Stats exports (e.g. one per household member) into a single
+ * export. The first export is the primary one: its owner stays the self player and
+ * its IDs are preserved. Players, locations, tags and games from later exports are
+ * reconciled by UUID or name (games also by BGG ID), copies of the same game are
+ * combined, and plays logged in more than one export are deduplicated.
+ * Every play gets a `loggedBy` array of the merged player IDs of the export owners
+ * whose databases contained it.
+ * @param {Array} exports - BG Stats exports, primary first
+ * @param {Object} [options] - Merge options
+ * @param {number} [options.durationToleranceMin] - Max duration difference for duplicate plays
+ * @returns {Object} Merged data in BG Stats export shape
+ */
+function mergeExports(exports, { durationToleranceMin = DEFAULT_DURATION_TOLERANCE_MIN } = {}) {
+  const players = [];
+  const locations = [];
+  const tags = [];
+  const games = [];
+  const plays = [];
+  let meRefId = null;
+
+  exports.forEach((data, exportIndex) => {
+    // Reconcile players, locations and tags
+    const playerIds = mergeEntities(players, data.players, player => [
+      player.uuid && `uuid:${player.uuid}`,
+      player.isAnonymous ? 'anonymous' : `name:${normalizeName(player.name)}`,
+    ]);
+    const locationIds = mergeEntities(locations, data.locations, location => [
+      location.uuid && `uuid:${location.uuid}`,
+      `name:${normalizeName(location.name)}`,
+    ]);
+    const tagIds = mergeEntities(tags, data.tags, tag => [
+      tag.uuid && `uuid:${tag.uuid}`,
+      `name:${tag.type}:${normalizeName(tag.name)}`,
+    ]);
+
+    // Reconcile games, combining copies and tags of matched games
+    const remappedGames = data.games.map(game => ({
+      ...game,
+      tags: (game.tags || []).map(tag => ({ ...tag, tagRefId: tagIds.get(tag.tagRefId) ?? tag.tagRefId })),
+    }));
+    const gameIds = mergeEntities(games, remappedGames, game => [
+      game.uuid && `uuid:${game.uuid}`,
+      game.bggId ? `bgg:${game.bggId}` : `name:${normalizeName(game.name)}`,
+    ], (merged, game) => {
+      const knownCopies = new Set((merged.copies || []).map(copy => copy.uuid));
+      const extraCopies = (game.copies || []).filter(copy => !copy.uuid || !knownCopies.has(copy.uuid));
+      merged.copies = [...(merged.copies || []), ...extraCopies];
+
+      const knownTags = new Set(merged.tags.map(tag => tag.tagRefId));
+      merged.tags = [...merged.tags, ...game.tags.filter(tag => !knownTags.has(tag.tagRefId))];
+    });
+
+    const loggedBy = playerIds.get(data.userInfo.meRefId);
+    if (exportIndex === 0) {
+      meRefId = loggedBy;
+    }
+
+    // Remap plays and fold in duplicates of plays from earlier exports
+    const earlierPlays = plays.slice();
+    const matchedPlays = new Set();
+    data.plays.forEach(play => {
+      const remapped = {
+        ...play,
+        gameRefId: gameIds.get(play.gameRefId) ?? play.gameRefId,
+        locationRefId: locationIds.get(play.locationRefId) ?? play.locationRefId,
+        playerScores: (play.playerScores || []).map(ps => ({ ...ps, playerRefId: playerIds.get(ps.playerRefId) ?? ps.playerRefId })),
+        expansionPlays: (play.expansionPlays || []).map(ep => ({ ...ep, gameRefId: gameIds.get(ep.gameRefId) ?? ep.gameRefId })),
+        loggedBy: [loggedBy],
+      };
+
+      const duplicate = earlierPlays.find(existing =>
+        !matchedPlays.has(existing) && isDuplicatePlay(existing, remapped, durationToleranceMin)
+      );
+      if (duplicate) {
+        matchedPlays.add(duplicate);
+        foldDuplicatePlay(duplicate, remapped, loggedBy);
+      } else {
+        plays.push(remapped);
+      }
+    });
+  });
+
+  return {
+    userInfo: { meRefId: meRefId },
+    tags: tags,
+    players: players,
+    locations: locations,
+    games: games,
+    plays: plays,
+  };
+}
+
+export { mergeExports };
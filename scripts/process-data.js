@@ -2,6 +2,13 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { processData } from './transform-game-data.js';
+import { resolveConfig } from '../config.js';
+import { ImportSource, importSource } from './importers/index.js';
+import { mergeExports } from './merge-exports.js';
+import { validateExchangeRates } from './currency-converter.js';
+import { validateCopyOverrides } from './copy-overrides.js';
+import { diffData, formatChangeReport } from './change-report.js';
+import { validateSource, validateOutput, formatValidationReport } from './validate-data.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,26 +17,121 @@ const __dirname = path.dirname(__filename);
 const BG_STATS_FILE = path.join(__dirname, '..', 'BGStatsExport.json');
 const OUTPUT_FILE = path.join(__dirname, '..', 'data.json');
 const BGG_CACHE_FILE = path.join(__dirname, '..', 'bgg-base-game-cache.json');
+const BGG_THING_CACHE_FILE = path.join(__dirname, '..', 'bgg-thing-cache.json');
+const CHANGES_FILE = path.join(__dirname, '..', 'changes.json');
+const CONFIG_FILE = path.join(__dirname, '..', 'stats.config.json');
+const EXCHANGE_RATES_FILE = path.join(__dirname, '..', 'exchange-rates.json');
+const COPY_OVERRIDES_FILE = path.join(__dirname, '..', 'copy-overrides.json');
 
 // CLI args
+function getArgValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : null;
+}
+
+function getArgValues(name) {
+  return process.argv
+    .map((arg, index) => (arg === name ? process.argv[index + 1] : null))
+    .filter(Boolean);
+}
+
 const forceRefreshBggCache = process.argv.includes('--force-refresh-bgg-cache');
+const source = getArgValue('--source') || ImportSource.BG_STATS;
+const bggPlaysFile = getArgValue('--bgg-plays');
+const bggCollectionFile = getArgValue('--bgg-collection');
+const mergeFiles = getArgValues('--merge');
+const bggThingXmlDir = getArgValue('--bgg-thing-xml-dir');
+const writeChanges = process.argv.includes('--write-changes');
+const strict = process.argv.includes('--strict');
 
 console.log('Starting data preprocessing...');
 if (forceRefreshBggCache) {
   console.log('Force refreshing BGG cache...');
 }
 
-// Read BG Stats JSON
-console.log('Reading BGStatsExport.json...');
-const bgStatsData = JSON.parse(fs.readFileSync(BG_STATS_FILE, 'utf-8'));
+// Read config (defaults apply to missing keys, or everything if there is no file)
+let config = resolveConfig(null);
+if (fs.existsSync(CONFIG_FILE)) {
+  console.log('Reading stats.config.json...');
+  try {
+    config = resolveConfig(JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8')));
+  } catch (e) {
+    console.error(`Error in stats.config.json: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+// Read historical exchange rates (without them, only base currency prices are usable)
+let exchangeRates = null;
+if (fs.existsSync(EXCHANGE_RATES_FILE)) {
+  console.log('Reading exchange-rates.json...');
+  try {
+    exchangeRates = JSON.parse(fs.readFileSync(EXCHANGE_RATES_FILE, 'utf-8'));
+    validateExchangeRates(exchangeRates);
+  } catch (e) {
+    console.error(`Error in exchange-rates.json: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+// Read copy disposal overrides (fill in sale details missing from BG Stats)
+let copyOverrides = null;
+if (fs.existsSync(COPY_OVERRIDES_FILE)) {
+  console.log('Reading copy-overrides.json...');
+  try {
+    copyOverrides = JSON.parse(fs.readFileSync(COPY_OVERRIDES_FILE, 'utf-8'));
+    validateCopyOverrides(copyOverrides);
+  } catch (e) {
+    console.error(`Error in copy-overrides.json: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+// Read source data
+console.log(`Reading ${source} source data...`);
+let bgStatsData = importSource(source, {
+  bgStatsFile: BG_STATS_FILE,
+  bggPlaysFile: bggPlaysFile && path.resolve(bggPlaysFile),
+  bggCollectionFile: bggCollectionFile && path.resolve(bggCollectionFile),
+});
+
+// Merge in other household members' BG Stats exports
+if (mergeFiles.length > 0) {
+  console.log(`Merging ${mergeFiles.length} additional export${mergeFiles.length === 1 ? '' : 's'}...`);
+  const otherExports = mergeFiles.map(file => importSource(ImportSource.BG_STATS, { bgStatsFile: path.resolve(file) }));
+  bgStatsData = mergeExports([bgStatsData, ...otherExports]);
+}
 
 // Process data
 console.log('Processing data...');
 const outputData = await processData(bgStatsData, {
   bggCachePath: BGG_CACHE_FILE,
   forceRefreshBggCache,
+  bggThingCachePath: BGG_THING_CACHE_FILE,
+  bggThingXmlDir: bggThingXmlDir && path.resolve(bggThingXmlDir),
+  config,
+  exchangeRates,
+  copyOverrides,
 });
 
+// Validate source and output; in strict mode any issue aborts before writing
+const validationIssues = [...validateSource(bgStatsData), ...validateOutput(outputData)];
+console.log(`\n${formatValidationReport(validationIssues)}\n`);
+if (strict && validationIssues.length > 0) {
+  console.error('Strict mode: not writing data.json');
+  process.exit(1);
+}
+
+// Load the previous data.json (if any) before overwriting it, for the change report
+let previousData = null;
+if (fs.existsSync(OUTPUT_FILE)) {
+  try {
+    previousData = JSON.parse(fs.readFileSync(OUTPUT_FILE, 'utf-8'));
+  } catch (e) {
+    console.warn('Warning: Previous data.json could not be read; skipping change report');
+  }
+}
+
 // Write output file
 console.log('Writing data.json...');
 fs.writeFileSync(OUTPUT_FILE, JSON.stringify(outputData, null, 2));
@@ -52,6 +154,9 @@ console.log('\n=== Processing Complete ===');
 console.log(`Total games: ${games.length}`);
 console.log(`Games currently owned: ${games.filter(isGameOwned).length}`);
 console.log(`Total plays: ${plays.length}`);
+if (mergeFiles.length > 0) {
+  console.log(`  - Logged by more than one export: ${plays.filter(p => p.loggedBy.length > 1).length}`);
+}
 console.log(`Base games: ${games.filter(g => g.isBaseGame).length}`);
 console.log(`  - Owned: ${games.filter(g => g.isBaseGame && isGameOwned(g)).length}`);
 console.log(`Expandalones: ${games.filter(g => g.isExpandalone).length}`);
@@ -59,6 +164,18 @@ console.log(`  - Owned: ${games.filter(g => g.isExpandalone && isGameOwned(g)).l
 console.log(`Expansions: ${games.filter(g => g.isExpansion).length}`);
 console.log(`  - Owned: ${games.filter(g => g.isExpansion && isGameOwned(g)).length}`);
 console.log(`Games with unknown acquisition date: ${games.filter(hasUnknownAcquisitionDate).length}`);
+console.log(`Copies sold or traded away: ${games.flatMap(g => g.copies).filter(c => c.disposalDate !== null).length}`);
 const withExpansions = games.filter(g => g.expansionIds !== null && g.expansionIds.length > 0);
 console.log(`Base games with linked expansions: ${withExpansions.length}`);
+console.log(`Games with BGG metadata: ${games.filter(g => g.bggMetadata !== null).length}`);
 console.log(`\nOutput written to: ${OUTPUT_FILE}`);
+
+// Print the change report against the previous run
+if (previousData) {
+  const changes = diffData(previousData, outputData);
+  console.log(`\n${formatChangeReport(changes, previousData, outputData)}`);
+  if (writeChanges) {
+    fs.writeFileSync(CHANGES_FILE, JSON.stringify(changes, null, 2) + '\n');
+    console.log(`\nChanges written to: ${CHANGES_FILE}`);
+  }
+}
@@ -0,0 +1,386 @@
+import path from 'path';
+import {
+  Metric,
+  getTotalGamesOwned,
+  getTotalPlays,
+  getTotalDaysPlayed,
+  getTotalGamesPlayed,
+  getTotalPlayTime,
+  getPlayTimeByGame,
+  getDaysPlayedByGame,
+  getTopGamesByMetric,
+  getAvailableYears,
+  calculateHourHIndex,
+  calculatePlaySessionHIndex,
+  calculateTraditionalHIndex,
+  calculateAllTimeHIndexThroughYear,
+  calculateHIndexIncrease,
+  getTimeAndActivityStats,
+  getMostConsistentGame,
+  getGameRankings,
+} from '../stats.js';
+import { escapeHtml, formatDurationHM, formatDateWithYear } from '../formatting.js';
+
+/**
+ * Title of the site, used in page titles and Open Graph tags.
+ * @constant {string}
+ */
+const SITE_TITLE = 'My Board Game Stats';
+
+/**
+ * Number of games listed in the top games tables.
+ * @constant {number}
+ */
+const TOP_GAMES_LIMIT = 10;
+
+/**
+ * Escapes text for use inside a double-quoted HTML attribute.
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeAttribute(value) {
+  return escapeHtml(String(value)).replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a count with its noun, pluralised unless the count is 1.
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @returns {string} Text such as "1 play" or "3 plays"
+ */
+function countLabel(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Resolves the folder the site is written to. The build empties it first, so
+ * only dist/ or a folder inside it is accepted: a stray --out such as `.`,
+ * `..` or `~` would otherwise delete the project or the home directory.
+ * @param {string|null} out - --out value, relative to the working directory
+ * @param {string} rootDir - Project root
+ * @returns {string} Absolute output folder
+ */
+function resolveOutputDir(out, rootDir) {
+  const distDir = path.join(rootDir, 'dist');
+  const outputDir = path.resolve(out || distDir);
+  const relative = path.relative(distDir, outputDir);
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new Error(`--out must be dist/ or a folder inside it, got ${outputDir}`);
+  }
+  return outputDir;
+}
+
+/**
+ * Returns the output path of a year's Year in Review page.
+ * @param {number} year - Year
+ * @returns {string} Path relative to the site root
+ */
+function getYearPagePath(year) {
+  return `years/${year}.html`;
+}
+
+/**
+ * Returns the output path of a game's page.
+ * @param {Object} game - Game object
+ * @returns {string} Path relative to the site root
+ */
+function getGamePagePath(game) {
+  return `games/${game.id}.html`;
+}
+
+/**
+ * Renders a complete HTML page with title, description and Open Graph tags.
+ * Stylesheet and links are relative, so the site works from any folder.
+ * @param {Object} page - Page to render
+ * @param {string} page.path - Output path relative to the site root
+ * @param {string} page.title - Page title (without the site title)
+ * @param {string} page.description - One-line summary for link previews
+ * @param {string} page.body - Inner HTML of <main>
+ * @param {string|null} page.image - Preview image URL (optional)
+ * @param {string|null} siteUrl - Absolute URL the site is published at (optional)
+ * @returns {string} HTML document
+ */
+function renderPage({ path, title, description, body, image = null }, siteUrl = null) {
+  const root = '../'.repeat(path.split('/').length - 1);
+  const fullTitle = title === SITE_TITLE ? title : `${title} - ${SITE_TITLE}`;
+  const metaTags = [
+    `<meta name="description" content="${escapeAttribute(description)}">`,
+    `<meta property="og:site_name" content="${escapeAttribute(SITE_TITLE)}">`,
+    `<meta property="og:type" content="website">`,
+    `<meta property="og:title" content="${escapeAttribute(title)}">`,
+    `<meta property="og:description" content="${escapeAttribute(description)}">`,
+  ];
+  if (siteUrl) {
+    metaTags.push(`<meta property="og:url" content="${escapeAttribute(`${siteUrl.replace(/\/$/, '')}/${path}`)}">`);
+  }
+  if (image) {
+    metaTags.push(`<meta property="og:image" content="${escapeAttribute(image)}">`);
+  }
+  metaTags.push(`<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(fullTitle)}</title>
+    ${metaTags.join('\n    ')}
+    <link rel="icon" type="image/svg+xml" href="${root}favicon.svg">
+    <link rel="stylesheet" href="${root}styles.css">
+</head>
+<body>
+    <header>
+        <div class="header-title-row">
+            <h1><a href="${root}index.html">${escapeHtml(SITE_TITLE)}</a></h1>
+        </div>
+    </header>
+    <main>
+${body}
+    </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a dashboard widget with a title, value and optional description.
+ * @param {string} title - Widget title
+ * @param {string|number} value - Main value
+ * @param {string} description - Optional description line
+ * @returns {string} HTML
+ */
+function renderWidget(title, value, description = '') {
+  return `<article class="widget widget--1x1">
+    <div class="widget__title"><span class="stat-label">${escapeHtml(title)}</span></div>
+    <div class="widget__value">${value}</div>
+    ${description ? `<div class="widget__description">${description}</div>` : ''}
+</article>`;
+}
+
+/**
+ * Renders a link to a game's page.
+ * @param {Object} game - Game object
+ * @param {string} root - Relative path from the current page to the site root
+ * @returns {string} HTML
+ */
+function renderGameLink(game, root) {
+  return `<a href="${root}${getGamePagePath(game)}">${escapeHtml(game.name)}</a>`;
+}
+
+/**
+ * Renders a table of top games by hours, sessions and plays.
+ * @param {Array} topGames - Entries from getTopGamesByMetric
+ * @param {string} root - Relative path from the current page to the site root
+ * @returns {string} HTML
+ */
+function renderTopGamesTable(topGames, root) {
+  const rows = topGames.map((entry, index) => `<tr>
+        <td>${index + 1}</td>
+        <td>${renderGameLink(entry.game, root)}</td>
+        <td>${formatDurationHM(entry.hours)}</td>
+        <td>${entry.sessions}</td>
+        <td>${entry.plays}</td>
+    </tr>`).join('\n    ');
+
+  return `<table>
+    <thead><tr><th>Rank</th><th>Game</th><th>Hours</th><th>Sessions</th><th>Plays</th></tr></thead>
+    <tbody>
+    ${rows}
+    </tbody>
+</table>`;
+}
+
+/**
+ * Renders the main dashboard page (all-time stats).
+ * @param {Object} data - Processed data (data.json)
+ * @param {Array<number>} years - Years with plays, most recent first
+ * @returns {Object} Page ({ path, title, description, body })
+ */
+function renderDashboardPage(data, years) {
+  const { games, plays } = data;
+  const totalMinutes = getTotalPlayTime(plays).totalMinutes;
+  const gamesPlayed = getTotalGamesPlayed(games, plays).total;
+  const hourHIndex = calculateHourHIndex(plays);
+  const topGames = getTopGamesByMetric(games, plays, null, Metric.HOURS, TOP_GAMES_LIMIT);
+
+  const yearLinks = years
+    .map(year => `<li><a href="${getYearPagePath(year)}">${year} Year in Review</a></li>`)
+    .join('\n        ');
+
+  const body = `<div class="dashboard-grid">
+    <div class="widget-group-label">Index Metrics</div>
+    ${renderWidget('H-Index', hourHIndex, 'Games ranked by total hours')}
+    ${renderWidget('Session H-Index', calculatePlaySessionHIndex(games, plays), 'Games ranked by days played')}
+    ${renderWidget('Play H-Index', calculateTraditionalHIndex(games, plays), 'Games ranked by plays')}
+    <div class="widget-group-label">Play Statistics</div>
+    ${renderWidget('Games Owned', getTotalGamesOwned(games), 'Base games only')}
+    ${renderWidget('Games Played', gamesPlayed)}
+    ${renderWidget('Total Plays', getTotalPlays(plays))}
+    ${renderWidget('Days Played', getTotalDaysPlayed(plays))}
+    ${renderWidget('Total Hours', formatDurationHM(totalMinutes))}
+</div>
+<section>
+    <h2>Top ${TOP_GAMES_LIMIT} Games</h2>
+    ${renderTopGamesTable(topGames, '')}
+</section>
+<section>
+    <h2>Year in Review</h2>
+    <ul>
+        ${yearLinks}
+    </ul>
+</section>`;
+
+  return {
+    path: 'index.html',
+    title: SITE_TITLE,
+    description: `${countLabel(getTotalPlays(plays), 'play')} of ${countLabel(gamesPlayed, 'game')} over ${countLabel(Math.round(totalMinutes / 60), 'hour')}. H-index ${hourHIndex}.`,
+    body,
+  };
+}
+
+/**
+ * Renders a year's Year in Review page.
+ * @param {Object} data - Processed data (data.json)
+ * @param {number} year - Year
+ * @returns {Object} Page ({ path, title, description, body })
+ */
+function renderYearPage(data, year) {
+  const { games, plays } = data;
+  const path = getYearPagePath(year);
+  const totalPlays = getTotalPlays(plays, year);
+  const totalMinutes = getTotalPlayTime(plays, year).totalMinutes;
+  const gamesPlayed = getTotalGamesPlayed(games, plays, year);
+  const activity = getTimeAndActivityStats(plays, year);
+  const mostConsistent = getMostConsistentGame(games, plays, year);
+  const topGames = getTopGamesByMetric(games, plays, year, Metric.HOURS, TOP_GAMES_LIMIT);
+
+  const hIndexWidget = (title, metric) => {
+    const increase = calculateHIndexIncrease(games, plays, year, metric);
+    return renderWidget(title, calculateAllTimeHIndexThroughYear(games, plays, year, metric),
+      increase > 0 ? `+${increase} in ${year}` : `No change in ${year}`);
+  };
+
+  const body = `<h2>${year} Year in Review</h2>
+<div class="dashboard-grid">
+    <div class="widget-group-label">Index Metrics</div>
+    ${hIndexWidget('H-Index', Metric.HOURS)}
+    ${hIndexWidget('Session H-Index', Metric.SESSIONS)}
+    ${hIndexWidget('Play H-Index', Metric.PLAYS)}
+    <div class="widget-group-label">Play Statistics</div>
+    ${renderWidget('Total Plays', totalPlays)}
+    ${renderWidget('Days Played', getTotalDaysPlayed(plays, year))}
+    ${renderWidget('Total Hours', formatDurationHM(totalMinutes))}
+    ${renderWidget('Games Played', gamesPlayed.total, `${gamesPlayed.newToMe} new to me`)}
+    ${renderWidget('Longest Streak', `${activity.longestStreak} days`,
+      activity.longestStreakStart ? `${formatDateWithYear(activity.longestStreakStart)} to ${formatDateWithYear(activity.longestStreakEnd)}` : '')}
+    ${mostConsistent ? renderWidget('Most Consistent', renderGameLink(mostConsistent.game, '../'), `Played in ${mostConsistent.monthCount} months`) : ''}
+</div>
+<section>
+    <h2>Top Games of ${year}</h2>
+    ${renderTopGamesTable(topGames, '../')}
+</section>
+<p><a href="../index.html">Back to all-time stats</a></p>`;
+
+  return {
+    path,
+    title: `${year} Year in Review`,
+    description: `${countLabel(totalPlays, 'play')} of ${countLabel(gamesPlayed.total, 'game')} (${gamesPlayed.newToMe} new) over ${countLabel(Math.round(totalMinutes / 60), 'hour')} in ${year}.`,
+    body,
+  };
+}
+
+/**
+ * Renders a game's page.
+ * @param {Object} data - Processed data (data.json)
+ * @param {Object} game - Game object
+ * @param {Object} playData - Game's entries from getPlayTimeByGame and getDaysPlayedByGame
+ *   ({ hours, sessions }, either may be undefined if the game was never played)
+ * @returns {Object} Page ({ path, title, description, body, image })
+ */
+function renderGamePage(data, game, { hours, sessions }) {
+  const totalMinutes = hours?.totalMinutes || 0;
+  const totalPlays = hours?.playCount || 0;
+  const totalSessions = sessions?.uniqueDays || 0;
+  const gamePlayDates = data.plays.filter(play => play.gameId === game.id).map(play => play.date).sort();
+  const { ratingRank, hoursRank, sessionsRank, playsRank } = getGameRankings(data.games, data.plays, game.id);
+  const fmtRank = rank => rank > 0 ? `#${rank}` : '—';
+  const isRated = game.rating !== null && game.rating !== undefined;
+
+  const rows = [
+    ['Rating', isRated ? `${game.rating} / 10` : 'Not rated'],
+    ['Hours', formatDurationHM(totalMinutes)],
+    ['Sessions', totalSessions],
+    ['Plays', totalPlays],
+  ];
+  if (gamePlayDates.length > 0) {
+    rows.push(['First Played', formatDateWithYear(gamePlayDates[0])]);
+    rows.push(['Last Played', formatDateWithYear(gamePlayDates[gamePlayDates.length - 1])]);
+  }
+  const renderRows = entries => entries
+    .map(([label, value]) => `<div class="game-detail-row"><span class="label">${label}</span><span class="value">${value}</span></div>`)
+    .join('\n        ');
+
+  const image = game.coverUrl || game.thumbnailUrl || null;
+  const body = `<h2>${escapeHtml(game.name)}</h2>
+${image ? `<div class="game-detail-cover"><img src="${escapeAttribute(image)}" alt="${escapeAttribute(`${game.name} cover`)}"></div>` : ''}
+<div class="game-detail-sections-grid">
+    <div class="game-detail-section-card">
+        <h4>Stats</h4>
+        ${renderRows(rows)}
+    </div>
+    <div class="game-detail-section-card">
+        <h4>Ranking</h4>
+        ${renderRows([
+          ['By Rating', fmtRank(ratingRank)],
+          ['By Hours', fmtRank(hoursRank)],
+          ['By Sessions', fmtRank(sessionsRank)],
+          ['By Plays', fmtRank(playsRank)],
+        ])}
+    </div>
+</div>
+${game.bggId ? `<p><a href="https://boardgamegeek.com/boardgame/${game.bggId}">View on BoardGameGeek</a></p>` : ''}
+<p><a href="../index.html">Back to all-time stats</a></p>`;
+
+  const playSummary = totalPlays > 0
+    ? `Played ${totalPlays} time${totalPlays === 1 ? '' : 's'} over ${formatDurationHM(totalMinutes)}.`
+    : 'Not played yet.';
+
+  return {
+    path: getGamePagePath(game),
+    title: game.name,
+    description: isRated ? `${playSummary} Rated ${game.rating}/10.` : playSummary,
+    body,
+    image,
+  };
+}
+
+/**
+ * Pre-renders the static site: the dashboard, a Year in Review page for
+ * every year with plays and a page for every game.
+ * @param {Object} data - Processed data (data.json)
+ * @param {Object} options - Options
+ * @param {string|null} options.siteUrl - Absolute URL the site is published at, for og:url (optional)
+ * @returns {Map<string, string>} Map of output path (relative to the site root) to HTML
+ */
+function buildSite(data, { siteUrl = null } = {}) {
+  const years = getAvailableYears(data.plays)
+    .filter(yearInfo => yearInfo.hasPlays)
+    .map(yearInfo => yearInfo.year)
+    .sort((a, b) => b - a);
+
+  const hoursByGame = new Map(getPlayTimeByGame(data.games, data.plays).map(entry => [entry.game.id, entry]));
+  const sessionsByGame = new Map(getDaysPlayedByGame(data.games, data.plays).map(entry => [entry.game.id, entry]));
+
+  const pages = [
+    renderDashboardPage(data, years),
+    ...years.map(year => renderYearPage(data, year)),
+    ...data.games.map(game => renderGamePage(data, game, {
+      hours: hoursByGame.get(game.id),
+      sessions: sessionsByGame.get(game.id),
+    })),
+  ];
+
+  return new Map(pages.map(page => [page.path, renderPage(page, siteUrl)]));
+}
+
+export { SITE_TITLE, resolveOutputDir, getYearPagePath, getGamePagePath, renderPage, buildSite };
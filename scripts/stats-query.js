@@ -0,0 +1,454 @@
+import {
+  Metric,
+  calculateHourHIndex,
+  calculatePlaySessionHIndex,
+  calculateTraditionalHIndex,
+  getSuggestedGames,
+  getAchievements,
+  getShelfOfShame,
+  getPlayTimeByGame,
+  getDaysPlayedByGame,
+  getGameRankings,
+  getWinRateByGame,
+  getWinRateByOpponent,
+  getHeadToHeadRecords,
+  getRivals,
+} from '../stats.js';
+
+/**
+ * Output formats of the bgstats CLI.
+ * @constant {Object<string, string>}
+ */
+const OutputFormat = {
+  TABLE: 'table',
+  JSON: 'json',
+  CSV: 'csv',
+};
+
+/**
+ * Parses CLI arguments into a command, positional arguments and options.
+ * Options are `--name value` pairs; `--help` is a flag.
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { command, positional, options }
+ */
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      const name = arg.slice(2);
+      if (i + 1 >= args.length || args[i + 1].startsWith('--')) {
+        throw new Error(`Option --${name} needs a value`);
+      }
+      options[name] = args[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+  const [command = null, ...rest] = positional;
+  return { command, positional: rest, options };
+}
+
+/**
+ * Parses the --year option.
+ * @param {Object} options - Parsed options
+ * @returns {number|null} Year, or null for all time
+ */
+function getYearOption(options) {
+  if (options.year === undefined) return null;
+  if (!/^\d{4}$/.test(options.year)) {
+    throw new Error(`Invalid --year "${options.year}": expected a four-digit year`);
+  }
+  return parseInt(options.year, 10);
+}
+
+/**
+ * Parses the --metric option.
+ * @param {Object} options - Parsed options
+ * @returns {string|null} Metric, or null if not given
+ */
+function getMetricOption(options) {
+  if (options.metric === undefined) return null;
+  const metrics = Object.values(Metric);
+  if (!metrics.includes(options.metric)) {
+    throw new Error(`Invalid --metric "${options.metric}": expected one of ${metrics.join(', ')}`);
+  }
+  return options.metric;
+}
+
+/**
+ * Rounds a win rate (0-1) to a percentage with one decimal.
+ * @param {number} winRate - Win rate
+ * @returns {number} Percentage
+ */
+function toWinPercent(winRate) {
+  return Math.round(winRate * 1000) / 10;
+}
+
+/**
+ * Finds a game by name: an exact (case-insensitive) match, otherwise the only
+ * game whose name contains the query.
+ * @param {Array} games - Array of game objects
+ * @param {string} query - Game name or part of it
+ * @returns {Object} Game object
+ */
+function findGameByName(games, query) {
+  const needle = query.toLowerCase();
+  const exact = games.filter(game => game.name.toLowerCase() === needle);
+  if (exact.length === 1) return exact[0];
+
+  const partial = games.filter(game => game.name.toLowerCase().includes(needle));
+  if (partial.length === 1) return partial[0];
+  if (partial.length === 0) {
+    throw new Error(`No game matches "${query}"`);
+  }
+  const names = partial.slice(0, 5).map(game => game.name).join(', ');
+  throw new Error(`"${query}" matches ${partial.length} games (${names}${partial.length > 5 ? ', ...' : ''}); be more specific`);
+}
+
+/**
+ * Query commands. Each returns a result of { columns, rows, record }, where
+ * columns are { key, label } pairs and record marks a single-row result that
+ * reads better as a list of fields.
+ * @constant {Object<string, Object>}
+ */
+const COMMANDS = {
+  'h-index': {
+    usage: 'h-index [--metric hours|sessions|plays] [--year YYYY]',
+    description: 'H-index by hours, sessions and plays',
+    run(data, { options }) {
+      const year = getYearOption(options);
+      const metric = getMetricOption(options);
+      const calculators = {
+        [Metric.HOURS]: () => calculateHourHIndex(data.plays, year),
+        [Metric.SESSIONS]: () => calculatePlaySessionHIndex(data.games, data.plays, year),
+        [Metric.PLAYS]: () => calculateTraditionalHIndex(data.games, data.plays, year),
+      };
+      const metrics = metric ? [metric] : Object.values(Metric);
+      return {
+        columns: [{ key: 'metric', label: 'Metric' }, { key: 'hIndex', label: 'H-Index' }],
+        rows: metrics.map(m => ({ metric: m, hIndex: calculators[m]() })),
+      };
+    },
+  },
+
+  'suggest': {
+    usage: 'suggest',
+    description: 'Games to play next, with the reasons for each',
+    run(data) {
+      const suggestions = getSuggestedGames(data.games, data.plays, data.config?.suggestionExcludedTags);
+      return {
+        columns: [
+          { key: 'game', label: 'Game' },
+          { key: 'reasons', label: 'Reasons' },
+          { key: 'stats', label: 'Stats' },
+        ],
+        rows: suggestions.map(suggestion => ({
+          game: suggestion.game.name,
+          reasons: suggestion.reasons.join('; '),
+          stats: suggestion.stats.join('; '),
+        })),
+      };
+    },
+  },
+
+  'achievements': {
+    usage: 'achievements [--since YYYY-MM-DD] [--type TYPE]',
+    description: 'Achievements, most recent first',
+    run(data, { options }) {
+      if (options.since !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(options.since)) {
+        throw new Error(`Invalid --since "${options.since}": expected YYYY-MM-DD`);
+      }
+      const gameNames = new Map(data.games.map(game => [game.id, game.name]));
+      const achievements = getAchievements({
+        games: data.games,
+        plays: data.plays,
+        selfPlayerId: data.selfPlayerId,
+        anonymousPlayerId: data.anonymousPlayerId,
+      }).filter(achievement =>
+        (options.since === undefined || achievement.timestamp.slice(0, 10) >= options.since)
+        && (options.type === undefined || achievement.type === options.type));
+
+      return {
+        columns: [
+          { key: 'date', label: 'Date' },
+          { key: 'type', label: 'Type' },
+          { key: 'game', label: 'Game' },
+          { key: 'metric', label: 'Metric' },
+          { key: 'threshold', label: 'Threshold' },
+        ],
+        rows: achievements.map(achievement => ({
+          date: achievement.timestamp.slice(0, 10),
+          type: achievement.type,
+          game: gameNames.get(achievement.gameId) ?? null,
+          metric: achievement.metric ?? null,
+          threshold: achievement.threshold ?? null,
+        })),
+      };
+    },
+  },
+
+  'shelf-of-shame': {
+    usage: 'shelf-of-shame [--year YYYY]',
+    description: 'Owned games never played, most expensive first',
+    run(data, { options }) {
+      const shelf = getShelfOfShame(data.games, data.plays, getYearOption(options));
+      return {
+        columns: [{ key: 'game', label: 'Game' }, { key: 'pricePaid', label: 'Price Paid' }],
+        rows: shelf.games.map(entry => ({ game: entry.game.name, pricePaid: entry.pricePaid })),
+      };
+    },
+  },
+
+  'win-rates': {
+    usage: 'win-rates [--by game|opponent] [--year YYYY]',
+    description: 'Competitive win rates per game or per opponent',
+    run(data, { options }) {
+      const year = getYearOption(options);
+      const by = options.by ?? 'game';
+      if (by === 'game') {
+        return {
+          columns: [
+            { key: 'game', label: 'Game' },
+            { key: 'plays', label: 'Plays' },
+            { key: 'wins', label: 'Wins' },
+            { key: 'winPercent', label: 'Win %' },
+          ],
+          rows: getWinRateByGame(data.games, data.plays, data.selfPlayerId, year).map(record => ({
+            game: record.game.name,
+            plays: record.plays,
+            wins: record.wins,
+            winPercent: toWinPercent(record.winRate),
+          })),
+        };
+      }
+      if (by !== 'opponent') {
+        throw new Error(`Invalid --by "${by}": expected game or opponent`);
+      }
+
+      const headToHead = new Map(getHeadToHeadRecords(
+        data.games, data.plays, data.players, data.selfPlayerId, data.anonymousPlayerId, year,
+      ).map(record => [record.playerId, record]));
+      return {
+        columns: [
+          { key: 'opponent', label: 'Opponent' },
+          { key: 'plays', label: 'Plays' },
+          { key: 'wins', label: 'My Wins' },
+          { key: 'theirWins', label: 'Their Wins' },
+          { key: 'winPercent', label: 'Win %' },
+          { key: 'headToHead', label: 'Head-to-Head' },
+        ],
+        rows: getWinRateByOpponent(data.games, data.plays, data.players, data.selfPlayerId, data.anonymousPlayerId, year)
+          .map(record => {
+            const versus = headToHead.get(record.playerId);
+            return {
+              opponent: record.name,
+              plays: record.plays,
+              wins: record.wins,
+              theirWins: record.theirWins,
+              winPercent: toWinPercent(record.winRate),
+              headToHead: versus ? `${versus.wins}-${versus.losses}-${versus.ties}` : null,
+            };
+          }),
+      };
+    },
+  },
+
+  'rivals': {
+    usage: 'rivals [--year YYYY]',
+    description: 'Nemesis and favourite victim from head-to-head records',
+    run(data, { options }) {
+      const records = getHeadToHeadRecords(
+        data.games, data.plays, data.players, data.selfPlayerId, data.anonymousPlayerId, getYearOption(options),
+      );
+      const { nemesis, favouriteVictim } = getRivals(records);
+      return {
+        columns: [
+          { key: 'rival', label: 'Rival' },
+          { key: 'opponent', label: 'Opponent' },
+          { key: 'plays', label: 'Plays' },
+          { key: 'wins', label: 'Wins' },
+          { key: 'losses', label: 'Losses' },
+          { key: 'ties', label: 'Ties' },
+          { key: 'winPercent', label: 'Win %' },
+        ],
+        rows: [['nemesis', nemesis], ['favourite victim', favouriteVictim]]
+          .filter(([, record]) => record)
+          .map(([rival, record]) => ({
+            rival,
+            opponent: record.name,
+            plays: record.plays,
+            wins: record.wins,
+            losses: record.losses,
+            ties: record.ties,
+            winPercent: toWinPercent(record.winRate),
+          })),
+      };
+    },
+  },
+
+  'game': {
+    usage: 'game NAME [--year YYYY]',
+    description: 'Stats and rankings for one game',
+    run(data, { positional, options }) {
+      if (positional.length === 0) {
+        throw new Error('Missing game name');
+      }
+      const year = getYearOption(options);
+      const game = findGameByName(data.games, positional.join(' '));
+      const hours = getPlayTimeByGame(data.games, data.plays, year).find(entry => entry.game.id === game.id);
+      const sessions = getDaysPlayedByGame(data.games, data.plays, year).find(entry => entry.game.id === game.id);
+      const rankings = getGameRankings(data.games, data.plays, game.id);
+      const rankOrNull = rank => rank > 0 ? rank : null;
+
+      return {
+        record: true,
+        columns: [
+          { key: 'name', label: 'Name' },
+          { key: 'rating', label: 'Rating' },
+          { key: 'hours', label: 'Hours' },
+          { key: 'sessions', label: 'Sessions' },
+          { key: 'plays', label: 'Plays' },
+          { key: 'medianMinutes', label: 'Median Minutes' },
+          { key: 'ratingRank', label: 'Rank by Rating' },
+          { key: 'hoursRank', label: 'Rank by Hours' },
+          { key: 'sessionsRank', label: 'Rank by Sessions' },
+          { key: 'playsRank', label: 'Rank by Plays' },
+        ],
+        rows: [{
+          name: game.name,
+          rating: game.rating ?? null,
+          hours: hours ? Math.round(hours.totalHours * 10) / 10 : 0,
+          sessions: sessions?.uniqueDays ?? 0,
+          plays: hours?.playCount ?? 0,
+          medianMinutes: hours?.medianMinutes ?? null,
+          ratingRank: rankOrNull(rankings.ratingRank),
+          hoursRank: rankOrNull(rankings.hoursRank),
+          sessionsRank: rankOrNull(rankings.sessionsRank),
+          playsRank: rankOrNull(rankings.playsRank),
+        }],
+      };
+    },
+  },
+};
+
+/**
+ * Formats a cell value for table and CSV output (null shows as empty).
+ * @param {*} value - Cell value
+ * @returns {string} Text
+ */
+function formatCell(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Formats a result as an aligned text table, or as "Label: value" lines for
+ * single-record results.
+ * @param {Object} result - Command result
+ * @returns {string} Text
+ */
+function formatTable({ columns, rows, record = false }) {
+  if (record) {
+    const labelWidth = Math.max(...columns.map(column => column.label.length));
+    return columns
+      .map(column => `${`${column.label}:`.padEnd(labelWidth + 2)}${formatCell(rows[0][column.key])}`.trimEnd())
+      .join('\n');
+  }
+  if (rows.length === 0) return '(no results)';
+
+  const cells = rows.map(row => columns.map(column => formatCell(row[column.key])));
+  const widths = columns.map((column, i) => Math.max(column.label.length, ...cells.map(row => row[i].length)));
+  const formatLine = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    formatLine(columns.map(column => column.label)),
+    formatLine(widths.map(width => '-'.repeat(width))),
+    ...cells.map(formatLine),
+  ].join('\n');
+}
+
+/**
+ * Formats a result as CSV with a header row (RFC 4180 quoting).
+ * @param {Object} result - Command result
+ * @returns {string} CSV text
+ */
+function formatCsv({ columns, rows }) {
+  const quote = value => {
+    const text = formatCell(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    columns.map(column => quote(column.key)).join(','),
+    ...rows.map(row => columns.map(column => quote(row[column.key])).join(',')),
+  ].join('\n');
+}
+
+/**
+ * Formats a result as JSON: an array of rows, or one object for single-record results.
+ * @param {Object} result - Command result
+ * @returns {string} JSON text
+ */
+function formatJson({ rows, record = false }) {
+  return JSON.stringify(record ? rows[0] : rows, null, 2);
+}
+
+/**
+ * Returns the CLI usage text.
+ * @returns {string} Usage text
+ */
+function getUsage() {
+  const usageWidth = Math.max(...Object.values(COMMANDS).map(command => command.usage.length));
+  const commandLines = Object.values(COMMANDS)
+    .map(command => `  ${command.usage.padEnd(usageWidth)}  ${command.description}`);
+  return [
+    'Usage: bgstats <command> [options]',
+    '',
+    'Commands:',
+    ...commandLines,
+    '',
+    'Options:',
+    '  --format table|json|csv   Output format (default: table)',
+    '  --data PATH               data.json to read (default: data.json in the project root)',
+  ].join('\n');
+}
+
+/**
+ * Runs a query command against processed data and formats the result.
+ * @param {Object} data - Processed data (data.json)
+ * @param {Object} parsedArgs - Result of parseArgs
+ * @returns {string} Formatted output
+ */
+function runQuery(data, { command, positional, options }) {
+  if (!Object.hasOwn(COMMANDS, command)) {
+    throw new Error(`Unknown command "${command}". Expected one of: ${Object.keys(COMMANDS).join(', ')}`);
+  }
+  const format = options.format || OutputFormat.TABLE;
+  if (!Object.values(OutputFormat).includes(format)) {
+    throw new Error(`Invalid --format "${format}": expected one of ${Object.values(OutputFormat).join(', ')}`);
+  }
+
+  const result = COMMANDS[command].run(data, { positional, options });
+  switch (format) {
+    case OutputFormat.JSON:
+      return formatJson(result);
+    case OutputFormat.CSV:
+      return formatCsv(result);
+    default:
+      return formatTable(result);
+  }
+}
+
+export {
+  OutputFormat,
+  COMMANDS,
+  parseArgs,
+  findGameByName,
+  formatTable,
+  formatCsv,
+  formatJson,
+  getUsage,
+  runQuery,
+};
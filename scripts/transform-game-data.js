@@ -1,16 +1,13 @@
 import fs from 'fs';
 import readline from 'readline';
 import { calculateMedian } from '../utils.js';
+import { resolveConfig } from '../config.js';
+import { loadBggThingXmlDir, loadBggThingCache, saveBggThingCache } from './bgg-thing-metadata.js';
+import { createDurationEstimator } from './duration-estimator.js';
+import { createCurrencyConverter } from './currency-converter.js';
+import { applyCopyOverride, validateCopyOverrides } from './copy-overrides.js';
 import { fromZonedTime } from 'date-fns-tz';
 
-/**
- * Timezone used for BG Stats timestamp data.
- * BG Stats stores timestamps in Mountain Time (America/Denver).
- * This timezone handles DST transitions automatically.
- * @constant {string}
- */
-const BGSTATS_TIMEZONE = 'America/Denver';
-
 /**
  * Enum representing the playUsedGameCopy field values from BG Stats.
  * @readonly
@@ -105,6 +102,10 @@ function extractCopyMetadata(copies) {
       let currency = null;
       let rating = null;
       let publicComment = null;
+      let disposalDate = null;
+      let disposalMethod = null;
+      let salePrice = null;
+      let saleCurrency = null;
 
       if (copy.metaData) {
         try {
@@ -121,6 +122,21 @@ function extractCopyMetadata(copies) {
           if (metadata.PricePaidCurrency) {
             currency = metadata.PricePaidCurrency;
           }
+          if (metadata.DisposalDate) {
+            disposalDate = metadata.DisposalDate;
+          }
+          if (metadata.DisposalMethod) {
+            disposalMethod = metadata.DisposalMethod.trim().toLowerCase() || null;
+          }
+          if (metadata.SalePrice) {
+            const price = parseFloat(metadata.SalePrice);
+            if (!isNaN(price)) {
+              salePrice = price;
+            }
+          }
+          if (metadata.SalePriceCurrency) {
+            saleCurrency = metadata.SalePriceCurrency;
+          }
           if (metadata.Rating) {
             const parsedRating = parseFloat(metadata.Rating);
             if (!isNaN(parsedRating)) {
@@ -145,6 +161,10 @@ function extractCopyMetadata(copies) {
         statusOwned: copy.statusOwned === true,
         pricePaid: pricePaid,
         currency: currency,
+        disposalDate: disposalDate,
+        disposalMethod: disposalMethod,
+        salePrice: salePrice,
+        saleCurrency: saleCurrency,
         publicComment: publicComment,
         rating: rating,
       });
@@ -155,22 +175,15 @@ function extractCopyMetadata(copies) {
 }
 
 /**
- * Finds the expandalone tag ID from the tags array. The tag is named
- * "Data:Expandalone" in BG Stats (a data-mapping tag, not a descriptive one).
+ * Finds a tag ID by name (case-insensitive) from the tags array. Used for the
+ * configured expandalone tag (by default "Data:Expandalone", a data-mapping
+ * tag rather than a descriptive one) and "One Time" tag.
  * @param {Array} tags - Array of tag objects from BG Stats
+ * @param {string} tagName - Tag name to look for
  * @returns {number|undefined} Tag ID if found, undefined otherwise
  */
-function findExpandaloneTagId(tags) {
-  return tags.find(t => t.name.toLowerCase() === 'data:expandalone')?.id;
-}
-
-/**
- * Finds the "One Time" tag ID from the tags array.
- * @param {Array} tags - Array of tag objects from BG Stats
- * @returns {number|undefined} Tag ID if found, undefined otherwise
- */
-function findOneTimeTagId(tags) {
-  return tags.find(t => t.name.toLowerCase() === 'one time')?.id;
+function findTagIdByName(tags, tagName) {
+  return tags.find(t => t.name.toLowerCase() === tagName.toLowerCase())?.id;
 }
 
 /**
@@ -321,6 +334,7 @@ function buildGamesMap(games, expandaloneTagId, oneTimeTagId, gameTagLookup) {
       isExpansion: classification.isExpansion,
       isExpandalone: classification.isExpandalone,
       isNonReplayable: isNonReplayable,
+      isCooperative: game.cooperative === true,
       tags: tags,
       copies: outputCopies,
       playCount: 0,
@@ -395,16 +409,72 @@ function calculateTypicalPlayTimes(gamesMap, gameDurationsMap, plays) {
   });
 }
 
+/**
+ * Returns a play's player scores, excluding NPCs.
+ * @param {Object} play - Play object from BG Stats
+ * @returns {Array} Player score objects
+ */
+function getPlayerScores(play) {
+  if (!play.playerScores || !Array.isArray(play.playerScores)) return [];
+  return play.playerScores.filter(ps => {
+    if (!ps.metaData) return true;
+    try {
+      const metadata = JSON.parse(ps.metaData);
+      return metadata.isNpc !== 1;
+    } catch (e) {
+      return true;
+    }
+  });
+}
+
+/**
+ * Returns the IDs of the expansions used in a play.
+ * @param {Object} play - Play object from BG Stats
+ * @returns {Array<number>} Expansion game IDs
+ */
+function getPlayExpansionIds(play) {
+  return (play.expansionPlays || []).map(ep => ep.gameRefId);
+}
+
+/**
+ * Extracts one player's result from a BG Stats player score.
+ * Scores are logged as free text, so anything non-numeric becomes null.
+ * BG Stats uses rank 0 for "not ranked".
+ * @param {Object} playerScore - Player score object from BG Stats
+ * @returns {Object} { playerId, score, isWinner, rank, team, isStartPlayer }
+ */
+function extractPlayerResult(playerScore) {
+  const score = parseFloat(playerScore.score);
+  return {
+    playerId: playerScore.playerRefId,
+    score: Number.isFinite(score) ? score : null,
+    isWinner: playerScore.winner === true,
+    rank: playerScore.rank > 0 ? playerScore.rank : null,
+    team: playerScore.team || null,
+    isStartPlayer: playerScore.startPlayer === true,
+  };
+}
+
 /**
  * Processes play records, extracting dates and denormalizing durations.
  * Modifies gamesMap in place by updating play statistics.
  * @param {Array} plays - Array of play objects from BG Stats
  * @param {Map} gamesMap - Map of game ID to game object
+ * @param {number} selfPlayerId - Player ID of the owner (logger of unmerged plays)
  * @returns {Array} Array of processed play objects
  */
-function processPlays(plays, gamesMap) {
+function processPlays(plays, gamesMap, selfPlayerId) {
   const processedPlays = [];
 
+  const toDurationSample = play => ({
+    gameId: play.gameRefId,
+    date: play.playDate.split(' ')[0],
+    playerCount: getPlayerScores(play).length,
+    expansionIds: getPlayExpansionIds(play),
+    durationMin: play.durationMin || 0,
+  });
+  const estimateDuration = createDurationEstimator(plays.map(toDurationSample));
+
   plays.forEach(play => {
     const gameId = play.gameRefId;
     const playDate = play.playDate.split(' ')[0]; // Just the date part (YYYY-MM-DD)
@@ -412,13 +482,15 @@ function processPlays(plays, gamesMap) {
 
     let finalDuration = originalDuration;
     let isEstimated = false;
+    let durationModel = null;
 
-    // If duration is missing (0), use game's typical play time
+    // If duration is missing (0), estimate it from similar logged plays of the game
     if (originalDuration === 0 && gamesMap.has(gameId)) {
-      const gameTypicalTime = gamesMap.get(gameId).typicalPlayTimeMinutes;
-      if (gameTypicalTime !== null) {
-        finalDuration = gameTypicalTime;
+      const estimate = estimateDuration(toDurationSample(play), gamesMap.get(gameId).typicalPlayTimeMinutes);
+      if (estimate !== null) {
+        finalDuration = estimate.durationMin;
         isEstimated = true;
+        durationModel = estimate.model;
       }
     }
 
@@ -458,24 +530,17 @@ function processPlays(plays, gamesMap) {
       // playUsedGameCopyType === OTHER_PLAYER_COPY: copyId remains null
     }
 
-    // Extract player IDs from playerScores, excluding NPCs
-    const players = play.playerScores && Array.isArray(play.playerScores)
-      ? play.playerScores
-          .filter(ps => {
-            if (!ps.metaData) return true;
-            try {
-              const metadata = JSON.parse(ps.metaData);
-              return metadata.isNpc !== 1;
-            } catch (e) {
-              return true;
-            }
-          })
-          .map(ps => ps.playerRefId)
-      : [];
+    // Extract player scores, excluding NPCs
+    const playerScores = getPlayerScores(play);
+    const players = playerScores.map(ps => ps.playerRefId);
+    const results = playerScores.map(extractPlayerResult);
 
     // Extract location ID
     const locationId = play.locationRefId;
 
+    // Merged exports record every logger; a single export was logged by its owner
+    const loggedBy = play.loggedBy || [selfPlayerId];
+
     processedPlays.push({
       gameId: gameId,
       copyId: copyId,
@@ -483,8 +548,12 @@ function processPlays(plays, gamesMap) {
       timestamp: play.playDate,
       durationMin: finalDuration,
       durationEstimated: isEstimated,
+      durationModel: durationModel,
       players: players,
-      locationId: locationId
+      results: results,
+      expansionIds: getPlayExpansionIds(play),
+      locationId: locationId,
+      loggedBy: loggedBy
     });
 
     // Update game play statistics
@@ -507,9 +576,10 @@ function processPlays(plays, gamesMap) {
  * @param {number} selfPlayerId - Player ID of the owner
  * @param {number|null} anonymousPlayerId - Player ID for anonymous players
  * @param {number|null} homeLocationId - Location ID for home
+ * @param {Object} config - Resolved configuration (embedded in the output)
  * @returns {Object} Final output object with games, plays, players, locations, and metadata
  */
-function finalizeOutput(gamesMap, plays, players, locations, selfPlayerId, anonymousPlayerId, homeLocationId) {
+function finalizeOutput(gamesMap, plays, players, locations, selfPlayerId, anonymousPlayerId, homeLocationId, config) {
   // Convert games map to array and finalize
   const games = Array.from(gamesMap.values()).map(game => ({
     ...game,
@@ -525,11 +595,12 @@ function finalizeOutput(gamesMap, plays, players, locations, selfPlayerId, anony
   // Use latest play timestamp for generatedAt
   let generatedAt;
   if (plays.length > 0) {
-    // Parse timestamp as Mountain Time and convert to UTC
+    // Parse timestamp in the configured BG Stats timezone and convert to UTC
+    // (DST transitions are handled by the timezone rules)
     // plays[0].timestamp format: "YYYY-MM-DD HH:MM:SS"
-    // Example: "2024-01-15 14:30:00" in Mountain Time
+    // Example: "2024-01-15 14:30:00" in America/Denver
     const timestamp = plays[0].timestamp.replace(' ', 'T'); // Convert to ISO-like format
-    const utcDate = fromZonedTime(timestamp, BGSTATS_TIMEZONE);
+    const utcDate = fromZonedTime(timestamp, config.timezone);
     generatedAt = utcDate.toISOString();
   } else {
     // Fallback to current time if no plays exist
@@ -545,6 +616,7 @@ function finalizeOutput(gamesMap, plays, players, locations, selfPlayerId, anony
     plays: plays,
     players: players,
     locations: locations,
+    config: config,
     generatedAt: generatedAt,
   };
 }
@@ -753,7 +825,22 @@ async function buildExpansionLinks(plays, gamesMap, bggCache, forceRefreshBggCac
 }
 
 // Pure transformation function (testable)
-async function processData(bgStatsData, { bggCachePath = null, forceRefreshBggCache = false } = {}) {
+async function processData(bgStatsData, {
+  bggCachePath = null,
+  forceRefreshBggCache = false,
+  bggThingCachePath = null,
+  bggThingXmlDir = null,
+  config = null,
+  exchangeRates = null,
+  copyOverrides = null,
+} = {}) {
+  // Validate config and fill in defaults (throws on invalid config)
+  const resolvedConfig = resolveConfig(config);
+  // Validate exchange rates (throws on a malformed table)
+  const convertPrice = createCurrencyConverter(exchangeRates, resolvedConfig.baseCurrency);
+  // Validate copy overrides (throws on a malformed table)
+  if (copyOverrides !== null) validateCopyOverrides(copyOverrides);
+
   // Extract players and locations
   const players = extractPlayers(bgStatsData.players);
   const locations = extractLocations(bgStatsData.locations);
@@ -763,16 +850,42 @@ async function processData(bgStatsData, { bggCachePath = null, forceRefreshBggCa
   const anonymousPlayer = bgStatsData.players.find(p => p.isAnonymous);
   const anonymousPlayerId = anonymousPlayer ? anonymousPlayer.id : null;
 
-  // Find home location ID (location named "🏡 Home")
-  const homeLocation = bgStatsData.locations.find(loc => loc.name === '🏡 Home');
+  // Find home location ID (location with the configured home name)
+  const homeLocation = bgStatsData.locations.find(loc => loc.name === resolvedConfig.homeLocationName);
   const homeLocationId = homeLocation ? homeLocation.id : null;
 
   // Build games map from BG Stats
-  const expandaloneTagId = findExpandaloneTagId(bgStatsData.tags);
-  const oneTimeTagId = findOneTimeTagId(bgStatsData.tags);
+  const expandaloneTagId = findTagIdByName(bgStatsData.tags, resolvedConfig.expandaloneTagName);
+  const oneTimeTagId = findTagIdByName(bgStatsData.tags, resolvedConfig.oneTimeTagName);
   const gameTagLookup = buildGameTagLookup(bgStatsData.tags, [expandaloneTagId, oneTimeTagId]);
   const gamesMap = buildGamesMap(bgStatsData.games, expandaloneTagId, oneTimeTagId, gameTagLookup);
 
+  // Fill in missing disposal details from the overrides, then convert prices
+  // to the base currency at their acquisition (or sale) date, keeping prices
+  // as entered (converted prices are null if they can't be converted)
+  gamesMap.forEach(game => {
+    game.copies = game.copies.map(rawCopy => {
+      const copy = applyCopyOverride(rawCopy, copyOverrides?.[rawCopy.copyId]);
+      const pricePaid = copy.pricePaid === null
+        ? null
+        : convertPrice(copy.pricePaid, copy.currency, copy.acquisitionDate);
+      const salePrice = copy.salePrice === null
+        ? null
+        : convertPrice(copy.salePrice, copy.saleCurrency, copy.disposalDate);
+      return {
+        ...copy,
+        pricePaid: pricePaid,
+        currency: pricePaid === null ? null : resolvedConfig.baseCurrency,
+        salePrice: salePrice,
+        saleCurrency: salePrice === null ? null : resolvedConfig.baseCurrency,
+        originalPricePaid: copy.pricePaid,
+        originalCurrency: copy.currency,
+        originalSalePrice: copy.salePrice,
+        originalSaleCurrency: copy.saleCurrency,
+      };
+    });
+  });
+
   // Build expansion links (expansionPlays + BGG API when cache path provided)
   const bggFetchEnabled = bggCachePath !== null;
   const bggCache = bggFetchEnabled ? loadBggCache(bggCachePath) : new Map();
@@ -788,15 +901,25 @@ async function processData(bgStatsData, { bggCachePath = null, forceRefreshBggCa
     }
   });
 
+  // Attach BGG thing metadata (cached; saved XML files add to and refresh the cache)
+  const bggThingCache = bggThingCachePath !== null ? loadBggThingCache(bggThingCachePath) : new Map();
+  if (bggThingXmlDir !== null) {
+    loadBggThingXmlDir(bggThingXmlDir).forEach((metadata, bggId) => bggThingCache.set(bggId, metadata));
+    if (bggThingCachePath !== null) saveBggThingCache(bggThingCachePath, bggThingCache);
+  }
+  gamesMap.forEach(game => {
+    game.bggMetadata = (game.bggId && bggThingCache.get(String(game.bggId))) || null;
+  });
+
   // Calculate typical play times for all games
   const gameDurationsMap = collectGameDurations(bgStatsData.plays);
   calculateTypicalPlayTimes(gamesMap, gameDurationsMap, bgStatsData.plays);
 
   // Process plays (store date, game reference, duration data, players, and location)
-  const plays = processPlays(bgStatsData.plays, gamesMap);
+  const plays = processPlays(bgStatsData.plays, gamesMap, selfPlayerId);
 
   // Finalize output (convert to arrays, sort, add metadata)
-  return finalizeOutput(gamesMap, plays, players, locations, selfPlayerId, anonymousPlayerId, homeLocationId);
+  return finalizeOutput(gamesMap, plays, players, locations, selfPlayerId, anonymousPlayerId, homeLocationId, resolvedConfig);
 }
 
 export { processData };
@@ -0,0 +1,342 @@
+import { getDataQualityIssues } from '../stats/data-quality.js';
+
+/**
+ * Severity levels for validation issues.
+ * Errors are structural problems (schema violations, unreadable source data);
+ * warnings are suspicious but well-formed data.
+ * @readonly
+ * @enum {string}
+ */
+const Severity = {
+  ERROR: 'error',
+  WARNING: 'warning',
+};
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+const TIMESTAMP_PATTERN = '^\\d{4}-\\d{2}-\\d{2} \\d{2}:\\d{2}:\\d{2}$';
+
+/**
+ * Schema for a copy object in data.json.
+ * @constant {Object}
+ */
+const COPY_SCHEMA = {
+  type: 'object',
+  required: [
+    'copyId', 'acquisitionDate', 'statusOwned', 'pricePaid', 'currency', 'originalPricePaid', 'originalCurrency',
+    'disposalDate', 'disposalMethod', 'salePrice', 'saleCurrency', 'originalSalePrice', 'originalSaleCurrency',
+  ],
+  properties: {
+    copyId: { type: ['string', 'null'] },
+    versionName: { type: ['string', 'null'] },
+    acquisitionDate: { type: ['string', 'null'], pattern: DATE_PATTERN },
+    statusOwned: { type: 'boolean' },
+    pricePaid: { type: ['number', 'null'], minimum: 0 },
+    currency: { type: ['string', 'null'] },
+    originalPricePaid: { type: ['number', 'null'], minimum: 0 },
+    originalCurrency: { type: ['string', 'null'] },
+    disposalDate: { type: ['string', 'null'], pattern: DATE_PATTERN },
+    disposalMethod: { type: ['string', 'null'] },
+    salePrice: { type: ['number', 'null'], minimum: 0 },
+    saleCurrency: { type: ['string', 'null'] },
+    originalSalePrice: { type: ['number', 'null'], minimum: 0 },
+    originalSaleCurrency: { type: ['string', 'null'] },
+    publicComment: { type: ['string', 'null'] },
+  },
+};
+
+/**
+ * Schema for a game's BGG thing metadata in data.json (when not null).
+ * @constant {Object}
+ */
+const BGG_METADATA_SCHEMA = {
+  required: ['weight', 'mechanics', 'categories', 'designers', 'publishers', 'bestPlayerCounts', 'recommendedPlayerCounts'],
+  properties: {
+    weight: { type: ['number', 'null'], minimum: 0 },
+    mechanics: { type: 'array', items: { type: 'string' } },
+    categories: { type: 'array', items: { type: 'string' } },
+    designers: { type: 'array', items: { type: 'string' } },
+    publishers: { type: 'array', items: { type: 'string' } },
+    bestPlayerCounts: { type: 'array', items: { type: 'integer' } },
+    recommendedPlayerCounts: { type: 'array', items: { type: 'integer' } },
+  },
+};
+
+/**
+ * Schema for a game object in data.json.
+ * @constant {Object}
+ */
+const GAME_SCHEMA = {
+  type: 'object',
+  required: [
+    'id', 'name', 'year', 'rating', 'isBaseGame', 'isExpansion', 'isExpandalone',
+    'isNonReplayable', 'isCooperative', 'tags', 'copies', 'playCount', 'uniquePlayDays', 'typicalPlayTimeMinutes', 'expansionIds',
+    'bggMetadata',
+  ],
+  properties: {
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    bggId: { type: ['integer', 'null'] },
+    year: { type: ['integer', 'null'] },
+    rating: { type: ['number', 'null'], minimum: 0 },
+    isBaseGame: { type: 'boolean' },
+    isExpansion: { type: 'boolean' },
+    isExpandalone: { type: 'boolean' },
+    isNonReplayable: { type: 'boolean' },
+    isCooperative: { type: 'boolean' },
+    tags: { type: 'array', items: { type: 'string' } },
+    copies: { type: 'array', items: COPY_SCHEMA },
+    playCount: { type: 'integer', minimum: 0 },
+    uniquePlayDays: { type: 'integer', minimum: 0 },
+    typicalPlayTimeMinutes: { type: ['number', 'null'], minimum: 0 },
+    expansionIds: { type: ['array', 'null'], items: { type: 'integer' } },
+    bggMetadata: { type: ['object', 'null'], ...BGG_METADATA_SCHEMA },
+    thumbnailUrl: { type: ['string', 'null'] },
+    coverUrl: { type: ['string', 'null'] },
+  },
+};
+
+/**
+ * Schema for one player's result within a play in data.json.
+ * @constant {Object}
+ */
+const RESULT_SCHEMA = {
+  type: 'object',
+  required: ['playerId', 'score', 'isWinner', 'rank', 'team', 'isStartPlayer'],
+  properties: {
+    playerId: { type: 'integer' },
+    score: { type: ['number', 'null'] },
+    isWinner: { type: 'boolean' },
+    rank: { type: ['integer', 'null'], minimum: 1 },
+    team: { type: ['string', 'null'] },
+    isStartPlayer: { type: 'boolean' },
+  },
+};
+
+/**
+ * Schema for a play object in data.json.
+ * @constant {Object}
+ */
+const PLAY_SCHEMA = {
+  type: 'object',
+  required: ['gameId', 'copyId', 'date', 'timestamp', 'durationMin', 'durationEstimated', 'durationModel', 'players', 'results', 'expansionIds', 'loggedBy'],
+  properties: {
+    gameId: { type: 'integer' },
+    copyId: { type: ['string', 'null'] },
+    date: { type: 'string', pattern: DATE_PATTERN },
+    timestamp: { type: 'string', pattern: TIMESTAMP_PATTERN },
+    durationMin: { type: 'number', minimum: 0 },
+    durationEstimated: { type: 'boolean' },
+    durationModel: { type: ['string', 'null'] },
+    players: { type: 'array', items: { type: 'integer' } },
+    results: { type: 'array', items: RESULT_SCHEMA },
+    expansionIds: { type: 'array', items: { type: 'integer' } },
+    locationId: { type: ['integer', 'null'] },
+    loggedBy: { type: 'array', items: { type: 'integer' } },
+  },
+};
+
+/**
+ * Schema for data.json (the output of processData).
+ * Uses a small subset of JSON Schema: type, required, properties, items,
+ * minimum and pattern.
+ * @constant {Object}
+ */
+const OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['selfPlayerId', 'anonymousPlayerId', 'homeLocationId', 'games', 'plays', 'players', 'locations', 'config', 'generatedAt'],
+  properties: {
+    selfPlayerId: { type: 'integer' },
+    anonymousPlayerId: { type: ['integer', 'null'] },
+    homeLocationId: { type: ['integer', 'null'] },
+    games: { type: 'array', items: GAME_SCHEMA },
+    plays: { type: 'array', items: PLAY_SCHEMA },
+    players: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['playerId', 'name'],
+        properties: { playerId: { type: 'integer' }, name: { type: 'string' } },
+      },
+    },
+    locations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['locationId', 'name'],
+        properties: { locationId: { type: 'integer' }, name: { type: 'string' } },
+      },
+    },
+    config: {
+      type: 'object',
+      required: ['timezone', 'homeLocationName', 'expandaloneTagName', 'oneTimeTagName', 'suggestionExcludedTags', 'baseCurrency'],
+      properties: {
+        timezone: { type: 'string' },
+        homeLocationName: { type: 'string' },
+        expandaloneTagName: { type: 'string' },
+        oneTimeTagName: { type: 'string' },
+        suggestionExcludedTags: { type: 'array', items: { type: 'string' } },
+        baseCurrency: { type: 'string' },
+      },
+    },
+    generatedAt: { type: 'string' },
+  },
+};
+
+/**
+ * Returns the schema type name of a JSON value.
+ * @param {*} value - Value to inspect
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function getSchemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validates a value against a schema. Undefined properties count as absent,
+ * matching how JSON.stringify drops them from data.json.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema (JSON Schema subset)
+ * @param {string} [path] - JSONPath-like location of the value, for messages
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+function validateSchema(value, schema, path = '$') {
+  const allowedTypes = [].concat(schema.type);
+  const actualType = getSchemaType(value);
+  const typeMatches = allowedTypes.includes(actualType)
+    || (actualType === 'integer' && allowedTypes.includes('number'));
+  if (!typeMatches) {
+    return [`${path}: expected ${allowedTypes.join(' or ')}, got ${actualType}`];
+  }
+
+  const errors = [];
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${path}: ${value} is less than ${schema.minimum}`);
+  }
+
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: "${value}" does not match ${schema.pattern}`);
+  }
+
+  if (actualType === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}: missing required property "${key}"`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Returns whether a metaData string is missing or valid JSON.
+ * @param {string|undefined} metaData - metaData string from BG Stats
+ * @returns {boolean} True if absent or parseable
+ */
+function isValidMetaData(metaData) {
+  if (!metaData) return true;
+  try {
+    JSON.parse(metaData);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Checks source data (BG Stats export shape) for problems that processData
+ * silently copes with: unparseable metaData JSON and plays without a duration.
+ * Plays of unknown games are caught on the output (see getDataQualityIssues).
+ * @param {Object} bgStatsData - Source data in BG Stats export shape
+ * @returns {Array} Issues { severity, message }
+ */
+function validateSource(bgStatsData) {
+  const issues = [];
+
+  bgStatsData.games.forEach(game => {
+    (game.copies || []).forEach(copy => {
+      if (!isValidMetaData(copy.metaData)) {
+        issues.push({ severity: Severity.ERROR, message: `Game "${game.name}": copy ${copy.uuid} has invalid metaData JSON` });
+      }
+    });
+  });
+
+  bgStatsData.plays.forEach(play => {
+    const label = `Play of game ${play.gameRefId} on ${play.playDate}`;
+    if (!isValidMetaData(play.metaData)) {
+      issues.push({ severity: Severity.ERROR, message: `${label}: invalid metaData JSON` });
+    }
+    if ((play.playerScores || []).some(ps => !isValidMetaData(ps.metaData))) {
+      issues.push({ severity: Severity.ERROR, message: `${label}: invalid player metaData JSON` });
+    }
+    if (play.durationMin === undefined || play.durationMin === null) {
+      issues.push({ severity: Severity.WARNING, message: `${label}: missing durationMin (treated as 0)` });
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Validates processed output: schema violations are errors, data quality
+ * anomalies (see stats/data-quality.js) are warnings.
+ * @param {Object} data - Output of processData
+ * @returns {Array} Issues { severity, message }
+ */
+function validateOutput(data) {
+  const schemaIssues = validateSchema(data, OUTPUT_SCHEMA)
+    .map(message => ({ severity: Severity.ERROR, message: message }));
+  if (schemaIssues.length > 0) {
+    // Anomaly checks assume well-formed data
+    return schemaIssues;
+  }
+
+  const qualityIssues = getDataQualityIssues(data.games, data.plays).map(issue => ({
+    severity: Severity.WARNING,
+    message: `${issue.game ? `"${issue.game.name}"` : `Game ${issue.gameId}`}${issue.date ? ` (${issue.date})` : ''}: ${issue.message}`,
+  }));
+
+  return qualityIssues;
+}
+
+/**
+ * Formats validation issues as a human-readable report.
+ * @param {Array} issues - Issues { severity, message }
+ * @returns {string} Multi-line report
+ */
+function formatValidationReport(issues) {
+  if (issues.length === 0) {
+    return 'Validation passed: no issues found.';
+  }
+  const errorCount = issues.filter(issue => issue.severity === Severity.ERROR).length;
+  const warningCount = issues.length - errorCount;
+  const lines = [`=== Validation: ${errorCount} error${errorCount === 1 ? '' : 's'}, ${warningCount} warning${warningCount === 1 ? '' : 's'} ===`];
+  issues.forEach(issue => {
+    lines.push(`  [${issue.severity}] ${issue.message}`);
+  });
+  return lines.join('\n');
+}
+
+export {
+  Severity,
+  OUTPUT_SCHEMA,
+  validateSchema,
+  validateSource,
+  validateOutput,
+  formatValidationReport,
+};
@@ -18,3 +18,13 @@ export * from './stats/value-stats.js';
 export * from './stats/rating-stats.js';
 export * from './stats/ranking-stats.js';
 export * from './stats/tag-stats.js';
+export * from './stats/data-quality.js';
+export * from './stats/metadata-stats.js';
+export * from './stats/results-stats.js';
+export * from './stats/player-count-stats.js';
+export * from './stats/timeline-stats.js';
+export * from './stats/calendar-stats.js';
+export * from './stats/patterns.js';
+export * from './stats/collection-timeline.js';
+export * from './stats/shelf-aging.js';
+export * from './stats/expansion-stats.js';
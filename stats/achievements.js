@@ -14,6 +14,7 @@
 import { Metric, Milestone, ValueClub } from './constants.js';
 import { calculateHIndexFromSortedValues } from './h-index.js';
 import { calculateStaircaseLevelFromSortedValues } from './staircase-level.js';
+import { getPlayGaps } from './play-stats.js';
 import { calculateCostPerMetric, getGamePricePaid, valueClubGameFilter } from './value-stats.js';
 
 /**
@@ -32,6 +33,7 @@ const AchievementType = {
   UNIQUE_GAMES: 'unique-games',
   LONGEST_RUN: 'longest-run',
   LONGEST_SESSION: 'longest-session',
+  RESURRECTION: 'resurrection',
 };
 
 // Cumulative thresholds for logging totals, solo, and buddy crossings
@@ -42,6 +44,9 @@ const PLAY_THRESHOLD_STEP = 250;
 // Threshold step for the unique-games-played count
 const UNIQUE_GAMES_THRESHOLD_STEP = 25;
 
+// Fewest days between two plays of a game for its return to count as a resurrection
+const RESURRECTION_MIN_GAP_DAYS = 365;
+
 // Pseudo-metric for the people h-index (not a per-game hours/sessions/plays value)
 const PEOPLE_METRIC = 'people';
 
@@ -540,6 +545,31 @@ function getLongestSessionAchievements(plays) {
   }));
 }
 
+// ---------------------------------------------------------------------------
+// Resurrections (longest gap between plays of a game)
+// ---------------------------------------------------------------------------
+
+/**
+ * Generate resurrection achievements: each time a game returns to the table after
+ * the longest gap yet (at least a year) between two of its plays. The game is the
+ * subject; lastPlayedDate notes when it was played before. Has no metric.
+ * @param {Array} plays - Array of play objects
+ * @returns {Array} Rows of { type, timestamp, gameId, threshold, lastPlayedDate }
+ */
+function getResurrectionAchievements(plays) {
+  const gaps = getPlayGaps(plays)
+    .filter(gap => gap.gapDays >= RESURRECTION_MIN_GAP_DAYS)
+    .map(gap => ({ ...gap, value: gap.gapDays }));
+
+  return maxRecordProgression(gaps).map(gap => ({
+    type: AchievementType.RESURRECTION,
+    timestamp: gap.timestamp,
+    gameId: gap.gameId,
+    threshold: gap.gapDays,
+    lastPlayedDate: gap.lastPlayedDate,
+  }));
+}
+
 // ---------------------------------------------------------------------------
 // Aggregation: run every generator and order the combined list
 // ---------------------------------------------------------------------------
@@ -559,6 +589,7 @@ const ACHIEVEMENT_GENERATORS = [
   (context) => getUniqueGamesAchievements(context.plays),
   (context) => getLongestRunAchievements(context.plays),
   (context) => getLongestSessionAchievements(context.plays),
+  (context) => getResurrectionAchievements(context.plays),
 ];
 
 const metricOrder = { [Metric.HOURS]: 0, [Metric.SESSIONS]: 1, [Metric.PLAYS]: 2, [PEOPLE_METRIC]: 3 };
@@ -615,4 +646,5 @@ export {
   getUniqueGamesAchievements,
   getLongestRunAchievements,
   getLongestSessionAchievements,
+  getResurrectionAchievements,
 };
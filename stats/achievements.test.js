@@ -13,6 +13,7 @@ import {
   getUniqueGamesAchievements,
   getLongestRunAchievements,
   getLongestSessionAchievements,
+  getResurrectionAchievements,
 } from './achievements.js';
 import {
   calculateHourHIndex,
@@ -683,3 +684,32 @@ describe('getLongestSessionAchievements', () => {
     });
   });
 });
+
+describe('getResurrectionAchievements', () => {
+  test('returns empty array for no plays', () => {
+    expect(getResurrectionAchievements([])).toEqual([]);
+  });
+
+  test('emits when a game returns after the longest gap yet, of at least a year', () => {
+    const plays = [
+      play('2020-01-01', 60, '12:00:00', 1),
+      play('2020-03-01', 60, '12:00:00', 2),
+      play('2020-06-01', 60, '12:00:00', 3),
+      play('2021-01-01', 60, '12:00:00', 3), // 214 days, too short
+      play('2021-03-01', 60, '12:00:00', 2), // 365 days (record)
+      play('2022-03-01', 60, '18:00:00', 1), // 790 days (record)
+      play('2022-03-01', 60, '10:00:00', 1), // earlier play of the same day stamps the return
+      play('2023-03-01', 60, '12:00:00', 2), // 730 days, no record
+    ];
+    const result = getResurrectionAchievements(plays);
+
+    expect(result.map(a => a.threshold)).toEqual([365, 790]);
+    expect(result[1]).toEqual({
+      type: AchievementType.RESURRECTION,
+      timestamp: '2022-03-01 10:00:00',
+      gameId: 1,
+      threshold: 790,
+      lastPlayedDate: '2020-01-01',
+    });
+  });
+});
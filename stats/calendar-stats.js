@@ -0,0 +1,114 @@
+/**
+ * Calendar statistics - daily play activity for the play calendar heatmap
+ */
+
+import { Metric } from './constants.js';
+import { isPlayInYear } from './play-helpers.js';
+
+// Number of shaded levels above "no activity" in the heatmap
+const ACTIVITY_LEVELS = 4;
+
+/**
+ * Aggregate plays per date
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter
+ * @returns {Map} Map of date (YYYY-MM-DD) -> { plays, sessions, minutes },
+ *   where sessions counts the distinct games played that day
+ */
+function getDailyActivity(plays, year = null) {
+  const gamesByDate = new Map();
+  const activityByDate = new Map();
+
+  plays.forEach(play => {
+    if (!isPlayInYear(play, year)) return;
+
+    if (!activityByDate.has(play.date)) {
+      activityByDate.set(play.date, { plays: 0, sessions: 0, minutes: 0 });
+      gamesByDate.set(play.date, new Set());
+    }
+    const activity = activityByDate.get(play.date);
+    activity.plays++;
+    activity.minutes += play.durationMin || 0;
+    gamesByDate.get(play.date).add(play.gameId);
+    activity.sessions = gamesByDate.get(play.date).size;
+  });
+
+  return activityByDate;
+}
+
+/**
+ * Get a day's value for a metric
+ * @param {Object|undefined} activity - Day entry from getDailyActivity (undefined for no plays)
+ * @param {string} metric - Metric type: 'hours', 'sessions', or 'plays'
+ * @returns {number} Hours, sessions or plays that day
+ */
+function getDailyMetricValue(activity, metric) {
+  if (!activity) return 0;
+  switch (metric) {
+    case Metric.SESSIONS:
+      return activity.sessions;
+    case Metric.PLAYS:
+      return activity.plays;
+    case Metric.HOURS:
+    default:
+      return activity.minutes / 60;
+  }
+}
+
+/**
+ * Get the heatmap shade of a day: 0 for no activity, otherwise 1-4 by its
+ * share of the busiest day
+ * @param {number} value - Day's metric value
+ * @param {number} maxValue - Busiest day's metric value
+ * @returns {number} Activity level 0-4
+ */
+function getActivityLevel(value, maxValue) {
+  if (!value || !maxValue) return 0;
+  return Math.min(ACTIVITY_LEVELS, Math.ceil((value / maxValue) * ACTIVITY_LEVELS));
+}
+
+/**
+ * Lay out a year as calendar weeks, Sunday first
+ * @param {number} year - Calendar year
+ * @returns {Array<Array<string|null>>} Weeks of seven dates (YYYY-MM-DD); days
+ *   outside the year are null
+ */
+function getCalendarWeeks(year) {
+  const weeks = [];
+  let week = new Array(7).fill(null);
+
+  // UTC avoids daylight saving shifts when stepping a day at a time
+  for (let day = new Date(Date.UTC(year, 0, 1)); day.getUTCFullYear() === year; day.setUTCDate(day.getUTCDate() + 1)) {
+    const weekday = day.getUTCDay();
+    week[weekday] = day.toISOString().substring(0, 10);
+    if (weekday === 6) {
+      weeks.push(week);
+      week = new Array(7).fill(null);
+    }
+  }
+  if (week.some(date => date !== null)) {
+    weeks.push(week);
+  }
+
+  return weeks;
+}
+
+/**
+ * Get the plays logged on a date, in the order they were played
+ * @param {Array} plays - Array of play objects
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Array} Plays on that date, sorted by timestamp
+ */
+function getPlaysOnDate(plays, date) {
+  return plays
+    .filter(play => play.date === date)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+export {
+  getDailyActivity,
+  getDailyMetricValue,
+  getActivityLevel,
+  getCalendarWeeks,
+  getPlaysOnDate,
+};
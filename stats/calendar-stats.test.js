@@ -0,0 +1,104 @@
+import { describe, test, expect } from 'vitest';
+import {
+  getDailyActivity,
+  getDailyMetricValue,
+  getActivityLevel,
+  getCalendarWeeks,
+  getPlaysOnDate,
+} from './calendar-stats.js';
+
+const plays = [
+  { gameId: 1, date: '2023-12-31', timestamp: '2023-12-31 20:00:00', durationMin: 60 },
+  { gameId: 1, date: '2024-03-02', timestamp: '2024-03-02 21:00:00', durationMin: 30 },
+  { gameId: 1, date: '2024-03-02', timestamp: '2024-03-02 19:00:00', durationMin: 45 },
+  { gameId: 2, date: '2024-03-02', timestamp: '2024-03-02 20:00:00', durationMin: 15 },
+  { gameId: 3, date: '2024-03-05', timestamp: '2024-03-05 18:00:00' },
+];
+
+describe('getDailyActivity', () => {
+  test('aggregates plays, distinct games and minutes per date', () => {
+    const activity = getDailyActivity(plays);
+
+    expect(activity.size).toBe(3);
+    expect(activity.get('2024-03-02')).toEqual({ plays: 3, sessions: 2, minutes: 90 });
+    expect(activity.get('2024-03-05')).toEqual({ plays: 1, sessions: 1, minutes: 0 });
+  });
+
+  test('filters by year', () => {
+    const activity = getDailyActivity(plays, 2023);
+
+    expect(Array.from(activity.keys())).toEqual(['2023-12-31']);
+  });
+});
+
+describe('getDailyMetricValue', () => {
+  test('returns the value of the metric', () => {
+    const activity = { plays: 3, sessions: 2, minutes: 90 };
+    const cases = [
+      ['hours', 1.5],
+      ['sessions', 2],
+      ['plays', 3],
+      [undefined, 1.5],
+    ];
+    cases.forEach(([metric, expected]) => {
+      expect(getDailyMetricValue(activity, metric)).toBe(expected);
+    });
+  });
+
+  test('returns 0 for days without plays', () => {
+    expect(getDailyMetricValue(undefined, 'plays')).toBe(0);
+  });
+});
+
+describe('getActivityLevel', () => {
+  test('shades days by their share of the busiest day', () => {
+    const cases = [
+      [0, 10, 0],
+      [1, 10, 1],
+      [2.5, 10, 1],
+      [5, 10, 2],
+      [7, 10, 3],
+      [10, 10, 4],
+      [3, 0, 0],
+    ];
+    cases.forEach(([value, maxValue, expected]) => {
+      expect(getActivityLevel(value, maxValue)).toBe(expected);
+    });
+  });
+});
+
+describe('getCalendarWeeks', () => {
+  test('lays out every day of the year in Sunday-first weeks', () => {
+    const weeks = getCalendarWeeks(2024);
+
+    // Jan 1, 2024 was a Monday; Dec 31, 2024 was a Tuesday
+    expect(weeks[0]).toEqual([null, '2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05', '2024-01-06']);
+    expect(weeks[weeks.length - 1]).toEqual(['2024-12-29', '2024-12-30', '2024-12-31', null, null, null, null]);
+    expect(weeks.flat().filter(Boolean)).toHaveLength(366);
+    expect(weeks).toHaveLength(53);
+  });
+
+  test('ends on a full week when the year ends on a Saturday', () => {
+    // Dec 31, 2022 was a Saturday
+    const weeks = getCalendarWeeks(2022);
+
+    expect(weeks[weeks.length - 1][6]).toBe('2022-12-31');
+    expect(weeks.flat().filter(Boolean)).toHaveLength(365);
+  });
+});
+
+describe('getPlaysOnDate', () => {
+  test('returns the plays on a date in play order', () => {
+    const result = getPlaysOnDate(plays, '2024-03-02');
+
+    expect(result.map(play => play.timestamp)).toEqual([
+      '2024-03-02 19:00:00',
+      '2024-03-02 20:00:00',
+      '2024-03-02 21:00:00',
+    ]);
+  });
+
+  test('returns no plays for a quiet day', () => {
+    expect(getPlaysOnDate(plays, '2024-01-01')).toEqual([]);
+  });
+});
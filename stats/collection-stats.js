@@ -3,7 +3,7 @@
  */
 
 import { Milestone } from './constants.js';
-import { isGameOwned, wasGameAcquiredInYear } from './game-helpers.js';
+import { isGameOwned, wasGameAcquiredInYear, wasGameOwnedAtEndOfYear } from './game-helpers.js';
 import { isPlayInYear, getMetricValueFromPlayData } from './play-helpers.js';
 import {
   countGamesInTier,
@@ -47,15 +47,15 @@ function getTotalBGGEntries(games, year = null) {
 /**
  * Get total base games owned (excludes expandalones)
  * @param {Array} games - Array of game objects
- * @param {number|null} year - Optional year filter (for acquisitions)
+ * @param {number|null} year - Optional year filter (games owned at the end of the year)
  * @returns {number} count
  */
 function getTotalGamesOwned(games, year = null) {
   return games.filter(game => {
     if (!game.isBaseGame) return false;
     if (year) {
-      // Year selected: count games acquired in that year (regardless of current ownership)
-      return wasGameAcquiredInYear(game, year);
+      // Year selected: count games owned at the end of that year (including ones sold since)
+      return wasGameOwnedAtEndOfYear(game, year);
     }
     // No year: count only currently owned games
     return isGameOwned(game);
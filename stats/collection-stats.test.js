@@ -70,11 +70,25 @@ describe('getTotalGamesOwned', () => {
     expect(total).toBeLessThanOrEqual(typicalData.games.length - expansionCount);
   });
 
-  test('filters by acquisition year', () => {
+  test('filters by year', () => {
     const total2020 = getTotalGamesOwned(typicalData.games, 2020);
     expect(total2020).toBeGreaterThanOrEqual(0);
   });
 
+  test('counts games owned at the end of the year, including ones sold since', () => {
+    const games = [
+      { isBaseGame: true, copies: [{ acquisitionDate: '2020-01-01', statusOwned: false, disposalDate: '2023-06-01' }] },
+      { isBaseGame: true, copies: [{ acquisitionDate: '2021-01-01', statusOwned: true, disposalDate: null }] },
+      { isBaseGame: true, copies: [{ acquisitionDate: '2020-01-01', statusOwned: false, disposalDate: '2021-06-01' }] },
+      { isBaseGame: false, copies: [{ acquisitionDate: '2020-01-01', statusOwned: true, disposalDate: null }] },
+    ];
+
+    expect(getTotalGamesOwned(games, 2020)).toBe(2);
+    expect(getTotalGamesOwned(games, 2022)).toBe(2);
+    expect(getTotalGamesOwned(games, 2023)).toBe(1);
+    expect(getTotalGamesOwned(games)).toBe(1);
+  });
+
   test('returns 0 for empty games array', () => {
     expect(getTotalGamesOwned([])).toBe(0);
   });
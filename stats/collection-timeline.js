@@ -0,0 +1,170 @@
+/**
+ * Collection timeline - monthly collection size, acquisitions and spend
+ */
+
+import { isPlayInYear } from './play-helpers.js';
+import { getMonth, getTimelineMonthsFromDates } from './timeline-stats.js';
+
+/**
+ * Helper: Check if a copy was owned at the end of a month. Mirrors
+ * wasCopyOwnedAtEndOfYear: copies no longer owned with no disposal date are
+ * left out, since when they left the collection is unknown.
+ * @param {Object} copy - Copy object
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {boolean} true if the copy was owned at the end of the month
+ */
+function wasCopyOwnedAtEndOfMonth(copy, month) {
+  if (!copy.acquisitionDate || getMonth(copy.acquisitionDate) > month) return false;
+  if (copy.disposalDate) {
+    return getMonth(copy.disposalDate) > month;
+  }
+  return copy.statusOwned === true;
+}
+
+/**
+ * Helper: Get every copy with an acquisition date, paired with its game
+ * @param {Array} games - Array of game objects
+ * @returns {Array} Array of { game, copy }
+ */
+function getAcquiredCopies(games) {
+  const acquisitions = [];
+  games.forEach(game => {
+    (game.copies || []).forEach(copy => {
+      if (copy.acquisitionDate) {
+        acquisitions.push({ game, copy });
+      }
+    });
+  });
+  return acquisitions;
+}
+
+/**
+ * Helper: Summarize a group of acquired copies
+ * @param {Array} acquisitions - Array of { game, copy }
+ * @returns {Object} { count, spend, pricedCount, averagePrice }
+ */
+function summarizeAcquisitions(acquisitions) {
+  const priced = acquisitions.filter(({ copy }) => typeof copy.pricePaid === 'number');
+  const spend = priced.reduce((sum, { copy }) => sum + copy.pricePaid, 0);
+  return {
+    count: acquisitions.length,
+    spend,
+    pricedCount: priced.length,
+    averagePrice: priced.length > 0 ? spend / priced.length : null,
+  };
+}
+
+/**
+ * Get the number of games owned at the end of each month, split by type.
+ * The timeline runs from the first acquisition to the last acquisition,
+ * disposal or logged play, so the collection is shown up to the latest data.
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { month, baseGames, expansions, expandalones, total }, oldest first
+ */
+function getCollectionTimeline(games, plays, year = null) {
+  const acquisitionDates = getAcquiredCopies(games).map(({ copy }) => copy.acquisitionDate).sort();
+  if (acquisitionDates.length === 0) return [];
+
+  const eventDates = [
+    ...acquisitionDates,
+    ...games.flatMap(game => (game.copies || []).map(copy => copy.disposalDate).filter(date => date)),
+    ...plays.map(play => play.date).filter(date => date >= acquisitionDates[0]),
+  ];
+  const months = getTimelineMonthsFromDates(eventDates, year);
+
+  return months.map(month => {
+    const entry = { month, baseGames: 0, expansions: 0, expandalones: 0, total: 0 };
+    games.forEach(game => {
+      if (!(game.copies || []).some(copy => wasCopyOwnedAtEndOfMonth(copy, month))) return;
+      if (game.isBaseGame) entry.baseGames++;
+      else if (game.isExpansion) entry.expansions++;
+      else if (game.isExpandalone) entry.expandalones++;
+      else return;
+      entry.total++;
+    });
+    return entry;
+  });
+}
+
+/**
+ * Get copies acquired and money spent in each month. Months without
+ * acquisitions are left out. Spend uses converted prices; average price only
+ * counts copies with a known price.
+ * @param {Array} games - Array of game objects
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { month, count, spend, pricedCount, averagePrice }, oldest first
+ */
+function getAcquisitionsByMonth(games, year = null) {
+  const byMonth = new Map();
+  getAcquiredCopies(games).forEach(acquisition => {
+    const month = getMonth(acquisition.copy.acquisitionDate);
+    if (year && !month.startsWith(`${year}-`)) return;
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(acquisition);
+  });
+
+  return Array.from(byMonth.keys())
+    .sort()
+    .map(month => ({ month, ...summarizeAcquisitions(byMonth.get(month)) }));
+}
+
+/**
+ * Get copies acquired, money spent and plays logged in each year, with the
+ * acquisition-to-play ratio (copies acquired per play logged)
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { year, count, spend, pricedCount, averagePrice, plays, acquisitionToPlayRatio }, oldest first
+ */
+function getAcquisitionsByYear(games, plays, year = null) {
+  const byYear = new Map();
+  getAcquiredCopies(games).forEach(acquisition => {
+    const acquisitionYear = parseInt(acquisition.copy.acquisitionDate.substring(0, 4));
+    if (year && acquisitionYear !== year) return;
+    if (!byYear.has(acquisitionYear)) byYear.set(acquisitionYear, []);
+    byYear.get(acquisitionYear).push(acquisition);
+  });
+
+  const playCounts = new Map();
+  plays.forEach(play => {
+    if (!isPlayInYear(play, year)) return;
+    const playYear = parseInt(play.date.substring(0, 4));
+    playCounts.set(playYear, (playCounts.get(playYear) || 0) + 1);
+  });
+
+  return Array.from(byYear.keys())
+    .sort((a, b) => a - b)
+    .map(acquisitionYear => {
+      const summary = summarizeAcquisitions(byYear.get(acquisitionYear));
+      const playCount = playCounts.get(acquisitionYear) || 0;
+      return {
+        year: acquisitionYear,
+        ...summary,
+        plays: playCount,
+        acquisitionToPlayRatio: playCount > 0 ? summary.count / playCount : null,
+      };
+    });
+}
+
+/**
+ * Get the months with the most money spent on acquisitions
+ * @param {Array} games - Array of game objects
+ * @param {number|null} year - Optional year filter
+ * @param {number} limit - Maximum number of months to return
+ * @returns {Array} Array of { month, count, spend, pricedCount, averagePrice }, biggest spend first
+ */
+function getBiggestPurchaseMonths(games, year = null, limit = 5) {
+  return getAcquisitionsByMonth(games, year)
+    .filter(entry => entry.spend > 0)
+    .sort((a, b) => b.spend - a.spend || a.month.localeCompare(b.month))
+    .slice(0, limit);
+}
+
+export {
+  getCollectionTimeline,
+  getAcquisitionsByMonth,
+  getAcquisitionsByYear,
+  getBiggestPurchaseMonths,
+};
@@ -0,0 +1,128 @@
+import { describe, test, expect } from 'vitest';
+import {
+  getCollectionTimeline,
+  getAcquisitionsByMonth,
+  getAcquisitionsByYear,
+  getBiggestPurchaseMonths,
+} from './collection-timeline.js';
+
+const games = [
+  {
+    id: 1, isBaseGame: true, isExpansion: false, isExpandalone: false,
+    copies: [{ statusOwned: true, acquisitionDate: '2023-11-05', pricePaid: 40 }],
+  },
+  {
+    id: 2, isBaseGame: false, isExpansion: true, isExpandalone: false,
+    copies: [{ statusOwned: true, acquisitionDate: '2023-11-20', pricePaid: 20 }],
+  },
+  {
+    id: 3, isBaseGame: false, isExpansion: false, isExpandalone: true,
+    copies: [{ statusOwned: false, acquisitionDate: '2024-01-10', pricePaid: 30, disposalDate: '2024-03-01' }],
+  },
+  {
+    id: 4, isBaseGame: true, isExpansion: false, isExpandalone: false,
+    copies: [
+      { statusOwned: false, acquisitionDate: '2023-12-01', pricePaid: null },
+      { statusOwned: true, acquisitionDate: '2024-01-15', pricePaid: 55 },
+    ],
+  },
+  // Sold with no disposal date: never counted as owned, but still an acquisition
+  {
+    id: 5, isBaseGame: true, isExpansion: false, isExpandalone: false,
+    copies: [{ statusOwned: false, acquisitionDate: '2024-01-02', pricePaid: 10 }],
+  },
+  // Unknown type, undated copy and no copies
+  { id: 6, isBaseGame: false, isExpansion: false, isExpandalone: false, copies: [{ statusOwned: true, acquisitionDate: '2024-01-01' }] },
+  { id: 7, isBaseGame: true, copies: [{ statusOwned: true, acquisitionDate: null }] },
+  { id: 8, isBaseGame: true },
+];
+
+const plays = [
+  { gameId: 1, date: '2022-06-01' },
+  { gameId: 1, date: '2023-11-06' },
+  { gameId: 1, date: '2024-01-11' },
+  { gameId: 3, date: '2024-02-01' },
+  { gameId: 4, date: '2024-04-20' },
+];
+
+describe('getCollectionTimeline', () => {
+  test('counts games owned at the end of each month by type', () => {
+    expect(getCollectionTimeline(games, plays)).toEqual([
+      { month: '2023-11', baseGames: 1, expansions: 1, expandalones: 0, total: 2 },
+      { month: '2023-12', baseGames: 1, expansions: 1, expandalones: 0, total: 2 },
+      { month: '2024-01', baseGames: 2, expansions: 1, expandalones: 1, total: 4 },
+      { month: '2024-02', baseGames: 2, expansions: 1, expandalones: 1, total: 4 },
+      { month: '2024-03', baseGames: 2, expansions: 1, expandalones: 0, total: 3 },
+      { month: '2024-04', baseGames: 2, expansions: 1, expandalones: 0, total: 3 },
+    ]);
+  });
+
+  test('runs to the latest disposal when it is after the last play', () => {
+    const timeline = getCollectionTimeline(games, []);
+    expect(timeline[timeline.length - 1].month).toBe('2024-03');
+  });
+
+  test('covers the months of the year', () => {
+    expect(getCollectionTimeline(games, plays, 2024).map(entry => entry.month))
+      .toEqual(['2024-01', '2024-02', '2024-03', '2024-04']);
+    expect(getCollectionTimeline(games, plays, 2023)).toHaveLength(12);
+    expect(getCollectionTimeline(games, plays, 2023)[0].total).toBe(0);
+  });
+
+  test('returns no months without acquisitions', () => {
+    expect(getCollectionTimeline([], plays)).toEqual([]);
+    expect(getCollectionTimeline([games[6], games[7]], plays)).toEqual([]);
+  });
+});
+
+describe('getAcquisitionsByMonth', () => {
+  test('counts copies and spend for months with acquisitions', () => {
+    expect(getAcquisitionsByMonth(games)).toEqual([
+      { month: '2023-11', count: 2, spend: 60, pricedCount: 2, averagePrice: 30 },
+      { month: '2023-12', count: 1, spend: 0, pricedCount: 0, averagePrice: null },
+      { month: '2024-01', count: 4, spend: 95, pricedCount: 3, averagePrice: 95 / 3 },
+    ]);
+  });
+
+  test('filters by year', () => {
+    expect(getAcquisitionsByMonth(games, 2023).map(entry => entry.month)).toEqual(['2023-11', '2023-12']);
+  });
+});
+
+describe('getAcquisitionsByYear', () => {
+  test('compares acquisitions to plays logged each year', () => {
+    expect(getAcquisitionsByYear(games, plays)).toEqual([
+      { year: 2023, count: 3, spend: 60, pricedCount: 2, averagePrice: 30, plays: 1, acquisitionToPlayRatio: 3 },
+      { year: 2024, count: 4, spend: 95, pricedCount: 3, averagePrice: 95 / 3, plays: 3, acquisitionToPlayRatio: 4 / 3 },
+    ]);
+  });
+
+  test('filters by year', () => {
+    expect(getAcquisitionsByYear(games, plays, 2024)).toEqual([
+      { year: 2024, count: 4, spend: 95, pricedCount: 3, averagePrice: 95 / 3, plays: 3, acquisitionToPlayRatio: 4 / 3 },
+    ]);
+  });
+
+  test('has no ratio for years without plays', () => {
+    expect(getAcquisitionsByYear(games, [], 2023)).toEqual([
+      { year: 2023, count: 3, spend: 60, pricedCount: 2, averagePrice: 30, plays: 0, acquisitionToPlayRatio: null },
+    ]);
+  });
+});
+
+describe('getBiggestPurchaseMonths', () => {
+  test('ranks months by spend, skipping months with nothing spent', () => {
+    expect(getBiggestPurchaseMonths(games).map(entry => [entry.month, entry.spend]))
+      .toEqual([['2024-01', 95], ['2023-11', 60]]);
+  });
+
+  test('breaks ties by month and honors the limit', () => {
+    const tied = [
+      { copies: [{ acquisitionDate: '2024-02-01', pricePaid: 10 }] },
+      { copies: [{ acquisitionDate: '2024-01-01', pricePaid: 10 }] },
+      { copies: [{ acquisitionDate: '2023-01-01', pricePaid: 10 }] },
+    ];
+    expect(getBiggestPurchaseMonths(tied, 2024).map(entry => entry.month)).toEqual(['2024-01', '2024-02']);
+    expect(getBiggestPurchaseMonths(tied, null, 1).map(entry => entry.month)).toEqual(['2023-01']);
+  });
+});
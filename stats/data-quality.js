@@ -0,0 +1,168 @@
+/**
+ * Data quality checks - anomalies in processed game and play data
+ */
+
+/**
+ * Enum of data quality issue types.
+ * @readonly
+ * @enum {string}
+ */
+const DataQualityIssue = {
+  UNKNOWN_GAME: 'unknown-game',
+  PLAYED_BEFORE_PUBLICATION: 'played-before-publication',
+  PLAY_OVER_24_HOURS: 'play-over-24-hours',
+  COPY_ACQUIRED_AFTER_PLAY: 'copy-acquired-after-play',
+  EXPANSION_WITHOUT_BASE_GAME: 'expansion-without-base-game',
+  UNCONVERTIBLE_PRICE: 'unconvertible-price',
+};
+
+/**
+ * Longest plausible single play, in minutes.
+ * @constant {number}
+ */
+const MAX_PLAY_DURATION_MINUTES = 24 * 60;
+
+/**
+ * Find anomalies in processed data that are likely logging mistakes:
+ * - plays referencing a game that doesn't exist (one issue per game ID)
+ * - plays dated before the game's publication year (one issue per game, earliest play)
+ * - plays longer than 24 hours (one issue per play)
+ * - copies first played before they were acquired (one issue per copy, earliest play)
+ * - expansions/expandalones not linked to any base game (skipped when expansion
+ *   links are absent from the data)
+ * - copies whose price or sale price couldn't be converted to the base
+ *   currency because there is no exchange rate for its currency (one issue
+ *   per price)
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @returns {Array} Issues { type, gameId, game, date, message }, sorted by type then date (newest first)
+ */
+function getDataQualityIssues(games, plays) {
+  const gamesById = new Map(games.map(game => [game.id, game]));
+  const issues = [];
+
+  const unknownGamePlays = new Map();
+  const earliestPrePublicationPlay = new Map();
+  const earliestPreAcquisitionPlay = new Map();
+
+  plays.forEach(play => {
+    const game = gamesById.get(play.gameId);
+    if (!game) {
+      const existing = unknownGamePlays.get(play.gameId) || { date: play.date, count: 0 };
+      unknownGamePlays.set(play.gameId, {
+        date: play.date < existing.date ? play.date : existing.date,
+        count: existing.count + 1,
+      });
+      return;
+    }
+
+    if (game.year && parseInt(play.date.substring(0, 4), 10) < game.year) {
+      const existing = earliestPrePublicationPlay.get(game.id);
+      if (!existing || play.date < existing.date) {
+        earliestPrePublicationPlay.set(game.id, play);
+      }
+    }
+
+    if (play.durationMin > MAX_PLAY_DURATION_MINUTES) {
+      issues.push({
+        type: DataQualityIssue.PLAY_OVER_24_HOURS,
+        gameId: game.id,
+        game: game,
+        date: play.date,
+        message: `Play lasted ${play.durationMin} minutes`,
+      });
+    }
+
+    const copy = play.copyId ? (game.copies || []).find(c => c.copyId === play.copyId) : null;
+    if (copy && copy.acquisitionDate && play.date < copy.acquisitionDate) {
+      const existing = earliestPreAcquisitionPlay.get(copy.copyId);
+      if (!existing || play.date < existing.play.date) {
+        earliestPreAcquisitionPlay.set(copy.copyId, { game, copy, play });
+      }
+    }
+  });
+
+  unknownGamePlays.forEach(({ date, count }, gameId) => {
+    issues.push({
+      type: DataQualityIssue.UNKNOWN_GAME,
+      gameId: gameId,
+      game: null,
+      date: date,
+      message: `${count} play${count === 1 ? '' : 's'} reference unknown game ID ${gameId}`,
+    });
+  });
+
+  earliestPrePublicationPlay.forEach((play, gameId) => {
+    const game = gamesById.get(gameId);
+    issues.push({
+      type: DataQualityIssue.PLAYED_BEFORE_PUBLICATION,
+      gameId: gameId,
+      game: game,
+      date: play.date,
+      message: `Played in ${play.date.substring(0, 4)}, before its ${game.year} publication`,
+    });
+  });
+
+  earliestPreAcquisitionPlay.forEach(({ game, copy, play }) => {
+    issues.push({
+      type: DataQualityIssue.COPY_ACQUIRED_AFTER_PLAY,
+      gameId: game.id,
+      game: game,
+      date: play.date,
+      message: `Copy acquired ${copy.acquisitionDate}, but first played with it ${play.date}`,
+    });
+  });
+
+  // Expansion links are only checked when the data includes them
+  if (games.some(game => Array.isArray(game.expansionIds))) {
+    const linkedIds = new Set(games.flatMap(game => game.expansionIds || []));
+    games
+      .filter(game => (game.isExpansion || game.isExpandalone) && !linkedIds.has(game.id))
+      .forEach(game => {
+        issues.push({
+          type: DataQualityIssue.EXPANSION_WITHOUT_BASE_GAME,
+          gameId: game.id,
+          game: game,
+          date: null,
+          message: `${game.isExpandalone ? 'Expandalone' : 'Expansion'} is not linked to any base game`,
+        });
+      });
+  }
+
+  const isUnconvertible = (original, converted) => original !== null && original !== undefined && converted === null;
+  games.forEach(game => {
+    (game.copies || []).forEach(copy => {
+      if (isUnconvertible(copy.originalPricePaid, copy.pricePaid)) {
+        issues.push({
+          type: DataQualityIssue.UNCONVERTIBLE_PRICE,
+          gameId: game.id,
+          game: game,
+          date: copy.acquisitionDate,
+          message: `Price ${copy.originalPricePaid.toFixed(2)} ${copy.originalCurrency} has no exchange rate`,
+        });
+      }
+      if (isUnconvertible(copy.originalSalePrice, copy.salePrice)) {
+        issues.push({
+          type: DataQualityIssue.UNCONVERTIBLE_PRICE,
+          gameId: game.id,
+          game: game,
+          date: copy.disposalDate,
+          message: `Sale price ${copy.originalSalePrice.toFixed(2)} ${copy.originalSaleCurrency} has no exchange rate`,
+        });
+      }
+    });
+  });
+
+  const typeOrder = Object.values(DataQualityIssue);
+  return issues.sort((a, b) => {
+    const typeDiff = typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type);
+    if (typeDiff !== 0) return typeDiff;
+    return (b.date || '').localeCompare(a.date || '');
+  });
+}
+
+export {
+  DataQualityIssue,
+  MAX_PLAY_DURATION_MINUTES,
+  getDataQualityIssues,
+};
@@ -0,0 +1,186 @@
+import { describe, test, expect } from 'vitest';
+import {
+  DataQualityIssue,
+  MAX_PLAY_DURATION_MINUTES,
+  getDataQualityIssues,
+} from './data-quality.js';
+
+describe('MAX_PLAY_DURATION_MINUTES', () => {
+  test('is 24 hours', () => {
+    expect(MAX_PLAY_DURATION_MINUTES).toBe(1440);
+  });
+});
+
+describe('getDataQualityIssues', () => {
+  const baseGame = {
+    id: 1, name: 'Base', year: 2020, isBaseGame: true, isExpansion: false, isExpandalone: false,
+    copies: [{ copyId: 'c1', statusOwned: true, acquisitionDate: '2021-06-01' }],
+    expansionIds: [2],
+  };
+  const linkedExpansion = {
+    id: 2, name: 'Linked Expansion', year: 2021, isBaseGame: false, isExpansion: true, isExpandalone: false,
+    copies: [], expansionIds: null,
+  };
+  const orphanExpansion = {
+    id: 3, name: 'Orphan Expansion', year: null, isBaseGame: false, isExpansion: true, isExpandalone: false,
+    copies: [], expansionIds: null,
+  };
+  const orphanExpandalone = {
+    id: 4, name: 'Orphan Expandalone', year: 2019, isBaseGame: false, isExpansion: false, isExpandalone: true,
+    copies: [{ copyId: 'c4', statusOwned: true, acquisitionDate: null }], expansionIds: null,
+  };
+  const games = [baseGame, linkedExpansion, orphanExpansion, orphanExpandalone];
+
+  test('returns no issues for clean data', () => {
+    const plays = [{ gameId: 1, copyId: 'c1', date: '2021-07-01', durationMin: 60 }];
+    expect(getDataQualityIssues([baseGame, linkedExpansion], plays)).toEqual([]);
+  });
+
+  test('flags plays referencing unknown games, once per game ID with the earliest date', () => {
+    const plays = [
+      { gameId: 99, copyId: null, date: '2022-01-02', durationMin: 30 },
+      { gameId: 99, copyId: null, date: '2022-01-01', durationMin: 30 },
+      { gameId: 99, copyId: null, date: '2022-01-03', durationMin: 30 },
+      { gameId: 98, copyId: null, date: '2022-02-01', durationMin: 30 },
+    ];
+    const issues = getDataQualityIssues([], plays);
+
+    expect(issues).toEqual([
+      { type: DataQualityIssue.UNKNOWN_GAME, gameId: 98, game: null, date: '2022-02-01', message: '1 play reference unknown game ID 98' },
+      { type: DataQualityIssue.UNKNOWN_GAME, gameId: 99, game: null, date: '2022-01-01', message: '3 plays reference unknown game ID 99' },
+    ]);
+  });
+
+  test('flags the earliest play before the publication year', () => {
+    const plays = [
+      { gameId: 1, copyId: null, date: '2019-05-01', durationMin: 60 },
+      { gameId: 1, copyId: null, date: '2018-05-01', durationMin: 60 },
+      { gameId: 1, copyId: null, date: '2019-06-01', durationMin: 60 },
+      { gameId: 1, copyId: null, date: '2020-01-01', durationMin: 60 },
+    ];
+    const issues = getDataQualityIssues([baseGame, linkedExpansion], plays);
+
+    expect(issues).toEqual([{
+      type: DataQualityIssue.PLAYED_BEFORE_PUBLICATION,
+      gameId: 1,
+      game: baseGame,
+      date: '2018-05-01',
+      message: 'Played in 2018, before its 2020 publication',
+    }]);
+  });
+
+  test('ignores publication year when it is unknown', () => {
+    const plays = [{ gameId: 3, copyId: null, date: '1990-01-01', durationMin: 60 }];
+    const issues = getDataQualityIssues(games, plays);
+
+    expect(issues.some(i => i.type === DataQualityIssue.PLAYED_BEFORE_PUBLICATION)).toBe(false);
+  });
+
+  test('flags every play longer than 24 hours', () => {
+    const plays = [
+      { gameId: 1, copyId: null, date: '2022-01-01', durationMin: 1440 },
+      { gameId: 1, copyId: null, date: '2022-01-02', durationMin: 1441 },
+      { gameId: 2, copyId: null, date: '2022-01-03', durationMin: 3000 },
+    ];
+    const issues = getDataQualityIssues([baseGame, linkedExpansion], plays);
+
+    expect(issues.map(i => [i.type, i.gameId, i.date, i.message])).toEqual([
+      [DataQualityIssue.PLAY_OVER_24_HOURS, 2, '2022-01-03', 'Play lasted 3000 minutes'],
+      [DataQualityIssue.PLAY_OVER_24_HOURS, 1, '2022-01-02', 'Play lasted 1441 minutes'],
+    ]);
+  });
+
+  test('flags copies first played before they were acquired, once per copy', () => {
+    const plays = [
+      { gameId: 1, copyId: 'c1', date: '2021-05-01', durationMin: 60 },
+      { gameId: 1, copyId: 'c1', date: '2021-03-01', durationMin: 60 },
+      { gameId: 1, copyId: 'c1', date: '2021-04-01', durationMin: 60 },
+      { gameId: 1, copyId: 'c1', date: '2021-06-01', durationMin: 60 },
+      // Other people's copies and copies without acquisition dates are not checked
+      { gameId: 1, copyId: null, date: '2021-01-01', durationMin: 60 },
+      { gameId: 6, copyId: 'c6', date: '2021-01-01', durationMin: 60 },
+      { gameId: 1, copyId: 'missing', date: '2021-01-01', durationMin: 60 },
+    ];
+    const undatedGame = {
+      id: 6, name: 'Undated', year: null, isBaseGame: true,
+      copies: [{ copyId: 'c6', statusOwned: true, acquisitionDate: null }], expansionIds: [],
+    };
+    const issues = getDataQualityIssues([baseGame, linkedExpansion, undatedGame], plays);
+
+    expect(issues).toEqual([{
+      type: DataQualityIssue.COPY_ACQUIRED_AFTER_PLAY,
+      gameId: 1,
+      game: baseGame,
+      date: '2021-03-01',
+      message: 'Copy acquired 2021-06-01, but first played with it 2021-03-01',
+    }]);
+  });
+
+  test('handles games without copies', () => {
+    const bare = { id: 5, name: 'Bare', year: null, isBaseGame: true };
+    const plays = [{ gameId: 5, copyId: 'c5', date: '2021-01-01', durationMin: 60 }];
+
+    expect(getDataQualityIssues([bare], plays)).toEqual([]);
+  });
+
+  test('flags expansions and expandalones not linked to any base game', () => {
+    const issues = getDataQualityIssues(games, []);
+
+    expect(issues.map(i => [i.type, i.gameId, i.date, i.message])).toEqual([
+      [DataQualityIssue.EXPANSION_WITHOUT_BASE_GAME, 3, null, 'Expansion is not linked to any base game'],
+      [DataQualityIssue.EXPANSION_WITHOUT_BASE_GAME, 4, null, 'Expandalone is not linked to any base game'],
+    ]);
+  });
+
+  test('skips expansion checks when the data has no expansion links', () => {
+    const unlinked = games.map(({ expansionIds: _expansionIds, ...game }) => game);
+
+    expect(getDataQualityIssues(unlinked, [])).toEqual([]);
+  });
+
+  test('flags copies whose price has no exchange rate', () => {
+    const game = {
+      id: 6, name: 'Imported', year: null, isBaseGame: true,
+      copies: [
+        { copyId: 'c6', acquisitionDate: '2023-04-01', pricePaid: null, currency: null, originalPricePaid: 30, originalCurrency: 'GBP' },
+        { copyId: 'c7', acquisitionDate: '2023-05-01', pricePaid: 24.5, currency: 'USD', originalPricePaid: 33, originalCurrency: 'CAD' },
+        { copyId: 'c8', acquisitionDate: '2023-06-01', pricePaid: null, currency: null, originalPricePaid: null, originalCurrency: null },
+        { copyId: 'c9', acquisitionDate: '2023-07-01', pricePaid: null, currency: null },
+        {
+          copyId: 'c10', acquisitionDate: '2020-01-01', pricePaid: 20, currency: 'USD', originalPricePaid: 20, originalCurrency: 'USD',
+          disposalDate: '2022-02-01', salePrice: null, originalSalePrice: 12, originalSaleCurrency: 'GBP',
+        },
+      ],
+    };
+
+    expect(getDataQualityIssues([game], [])).toEqual([{
+      type: DataQualityIssue.UNCONVERTIBLE_PRICE,
+      gameId: 6,
+      game: game,
+      date: '2023-04-01',
+      message: 'Price 30.00 GBP has no exchange rate',
+    }, {
+      type: DataQualityIssue.UNCONVERTIBLE_PRICE,
+      gameId: 6,
+      game: game,
+      date: '2022-02-01',
+      message: 'Sale price 12.00 GBP has no exchange rate',
+    }]);
+  });
+
+  test('sorts by issue type, then newest date first', () => {
+    const plays = [
+      { gameId: 99, copyId: null, date: '2022-01-01', durationMin: 30 },
+      { gameId: 1, copyId: null, date: '2019-01-01', durationMin: 2000 },
+    ];
+    const issues = getDataQualityIssues(games, plays);
+
+    expect(issues.map(i => i.type)).toEqual([
+      DataQualityIssue.UNKNOWN_GAME,
+      DataQualityIssue.PLAYED_BEFORE_PUBLICATION,
+      DataQualityIssue.PLAY_OVER_24_HOURS,
+      DataQualityIssue.EXPANSION_WITHOUT_BASE_GAME,
+      DataQualityIssue.EXPANSION_WITHOUT_BASE_GAME,
+    ]);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Expansion statistics - how often expansions are used with their base games
+ */
+
+import { isGameOwned } from './game-helpers.js';
+import { isPlayInYear } from './play-helpers.js';
+import { getGamePricePaid, calculateCostPerMetric } from './value-stats.js';
+
+/**
+ * Get usage of each expansion with a base game: linked expansions and any
+ * others logged in its plays. Share is the fraction of the base game's plays
+ * that used the expansion; cost per use needs a price for owned copies.
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number} baseGameId - Base game ID
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { game, isOwned, plays, sessions, hours, firstUsed, lastUsed, share, pricePaid, costPerUse },
+ *   most used first
+ */
+function getExpansionUsage(games, plays, baseGameId, year = null) {
+  const gamesById = new Map(games.map(game => [game.id, game]));
+  const baseGame = gamesById.get(baseGameId);
+  const basePlays = plays.filter(play => play.gameId === baseGameId && isPlayInYear(play, year));
+
+  const expansionIds = new Set(baseGame ? baseGame.expansionIds || [] : []);
+  basePlays.forEach(play => (play.expansionIds || []).forEach(id => expansionIds.add(id)));
+
+  return Array.from(expansionIds)
+    .filter(id => gamesById.has(id))
+    .map(id => {
+      const game = gamesById.get(id);
+      const uses = basePlays.filter(play => (play.expansionIds || []).includes(id));
+      const dates = uses.map(play => play.date).sort();
+      const pricePaid = getGamePricePaid(game);
+      return {
+        game,
+        isOwned: isGameOwned(game),
+        plays: uses.length,
+        sessions: new Set(dates).size,
+        hours: uses.reduce((sum, play) => sum + play.durationMin, 0) / 60,
+        firstUsed: dates.length > 0 ? dates[0] : null,
+        lastUsed: dates.length > 0 ? dates[dates.length - 1] : null,
+        share: basePlays.length > 0 ? uses.length / basePlays.length : null,
+        pricePaid,
+        costPerUse: pricePaid !== null && uses.length > 0 ? calculateCostPerMetric(pricePaid, uses.length) : null,
+      };
+    })
+    .sort((a, b) => b.plays - a.plays || a.game.name.localeCompare(b.game.name));
+}
+
+/**
+ * Get owned expansions and expandalones that have never been used: not
+ * logged with any play, and (for expandalones) never played on their own
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @returns {Array} Game objects, sorted by name
+ */
+function getUnusedOwnedExpansions(games, plays) {
+  const usedIds = new Set();
+  plays.forEach(play => {
+    usedIds.add(play.gameId);
+    (play.expansionIds || []).forEach(id => usedIds.add(id));
+  });
+
+  return games
+    .filter(game => (game.isExpansion || game.isExpandalone) && isGameOwned(game) && !usedIds.has(game.id))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export {
+  getExpansionUsage,
+  getUnusedOwnedExpansions,
+};
@@ -0,0 +1,87 @@
+import { describe, test, expect } from 'vitest';
+import {
+  getExpansionUsage,
+  getUnusedOwnedExpansions,
+} from './expansion-stats.js';
+
+const owned = (pricePaid = null) => [{ statusOwned: true, pricePaid }];
+
+const games = [
+  { id: 1, name: 'Base', isBaseGame: true, copies: owned(50), expansionIds: [10, 11, 12] },
+  { id: 2, name: 'Other Base', isBaseGame: true, copies: owned(), expansionIds: [] },
+  { id: 10, name: 'Big Box', isExpansion: true, copies: owned(30) },
+  { id: 11, name: 'Promo Pack', isExpansion: true, copies: owned() },
+  { id: 12, name: 'Adventure', isExpansion: true, copies: [{ statusOwned: false, pricePaid: 20 }] },
+  { id: 13, name: 'Borrowed Mini', isExpansion: true, copies: [] },
+  { id: 14, name: 'Shelved', isExpansion: true, copies: owned(15) },
+  { id: 15, name: 'Standalone', isExpandalone: true, copies: owned(40) },
+  { id: 16, name: 'Also Shelved', isExpandalone: true, copies: owned() },
+];
+
+const plays = [
+  { gameId: 1, date: '2023-05-01', durationMin: 60, expansionIds: [10] },
+  { gameId: 1, date: '2023-05-01', durationMin: 90, expansionIds: [10, 13] },
+  { gameId: 1, date: '2024-02-10', durationMin: 30, expansionIds: [10, 12] },
+  { gameId: 1, date: '2024-03-01', durationMin: 20, expansionIds: [99] },
+  // Older data without expansion details
+  { gameId: 1, date: '2024-04-01', durationMin: 45 },
+  { gameId: 2, date: '2024-01-01', durationMin: 45, expansionIds: [11] },
+  { gameId: 15, date: '2024-01-05', durationMin: 45, expansionIds: [] },
+];
+
+describe('getExpansionUsage', () => {
+  test('reports each expansion used with or linked to the base game', () => {
+    const usage = getExpansionUsage(games, plays, 1);
+
+    expect(usage.map(entry => entry.game.id)).toEqual([10, 12, 13, 11]);
+    expect(usage[0]).toEqual({
+      game: games[2],
+      isOwned: true,
+      plays: 3,
+      sessions: 2,
+      hours: 3,
+      firstUsed: '2023-05-01',
+      lastUsed: '2024-02-10',
+      share: 3 / 5,
+      pricePaid: 30,
+      costPerUse: 10,
+    });
+  });
+
+  test('leaves dates and cost per use empty when unknown', () => {
+    const usage = getExpansionUsage(games, plays, 1);
+    const adventure = usage.find(entry => entry.game.id === 12);
+    const promo = usage.find(entry => entry.game.id === 11);
+
+    expect(adventure.isOwned).toBe(false);
+    expect(adventure.pricePaid).toBeNull();
+    expect(adventure.costPerUse).toBeNull();
+    expect(promo).toMatchObject({ plays: 0, firstUsed: null, lastUsed: null, share: 0, costPerUse: null });
+  });
+
+  test('filters plays by year', () => {
+    const usage = getExpansionUsage(games, plays, 1, 2023);
+
+    expect(usage.map(entry => [entry.game.id, entry.plays, entry.share])).toEqual([
+      [10, 2, 1],
+      [13, 1, 0.5],
+      [12, 0, 0],
+      [11, 0, 0],
+    ]);
+  });
+
+  test('has no share without base game plays', () => {
+    expect(getExpansionUsage(games, plays, 1, 2020).every(entry => entry.share === null)).toBe(true);
+  });
+
+  test('returns nothing for unknown base games', () => {
+    expect(getExpansionUsage(games, plays, 99)).toEqual([]);
+    expect(getExpansionUsage([{ id: 3, name: 'Unlinked', copies: [] }], [], 3)).toEqual([]);
+  });
+});
+
+describe('getUnusedOwnedExpansions', () => {
+  test('lists owned expansions and expandalones never used', () => {
+    expect(getUnusedOwnedExpansions(games, plays).map(game => game.id)).toEqual([16, 14]);
+  });
+});
@@ -56,6 +56,34 @@ function wasGameAcquiredInOrBeforeYear(game, year) {
   return game.copies.some(copy => wasCopyAcquiredInOrBeforeYear(copy, year));
 }
 
+/**
+ * Helper: Check if a copy was owned at the end of a specific year: acquired
+ * in or before the year and not sold or traded away by its end. Copies no
+ * longer owned with no disposal date are left out, since when they left the
+ * collection is unknown.
+ * @param {Object} copy - Copy object
+ * @param {number} year - Year to check
+ * @returns {boolean} true if the copy was owned at the end of the year
+ */
+function wasCopyOwnedAtEndOfYear(copy, year) {
+  if (!wasCopyAcquiredInOrBeforeYear(copy, year)) return false;
+  if (copy.disposalDate) {
+    return parseInt(copy.disposalDate.substring(0, 4)) > year;
+  }
+  return copy.statusOwned === true;
+}
+
+/**
+ * Helper: Check if a game was owned at the end of a specific year
+ * @param {Object} game - Game object
+ * @param {number} year - Year to check
+ * @returns {boolean} true if any copy was owned at the end of the year
+ */
+function wasGameOwnedAtEndOfYear(game, year) {
+  if (!game.copies || game.copies.length === 0) return false;
+  return game.copies.some(copy => wasCopyOwnedAtEndOfYear(copy, year));
+}
+
 /**
  * Helper: Get the earliest acquisition date of a game
  * @param {Object} game - Game object
@@ -77,5 +105,7 @@ export {
   wasCopyAcquiredInOrBeforeYear,
   wasGameAcquiredInYear,
   wasGameAcquiredInOrBeforeYear,
+  wasCopyOwnedAtEndOfYear,
+  wasGameOwnedAtEndOfYear,
   getGameAcquisitionDate,
 };
@@ -3,6 +3,8 @@ import {
   isGameOwned,
   wasGameAcquiredInYear,
   wasGameAcquiredInOrBeforeYear,
+  wasCopyOwnedAtEndOfYear,
+  wasGameOwnedAtEndOfYear,
   getGameAcquisitionDate,
 } from './game-helpers.js';
 import { processData } from '../scripts/transform-game-data.js';
@@ -101,6 +103,49 @@ describe('wasGameAcquiredInOrBeforeYear', () => {
   });
 });
 
+describe('wasCopyOwnedAtEndOfYear', () => {
+  test('returns true for a copy acquired in or before the year and still owned', () => {
+    const copy = { acquisitionDate: '2021-06-15', statusOwned: true, disposalDate: null };
+    expect(wasCopyOwnedAtEndOfYear(copy, 2021)).toBe(true);
+    expect(wasCopyOwnedAtEndOfYear(copy, 2020)).toBe(false);
+  });
+
+  test('returns true until the year the copy was sold', () => {
+    const copy = { acquisitionDate: '2020-03-10', statusOwned: false, disposalDate: '2023-05-01' };
+    expect(wasCopyOwnedAtEndOfYear(copy, 2022)).toBe(true);
+    expect(wasCopyOwnedAtEndOfYear(copy, 2023)).toBe(false);
+  });
+
+  test('returns false for a copy no longer owned with no disposal date', () => {
+    const copy = { acquisitionDate: '2020-03-10', statusOwned: false, disposalDate: null };
+    expect(wasCopyOwnedAtEndOfYear(copy, 2022)).toBe(false);
+  });
+
+  test('returns false when the copy has no acquisition date', () => {
+    const copy = { acquisitionDate: null, statusOwned: true, disposalDate: null };
+    expect(wasCopyOwnedAtEndOfYear(copy, 2022)).toBe(false);
+  });
+});
+
+describe('wasGameOwnedAtEndOfYear', () => {
+  test('returns true if any copy was owned at the end of the year', () => {
+    const game = {
+      copies: [
+        { acquisitionDate: '2019-01-01', statusOwned: false, disposalDate: '2021-02-01' },
+        { acquisitionDate: '2022-05-01', statusOwned: true, disposalDate: null },
+      ],
+    };
+    expect(wasGameOwnedAtEndOfYear(game, 2020)).toBe(true);
+    expect(wasGameOwnedAtEndOfYear(game, 2021)).toBe(false);
+    expect(wasGameOwnedAtEndOfYear(game, 2022)).toBe(true);
+  });
+
+  test('returns false when game has no copies', () => {
+    expect(wasGameOwnedAtEndOfYear({ copies: [] }, 2021)).toBe(false);
+    expect(wasGameOwnedAtEndOfYear({}, 2021)).toBe(false);
+  });
+});
+
 describe('getGameAcquisitionDate', () => {
   test('returns earliest acquisition date from copies', () => {
     const game = {
@@ -100,19 +100,16 @@ function calculateHourHIndex(plays, year = null) {
 }
 
 /**
- * Calculate all-time h-index through a specific year (includes all plays up to and including that year)
+ * Calculate all-time h-index through a specific date (includes all plays up to and including that date)
  * @param {Array} games - Array of game objects
  * @param {Array} plays - Array of play objects
- * @param {number} year - Year to calculate through (inclusive)
+ * @param {string} date - Date to calculate through (inclusive), YYYY-MM-DD
  * @param {string} metric - Metric type: 'plays', 'sessions', or 'hours'
  * @returns {number} h-index value
  */
-function calculateAllTimeHIndexThroughYear(games, plays, year, metric) {
-  // Filter plays up to and including the specified year
-  const filteredPlays = plays.filter(play => {
-    const playYear = parseInt(play.date.substring(0, 4));
-    return playYear <= year;
-  });
+function calculateAllTimeHIndexThroughDate(games, plays, date, metric) {
+  // Filter plays up to and including the specified date
+  const filteredPlays = plays.filter(play => play.date <= date);
 
   // Calculate h-index based on metric type
   switch (metric) {
@@ -126,6 +123,18 @@ function calculateAllTimeHIndexThroughYear(games, plays, year, metric) {
   }
 }
 
+/**
+ * Calculate all-time h-index through a specific year (includes all plays up to and including that year)
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number} year - Year to calculate through (inclusive)
+ * @param {string} metric - Metric type: 'plays', 'sessions', or 'hours'
+ * @returns {number} h-index value
+ */
+function calculateAllTimeHIndexThroughYear(games, plays, year, metric) {
+  return calculateAllTimeHIndexThroughDate(games, plays, `${year}-12-31`, metric);
+}
+
 /**
  * Calculate year-over-year h-index increase
  * @param {Array} games - Array of game objects
@@ -551,6 +560,7 @@ export {
   calculateTraditionalHIndex,
   calculatePlaySessionHIndex,
   calculateHourHIndex,
+  calculateAllTimeHIndexThroughDate,
   calculateAllTimeHIndexThroughYear,
   calculateHIndexIncrease,
   getHIndexBreakdown,
@@ -4,6 +4,7 @@ import {
   calculateTraditionalHIndex,
   calculatePlaySessionHIndex,
   calculateHourHIndex,
+  calculateAllTimeHIndexThroughDate,
   calculateAllTimeHIndexThroughYear,
   calculateHIndexIncrease,
   getNewHIndexGames,
@@ -111,6 +112,34 @@ describe('calculateHourHIndex', () => {
   });
 });
 
+describe('calculateAllTimeHIndexThroughDate', () => {
+  const games = [{ id: 1 }, { id: 2 }];
+  const plays = [
+    { gameId: 1, date: '2023-01-10', durationMin: 60 },
+    { gameId: 1, date: '2023-02-10', durationMin: 60 },
+    { gameId: 2, date: '2023-02-28', durationMin: 120 },
+    { gameId: 2, date: '2023-03-01', durationMin: 60 },
+  ];
+
+  test('includes plays on the given date and excludes later ones', () => {
+    const cases = [
+      ['2023-01-31', 'plays', 1],
+      ['2023-02-28', 'plays', 1],
+      ['2023-03-31', 'plays', 2],
+      ['2023-02-28', 'sessions', 1],
+      ['2023-03-31', 'hours', 2],
+    ];
+    cases.forEach(([date, metric, expected]) => {
+      expect(calculateAllTimeHIndexThroughDate(games, plays, date, metric)).toBe(expected);
+    });
+  });
+
+  test('matches the through-year value at the end of the year', () => {
+    const hIndex = calculateAllTimeHIndexThroughDate(games, plays, '2023-12-31', 'plays');
+    expect(hIndex).toBe(calculateAllTimeHIndexThroughYear(games, plays, 2023, 'plays'));
+  });
+});
+
 describe('calculateAllTimeHIndexThroughYear', () => {
   test('calculates all-time h-index through specified year for plays', () => {
     const hIndex = calculateAllTimeHIndexThroughYear(typicalData.games, typicalData.plays, 2023, 'plays');
@@ -0,0 +1,163 @@
+/**
+ * Metadata statistics - group base games by BGG designer, mechanic, and category
+ */
+
+import {
+  isPlayInYear,
+  getMetricValuesThroughYear,
+  getMetricValueFromPlayData,
+} from './play-helpers.js';
+import { calculateHIndexFromSortedValues } from './h-index.js';
+import { getGamePricePaid, calculateCostPerMetric, valueClubGameFilter } from './value-stats.js';
+
+/**
+ * BGG metadata lists that games can be grouped by
+ * @constant {Object<string, string>}
+ */
+const MetadataField = {
+  DESIGNERS: 'designers',
+  MECHANICS: 'mechanics',
+  CATEGORIES: 'categories',
+};
+
+/**
+ * Get base games grouped by a BGG metadata list, with play totals per group.
+ *
+ * Only base games with BGG metadata are included. When a year is given, a
+ * group holds only games played that year; all time includes every base game
+ * carrying the value, whether or not it has been played. A game with several
+ * designers (or mechanics, or categories) counts toward each of them.
+ *
+ * Minutes, sessions, and plays reflect plays in the selected period; sessions
+ * are summed per game (a game played on a date), like the rest of the game
+ * tables, so two of a group's games played on one day are two sessions and
+ * cost per session can be worked out from the columns. The group h-index is the
+ * largest N such that N of its games have a metric value of at least N.
+ * Cost per metric divides the price paid for the group's owned, priced games
+ * by their metric value through the selected year, matching the Cost Analysis
+ * section.
+ *
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {string} field - Metadata list: 'designers', 'mechanics', or 'categories'
+ * @param {string} metric - Base metric: 'hours', 'sessions', or 'plays'
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { name, games, gameCount, minutes, sessions, plays, metricValue,
+ *   averageRating, pricePaid, costPerMetric, hIndex } sorted by metric value descending, then name
+ */
+function getMetadataBreakdown(games, plays, field, metric, year = null) {
+  // Aggregate play data per game for the selected period
+  const playDataPerGame = new Map();
+  plays.forEach(play => {
+    if (!isPlayInYear(play, year)) return;
+
+    const data = playDataPerGame.get(play.gameId) || {
+      totalMinutes: 0,
+      playCount: 0,
+      uniqueDates: new Set(),
+    };
+    data.totalMinutes += play.durationMin || 0;
+    data.playCount += 1;
+    data.uniqueDates.add(play.date);
+    playDataPerGame.set(play.gameId, data);
+  });
+
+  const emptyPlayData = { totalMinutes: 0, playCount: 0, uniqueDates: new Set() };
+
+  // Group base games by each of their metadata values
+  const groups = new Map();
+  games.forEach(game => {
+    if (!game.isBaseGame) return;
+    const values = game.bggMetadata?.[field];
+    if (!values || values.length === 0) return;
+
+    const playData = playDataPerGame.get(game.id);
+    // When filtering by year, only include games actually played that year
+    if (year !== null && !playData) return;
+
+    values.forEach(name => {
+      if (!groups.has(name)) {
+        groups.set(name, []);
+      }
+      groups.get(name).push({ game, playData: playData || emptyPlayData });
+    });
+  });
+
+  // Cost per metric is cumulative through the year, like the Cost Analysis section
+  const metricValuesThroughYear = getMetricValuesThroughYear(plays, year);
+
+  const result = Array.from(groups.entries()).map(([name, groupGames]) => {
+    let totalMinutes = 0;
+    let playCount = 0;
+    let sessionCount = 0;
+    groupGames.forEach(({ playData }) => {
+      totalMinutes += playData.totalMinutes;
+      playCount += playData.playCount;
+      sessionCount += playData.uniqueDates.size;
+    });
+
+    const gameMetricValues = groupGames
+      .map(({ playData }) => getMetricValueFromPlayData(playData, metric))
+      .sort((a, b) => b - a);
+
+    const ratings = groupGames
+      .map(({ game }) => game.rating)
+      .filter(rating => rating !== null && rating !== undefined);
+
+    let pricePaid = null;
+    let pricedMetricValue = 0;
+    groupGames.forEach(({ game }) => {
+      if (!valueClubGameFilter(game)) return;
+      const gamePricePaid = getGamePricePaid(game);
+      if (gamePricePaid === null) return;
+
+      pricePaid = (pricePaid ?? 0) + gamePricePaid;
+      const playDataThroughYear = metricValuesThroughYear.get(game.id);
+      if (playDataThroughYear) {
+        pricedMetricValue += getMetricValueFromPlayData(playDataThroughYear, metric);
+      }
+    });
+
+    return {
+      name,
+      games: groupGames.map(({ game }) => game),
+      gameCount: groupGames.length,
+      minutes: totalMinutes,
+      sessions: sessionCount,
+      plays: playCount,
+      metricValue: gameMetricValues.reduce((sum, value) => sum + value, 0),
+      averageRating: ratings.length > 0
+        ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length
+        : null,
+      pricePaid,
+      costPerMetric: pricePaid !== null ? calculateCostPerMetric(pricePaid, pricedMetricValue) : null,
+      hIndex: calculateHIndexFromSortedValues(gameMetricValues),
+    };
+  });
+
+  result.sort((a, b) => {
+    if (b.metricValue !== a.metricValue) return b.metricValue - a.metricValue;
+    return a.name.localeCompare(b.name);
+  });
+
+  return result;
+}
+
+/**
+ * Calculate the h-index across a metadata list: the largest N such that N
+ * values each have at least N games played at least N times (or N hours or
+ * sessions). With designers this is the "designer h-index".
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {string} field - Metadata list: 'designers', 'mechanics', or 'categories'
+ * @param {string} metric - Base metric: 'hours', 'sessions', or 'plays'
+ * @param {number|null} year - Optional year filter
+ * @returns {number} h-index value
+ */
+function calculateMetadataHIndex(games, plays, field, metric, year = null) {
+  const breakdown = getMetadataBreakdown(games, plays, field, metric, year);
+  const sortedHIndexes = breakdown.map(entry => entry.hIndex).sort((a, b) => b - a);
+  return calculateHIndexFromSortedValues(sortedHIndexes);
+}
+
+export { MetadataField, getMetadataBreakdown, calculateMetadataHIndex };
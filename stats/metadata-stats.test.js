@@ -0,0 +1,192 @@
+import { describe, test, expect } from 'vitest';
+import { MetadataField, getMetadataBreakdown, calculateMetadataHIndex } from './metadata-stats.js';
+import { Metric } from './constants.js';
+
+function metadata(designers, mechanics = [], categories = []) {
+  return { weight: null, designers, mechanics, categories, publishers: [], bestPlayerCounts: [], recommendedPlayerCounts: [] };
+}
+
+function ownedCopy(pricePaid) {
+  return { statusOwned: true, pricePaid };
+}
+
+describe('getMetadataBreakdown', () => {
+  const games = [
+    { id: 1, name: 'Alpha', rating: 8, isBaseGame: true, copies: [ownedCopy(40)], bggMetadata: metadata(['Ann', 'Bob'], ['Dice Rolling'], ['Economic']) },
+    { id: 2, name: 'Bravo', rating: 6, isBaseGame: true, copies: [ownedCopy(20)], bggMetadata: metadata(['Ann'], ['Dice Rolling', 'Trading']) },
+    { id: 3, name: 'Charlie', rating: null, isBaseGame: true, copies: [ownedCopy(null)], bggMetadata: metadata(['Cy']) },
+    { id: 4, name: 'Delta Expansion', rating: 10, isBaseGame: false, copies: [ownedCopy(15)], bggMetadata: metadata(['Ann']) },
+    { id: 5, name: 'Echo', rating: 9, isBaseGame: true, copies: [ownedCopy(30)], bggMetadata: null },
+    { id: 6, name: 'Foxtrot', rating: 7, isBaseGame: true, copies: [{ statusOwned: false, pricePaid: 50 }], bggMetadata: metadata(['Bob']) },
+  ];
+
+  const plays = [
+    { gameId: 1, date: '2023-06-01', durationMin: 60 },
+    { gameId: 1, date: '2024-01-01', durationMin: 60 },
+    { gameId: 1, date: '2024-01-01', durationMin: 30 },
+    { gameId: 2, date: '2024-01-01', durationMin: 90 },
+    { gameId: 2, date: '2024-02-01', durationMin: 30 },
+    { gameId: 4, date: '2024-02-01', durationMin: 45 },
+    { gameId: 5, date: '2024-03-01', durationMin: 120 },
+    { gameId: 5, date: '2024-03-02' },
+    { gameId: 6, date: '2023-04-01', durationMin: 30 },
+  ];
+
+  test('groups base games with metadata by each value', () => {
+    const result = getMetadataBreakdown(games, plays, MetadataField.DESIGNERS, Metric.PLAYS);
+    const ann = result.find(entry => entry.name === 'Ann');
+
+    expect(result.map(entry => entry.name).sort()).toEqual(['Ann', 'Bob', 'Cy']);
+    // Expansion and game without metadata are excluded
+    expect(ann.games.map(game => game.name)).toEqual(['Alpha', 'Bravo']);
+    expect(ann.gameCount).toBe(2);
+  });
+
+  test('totals minutes, sessions, and plays across the group', () => {
+    const result = getMetadataBreakdown(games, plays, MetadataField.DESIGNERS, Metric.PLAYS);
+    const ann = result.find(entry => entry.name === 'Ann');
+
+    expect(ann.minutes).toBe(270);
+    expect(ann.plays).toBe(5);
+    // Alpha on 2023-06-01 and 2024-01-01, Bravo on 2024-01-01 and 2024-02-01
+    expect(ann.sessions).toBe(4);
+    expect(ann.metricValue).toBe(5);
+  });
+
+  test('counts games of a group played on the same day as separate sessions', () => {
+    const sameDay = [
+      { id: 1, name: 'Alpha', rating: null, isBaseGame: true, copies: [ownedCopy(30)], bggMetadata: metadata(['Ann']) },
+      { id: 2, name: 'Bravo', rating: null, isBaseGame: true, copies: [ownedCopy(30)], bggMetadata: metadata(['Ann']) },
+    ];
+    const sameDayPlays = [
+      { gameId: 1, date: '2024-05-01', durationMin: 60 },
+      { gameId: 1, date: '2024-05-01', durationMin: 30 },
+      { gameId: 2, date: '2024-05-01', durationMin: 45 },
+    ];
+    const [ann] = getMetadataBreakdown(sameDay, sameDayPlays, MetadataField.DESIGNERS, Metric.SESSIONS);
+
+    expect(ann.sessions).toBe(2);
+    expect(ann.metricValue).toBe(2);
+    // Cost per session matches the price paid over the sessions column
+    expect(ann.costPerMetric).toBe(ann.pricePaid / ann.sessions);
+  });
+
+  test('sorts by metric value descending, then name', () => {
+    const byPlays = getMetadataBreakdown(games, plays, MetadataField.DESIGNERS, Metric.PLAYS);
+    expect(byPlays.map(entry => [entry.name, entry.metricValue])).toEqual([['Ann', 5], ['Bob', 4], ['Cy', 0]]);
+
+    const byHours = getMetadataBreakdown(games, plays, MetadataField.MECHANICS, Metric.HOURS);
+    expect(byHours.map(entry => entry.name)).toEqual(['Dice Rolling', 'Trading']);
+
+    const tied = getMetadataBreakdown(games, [], MetadataField.DESIGNERS, Metric.PLAYS);
+    expect(tied.map(entry => entry.name)).toEqual(['Ann', 'Bob', 'Cy']);
+  });
+
+  test('averages ratings of rated games only', () => {
+    const result = getMetadataBreakdown(games, plays, MetadataField.DESIGNERS, Metric.PLAYS);
+
+    expect(result.find(entry => entry.name === 'Ann').averageRating).toBe(7);
+    expect(result.find(entry => entry.name === 'Cy').averageRating).toBeNull();
+  });
+
+  test('calculates a per-group h-index from game metric values', () => {
+    const result = getMetadataBreakdown(games, plays, MetadataField.DESIGNERS, Metric.PLAYS);
+
+    // Ann: Alpha 3 plays, Bravo 2 plays
+    expect(result.find(entry => entry.name === 'Ann').hIndex).toBe(2);
+    // Bob: Alpha 3 plays, Foxtrot 1 play
+    expect(result.find(entry => entry.name === 'Bob').hIndex).toBe(1);
+    expect(result.find(entry => entry.name === 'Cy').hIndex).toBe(0);
+  });
+
+  test('calculates cost per metric from owned, priced games', () => {
+    const result = getMetadataBreakdown(games, plays, MetadataField.DESIGNERS, Metric.PLAYS);
+    const ann = result.find(entry => entry.name === 'Ann');
+    const bob = result.find(entry => entry.name === 'Bob');
+    const cy = result.find(entry => entry.name === 'Cy');
+
+    expect(ann.pricePaid).toBe(60);
+    expect(ann.costPerMetric).toBe(12);
+    // Foxtrot's copy is not owned, so only Alpha counts; Charlie has no price
+    expect(bob.pricePaid).toBe(40);
+    expect(bob.costPerMetric).toBeCloseTo(40 / 3);
+    expect(cy.pricePaid).toBeNull();
+    expect(cy.costPerMetric).toBeNull();
+  });
+
+  test('caps cost per metric at the price paid for unplayed games', () => {
+    const unplayed = [
+      { id: 1, name: 'Alpha', rating: 8, isBaseGame: true, copies: [ownedCopy(40)], bggMetadata: metadata(['Ann']) },
+    ];
+    const result = getMetadataBreakdown(unplayed, [], MetadataField.DESIGNERS, Metric.HOURS);
+
+    expect(result[0].costPerMetric).toBe(40);
+  });
+
+  test('when filtered by year, only includes games played that year', () => {
+    const result = getMetadataBreakdown(games, plays, MetadataField.DESIGNERS, Metric.PLAYS, 2024);
+    const ann = result.find(entry => entry.name === 'Ann');
+
+    // Cy never played, Bob's Foxtrot only played in 2023
+    expect(result.map(entry => entry.name)).toEqual(['Ann', 'Bob']);
+    expect(ann.plays).toBe(4);
+    expect(ann.sessions).toBe(3);
+    expect(result.find(entry => entry.name === 'Bob').games.map(game => game.name)).toEqual(['Alpha']);
+  });
+
+  test('uses plays through the year for cost per metric', () => {
+    const result = getMetadataBreakdown(games, plays, MetadataField.DESIGNERS, Metric.PLAYS, 2024);
+
+    // Alpha's 2023 play still counts toward its cost per play
+    expect(result.find(entry => entry.name === 'Bob').costPerMetric).toBeCloseTo(40 / 3);
+  });
+
+  test('supports categories', () => {
+    const result = getMetadataBreakdown(games, plays, MetadataField.CATEGORIES, Metric.SESSIONS);
+
+    expect(result).toHaveLength(1);
+    expect(result[0]).toMatchObject({ name: 'Economic', gameCount: 1, metricValue: 2 });
+  });
+
+  test('returns an empty array when no games have metadata', () => {
+    const noMetadata = games.map(game => ({ ...game, bggMetadata: null }));
+    expect(getMetadataBreakdown(noMetadata, plays, MetadataField.DESIGNERS, Metric.PLAYS)).toEqual([]);
+  });
+});
+
+describe('calculateMetadataHIndex', () => {
+  const games = [
+    { id: 1, name: 'A1', isBaseGame: true, copies: [], bggMetadata: metadata(['Ann']) },
+    { id: 2, name: 'A2', isBaseGame: true, copies: [], bggMetadata: metadata(['Ann']) },
+    { id: 3, name: 'B1', isBaseGame: true, copies: [], bggMetadata: metadata(['Bob']) },
+    { id: 4, name: 'B2', isBaseGame: true, copies: [], bggMetadata: metadata(['Bob']) },
+    { id: 5, name: 'C1', isBaseGame: true, copies: [], bggMetadata: metadata(['Cy']) },
+  ];
+
+  function playsOf(gameId, count, year = 2024) {
+    return Array.from({ length: count }, (_, i) => ({
+      gameId,
+      date: `${year}-01-${String(i + 1).padStart(2, '0')}`,
+      durationMin: 60,
+    }));
+  }
+
+  test('counts designers with at least N games played N times', () => {
+    const plays = [...playsOf(1, 2), ...playsOf(2, 2), ...playsOf(3, 3), ...playsOf(4, 2), ...playsOf(5, 5)];
+
+    // Ann 2, Bob 2, Cy 1
+    expect(calculateMetadataHIndex(games, plays, MetadataField.DESIGNERS, Metric.PLAYS)).toBe(2);
+  });
+
+  test('respects the year filter', () => {
+    const plays = [...playsOf(1, 2), ...playsOf(2, 2, 2023), ...playsOf(3, 3), ...playsOf(4, 2)];
+
+    expect(calculateMetadataHIndex(games, plays, MetadataField.DESIGNERS, Metric.PLAYS)).toBe(2);
+    // Only Bob has two games played twice in 2024
+    expect(calculateMetadataHIndex(games, plays, MetadataField.DESIGNERS, Metric.PLAYS, 2024)).toBe(1);
+  });
+
+  test('returns 0 without plays', () => {
+    expect(calculateMetadataHIndex(games, [], MetadataField.DESIGNERS, Metric.HOURS)).toBe(0);
+  });
+});
@@ -0,0 +1,353 @@
+/**
+ * Play patterns - when and how we play: weekday, hour of day, weekend vs
+ * weekday, player counts, and the biggest and speediest gaming days
+ */
+
+import { filterPlaysByYear } from './play-helpers.js';
+
+// Fewest distinct games a day needs to count as a speed gaming day
+const SPEED_DAY_MIN_GAMES = 3;
+
+// Intl formatters are slow to create, so keep one per timezone
+const wallClockFormatters = new Map();
+
+/**
+ * Helper: Get the wall-clock date and time of an instant in a timezone
+ * @param {number} utcMillis - Instant in milliseconds since the epoch
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getWallClockParts(utcMillis, timeZone) {
+  if (!wallClockFormatters.has(timeZone)) {
+    wallClockFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+
+  const parts = {};
+  wallClockFormatters.get(timeZone).formatToParts(new Date(utcMillis)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return parts;
+}
+
+/**
+ * Helper: Get a timezone's offset from UTC at an instant
+ * @param {number} utcMillis - Instant in milliseconds since the epoch (whole seconds)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds (negative west of UTC)
+ */
+function getTimeZoneOffset(utcMillis, timeZone) {
+  const parts = getWallClockParts(utcMillis, timeZone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - utcMillis;
+}
+
+/**
+ * Helper: Split a "YYYY-MM-DD HH:MM:SS" timestamp into numbers
+ * @param {string} timestamp - Play timestamp
+ * @returns {Array<number>} [year, month, day, hour, minute, second]
+ */
+function parseTimestamp(timestamp) {
+  const [datePart, timePart = '00:00:00'] = timestamp.split(' ');
+  return [...datePart.split('-'), ...timePart.split(':')].map(Number);
+}
+
+/**
+ * Convert a BG Stats timestamp, recorded as wall-clock time in one timezone,
+ * to the instant it happened
+ * @param {string} timestamp - "YYYY-MM-DD HH:MM:SS" in sourceTimeZone
+ * @param {string} sourceTimeZone - IANA timezone the timestamp was recorded in
+ * @returns {number} Milliseconds since the epoch
+ */
+function getTimestampInstant(timestamp, sourceTimeZone) {
+  const [year, month, day, hour, minute, second] = parseTimestamp(timestamp);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Guess with the offset at the wall-clock time read as UTC, then correct with
+  // the offset at the guess in case a daylight saving change lies between them
+  const guess = wallClockAsUtc - getTimeZoneOffset(wallClockAsUtc, sourceTimeZone);
+  return wallClockAsUtc - getTimeZoneOffset(guess, sourceTimeZone);
+}
+
+/**
+ * Get the date, weekday and hour a BG Stats timestamp falls on in another timezone
+ * @param {string} timestamp - "YYYY-MM-DD HH:MM:SS" in sourceTimeZone
+ * @param {string} sourceTimeZone - IANA timezone the timestamp was recorded in
+ * @param {string} timeZone - IANA timezone to report in
+ * @returns {Object} { date (YYYY-MM-DD), weekday (0 = Sunday), hour (0-23) }
+ */
+function getZonedTime(timestamp, sourceTimeZone, timeZone = sourceTimeZone) {
+  let [year, month, day, hour] = parseTimestamp(timestamp);
+  if (timeZone !== sourceTimeZone) {
+    ({ year, month, day, hour } = getWallClockParts(getTimestampInstant(timestamp, sourceTimeZone), timeZone));
+  }
+
+  return {
+    date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+    hour,
+  };
+}
+
+/**
+ * Helper: Total plays, sessions and hours of the plays in each bucket
+ * @param {Array} plays - Array of play objects
+ * @param {number} bucketCount - Number of buckets
+ * @param {Object} timeZones - { sourceTimeZone, timeZone }: the BG Stats timezone and the one to report in
+ * @param {Function} getBucket - Bucket index of a play's zoned time (see getZonedTime)
+ * @returns {Array} Array of { plays, sessions, hours } per bucket, where a
+ *   session is a game played on a date in the reporting timezone
+ */
+function aggregateByBucket(plays, bucketCount, { sourceTimeZone, timeZone }, getBucket) {
+  const buckets = Array.from({ length: bucketCount }, () => ({ plays: 0, sessions: new Set(), minutes: 0 }));
+
+  plays.forEach(play => {
+    const zonedTime = getZonedTime(play.timestamp, sourceTimeZone, timeZone);
+    const bucket = buckets[getBucket(zonedTime)];
+    bucket.plays++;
+    bucket.sessions.add(`${play.gameId}|${zonedTime.date}`);
+    bucket.minutes += play.durationMin || 0;
+  });
+
+  return buckets.map(bucket => ({
+    plays: bucket.plays,
+    sessions: bucket.sessions.size,
+    hours: bucket.minutes / 60,
+  }));
+}
+
+/**
+ * Get plays, sessions and hours by day of the week
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter
+ * @param {Object} timeZones - { sourceTimeZone, timeZone }: the BG Stats timezone and the one to report in
+ * @returns {Array} Array of { weekday, plays, sessions, hours }, Sunday (0) first
+ */
+function getWeekdayDistribution(plays, year = null, { sourceTimeZone = 'UTC', timeZone = sourceTimeZone } = {}) {
+  return aggregateByBucket(
+    filterPlaysByYear(plays, year),
+    7,
+    { sourceTimeZone, timeZone },
+    zonedTime => zonedTime.weekday,
+  ).map((totals, weekday) => ({ weekday, ...totals }));
+}
+
+/**
+ * Get plays, sessions and hours by the hour of the day a play started
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter
+ * @param {Object} timeZones - { sourceTimeZone, timeZone }: the BG Stats timezone and the one to report in
+ * @returns {Array} Array of { hour, plays, sessions, hours }, midnight (0) first
+ */
+function getHourOfDayDistribution(plays, year = null, { sourceTimeZone = 'UTC', timeZone = sourceTimeZone } = {}) {
+  return aggregateByBucket(
+    filterPlaysByYear(plays, year),
+    24,
+    { sourceTimeZone, timeZone },
+    zonedTime => zonedTime.hour,
+  ).map((totals, hour) => ({ hour, ...totals }));
+}
+
+/**
+ * Split plays, sessions and hours between weekends (Saturday and Sunday) and weekdays
+ * @param {Array} weekdayDistribution - Result of getWeekdayDistribution
+ * @returns {Object} { weekend, weekday, weekendShare } where weekend and weekday are
+ *   { plays, sessions, hours } and weekendShare holds the weekend fraction (0-1) of
+ *   each, null when there is nothing to share
+ */
+function getWeekendSplit(weekdayDistribution) {
+  const weekend = { plays: 0, sessions: 0, hours: 0 };
+  const weekday = { plays: 0, sessions: 0, hours: 0 };
+
+  weekdayDistribution.forEach(entry => {
+    const totals = entry.weekday === 0 || entry.weekday === 6 ? weekend : weekday;
+    totals.plays += entry.plays;
+    totals.sessions += entry.sessions;
+    totals.hours += entry.hours;
+  });
+
+  const getShare = key => {
+    const total = weekend[key] + weekday[key];
+    return total > 0 ? weekend[key] / total : null;
+  };
+
+  return {
+    weekend,
+    weekday,
+    weekendShare: {
+      plays: getShare('plays'),
+      sessions: getShare('sessions'),
+      hours: getShare('hours'),
+    },
+  };
+}
+
+/**
+ * Get the most common number of players in a play
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter
+ * @returns {Object|null} { playerCount, plays, share } with share the fraction of plays
+ *   (ties go to the smaller count), or null without plays
+ */
+function getMostCommonPlayerCount(plays, year = null) {
+  const filteredPlays = filterPlaysByYear(plays, year);
+  const playsByCount = new Map();
+  filteredPlays.forEach(play => {
+    const playerCount = play.players.length;
+    playsByCount.set(playerCount, (playsByCount.get(playerCount) || 0) + 1);
+  });
+
+  let mostCommon = null;
+  playsByCount.forEach((count, playerCount) => {
+    if (!mostCommon || count > mostCommon.plays || (count === mostCommon.plays && playerCount < mostCommon.playerCount)) {
+      mostCommon = { playerCount, plays: count };
+    }
+  });
+
+  return mostCommon && { ...mostCommon, share: mostCommon.plays / filteredPlays.length };
+}
+
+/**
+ * Helper: Group plays by date
+ * @param {Array} plays - Array of play objects
+ * @returns {Map} Map of date -> plays on that date
+ */
+function groupPlaysByDate(plays) {
+  const playsByDate = new Map();
+  plays.forEach(play => {
+    if (!playsByDate.has(play.date)) {
+      playsByDate.set(play.date, []);
+    }
+    playsByDate.get(play.date).push(play);
+  });
+  return playsByDate;
+}
+
+/**
+ * Helper: Distinct games played in a day, in the order first played
+ * @param {Array} dayPlays - Plays on one date
+ * @param {Map} gameMap - Map of gameId -> game
+ * @returns {Array} Game objects (unknown games left out)
+ */
+function getDayGames(dayPlays, gameMap) {
+  return Array.from(new Set(dayPlays.map(play => play.gameId)))
+    .map(gameId => gameMap.get(gameId))
+    .filter(Boolean);
+}
+
+/**
+ * Get the gaming day with the most distinct players
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} anonymousPlayerId - Player ID for anonymous players (not counted)
+ * @param {number|null} year - Optional year filter
+ * @returns {Object|null} { date, playerCount, games } (ties go to the day with more
+ *   plays, then the earlier day), or null without plays
+ */
+function getBiggestGamingDay(games, plays, anonymousPlayerId, year = null) {
+  const gameMap = new Map(games.map(g => [g.id, g]));
+  let biggest = null;
+
+  groupPlaysByDate(filterPlaysByYear(plays, year)).forEach((dayPlays, date) => {
+    const players = new Set(dayPlays.flatMap(play => play.players));
+    players.delete(anonymousPlayerId);
+    const candidate = { date, playerCount: players.size, plays: dayPlays.length, dayPlays };
+
+    if (!biggest ||
+        candidate.playerCount > biggest.playerCount ||
+        (candidate.playerCount === biggest.playerCount && candidate.plays > biggest.plays) ||
+        (candidate.playerCount === biggest.playerCount && candidate.plays === biggest.plays && date < biggest.date)) {
+      biggest = candidate;
+    }
+  });
+
+  return biggest && {
+    date: biggest.date,
+    playerCount: biggest.playerCount,
+    games: getDayGames(biggest.dayPlays, gameMap),
+  };
+}
+
+/**
+ * Get the speed gaming day: the day that fit the most games into the shortest
+ * span, measured as distinct games per hour from the first play's start to the
+ * last play's end. Days with fewer than three games don't count.
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter
+ * @param {string} sourceTimeZone - IANA timezone the timestamps were recorded in
+ * @returns {Object|null} { date, gameCount, spanMinutes, games } (ties go to the day
+ *   with more games, then the earlier day), or null if no day qualifies
+ */
+function getSpeedGamingDay(games, plays, year = null, sourceTimeZone = 'UTC') {
+  const gameMap = new Map(games.map(g => [g.id, g]));
+  let fastest = null;
+
+  groupPlaysByDate(filterPlaysByYear(plays, year)).forEach((dayPlays, date) => {
+    const gameCount = new Set(dayPlays.map(play => play.gameId)).size;
+    if (gameCount < SPEED_DAY_MIN_GAMES) return;
+
+    // Instants rather than wall-clock times so a daylight saving change can't skew the span
+    const starts = dayPlays.map(play => getTimestampInstant(play.timestamp, sourceTimeZone));
+    const firstStart = Math.min(...starts);
+    const lastEnd = Math.max(...dayPlays.map((play, i) => starts[i] + (play.durationMin || 0) * 60000));
+    const spanMinutes = (lastEnd - firstStart) / 60000;
+    if (spanMinutes <= 0) return;
+
+    const gamesPerHour = gameCount / (spanMinutes / 60);
+    if (!fastest ||
+        gamesPerHour > fastest.gamesPerHour ||
+        (gamesPerHour === fastest.gamesPerHour && gameCount > fastest.gameCount) ||
+        (gamesPerHour === fastest.gamesPerHour && gameCount === fastest.gameCount && date < fastest.date)) {
+      fastest = { date, gameCount, spanMinutes, gamesPerHour, dayPlays };
+    }
+  });
+
+  return fastest && {
+    date: fastest.date,
+    gameCount: fastest.gameCount,
+    spanMinutes: fastest.spanMinutes,
+    games: getDayGames(fastest.dayPlays, gameMap),
+  };
+}
+
+/**
+ * Get all play patterns for a year or all time
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} anonymousPlayerId - Player ID for anonymous players
+ * @param {number|null} year - Optional year filter
+ * @param {Object} timeZones - { sourceTimeZone, timeZone }: the BG Stats timezone and the one to report in
+ * @returns {Object} { weekdays, hours, weekendSplit, mostCommonPlayerCount, biggestGamingDay, speedGamingDay }
+ */
+function getPlayPatterns(games, plays, anonymousPlayerId, year = null, timeZones = {}) {
+  const weekdays = getWeekdayDistribution(plays, year, timeZones);
+
+  return {
+    weekdays,
+    hours: getHourOfDayDistribution(plays, year, timeZones),
+    weekendSplit: getWeekendSplit(weekdays),
+    mostCommonPlayerCount: getMostCommonPlayerCount(plays, year),
+    biggestGamingDay: getBiggestGamingDay(games, plays, anonymousPlayerId, year),
+    speedGamingDay: getSpeedGamingDay(games, plays, year, timeZones.sourceTimeZone),
+  };
+}
+
+export {
+  getTimestampInstant,
+  getZonedTime,
+  getWeekdayDistribution,
+  getHourOfDayDistribution,
+  getWeekendSplit,
+  getMostCommonPlayerCount,
+  getBiggestGamingDay,
+  getSpeedGamingDay,
+  getPlayPatterns,
+};
@@ -0,0 +1,269 @@
+import { describe, test, expect } from 'vitest';
+import {
+  getTimestampInstant,
+  getZonedTime,
+  getWeekdayDistribution,
+  getHourOfDayDistribution,
+  getWeekendSplit,
+  getMostCommonPlayerCount,
+  getBiggestGamingDay,
+  getSpeedGamingDay,
+  getPlayPatterns,
+} from './patterns.js';
+
+const games = [
+  { id: 1, name: 'Azul' },
+  { id: 2, name: 'Brass' },
+  { id: 3, name: 'Cascadia' },
+  { id: 4, name: 'Dune' },
+];
+
+// 2024-03-02 was a Saturday, 2024-03-04 a Monday
+const plays = [
+  { gameId: 1, date: '2024-03-02', timestamp: '2024-03-02 19:00:00', durationMin: 30, players: [1, 2] },
+  { gameId: 2, date: '2024-03-02', timestamp: '2024-03-02 19:40:00', durationMin: 60, players: [1, 3, 4, 99] },
+  { gameId: 2, date: '2024-03-02', timestamp: '2024-03-02 21:00:00', durationMin: 30, players: [1, 3, 4] },
+  { gameId: 3, date: '2024-03-04', timestamp: '2024-03-04 12:10:00', durationMin: 20, players: [1, 2] },
+  { gameId: 3, date: '2023-12-31', timestamp: '2023-12-31 23:30:00', durationMin: 60, players: [1] },
+];
+
+describe('getTimestampInstant', () => {
+  test('reads the timestamp as wall-clock time in the timezone', () => {
+    expect(getTimestampInstant('2024-01-15 14:30:00', 'America/Denver')).toBe(Date.UTC(2024, 0, 15, 21, 30));
+    expect(getTimestampInstant('2024-01-15 14:30:00', 'UTC')).toBe(Date.UTC(2024, 0, 15, 14, 30));
+  });
+
+  test('follows daylight saving time', () => {
+    // Mountain Daylight Time is UTC-6
+    expect(getTimestampInstant('2024-07-01 20:00:00', 'America/Denver')).toBe(Date.UTC(2024, 6, 2, 2, 0));
+    // Just before and after the March 10 change to daylight time
+    expect(getTimestampInstant('2024-03-10 01:30:00', 'America/Denver')).toBe(Date.UTC(2024, 2, 10, 8, 30));
+    expect(getTimestampInstant('2024-03-10 03:30:00', 'America/Denver')).toBe(Date.UTC(2024, 2, 10, 9, 30));
+  });
+
+  test('treats a date without a time as midnight', () => {
+    expect(getTimestampInstant('2024-01-15', 'UTC')).toBe(Date.UTC(2024, 0, 15));
+  });
+});
+
+describe('getZonedTime', () => {
+  test('reads the date, weekday and hour straight from the timestamp in its own timezone', () => {
+    expect(getZonedTime('2024-03-02 21:15:00', 'America/Denver')).toEqual({ date: '2024-03-02', weekday: 6, hour: 21 });
+  });
+
+  test('converts to another timezone', () => {
+    // 8pm Monday in Denver is 3am Tuesday in London
+    expect(getZonedTime('2024-07-01 20:00:00', 'America/Denver', 'Europe/London')).toEqual({ date: '2024-07-02', weekday: 2, hour: 3 });
+    expect(getZonedTime('2024-07-01 20:00:00', 'America/Denver', 'America/Los_Angeles')).toEqual({ date: '2024-07-01', weekday: 1, hour: 19 });
+  });
+});
+
+describe('getWeekdayDistribution', () => {
+  test('totals plays, sessions and hours by weekday', () => {
+    const result = getWeekdayDistribution(plays, 2024);
+
+    expect(result).toHaveLength(7);
+    expect(result[6]).toEqual({ weekday: 6, plays: 3, sessions: 2, hours: 2 });
+    expect(result[1]).toEqual({ weekday: 1, plays: 1, sessions: 1, hours: 20 / 60 });
+    expect(result[0]).toEqual({ weekday: 0, plays: 0, sessions: 0, hours: 0 });
+  });
+
+  test('includes all years by default', () => {
+    // 2023-12-31 was a Sunday
+    expect(getWeekdayDistribution(plays)[0].plays).toBe(1);
+  });
+
+  test('converts timestamps to the reporting timezone', () => {
+    // 11:30pm Sunday in Denver is Monday morning in London
+    const result = getWeekdayDistribution(plays, 2023, { sourceTimeZone: 'America/Denver', timeZone: 'Europe/London' });
+
+    expect(result[0].plays).toBe(0);
+    expect(result[1].plays).toBe(1);
+  });
+
+  test('counts sessions on the date in the reporting timezone', () => {
+    // Late Sunday and Monday morning in Denver are both Monday in London
+    const crossingPlays = [
+      { gameId: 1, date: '2023-12-31', timestamp: '2023-12-31 23:30:00', durationMin: 30, players: [] },
+      { gameId: 1, date: '2024-01-01', timestamp: '2024-01-01 08:00:00', durationMin: 30, players: [] },
+    ];
+    const result = getWeekdayDistribution(crossingPlays, null, { sourceTimeZone: 'America/Denver', timeZone: 'Europe/London' });
+
+    expect(result[1]).toEqual({ weekday: 1, plays: 2, sessions: 1, hours: 1 });
+  });
+});
+
+describe('getHourOfDayDistribution', () => {
+  test('totals plays, sessions and hours by starting hour', () => {
+    const result = getHourOfDayDistribution(plays, 2024);
+
+    expect(result).toHaveLength(24);
+    expect(result[19]).toEqual({ hour: 19, plays: 2, sessions: 2, hours: 1.5 });
+    expect(result[21].plays).toBe(1);
+    expect(result[12].plays).toBe(1);
+    expect(result[0].plays).toBe(0);
+  });
+
+  test('converts timestamps to the reporting timezone', () => {
+    const result = getHourOfDayDistribution(plays, 2024, { sourceTimeZone: 'America/Denver', timeZone: 'America/New_York' });
+
+    expect(result[21].plays).toBe(2);
+    expect(result[23].plays).toBe(1);
+  });
+
+  test('counts plays without a duration', () => {
+    const result = getHourOfDayDistribution([{ gameId: 1, date: '2024-01-01', timestamp: '2024-01-01 08:00:00', players: [] }]);
+
+    expect(result[8]).toEqual({ hour: 8, plays: 1, sessions: 1, hours: 0 });
+  });
+});
+
+describe('getWeekendSplit', () => {
+  test('splits totals between weekends and weekdays', () => {
+    const result = getWeekendSplit(getWeekdayDistribution(plays));
+
+    expect(result.weekend).toEqual({ plays: 4, sessions: 3, hours: 3 });
+    expect(result.weekday).toEqual({ plays: 1, sessions: 1, hours: 20 / 60 });
+    expect(result.weekendShare.plays).toBe(0.8);
+    expect(result.weekendShare.sessions).toBe(0.75);
+    expect(result.weekendShare.hours).toBeCloseTo(0.9);
+  });
+
+  test('returns null shares without plays', () => {
+    expect(getWeekendSplit(getWeekdayDistribution([])).weekendShare).toEqual({ plays: null, sessions: null, hours: null });
+  });
+});
+
+describe('getMostCommonPlayerCount', () => {
+  test('returns the player count with the most plays', () => {
+    expect(getMostCommonPlayerCount(plays)).toEqual({ playerCount: 2, plays: 2, share: 0.4 });
+  });
+
+  test('breaks ties with the smaller count', () => {
+    // One 4-player, one 3-player and one 2-player play
+    expect(getMostCommonPlayerCount(plays.slice(1, 4))).toEqual({ playerCount: 2, plays: 1, share: 1 / 3 });
+  });
+
+  test('returns null without plays', () => {
+    expect(getMostCommonPlayerCount(plays, 2020)).toBeNull();
+  });
+});
+
+describe('getBiggestGamingDay', () => {
+  test('returns the day with the most distinct players, leaving out anonymous players', () => {
+    expect(getBiggestGamingDay(games, plays, 99)).toEqual({
+      date: '2024-03-02',
+      playerCount: 4,
+      games: [games[0], games[1]],
+    });
+  });
+
+  test('breaks ties by plays, then by the earlier day', () => {
+    const tiedPlays = [
+      { gameId: 1, date: '2024-01-02', players: [1, 2] },
+      { gameId: 1, date: '2024-01-01', players: [1, 2] },
+      { gameId: 2, date: '2024-01-03', players: [1, 2] },
+      { gameId: 3, date: '2024-01-03', players: [1, 2] },
+    ];
+
+    expect(getBiggestGamingDay(games, tiedPlays, null).date).toBe('2024-01-03');
+    expect(getBiggestGamingDay(games, tiedPlays.slice(0, 2), null).date).toBe('2024-01-01');
+  });
+
+  test('returns null without plays', () => {
+    expect(getBiggestGamingDay(games, plays, 99, 2020)).toBeNull();
+  });
+});
+
+describe('getSpeedGamingDay', () => {
+  const speedPlays = [
+    // Three games in an hour
+    { gameId: 1, date: '2024-01-01', timestamp: '2024-01-01 10:00:00', durationMin: 15 },
+    { gameId: 2, date: '2024-01-01', timestamp: '2024-01-01 10:20:00', durationMin: 15 },
+    { gameId: 3, date: '2024-01-01', timestamp: '2024-01-01 10:40:00', durationMin: 20 },
+    // Four games in four hours
+    { gameId: 1, date: '2024-01-02', timestamp: '2024-01-02 10:00:00', durationMin: 60 },
+    { gameId: 2, date: '2024-01-02', timestamp: '2024-01-02 11:00:00', durationMin: 60 },
+    { gameId: 3, date: '2024-01-02', timestamp: '2024-01-02 12:00:00', durationMin: 60 },
+    { gameId: 4, date: '2024-01-02', timestamp: '2024-01-02 13:00:00', durationMin: 60 },
+    // Two games don't count
+    { gameId: 1, date: '2024-01-03', timestamp: '2024-01-03 10:00:00', durationMin: 5 },
+    { gameId: 2, date: '2024-01-03', timestamp: '2024-01-03 10:05:00', durationMin: 5 },
+  ];
+
+  test('returns the day with the most games per hour of play', () => {
+    expect(getSpeedGamingDay(games, speedPlays)).toEqual({
+      date: '2024-01-01',
+      gameCount: 3,
+      spanMinutes: 60,
+      games: [games[0], games[1], games[2]],
+    });
+  });
+
+  test('measures the span to the end of the longest-running play', () => {
+    const result = getSpeedGamingDay(games, [
+      { gameId: 1, date: '2024-01-01', timestamp: '2024-01-01 10:00:00', durationMin: 120 },
+      { gameId: 2, date: '2024-01-01', timestamp: '2024-01-01 10:30:00', durationMin: 10 },
+      { gameId: 3, date: '2024-01-01', timestamp: '2024-01-01 11:00:00' },
+    ]);
+
+    expect(result.spanMinutes).toBe(120);
+  });
+
+  test('measures the span in real time across a daylight saving change', () => {
+    const result = getSpeedGamingDay(games, [
+      { gameId: 1, date: '2024-03-10', timestamp: '2024-03-10 01:00:00', durationMin: 30 },
+      { gameId: 2, date: '2024-03-10', timestamp: '2024-03-10 03:00:00', durationMin: 30 },
+      { gameId: 3, date: '2024-03-10', timestamp: '2024-03-10 03:30:00', durationMin: 30 },
+    ], null, 'America/Denver');
+
+    // 1am to 4am on the clock, but the clocks skipped an hour
+    expect(result.spanMinutes).toBe(120);
+  });
+
+  test('breaks ties by more games, then by the earlier day', () => {
+    const sameRate = [
+      { gameId: 1, date: '2024-02-02', timestamp: '2024-02-02 10:00:00', durationMin: 20 },
+      { gameId: 2, date: '2024-02-02', timestamp: '2024-02-02 10:20:00', durationMin: 20 },
+      { gameId: 3, date: '2024-02-02', timestamp: '2024-02-02 10:40:00', durationMin: 20 },
+      { gameId: 1, date: '2024-02-01', timestamp: '2024-02-01 10:00:00', durationMin: 20 },
+      { gameId: 2, date: '2024-02-01', timestamp: '2024-02-01 10:20:00', durationMin: 20 },
+      { gameId: 3, date: '2024-02-01', timestamp: '2024-02-01 10:40:00', durationMin: 20 },
+      { gameId: 1, date: '2024-02-03', timestamp: '2024-02-03 10:00:00', durationMin: 20 },
+      { gameId: 2, date: '2024-02-03', timestamp: '2024-02-03 10:20:00', durationMin: 20 },
+      { gameId: 3, date: '2024-02-03', timestamp: '2024-02-03 10:40:00', durationMin: 20 },
+      { gameId: 4, date: '2024-02-03', timestamp: '2024-02-03 11:00:00', durationMin: 20 },
+    ];
+    // Four games in 80 minutes is the same 3 games per hour as three in 60
+    expect(getSpeedGamingDay(games, sameRate).date).toBe('2024-02-03');
+    expect(getSpeedGamingDay(games, sameRate.slice(0, 6)).date).toBe('2024-02-01');
+  });
+
+  test('skips days without a measurable span', () => {
+    const result = getSpeedGamingDay(games, [
+      { gameId: 1, date: '2024-01-01', timestamp: '2024-01-01 10:00:00', durationMin: 0 },
+      { gameId: 2, date: '2024-01-01', timestamp: '2024-01-01 10:00:00', durationMin: 0 },
+      { gameId: 3, date: '2024-01-01', timestamp: '2024-01-01 10:00:00', durationMin: 0 },
+    ]);
+
+    expect(result).toBeNull();
+  });
+});
+
+describe('getPlayPatterns', () => {
+  test('gathers every pattern for the year', () => {
+    const result = getPlayPatterns(games, plays, 99, 2024, { sourceTimeZone: 'America/Denver' });
+
+    expect(result.weekdays[6].plays).toBe(3);
+    expect(result.hours[19].plays).toBe(2);
+    expect(result.weekendSplit.weekendShare.plays).toBe(0.75);
+    expect(result.mostCommonPlayerCount.playerCount).toBe(2);
+    expect(result.biggestGamingDay.date).toBe('2024-03-02');
+    // No day in 2024 had three different games
+    expect(result.speedGamingDay).toBeNull();
+  });
+
+  test('works without timezones', () => {
+    expect(getPlayPatterns(games, plays, 99).weekdays[0].plays).toBe(1);
+  });
+});
@@ -2,7 +2,7 @@
  * Play statistics functions - counts, time tracking, session stats
  */
 
-import { calculateMedian } from '../utils.js';
+import { calculateMedian, calculateDaysBetween } from '../utils.js';
 import { Metric } from './constants.js';
 import { isPlayInYear, filterPlaysByYear } from './play-helpers.js';
 
@@ -576,6 +576,139 @@ function getTopReturningGames(games, plays, year, metric, count) {
   return combined.slice(0, count);
 }
 
+/**
+ * Get every gap between consecutive days a game was played
+ * @param {Array} plays - Array of play objects
+ * @returns {Array} Array of { gameId, lastPlayedDate, returnDate, timestamp, gapDays }
+ *   in the order the games returned, where timestamp is the first play on returnDate
+ */
+function getPlayGaps(plays) {
+  // Earliest timestamp for each day each game was played
+  const timestampsByGame = new Map();
+  plays.forEach(play => {
+    if (!timestampsByGame.has(play.gameId)) {
+      timestampsByGame.set(play.gameId, new Map());
+    }
+    const timestampsByDate = timestampsByGame.get(play.gameId);
+    const current = timestampsByDate.get(play.date);
+    if (!current || play.timestamp < current) {
+      timestampsByDate.set(play.date, play.timestamp);
+    }
+  });
+
+  const gaps = [];
+  timestampsByGame.forEach((timestampsByDate, gameId) => {
+    const dates = Array.from(timestampsByDate.keys()).sort();
+    for (let i = 1; i < dates.length; i++) {
+      gaps.push({
+        gameId,
+        lastPlayedDate: dates[i - 1],
+        returnDate: dates[i],
+        timestamp: timestampsByDate.get(dates[i]),
+        gapDays: calculateDaysBetween(dates[i - 1], dates[i]),
+      });
+    }
+  });
+
+  return gaps.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Get a year's game turnover: resurrected games (played before, skipped the
+ * previous year, played again this year) and dormant games (played the previous
+ * year but not this year)
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number} year - Year to report on (required)
+ * @returns {Object} { resurrected, dormant }: resurrected is an array of
+ *   { game, lastPlayedDate, returnDate, gapDays }, dormant of { game, lastPlayedDate, gapDays }
+ *   counting days without a play up to the end of the year (or the latest play,
+ *   if the year isn't over). Both are sorted longest gap first, then by name.
+ */
+function getGameTurnover(games, plays, year) {
+  if (!year) return { resurrected: [], dormant: [] };
+
+  const yearStart = `${year}-01-01`;
+  const lastPlayedBefore = new Map();
+  const firstPlayedIn = new Map();
+  const playedPreviousYear = new Set();
+  let latestDate = null;
+
+  plays.forEach(play => {
+    if (!latestDate || play.date > latestDate) {
+      latestDate = play.date;
+    }
+    if (isPlayInYear(play, year)) {
+      const current = firstPlayedIn.get(play.gameId);
+      if (!current || play.date < current) {
+        firstPlayedIn.set(play.gameId, play.date);
+      }
+    } else if (play.date < yearStart) {
+      const current = lastPlayedBefore.get(play.gameId);
+      if (!current || play.date > current) {
+        lastPlayedBefore.set(play.gameId, play.date);
+      }
+      if (isPlayInYear(play, year - 1)) {
+        playedPreviousYear.add(play.gameId);
+      }
+    }
+  });
+
+  const gameMap = new Map(games.map(g => [g.id, g]));
+  const byGapThenName = (a, b) => b.gapDays - a.gapDays || a.game.name.localeCompare(b.game.name);
+
+  const resurrected = [];
+  firstPlayedIn.forEach((returnDate, gameId) => {
+    const lastPlayedDate = lastPlayedBefore.get(gameId);
+    const game = gameMap.get(gameId);
+    if (!game || !lastPlayedDate || playedPreviousYear.has(gameId)) return;
+    resurrected.push({ game, lastPlayedDate, returnDate, gapDays: calculateDaysBetween(lastPlayedDate, returnDate) });
+  });
+
+  const endDate = latestDate?.startsWith(year.toString()) ? latestDate : `${year}-12-31`;
+  const dormant = [];
+  playedPreviousYear.forEach(gameId => {
+    const game = gameMap.get(gameId);
+    if (!game || firstPlayedIn.has(gameId)) return;
+    const lastPlayedDate = lastPlayedBefore.get(gameId);
+    dormant.push({ game, lastPlayedDate, gapDays: calculateDaysBetween(lastPlayedDate, endDate) });
+  });
+
+  return {
+    resurrected: resurrected.sort(byGapThenName),
+    dormant: dormant.sort(byGapThenName),
+  };
+}
+
+/**
+ * Get the longest resurrection gap: the most days between two consecutive plays
+ * of the same game
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Only count returns in or before this year (null for all time)
+ * @returns {Object|null} { game, lastPlayedDate, returnDate, gapDays } (ties go to the
+ *   earlier return), or null if no game was played on two different days
+ */
+function getLongestResurrectionGap(games, plays, year = null) {
+  const gameMap = new Map(games.map(g => [g.id, g]));
+  let longest = null;
+
+  getPlayGaps(plays).forEach(gap => {
+    if (year && parseInt(gap.returnDate.substring(0, 4)) > year) return;
+    if (!gameMap.has(gap.gameId)) return;
+    if (!longest || gap.gapDays > longest.gapDays) {
+      longest = gap;
+    }
+  });
+
+  return longest && {
+    game: gameMap.get(longest.gameId),
+    lastPlayedDate: longest.lastPlayedDate,
+    returnDate: longest.returnDate,
+    gapDays: longest.gapDays,
+  };
+}
+
 export {
   getTotalPlays,
   getTotalDaysPlayed,
@@ -587,4 +720,7 @@ export {
   getTopGamesByMetric,
   getTopNewToMeGames,
   getTopReturningGames,
+  getPlayGaps,
+  getGameTurnover,
+  getLongestResurrectionGap,
 };
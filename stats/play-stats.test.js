@@ -10,6 +10,9 @@ import {
   getTopGamesByMetric,
   getTopNewToMeGames,
   getTopReturningGames,
+  getPlayGaps,
+  getGameTurnover,
+  getLongestResurrectionGap,
 } from './play-stats.js';
 import { processData } from '../scripts/transform-game-data.js';
 import minimalFixture from '../tests/fixtures/minimal.json';
@@ -968,3 +971,135 @@ describe('getTopReturningGames', () => {
     expect(result).toEqual([]);
   });
 });
+
+describe('getPlayGaps', () => {
+  test('returns the gaps between consecutive play days of each game in return order', () => {
+    const plays = [
+      { gameId: 1, date: '2024-03-01', timestamp: '2024-03-01 20:00:00' },
+      { gameId: 1, date: '2024-01-01', timestamp: '2024-01-01 19:00:00' },
+      { gameId: 1, date: '2024-03-01', timestamp: '2024-03-01 18:00:00' },
+      { gameId: 2, date: '2024-01-05', timestamp: '2024-01-05 12:00:00' },
+      { gameId: 2, date: '2024-01-15', timestamp: '2024-01-15 12:00:00' },
+    ];
+
+    expect(getPlayGaps(plays)).toEqual([
+      { gameId: 2, lastPlayedDate: '2024-01-05', returnDate: '2024-01-15', timestamp: '2024-01-15 12:00:00', gapDays: 10 },
+      { gameId: 1, lastPlayedDate: '2024-01-01', returnDate: '2024-03-01', timestamp: '2024-03-01 18:00:00', gapDays: 60 },
+    ]);
+  });
+
+  test('returns no gaps for games played on a single day', () => {
+    const plays = [
+      { gameId: 1, date: '2024-01-01', timestamp: '2024-01-01 19:00:00' },
+      { gameId: 1, date: '2024-01-01', timestamp: '2024-01-01 20:00:00' },
+    ];
+
+    expect(getPlayGaps(plays)).toEqual([]);
+  });
+});
+
+describe('getGameTurnover', () => {
+  const games = [
+    { id: 1, name: 'Azul' },
+    { id: 2, name: 'Brass' },
+    { id: 3, name: 'Cascadia' },
+    { id: 4, name: 'Dune' },
+    { id: 5, name: 'Everdell' },
+  ];
+  const plays = [
+    // Resurrected after skipping 2023
+    { gameId: 1, date: '2022-06-01' },
+    { gameId: 1, date: '2022-03-01' },
+    { gameId: 1, date: '2024-06-01' },
+    { gameId: 1, date: '2024-02-01' },
+    { gameId: 2, date: '2021-02-01' },
+    { gameId: 2, date: '2024-02-01' },
+    // Played every year: neither
+    { gameId: 3, date: '2023-05-01' },
+    { gameId: 3, date: '2024-05-01' },
+    // Dormant since 2023
+    { gameId: 4, date: '2023-03-01' },
+    { gameId: 4, date: '2023-10-01' },
+    { gameId: 5, date: '2023-10-01' },
+  ];
+
+  test('lists resurrected games with the gap since they were last played', () => {
+    const { resurrected } = getGameTurnover(games, plays, 2024);
+
+    expect(resurrected).toEqual([
+      { game: games[1], lastPlayedDate: '2021-02-01', returnDate: '2024-02-01', gapDays: 1095 },
+      { game: games[0], lastPlayedDate: '2022-06-01', returnDate: '2024-02-01', gapDays: 610 },
+    ]);
+  });
+
+  test('lists dormant games with the gap up to the end of the year', () => {
+    const { dormant } = getGameTurnover(games, plays, 2024);
+
+    // 2024-06-01 is the latest play, so the gaps run up to it
+    expect(dormant).toEqual([
+      { game: games[3], lastPlayedDate: '2023-10-01', gapDays: 244 },
+      { game: games[4], lastPlayedDate: '2023-10-01', gapDays: 244 },
+    ]);
+
+    // 2023 is over, so 2022's games are dormant through Dec 31
+    expect(getGameTurnover(games, plays, 2023).dormant).toEqual([
+      { game: games[0], lastPlayedDate: '2022-06-01', gapDays: 578 },
+    ]);
+  });
+
+  test('ignores games played for the first time', () => {
+    expect(getGameTurnover(games, plays, 2021)).toEqual({ resurrected: [], dormant: [] });
+  });
+
+  test('skips unknown games', () => {
+    const result = getGameTurnover([], plays, 2024);
+
+    expect(result).toEqual({ resurrected: [], dormant: [] });
+  });
+
+  test('returns empty lists without a year', () => {
+    expect(getGameTurnover(games, plays, null)).toEqual({ resurrected: [], dormant: [] });
+  });
+});
+
+describe('getLongestResurrectionGap', () => {
+  const games = [
+    { id: 1, name: 'Azul' },
+    { id: 2, name: 'Brass' },
+  ];
+  const plays = [
+    { gameId: 1, date: '2020-01-01', timestamp: '2020-01-01 19:00:00' },
+    { gameId: 1, date: '2021-01-01', timestamp: '2021-01-01 19:00:00' },
+    { gameId: 2, date: '2020-06-01', timestamp: '2020-06-01 19:00:00' },
+    { gameId: 2, date: '2023-06-01', timestamp: '2023-06-01 19:00:00' },
+    { gameId: 3, date: '2010-01-01', timestamp: '2010-01-01 19:00:00' },
+    { gameId: 3, date: '2024-01-01', timestamp: '2024-01-01 19:00:00' },
+  ];
+
+  test('returns the longest gap between two plays of a known game', () => {
+    expect(getLongestResurrectionGap(games, plays)).toEqual({
+      game: games[1],
+      lastPlayedDate: '2020-06-01',
+      returnDate: '2023-06-01',
+      gapDays: 1095,
+    });
+  });
+
+  test('only counts returns in or before the year', () => {
+    expect(getLongestResurrectionGap(games, plays, 2022).game).toBe(games[0]);
+  });
+
+  test('keeps the earlier return on a tie', () => {
+    const tiedPlays = [
+      ...plays.slice(0, 2),
+      { gameId: 2, date: '2022-01-01', timestamp: '2022-01-01 19:00:00' },
+      { gameId: 2, date: '2023-01-01', timestamp: '2023-01-01 19:00:00' },
+    ];
+
+    expect(getLongestResurrectionGap(games, tiedPlays).game).toBe(games[0]);
+  });
+
+  test('returns null without a return', () => {
+    expect(getLongestResurrectionGap(games, plays, 2020)).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Player count statistics - play distribution by player count and sweet spots
+ *
+ * A play's player count is the number of (non-NPC) players logged for it.
+ * Plays without any players logged have an unknown count and are skipped.
+ */
+
+import { filterPlaysByYear } from './play-helpers.js';
+import { calculateMedian } from '../utils.js';
+
+/**
+ * Minimum plays of a game before a sweet spot is reported
+ * @constant {number}
+ */
+const MIN_SWEET_SPOT_PLAYS = 3;
+
+/**
+ * Weight applied to a player count's play share by its BGG community rating
+ * when picking a sweet spot
+ * @constant {Object}
+ */
+const SWEET_SPOT_BGG_WEIGHTS = {
+  best: 1.5,
+  recommended: 1.25,
+  none: 1,
+};
+
+/**
+ * Build a player count distribution from plays
+ * @param {Array} plays - Array of play objects
+ * @returns {Array} Array of { playerCount, plays, sessions, minutes, share } sorted by player count
+ */
+function buildDistribution(plays) {
+  const statsPerCount = new Map();
+  let totalPlays = 0;
+
+  plays.forEach(play => {
+    const playerCount = play.players.length;
+    if (playerCount === 0) return;
+
+    const stats = statsPerCount.get(playerCount) || {
+      playerCount,
+      plays: 0,
+      sessions: new Set(),
+      minutes: 0,
+    };
+    stats.plays++;
+    stats.sessions.add(play.date);
+    stats.minutes += play.durationMin;
+    statsPerCount.set(playerCount, stats);
+    totalPlays++;
+  });
+
+  return Array.from(statsPerCount.values())
+    .map(stats => ({
+      playerCount: stats.playerCount,
+      plays: stats.plays,
+      sessions: stats.sessions.size,
+      minutes: stats.minutes,
+      share: stats.plays / totalPlays,
+    }))
+    .sort((a, b) => a.playerCount - b.playerCount);
+}
+
+/**
+ * Get the distribution of all plays by player count
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { playerCount, plays, sessions, minutes, share } sorted by player count,
+ *   where share is the fraction of plays with a known player count
+ */
+function getPlayerCountDistribution(plays, year = null) {
+  return buildDistribution(filterPlaysByYear(plays, year));
+}
+
+/**
+ * Get the distribution of plays by player count for each game
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter
+ * @returns {Map} Map of gameId -> distribution (see getPlayerCountDistribution)
+ */
+function getPlayerCountDistributionByGame(plays, year = null) {
+  const playsPerGame = new Map();
+  filterPlaysByYear(plays, year).forEach(play => {
+    if (!playsPerGame.has(play.gameId)) {
+      playsPerGame.set(play.gameId, []);
+    }
+    playsPerGame.get(play.gameId).push(play);
+  });
+
+  const distributions = new Map();
+  playsPerGame.forEach((gamePlays, gameId) => {
+    const distribution = buildDistribution(gamePlays);
+    if (distribution.length > 0) {
+      distributions.set(gameId, distribution);
+    }
+  });
+  return distributions;
+}
+
+/**
+ * Get the median logged duration per player count for each game.
+ * Estimated and zero durations are ignored.
+ * @param {Array} plays - Array of play objects
+ * @returns {Map} Map of gameId -> Map of playerCount -> median minutes
+ */
+function getMedianDurationByPlayerCount(plays) {
+  const durations = new Map();
+  plays.forEach(play => {
+    const playerCount = play.players.length;
+    if (playerCount === 0 || play.durationEstimated || !(play.durationMin > 0)) return;
+
+    if (!durations.has(play.gameId)) {
+      durations.set(play.gameId, new Map());
+    }
+    const gameDurations = durations.get(play.gameId);
+    if (!gameDurations.has(playerCount)) {
+      gameDurations.set(playerCount, []);
+    }
+    gameDurations.get(playerCount).push(play.durationMin);
+  });
+
+  const medians = new Map();
+  durations.forEach((gameDurations, gameId) => {
+    medians.set(gameId, new Map(
+      Array.from(gameDurations.entries()).map(([playerCount, values]) => [playerCount, calculateMedian(values)]),
+    ));
+  });
+  return medians;
+}
+
+/**
+ * Pick my sweet spot for a game: the player count with the highest score,
+ * where a count's score is its share of my plays weighted by the BGG
+ * community rating (best, then recommended, then neither). A count the
+ * community rates best can beat one I play slightly more often. Ties go to
+ * the smaller count.
+ * @param {Object} game - Game object (bggMetadata optional)
+ * @param {Array} distribution - The game's player count distribution
+ * @param {number} minPlays - Minimum plays with a known count to report a sweet spot
+ * @returns {Object|null} { playerCount, plays, share, isBggBest, isBggRecommended } or null
+ *   when the game has too few plays
+ */
+function getSweetSpot(game, distribution, minPlays = MIN_SWEET_SPOT_PLAYS) {
+  const totalPlays = distribution.reduce((sum, entry) => sum + entry.plays, 0);
+  if (totalPlays === 0 || totalPlays < minPlays) return null;
+
+  const bestCounts = game.bggMetadata?.bestPlayerCounts || [];
+  const recommendedCounts = game.bggMetadata?.recommendedPlayerCounts || [];
+  const score = entry => {
+    if (bestCounts.includes(entry.playerCount)) return entry.share * SWEET_SPOT_BGG_WEIGHTS.best;
+    if (recommendedCounts.includes(entry.playerCount)) return entry.share * SWEET_SPOT_BGG_WEIGHTS.recommended;
+    return entry.share * SWEET_SPOT_BGG_WEIGHTS.none;
+  };
+
+  const [top] = [...distribution].sort((a, b) =>
+    score(b) - score(a)
+    || a.playerCount - b.playerCount);
+
+  return {
+    playerCount: top.playerCount,
+    plays: top.plays,
+    share: top.share,
+    isBggBest: bestCounts.includes(top.playerCount),
+    isBggRecommended: recommendedCounts.includes(top.playerCount),
+  };
+}
+
+/**
+ * Get sweet spots for every game with enough plays
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { game, playerCount, plays, share, isBggBest, isBggRecommended }
+ *   sorted by game name
+ */
+function getSweetSpots(games, plays, year = null) {
+  const distributions = getPlayerCountDistributionByGame(plays, year);
+  const result = [];
+
+  games.forEach(game => {
+    const distribution = distributions.get(game.id);
+    if (!distribution) return;
+
+    const sweetSpot = getSweetSpot(game, distribution);
+    if (sweetSpot) {
+      result.push({ game, ...sweetSpot });
+    }
+  });
+
+  return result.sort((a, b) => a.game.name.localeCompare(b.game.name));
+}
+
+export {
+  MIN_SWEET_SPOT_PLAYS,
+  getPlayerCountDistribution,
+  getPlayerCountDistributionByGame,
+  getMedianDurationByPlayerCount,
+  getSweetSpot,
+  getSweetSpots,
+};
@@ -0,0 +1,169 @@
+import { describe, test, expect } from 'vitest';
+import {
+  MIN_SWEET_SPOT_PLAYS,
+  getPlayerCountDistribution,
+  getPlayerCountDistributionByGame,
+  getMedianDurationByPlayerCount,
+  getSweetSpot,
+  getSweetSpots,
+} from './player-count-stats.js';
+
+function play(gameId, date, playerCount, durationMin = 60, durationEstimated = false) {
+  const players = Array.from({ length: playerCount }, (_, i) => i + 1);
+  return { gameId, date, durationMin, durationEstimated, players };
+}
+
+const plays = [
+  play(1, '2023-12-31', 2, 30),
+  play(1, '2024-01-01', 2, 40),
+  play(1, '2024-01-01', 2, 50),
+  play(1, '2024-01-02', 3, 90),
+  play(2, '2024-01-03', 1, 20),
+  play(2, '2024-01-04', 0, 25),
+];
+
+describe('getPlayerCountDistribution', () => {
+  test('counts plays, sessions and minutes per player count', () => {
+    const result = getPlayerCountDistribution(plays);
+
+    expect(result).toEqual([
+      { playerCount: 1, plays: 1, sessions: 1, minutes: 20, share: 0.2 },
+      { playerCount: 2, plays: 3, sessions: 2, minutes: 120, share: 0.6 },
+      { playerCount: 3, plays: 1, sessions: 1, minutes: 90, share: 0.2 },
+    ]);
+  });
+
+  test('filters by year', () => {
+    const result = getPlayerCountDistribution(plays, 2024);
+
+    expect(result.find(entry => entry.playerCount === 2)).toMatchObject({ plays: 2, sessions: 1, share: 0.5 });
+  });
+
+  test('returns an empty array when no play has players logged', () => {
+    expect(getPlayerCountDistribution([play(1, '2024-01-01', 0)])).toEqual([]);
+  });
+});
+
+describe('getPlayerCountDistributionByGame', () => {
+  test('builds a distribution per game', () => {
+    const result = getPlayerCountDistributionByGame(plays);
+
+    expect(result.get(1).map(entry => [entry.playerCount, entry.plays])).toEqual([[2, 3], [3, 1]]);
+    expect(result.get(2)).toEqual([{ playerCount: 1, plays: 1, sessions: 1, minutes: 20, share: 1 }]);
+  });
+
+  test('omits games without any known player count', () => {
+    const result = getPlayerCountDistributionByGame([play(3, '2024-01-01', 0)]);
+
+    expect(result.has(3)).toBe(false);
+  });
+
+  test('filters by year', () => {
+    const result = getPlayerCountDistributionByGame(plays, 2023);
+
+    expect([...result.keys()]).toEqual([1]);
+    expect(result.get(1)).toEqual([{ playerCount: 2, plays: 1, sessions: 1, minutes: 30, share: 1 }]);
+  });
+});
+
+describe('getMedianDurationByPlayerCount', () => {
+  test('returns the median duration per game and player count', () => {
+    const result = getMedianDurationByPlayerCount(plays);
+
+    expect(result.get(1).get(2)).toBe(40);
+    expect(result.get(1).get(3)).toBe(90);
+    expect(result.get(2).get(1)).toBe(20);
+  });
+
+  test('ignores estimated durations, zero durations and unknown player counts', () => {
+    const result = getMedianDurationByPlayerCount([
+      play(1, '2024-01-01', 2, 30),
+      play(1, '2024-01-02', 2, 100, true),
+      play(1, '2024-01-03', 2, 0),
+      play(1, '2024-01-04', 0, 80),
+      play(2, '2024-01-05', 0, 80),
+    ]);
+
+    expect([...result.get(1).entries()]).toEqual([[2, 30]]);
+    expect(result.has(2)).toBe(false);
+  });
+});
+
+describe('getSweetSpot', () => {
+  const distribution = [
+    { playerCount: 2, plays: 3, share: 0.375 },
+    { playerCount: 3, plays: 3, share: 0.375 },
+    { playerCount: 4, plays: 2, share: 0.25 },
+  ];
+
+  test('picks the most played count', () => {
+    const result = getSweetSpot({ bggMetadata: null }, [
+      { playerCount: 2, plays: 1, share: 0.25 },
+      { playerCount: 4, plays: 3, share: 0.75 },
+    ]);
+
+    expect(result).toEqual({ playerCount: 4, plays: 3, share: 0.75, isBggBest: false, isBggRecommended: false });
+  });
+
+  test('prefers a BGG best count played nearly as often as the most played count', () => {
+    const nearlyTied = [
+      { playerCount: 2, plays: 5, share: 0.5 },
+      { playerCount: 3, plays: 4, share: 0.4 },
+      { playerCount: 4, plays: 1, share: 0.1 },
+    ];
+    const bestAtThree = { bggMetadata: { bestPlayerCounts: [3], recommendedPlayerCounts: [3, 4] } };
+
+    expect(getSweetSpot(bestAtThree, nearlyTied)).toEqual({ playerCount: 3, plays: 4, share: 0.4, isBggBest: true, isBggRecommended: true });
+  });
+
+  test('keeps a clearly more played count over the BGG best count', () => {
+    const result = getSweetSpot({ bggMetadata: { bestPlayerCounts: [3], recommendedPlayerCounts: [] } }, [
+      { playerCount: 2, plays: 8, share: 0.8 },
+      { playerCount: 3, plays: 2, share: 0.2 },
+    ]);
+
+    expect(result).toMatchObject({ playerCount: 2, isBggBest: false });
+  });
+
+  test('breaks ties by BGG community rating, then by fewer players', () => {
+    const rated = (bestPlayerCounts, recommendedPlayerCounts) => ({ bggMetadata: { bestPlayerCounts, recommendedPlayerCounts } });
+
+    expect(getSweetSpot(rated([3], [2, 3]), distribution)).toMatchObject({ playerCount: 3, isBggBest: true, isBggRecommended: true });
+    expect(getSweetSpot(rated([], [3]), distribution)).toMatchObject({ playerCount: 3, isBggBest: false, isBggRecommended: true });
+    expect(getSweetSpot({}, distribution)).toMatchObject({ playerCount: 2, isBggBest: false, isBggRecommended: false });
+  });
+
+  test('returns null below the minimum number of plays', () => {
+    const sparse = [{ playerCount: 2, plays: MIN_SWEET_SPOT_PLAYS - 1, share: 1 }];
+
+    expect(getSweetSpot({}, sparse)).toBeNull();
+    expect(getSweetSpot({}, sparse, 1)).toMatchObject({ playerCount: 2 });
+    expect(getSweetSpot({}, [], 0)).toBeNull();
+  });
+});
+
+describe('getSweetSpots', () => {
+  const games = [
+    { id: 1, name: 'Bravo', bggMetadata: { bestPlayerCounts: [2], recommendedPlayerCounts: [2, 3] } },
+    { id: 2, name: 'Alpha', bggMetadata: null },
+    { id: 3, name: 'Charlie', bggMetadata: null },
+  ];
+  const sweetSpotPlays = [
+    ...plays,
+    play(2, '2024-02-01', 1),
+    play(2, '2024-02-02', 1),
+  ];
+
+  test('returns sweet spots for games with enough plays sorted by name', () => {
+    const result = getSweetSpots(games, sweetSpotPlays);
+
+    expect(result.map(entry => [entry.game.name, entry.playerCount])).toEqual([['Alpha', 1], ['Bravo', 2]]);
+    expect(result[1]).toMatchObject({ plays: 3, share: 0.75, isBggBest: true, isBggRecommended: true });
+  });
+
+  test('filters by year', () => {
+    const result = getSweetSpots(games, sweetSpotPlays, 2023);
+
+    expect(result).toEqual([]);
+  });
+});
@@ -1,5 +1,5 @@
 /**
- * Rating statistics - average ratings for owned and played games
+ * Rating statistics - average ratings and rating distributions for owned and played games
  */
 
 import {
@@ -9,6 +9,14 @@ import {
 } from './game-helpers.js';
 import { isPlayInYear } from './play-helpers.js';
 
+/**
+ * Rating scale bounds (BoardGameGeek-style 1-10 ratings)
+ */
+const RATING_SCALE = {
+  min: 1,
+  max: 10,
+};
+
 /**
  * Get played rating breakdown for games played
  * @param {Array} games - Array of game objects
@@ -145,7 +153,98 @@ function getCollectionRatingBreakdown(games, year = null) {
   };
 }
 
+/**
+ * Helper: Check whether a rating entry has a rating
+ * @param {Object} item - Entry with a rating property
+ * @returns {boolean} True if rated
+ */
+function isRated(item) {
+  return item.rating !== null && item.rating !== undefined;
+}
+
+/**
+ * Get the histogram band a rating falls in
+ * @param {number} rating - Rating on the 1-10 scale
+ * @param {number} step - Band width (e.g. 1 or 0.5)
+ * @returns {number} Lower bound of the band, clamped to the rating scale
+ */
+function getRatingBand(rating, step = 1) {
+  // The epsilon keeps ratings that sit on a band boundary out of the band below
+  const band = Math.floor(rating / step + 1e-9) * step;
+  return Math.min(RATING_SCALE.max, Math.max(RATING_SCALE.min, band));
+}
+
+/**
+ * Get a rating histogram: one band per step across the rating scale
+ * @param {Array} gameRatings - Entries with a rating property (unrated entries are skipped)
+ * @param {number} step - Band width (e.g. 1 or 0.5)
+ * @param {Function} getWeight - Weight of an entry (e.g. its hours); counts each entry once by default
+ * @returns {Array} Array of { band, count, weight } ordered by band
+ */
+function getRatingDistribution(gameRatings, step = 1, getWeight = () => 1) {
+  const bandCount = Math.round((RATING_SCALE.max - RATING_SCALE.min) / step) + 1;
+  const distribution = Array.from({ length: bandCount }, (_, index) => ({
+    band: RATING_SCALE.min + index * step,
+    count: 0,
+    weight: 0,
+  }));
+
+  gameRatings.forEach(item => {
+    if (!isRated(item)) return;
+    const index = Math.round((getRatingBand(item.rating, step) - RATING_SCALE.min) / step);
+    distribution[index].count++;
+    distribution[index].weight += getWeight(item);
+  });
+
+  return distribution;
+}
+
+/**
+ * Get the mean, median and standard deviation of ratings
+ * @param {Array} gameRatings - Entries with a rating property (unrated entries are skipped)
+ * @param {Function} getWeight - Weight of an entry (e.g. its hours); counts each entry once by default
+ * @returns {Object} { mean, median, standardDeviation }, all null when there is no weight
+ */
+function getRatingSummary(gameRatings, getWeight = () => 1) {
+  const weighted = gameRatings
+    .filter(isRated)
+    .map(item => ({ rating: item.rating, weight: getWeight(item) }))
+    .filter(item => item.weight > 0)
+    .sort((a, b) => a.rating - b.rating);
+  const totalWeight = weighted.reduce((sum, item) => sum + item.weight, 0);
+
+  if (totalWeight === 0) {
+    return { mean: null, median: null, standardDeviation: null };
+  }
+
+  const mean = weighted.reduce((sum, item) => sum + item.rating * item.weight, 0) / totalWeight;
+  const variance = weighted.reduce((sum, item) => sum + item.weight * (item.rating - mean) ** 2, 0) / totalWeight;
+
+  // Weighted median: the rating where the running weight reaches half the total.
+  // Landing exactly on the half averages with the next rating, as an even-sized
+  // unweighted median does.
+  let median = null;
+  let runningWeight = 0;
+  for (let i = 0; i < weighted.length; i++) {
+    runningWeight += weighted[i].weight;
+    if (runningWeight === totalWeight / 2) {
+      median = (weighted[i].rating + weighted[i + 1].rating) / 2;
+      break;
+    }
+    if (runningWeight > totalWeight / 2) {
+      median = weighted[i].rating;
+      break;
+    }
+  }
+
+  return { mean, median, standardDeviation: Math.sqrt(variance) };
+}
+
 export {
+  RATING_SCALE,
   getPlayedRatingBreakdown,
   getCollectionRatingBreakdown,
+  getRatingBand,
+  getRatingDistribution,
+  getRatingSummary,
 };
@@ -1,7 +1,11 @@
 import { describe, test, expect } from 'vitest';
 import {
+  RATING_SCALE,
   getPlayedRatingBreakdown,
   getCollectionRatingBreakdown,
+  getRatingBand,
+  getRatingDistribution,
+  getRatingSummary,
 } from './rating-stats.js';
 
 describe('getPlayedRatingBreakdown', () => {
@@ -326,3 +330,90 @@ describe('getCollectionRatingBreakdown', () => {
     expect(result.gameRatings[0].acquisitionDate).toBe('2021-03-10');
   });
 });
+
+describe('getRatingBand', () => {
+  test('returns the lower bound of the band a rating falls in', () => {
+    const cases = [
+      [7, 1, 7],
+      [7.9, 1, 7],
+      [7.5, 0.5, 7.5],
+      [7.4, 0.5, 7],
+      [10, 1, 10],
+      [10, 0.5, 10],
+      [0.5, 1, RATING_SCALE.min],
+    ];
+    cases.forEach(([rating, step, expected]) => {
+      expect(getRatingBand(rating, step)).toBe(expected);
+    });
+  });
+
+  test('defaults to whole-point bands', () => {
+    expect(getRatingBand(6.5)).toBe(6);
+  });
+});
+
+describe('getRatingDistribution', () => {
+  const gameRatings = [
+    { rating: 7, hours: 2 },
+    { rating: 7.5, hours: 6 },
+    { rating: 9, hours: 1 },
+    { rating: null, hours: 5 },
+  ];
+
+  test('counts rated games per band across the whole scale', () => {
+    const result = getRatingDistribution(gameRatings);
+
+    expect(result).toHaveLength(10);
+    expect(result[0].band).toBe(1);
+    expect(result[9].band).toBe(10);
+    expect(result.find(entry => entry.band === 7)).toEqual({ band: 7, count: 2, weight: 2 });
+    expect(result.reduce((sum, entry) => sum + entry.count, 0)).toBe(3);
+  });
+
+  test('uses half-point bands', () => {
+    const result = getRatingDistribution(gameRatings, 0.5);
+
+    expect(result).toHaveLength(19);
+    expect(result.find(entry => entry.band === 7).count).toBe(1);
+    expect(result.find(entry => entry.band === 7.5).count).toBe(1);
+  });
+
+  test('sums weights per band', () => {
+    const result = getRatingDistribution(gameRatings, 1, item => item.hours);
+
+    expect(result.find(entry => entry.band === 7).weight).toBe(8);
+    expect(result.find(entry => entry.band === 9).weight).toBe(1);
+  });
+});
+
+describe('getRatingSummary', () => {
+  test('calculates mean, median and standard deviation of rated games', () => {
+    const result = getRatingSummary([{ rating: 6 }, { rating: 8 }, { rating: 10 }, { rating: null }]);
+
+    expect(result.mean).toBe(8);
+    expect(result.median).toBe(8);
+    expect(result.standardDeviation).toBeCloseTo(Math.sqrt(8 / 3));
+  });
+
+  test('averages the middle ratings for an even count', () => {
+    const result = getRatingSummary([{ rating: 9 }, { rating: 6 }, { rating: 7 }, { rating: 8 }]);
+
+    expect(result.median).toBe(7.5);
+  });
+
+  test('weights each rating', () => {
+    const result = getRatingSummary(
+      [{ rating: 6, hours: 1 }, { rating: 9, hours: 3 }, { rating: 4, hours: 0 }],
+      item => item.hours,
+    );
+
+    expect(result.mean).toBe(8.25); // (6 + 27) / 4
+    expect(result.median).toBe(9);
+    expect(result.standardDeviation).toBeCloseTo(Math.sqrt((2.25 ** 2 + 3 * 0.75 ** 2) / 4));
+  });
+
+  test('returns nulls without rated games', () => {
+    expect(getRatingSummary([{ rating: null }])).toEqual({ mean: null, median: null, standardDeviation: null });
+    expect(getRatingSummary([])).toEqual({ mean: null, median: null, standardDeviation: null });
+  });
+});
@@ -0,0 +1,388 @@
+/**
+ * Results statistics - wins, finishing positions, scores and opponents
+ *
+ * Competitive plays are plays of non-cooperative games where I played against
+ * at least one other player and the outcome was logged (a winner or a rank).
+ * Co-op games are tracked separately as wins or losses against the game.
+ */
+
+import { filterPlaysByYear } from './play-helpers.js';
+
+/**
+ * Minimum head-to-head plays before an opponent can be a nemesis or favourite victim
+ * @constant {number}
+ */
+const MIN_RIVALRY_PLAYS = 3;
+
+/**
+ * Get a player's result from a play
+ * @param {Object} play - Play object with results
+ * @param {number} playerId - Player ID
+ * @returns {Object|undefined} Result object, if the player took part
+ */
+function getPlayerResult(play, playerId) {
+  return (play.results || []).find(result => result.playerId === playerId);
+}
+
+/**
+ * Check whether a result counts as a win (winner flag or first place)
+ * @param {Object} result - Result object
+ * @returns {boolean} true if the player won
+ */
+function isWinningResult(result) {
+  return result.isWinner || result.rank === 1;
+}
+
+/**
+ * Check whether two results were on opposing sides (not teammates)
+ * @param {Object} selfResult - My result
+ * @param {Object} result - Another player's result
+ * @returns {boolean} true if the other player was an opponent
+ */
+function isOpponentResult(selfResult, result) {
+  if (result.playerId === selfResult.playerId) return false;
+  return selfResult.team === null || result.team !== selfResult.team;
+}
+
+/**
+ * Get finishing positions for every player in a play.
+ *
+ * Uses logged ranks when every player has one. Otherwise positions are derived
+ * from scores when every player has a score and the winners hold either the
+ * highest or the lowest score, which tells us which way the game is scored.
+ * Tied scores share a position.
+ *
+ * @param {Array} results - Results of one play
+ * @returns {Map|null} Map of playerId -> position, or null if positions are unknown
+ */
+function getFinishingPositions(results) {
+  if (results.every(result => result.rank !== null)) {
+    return new Map(results.map(result => [result.playerId, result.rank]));
+  }
+
+  if (results.some(result => result.score === null)) return null;
+  const winnerScores = results.filter(result => result.isWinner).map(result => result.score);
+  if (winnerScores.length === 0) return null;
+
+  const scores = results.map(result => result.score);
+  const highest = Math.max(...scores);
+  const lowest = Math.min(...scores);
+  let isBetter;
+  if (winnerScores.every(score => score === highest)) {
+    isBetter = (a, b) => a > b;
+  } else if (winnerScores.every(score => score === lowest)) {
+    isBetter = (a, b) => a < b;
+  } else {
+    return null;
+  }
+
+  return new Map(results.map(result => [
+    result.playerId,
+    1 + scores.filter(score => isBetter(score, result.score)).length,
+  ]));
+}
+
+/**
+ * Get competitive plays I took part in, with my result attached
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number} selfPlayerId - The player ID representing the user
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { play, game, selfResult }
+ */
+function getCompetitivePlays(games, plays, selfPlayerId, year) {
+  const gamesById = new Map(games.map(game => [game.id, game]));
+  const competitivePlays = [];
+
+  filterPlaysByYear(plays, year).forEach(play => {
+    const game = gamesById.get(play.gameId);
+    if (!game || game.isCooperative) return;
+
+    const results = play.results || [];
+    const selfResult = getPlayerResult(play, selfPlayerId);
+    if (!selfResult || results.length < 2) return;
+    if (!results.some(result => result.isWinner || result.rank !== null)) return;
+
+    competitivePlays.push({ play, game, selfResult });
+  });
+
+  return competitivePlays;
+}
+
+/**
+ * Get my win rate per game across competitive plays
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number} selfPlayerId - The player ID representing the user
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { game, plays, wins, winRate } sorted by plays descending, then name
+ */
+function getWinRateByGame(games, plays, selfPlayerId, year = null) {
+  const statsPerGame = new Map();
+
+  getCompetitivePlays(games, plays, selfPlayerId, year).forEach(({ game, selfResult }) => {
+    const stats = statsPerGame.get(game.id) || { game, plays: 0, wins: 0 };
+    stats.plays++;
+    if (isWinningResult(selfResult)) stats.wins++;
+    statsPerGame.set(game.id, stats);
+  });
+
+  return Array.from(statsPerGame.values())
+    .map(stats => ({ ...stats, winRate: stats.wins / stats.plays }))
+    .sort((a, b) => b.plays - a.plays || a.game.name.localeCompare(b.game.name));
+}
+
+/**
+ * Get my win rate against each opponent: how often I won the game when they
+ * were at the table (teammates excluded)
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {Array} players - Array of player objects with playerId and name
+ * @param {number} selfPlayerId - The player ID representing the user
+ * @param {number} anonymousPlayerId - The player ID for anonymous players
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { playerId, name, plays, wins, theirWins, winRate }
+ *   sorted by plays descending, then name
+ */
+function getWinRateByOpponent(games, plays, players, selfPlayerId, anonymousPlayerId, year = null) {
+  const playerMap = new Map(players.map(p => [p.playerId, p.name]));
+  const statsPerOpponent = new Map();
+
+  getCompetitivePlays(games, plays, selfPlayerId, year).forEach(({ play, selfResult }) => {
+    play.results
+      .filter(result => isOpponentResult(selfResult, result) && result.playerId !== anonymousPlayerId)
+      .forEach(result => {
+        const stats = statsPerOpponent.get(result.playerId) || {
+          playerId: result.playerId,
+          name: playerMap.get(result.playerId) || `Player ${result.playerId}`,
+          plays: 0,
+          wins: 0,
+          theirWins: 0,
+        };
+        stats.plays++;
+        if (isWinningResult(selfResult)) stats.wins++;
+        if (isWinningResult(result)) stats.theirWins++;
+        statsPerOpponent.set(result.playerId, stats);
+      });
+  });
+
+  return Array.from(statsPerOpponent.values())
+    .map(stats => ({ ...stats, winRate: stats.wins / stats.plays }))
+    .sort((a, b) => b.plays - a.plays || a.name.localeCompare(b.name));
+}
+
+/**
+ * Get my average finishing position by player count. Plays where positions
+ * can't be determined (see getFinishingPositions) are skipped.
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number} selfPlayerId - The player ID representing the user
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { playerCount, plays, averagePosition } sorted by player count
+ */
+function getAverageFinishByPlayerCount(games, plays, selfPlayerId, year = null) {
+  const statsPerCount = new Map();
+
+  getCompetitivePlays(games, plays, selfPlayerId, year).forEach(({ play }) => {
+    const positions = getFinishingPositions(play.results);
+    if (!positions) return;
+
+    const playerCount = play.results.length;
+    const stats = statsPerCount.get(playerCount) || { playerCount, plays: 0, totalPosition: 0 };
+    stats.plays++;
+    stats.totalPosition += positions.get(selfPlayerId);
+    statsPerCount.set(playerCount, stats);
+  });
+
+  return Array.from(statsPerCount.values())
+    .map(({ playerCount, plays: count, totalPosition }) => ({
+      playerCount,
+      plays: count,
+      averagePosition: totalPosition / count,
+    }))
+    .sort((a, b) => a.playerCount - b.playerCount);
+}
+
+/**
+ * Get the highest score logged for each game, by anyone, along with my best.
+ * Includes co-op games, whose scores are shared by the table.
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {Array} players - Array of player objects with playerId and name
+ * @param {number} selfPlayerId - The player ID representing the user
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { game, score, playerId, name, date, selfScore }
+ *   sorted by game name. The earliest play wins ties; selfScore is null if I never scored.
+ */
+function getHighestScores(games, plays, players, selfPlayerId, year = null) {
+  const gamesById = new Map(games.map(game => [game.id, game]));
+  const playerMap = new Map(players.map(p => [p.playerId, p.name]));
+  const highScores = new Map();
+
+  // Oldest first so the first to reach a score keeps it
+  const sortedPlays = [...filterPlaysByYear(plays, year)]
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  sortedPlays.forEach(play => {
+    const game = gamesById.get(play.gameId);
+    if (!game) return;
+
+    (play.results || []).forEach(result => {
+      if (result.score === null) return;
+
+      const entry = highScores.get(game.id) || {
+        game,
+        score: -Infinity,
+        playerId: null,
+        name: null,
+        date: null,
+        selfScore: null,
+      };
+      if (result.score > entry.score) {
+        entry.score = result.score;
+        entry.playerId = result.playerId;
+        entry.name = playerMap.get(result.playerId) || `Player ${result.playerId}`;
+        entry.date = play.date;
+      }
+      if (result.playerId === selfPlayerId && (entry.selfScore === null || result.score > entry.selfScore)) {
+        entry.selfScore = result.score;
+      }
+      highScores.set(game.id, entry);
+    });
+  });
+
+  return Array.from(highScores.values())
+    .sort((a, b) => a.game.name.localeCompare(b.game.name));
+}
+
+/**
+ * Get my head-to-head record against each opponent: who finished ahead.
+ *
+ * Uses finishing positions where they can be determined, otherwise the winner
+ * flags (a winner beats a non-winner). Shared positions and shared wins are
+ * ties; plays where neither of us won and positions are unknown are skipped.
+ * Teammates and anonymous players are excluded.
+ *
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {Array} players - Array of player objects with playerId and name
+ * @param {number} selfPlayerId - The player ID representing the user
+ * @param {number} anonymousPlayerId - The player ID for anonymous players
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { playerId, name, plays, wins, losses, ties, winRate }
+ *   sorted by plays descending, then name
+ */
+function getHeadToHeadRecords(games, plays, players, selfPlayerId, anonymousPlayerId, year = null) {
+  const playerMap = new Map(players.map(p => [p.playerId, p.name]));
+  const records = new Map();
+
+  getCompetitivePlays(games, plays, selfPlayerId, year).forEach(({ play, selfResult }) => {
+    const positions = getFinishingPositions(play.results);
+
+    play.results
+      .filter(result => isOpponentResult(selfResult, result) && result.playerId !== anonymousPlayerId)
+      .forEach(result => {
+        let outcome;
+        if (positions) {
+          const diff = positions.get(result.playerId) - positions.get(selfPlayerId);
+          outcome = Math.sign(diff);
+        } else if (selfResult.isWinner || result.isWinner) {
+          outcome = (selfResult.isWinner ? 1 : 0) - (result.isWinner ? 1 : 0);
+        } else {
+          return;
+        }
+
+        const record = records.get(result.playerId) || {
+          playerId: result.playerId,
+          name: playerMap.get(result.playerId) || `Player ${result.playerId}`,
+          plays: 0,
+          wins: 0,
+          losses: 0,
+          ties: 0,
+        };
+        record.plays++;
+        if (outcome > 0) record.wins++;
+        else if (outcome < 0) record.losses++;
+        else record.ties++;
+        records.set(result.playerId, record);
+      });
+  });
+
+  return Array.from(records.values())
+    .map(record => ({ ...record, winRate: record.wins / record.plays }))
+    .sort((a, b) => b.plays - a.plays || a.name.localeCompare(b.name));
+}
+
+/**
+ * Pick my nemesis (the opponent I do worst against) and favourite victim
+ * (the one I do best against) from head-to-head records
+ * @param {Array} records - Records from getHeadToHeadRecords
+ * @param {number} minPlays - Minimum head-to-head plays to qualify
+ * @returns {Object} { nemesis, favouriteVictim } - records, or null when nobody qualifies
+ */
+function getRivals(records, minPlays = MIN_RIVALRY_PLAYS) {
+  const qualifying = records.filter(record => record.plays >= minPlays);
+
+  const nemesis = qualifying
+    .filter(record => record.losses > 0)
+    .sort((a, b) => a.winRate - b.winRate || b.losses - a.losses || a.name.localeCompare(b.name))[0] || null;
+  const favouriteVictim = qualifying
+    .filter(record => record.wins > 0)
+    .sort((a, b) => b.winRate - a.winRate || b.wins - a.wins || a.name.localeCompare(b.name))[0] || null;
+
+  return { nemesis, favouriteVictim };
+}
+
+/**
+ * Get my record in co-op games, as wins or losses against the game.
+ * A co-op play is a win when any player is marked as a winner.
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number} selfPlayerId - The player ID representing the user
+ * @param {number|null} year - Optional year filter
+ * @returns {Object} { plays, wins, losses, winRate, games: [{ game, plays, wins, losses, winRate }] }
+ *   with games sorted by plays descending, then name; winRate is null without plays
+ */
+function getCoopRecord(games, plays, selfPlayerId, year = null) {
+  const gamesById = new Map(games.map(game => [game.id, game]));
+  const statsPerGame = new Map();
+
+  filterPlaysByYear(plays, year).forEach(play => {
+    const game = gamesById.get(play.gameId);
+    if (!game || !game.isCooperative) return;
+    if (!getPlayerResult(play, selfPlayerId)) return;
+
+    const stats = statsPerGame.get(game.id) || { game, plays: 0, wins: 0, losses: 0 };
+    stats.plays++;
+    if (play.results.some(result => result.isWinner)) stats.wins++;
+    else stats.losses++;
+    statsPerGame.set(game.id, stats);
+  });
+
+  const gameRecords = Array.from(statsPerGame.values())
+    .map(stats => ({ ...stats, winRate: stats.wins / stats.plays }))
+    .sort((a, b) => b.plays - a.plays || a.game.name.localeCompare(b.game.name));
+
+  const totalPlays = gameRecords.reduce((sum, record) => sum + record.plays, 0);
+  const totalWins = gameRecords.reduce((sum, record) => sum + record.wins, 0);
+
+  return {
+    plays: totalPlays,
+    wins: totalWins,
+    losses: totalPlays - totalWins,
+    winRate: totalPlays > 0 ? totalWins / totalPlays : null,
+    games: gameRecords,
+  };
+}
+
+export {
+  MIN_RIVALRY_PLAYS,
+  getFinishingPositions,
+  getWinRateByGame,
+  getWinRateByOpponent,
+  getAverageFinishByPlayerCount,
+  getHighestScores,
+  getHeadToHeadRecords,
+  getRivals,
+  getCoopRecord,
+};
@@ -0,0 +1,299 @@
+import { describe, test, expect } from 'vitest';
+import {
+  MIN_RIVALRY_PLAYS,
+  getFinishingPositions,
+  getWinRateByGame,
+  getWinRateByOpponent,
+  getAverageFinishByPlayerCount,
+  getHighestScores,
+  getHeadToHeadRecords,
+  getRivals,
+  getCoopRecord,
+} from './results-stats.js';
+
+const SELF = 1;
+const ALICE = 2;
+const BOB = 3;
+const ANONYMOUS = 4;
+const CAROL = 5;
+
+function playerResult(playerId, { score = null, isWinner = false, rank = null, team = null } = {}) {
+  return { playerId, score, isWinner, rank, team, isStartPlayer: false };
+}
+
+const players = [
+  { playerId: SELF, name: 'Me' },
+  { playerId: ALICE, name: 'Alice' },
+  { playerId: BOB, name: 'Bob' },
+  { playerId: ANONYMOUS, name: 'Anonymous' },
+  { playerId: CAROL, name: 'Carol' },
+];
+
+const games = [
+  { id: 1, name: 'Catan', isCooperative: false },
+  { id: 2, name: 'Golf', isCooperative: false },
+  { id: 3, name: 'Pandemic', isCooperative: true },
+  { id: 4, name: 'Team Game', isCooperative: false },
+];
+
+const plays = [
+  // Scores only: positions derived, highest wins
+  { gameId: 1, date: '2024-01-01', results: [
+    playerResult(SELF, { score: 10, isWinner: true }), playerResult(ALICE, { score: 8 }), playerResult(BOB, { score: 6 }),
+  ] },
+  { gameId: 1, date: '2024-02-01', results: [
+    playerResult(SELF, { score: 7 }), playerResult(ALICE, { score: 10, isWinner: true }), playerResult(ANONYMOUS, { score: 5 }),
+  ] },
+  // Ranks only
+  { gameId: 1, date: '2023-05-01', results: [
+    playerResult(SELF, { rank: 2 }), playerResult(BOB, { rank: 1, isWinner: true }),
+  ] },
+  // Lowest score wins
+  { gameId: 2, date: '2024-03-01', results: [
+    playerResult(SELF, { score: 30, isWinner: true }), playerResult(ALICE, { score: 35 }),
+  ] },
+  // Co-op win and loss
+  { gameId: 3, date: '2024-04-01', results: [
+    playerResult(SELF, { isWinner: true }), playerResult(ALICE, { isWinner: true }),
+  ] },
+  { gameId: 3, date: '2023-04-01', results: [playerResult(SELF)] },
+  // Teams: Carol is my teammate, no scores or ranks
+  { gameId: 4, date: '2024-05-01', results: [
+    playerResult(SELF, { isWinner: true, team: 'Red' }), playerResult(CAROL, { isWinner: true, team: 'Red' }), playerResult(BOB, { team: 'Blue' }),
+  ] },
+  // No outcome logged
+  { gameId: 1, date: '2024-06-01', results: [playerResult(SELF), playerResult(ALICE)] },
+  // Solo play of a competitive game
+  { gameId: 1, date: '2024-07-01', results: [playerResult(SELF, { isWinner: true })] },
+  // I didn't play
+  { gameId: 1, date: '2024-08-01', results: [
+    playerResult(ALICE, { score: 12, isWinner: true }), playerResult(BOB, { score: 11 }),
+  ] },
+  // Shared first place
+  { gameId: 1, date: '2024-09-01', results: [
+    playerResult(SELF, { rank: 1, isWinner: true }), playerResult(BOB, { rank: 1, isWinner: true }),
+  ] },
+  // Logged before results were captured
+  { gameId: 1, date: '2022-01-01' },
+  // Unknown game
+  { gameId: 99, date: '2024-01-01', results: [playerResult(SELF, { score: 100, isWinner: true }), playerResult(ALICE)] },
+];
+
+describe('getFinishingPositions', () => {
+  test('uses ranks when every player has one', () => {
+    const positions = getFinishingPositions([playerResult(1, { rank: 2 }), playerResult(2, { rank: 1, score: 3 })]);
+    expect(positions).toEqual(new Map([[1, 2], [2, 1]]));
+  });
+
+  test('derives positions from scores when the winner has the highest score', () => {
+    const positions = getFinishingPositions([
+      playerResult(1, { score: 5 }), playerResult(2, { score: 9, isWinner: true }), playerResult(3, { score: 5 }),
+    ]);
+    // Tied scores share a position
+    expect(positions).toEqual(new Map([[1, 2], [2, 1], [3, 2]]));
+  });
+
+  test('derives positions from scores when the winner has the lowest score', () => {
+    const positions = getFinishingPositions([
+      playerResult(1, { score: 72, isWinner: true }), playerResult(2, { score: 80 }), playerResult(3, { score: 75 }),
+    ]);
+    expect(positions).toEqual(new Map([[1, 1], [2, 3], [3, 2]]));
+  });
+
+  test('returns null when positions cannot be determined', () => {
+    // Missing score
+    expect(getFinishingPositions([playerResult(1, { score: 5, isWinner: true }), playerResult(2)])).toBeNull();
+    // No winner to tell the scoring direction
+    expect(getFinishingPositions([playerResult(1, { score: 5 }), playerResult(2, { score: 3 })])).toBeNull();
+    // Winner neither highest nor lowest
+    expect(getFinishingPositions([
+      playerResult(1, { score: 5 }), playerResult(2, { score: 4, isWinner: true }), playerResult(3, { score: 3 }),
+    ])).toBeNull();
+  });
+});
+
+describe('getWinRateByGame', () => {
+  test('counts wins across competitive plays I took part in', () => {
+    const result = getWinRateByGame(games, plays, SELF);
+
+    expect(result.map(r => [r.game.name, r.plays, r.wins])).toEqual([
+      ['Catan', 4, 2],
+      ['Golf', 1, 1],
+      ['Team Game', 1, 1],
+    ]);
+    expect(result[0].winRate).toBe(0.5);
+  });
+
+  test('respects the year filter', () => {
+    const result = getWinRateByGame(games, plays, SELF, 2024);
+    const catan = result.find(r => r.game.name === 'Catan');
+
+    expect(catan.plays).toBe(3);
+    expect(catan.wins).toBe(2);
+  });
+
+  test('returns an empty array without results', () => {
+    expect(getWinRateByGame(games, [{ gameId: 1, date: '2024-01-01' }], SELF)).toEqual([]);
+  });
+});
+
+describe('getWinRateByOpponent', () => {
+  test('counts my wins and theirs when we played together', () => {
+    const result = getWinRateByOpponent(games, plays, players, SELF, ANONYMOUS);
+
+    expect(result).toEqual([
+      { playerId: BOB, name: 'Bob', plays: 4, wins: 3, theirWins: 2, winRate: 0.75 },
+      { playerId: ALICE, name: 'Alice', plays: 3, wins: 2, theirWins: 1, winRate: 2 / 3 },
+    ]);
+  });
+
+  test('excludes teammates and anonymous players', () => {
+    const result = getWinRateByOpponent(games, plays, players, SELF, ANONYMOUS);
+    const ids = result.map(r => r.playerId);
+
+    expect(ids).not.toContain(CAROL);
+    expect(ids).not.toContain(ANONYMOUS);
+  });
+
+  test('falls back to a generic name for unknown players', () => {
+    const result = getWinRateByOpponent(games, plays, [], SELF, ANONYMOUS, 2024);
+    expect(result.map(r => r.name)).toEqual(['Player 2', 'Player 3']);
+  });
+});
+
+describe('getAverageFinishByPlayerCount', () => {
+  test('averages my position where positions are known', () => {
+    const result = getAverageFinishByPlayerCount(games, plays, SELF);
+
+    // Team game has no positions and is skipped
+    expect(result).toEqual([
+      { playerCount: 2, plays: 3, averagePosition: 4 / 3 },
+      { playerCount: 3, plays: 2, averagePosition: 1.5 },
+    ]);
+  });
+
+  test('respects the year filter', () => {
+    const result = getAverageFinishByPlayerCount(games, plays, SELF, 2023);
+    expect(result).toEqual([{ playerCount: 2, plays: 1, averagePosition: 2 }]);
+  });
+});
+
+describe('getHighestScores', () => {
+  test('finds the highest score per game and my best', () => {
+    const result = getHighestScores(games, plays, players, SELF);
+
+    expect(result).toEqual([
+      { game: games[0], score: 12, playerId: ALICE, name: 'Alice', date: '2024-08-01', selfScore: 10 },
+      { game: games[1], score: 35, playerId: ALICE, name: 'Alice', date: '2024-03-01', selfScore: 30 },
+    ]);
+  });
+
+  test('keeps the earliest play for tied scores', () => {
+    const tiedPlays = plays.filter(play => play.date < '2024-08-01');
+    const catan = getHighestScores(games, tiedPlays, players, SELF)[0];
+
+    expect(catan).toMatchObject({ score: 10, playerId: SELF, date: '2024-01-01' });
+  });
+
+  test('leaves selfScore null when I never scored', () => {
+    const result = getHighestScores(games, plays, [], SELF, 2024);
+    const catanOnlyOthers = getHighestScores(games, [plays[9]], [], SELF);
+
+    expect(result[0].name).toBe('Player 2');
+    expect(catanOnlyOthers[0].selfScore).toBeNull();
+  });
+});
+
+describe('getHeadToHeadRecords', () => {
+  test('records who finished ahead in each competitive play', () => {
+    const result = getHeadToHeadRecords(games, plays, players, SELF, ANONYMOUS);
+
+    expect(result).toEqual([
+      // Won on scores, lost on ranks, won on team winner flags, tied for first
+      { playerId: BOB, name: 'Bob', plays: 4, wins: 2, losses: 1, ties: 1, winRate: 0.5 },
+      { playerId: ALICE, name: 'Alice', plays: 3, wins: 2, losses: 1, ties: 0, winRate: 2 / 3 },
+    ]);
+  });
+
+  test('uses winner flags when positions are unknown, skipping plays neither of us won', () => {
+    const flagPlays = [
+      { gameId: 1, date: '2024-01-01', results: [playerResult(SELF), playerResult(ALICE), playerResult(BOB, { isWinner: true })] },
+      { gameId: 1, date: '2024-01-02', results: [playerResult(SELF, { isWinner: true }), playerResult(ALICE, { isWinner: true })] },
+    ];
+    const result = getHeadToHeadRecords(games, flagPlays, [], SELF, ANONYMOUS);
+
+    expect(result).toEqual([
+      { playerId: ALICE, name: 'Player 2', plays: 1, wins: 0, losses: 0, ties: 1, winRate: 0 },
+      { playerId: BOB, name: 'Player 3', plays: 1, wins: 0, losses: 1, ties: 0, winRate: 0 },
+    ]);
+  });
+});
+
+describe('getRivals', () => {
+  const records = getHeadToHeadRecords(games, plays, players, SELF, ANONYMOUS);
+
+  test('picks the worst and best records among frequent opponents', () => {
+    const { nemesis, favouriteVictim } = getRivals(records);
+
+    expect(MIN_RIVALRY_PLAYS).toBe(3);
+    expect(nemesis.name).toBe('Bob');
+    expect(favouriteVictim.name).toBe('Alice');
+  });
+
+  test('breaks win rate ties by losses or wins, then name', () => {
+    const tied = [
+      { name: 'Zed', plays: 4, wins: 2, losses: 2, ties: 0, winRate: 0.5 },
+      { name: 'Amy', plays: 4, wins: 2, losses: 1, ties: 1, winRate: 0.5 },
+      { name: 'Bea', plays: 4, wins: 2, losses: 1, ties: 1, winRate: 0.5 },
+    ];
+    const { nemesis, favouriteVictim } = getRivals(tied);
+
+    expect(nemesis.name).toBe('Zed');
+    expect(favouriteVictim.name).toBe('Amy');
+  });
+
+  test('returns null when nobody qualifies', () => {
+    expect(getRivals(records, 5)).toEqual({ nemesis: null, favouriteVictim: null });
+    expect(getRivals([])).toEqual({ nemesis: null, favouriteVictim: null });
+  });
+});
+
+describe('getCoopRecord', () => {
+  test('counts co-op wins and losses against the game', () => {
+    const result = getCoopRecord(games, plays, SELF);
+
+    expect(result).toEqual({
+      plays: 2,
+      wins: 1,
+      losses: 1,
+      winRate: 0.5,
+      games: [{ game: games[2], plays: 2, wins: 1, losses: 1, winRate: 0.5 }],
+    });
+  });
+
+  test('respects the year filter and skips plays I was not in', () => {
+    const withoutMe = { gameId: 3, date: '2024-10-01', results: [playerResult(ALICE, { isWinner: true })] };
+    const result = getCoopRecord(games, [...plays, withoutMe], SELF, 2024);
+
+    expect(result.plays).toBe(1);
+    expect(result.wins).toBe(1);
+  });
+
+  test('sorts games by plays, then name', () => {
+    const coopGames = [...games, { id: 5, name: 'Hanabi', isCooperative: true }];
+    const hanabiPlays = [
+      { gameId: 5, date: '2024-01-01', results: [playerResult(SELF, { isWinner: true })] },
+      { gameId: 5, date: '2024-01-02', results: [playerResult(SELF, { isWinner: true })] },
+    ];
+    const result = getCoopRecord(coopGames, [...plays, ...hanabiPlays], SELF);
+
+    expect(result.games.map(r => r.game.name)).toEqual(['Hanabi', 'Pandemic']);
+    expect(result.winRate).toBe(0.75);
+  });
+
+  test('returns a null win rate without co-op plays', () => {
+    expect(getCoopRecord(games, plays, SELF, 2020)).toEqual({
+      plays: 0, wins: 0, losses: 0, winRate: null, games: [],
+    });
+  });
+});
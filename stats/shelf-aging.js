@@ -0,0 +1,138 @@
+/**
+ * Shelf aging - time from acquisition to first play, and how long unplayed games have waited
+ */
+
+import { calculateMedian, calculateDaysBetween } from '../utils.js';
+import { isGameOwned, getGameAcquisitionDate } from './game-helpers.js';
+
+/**
+ * Enum of freshness buckets: how soon after acquisition a game was first played.
+ * @readonly
+ * @enum {string}
+ */
+const FreshnessBucket = {
+  WEEK: 'week',
+  MONTH: 'month',
+  YEAR: 'year',
+  LATER: 'later',
+  NEVER: 'never',
+};
+
+/**
+ * Upper bound, in days from acquisition, of each timed freshness bucket.
+ * @constant {Array<{bucket: string, maxDays: number}>}
+ */
+const FRESHNESS_THRESHOLDS = [
+  { bucket: FreshnessBucket.WEEK, maxDays: 7 },
+  { bucket: FreshnessBucket.MONTH, maxDays: 30 },
+  { bucket: FreshnessBucket.YEAR, maxDays: 365 },
+];
+
+/**
+ * Helper: Get the freshness bucket for a wait before first play
+ * @param {number|null} daysToFirstPlay - Days from acquisition to first play, or null if never played
+ * @returns {string} FreshnessBucket value
+ */
+function getFreshnessBucket(daysToFirstPlay) {
+  if (daysToFirstPlay === null) return FreshnessBucket.NEVER;
+  const threshold = FRESHNESS_THRESHOLDS.find(({ maxDays }) => daysToFirstPlay <= maxDays);
+  return threshold ? threshold.bucket : FreshnessBucket.LATER;
+}
+
+/**
+ * Get how long each owned base game with a known acquisition date waited
+ * before its first play. Games played before they were acquired (on someone
+ * else's copy) count as 0 days. Unplayed games get their current age instead.
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter (games acquired in that year)
+ * @param {string} asOfDate - Date unplayed games are aged to, in YYYY-MM-DD format (defaults to today)
+ * @returns {Object} {
+ *   games: Array of { game, acquisitionDate, firstPlayDate, daysToFirstPlay, ageDays, bucket },
+ *   byYear: Array of { year, count, playedCount, unplayedCount, medianDays, meanDays }, oldest first,
+ *   bucketCounts: Object mapping each FreshnessBucket value to a game count
+ * }
+ */
+function getTimeToFirstPlay(games, plays, year = null, asOfDate = new Date().toISOString().split('T')[0]) {
+  const firstPlayDates = new Map();
+  plays.forEach(play => {
+    const firstPlayDate = firstPlayDates.get(play.gameId);
+    if (!firstPlayDate || play.date < firstPlayDate) {
+      firstPlayDates.set(play.gameId, play.date);
+    }
+  });
+
+  const agingGames = [];
+  games.forEach(game => {
+    if (!game.isBaseGame || !isGameOwned(game)) return;
+    const acquisitionDate = getGameAcquisitionDate(game);
+    if (!acquisitionDate) return;
+    if (year && !acquisitionDate.startsWith(`${year}-`)) return;
+
+    const firstPlayDate = firstPlayDates.get(game.id) || null;
+    const daysToFirstPlay = firstPlayDate
+      ? Math.max(0, calculateDaysBetween(acquisitionDate, firstPlayDate))
+      : null;
+    agingGames.push({
+      game,
+      acquisitionDate,
+      firstPlayDate,
+      daysToFirstPlay,
+      ageDays: firstPlayDate ? null : calculateDaysBetween(acquisitionDate, asOfDate),
+      bucket: getFreshnessBucket(daysToFirstPlay),
+    });
+  });
+
+  const byYearGames = new Map();
+  agingGames.forEach(entry => {
+    const acquisitionYear = parseInt(entry.acquisitionDate.substring(0, 4));
+    if (!byYearGames.has(acquisitionYear)) byYearGames.set(acquisitionYear, []);
+    byYearGames.get(acquisitionYear).push(entry);
+  });
+  const byYear = Array.from(byYearGames.keys())
+    .sort((a, b) => a - b)
+    .map(acquisitionYear => {
+      const yearGames = byYearGames.get(acquisitionYear);
+      const waits = yearGames.filter(entry => entry.firstPlayDate).map(entry => entry.daysToFirstPlay);
+      return {
+        year: acquisitionYear,
+        count: yearGames.length,
+        playedCount: waits.length,
+        unplayedCount: yearGames.length - waits.length,
+        medianDays: calculateMedian(waits),
+        meanDays: waits.length > 0 ? waits.reduce((sum, days) => sum + days, 0) / waits.length : null,
+      };
+    });
+
+  const bucketCounts = Object.fromEntries(Object.values(FreshnessBucket).map(bucket => [bucket, 0]));
+  agingGames.forEach(entry => bucketCounts[entry.bucket]++);
+
+  return { games: agingGames, byYear, bucketCounts };
+}
+
+/**
+ * Get the games acquired in a year that were fastest to hit the table and
+ * that waited longest before their first play
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number} year - Acquisition year
+ * @returns {Object} { fastest, slowest }, each an entry from getTimeToFirstPlay or null
+ */
+function getFirstPlayRecords(games, plays, year) {
+  // Sorted by acquisition date so ties go to the game acquired first
+  const played = getTimeToFirstPlay(games, plays, year).games
+    .filter(entry => entry.firstPlayDate)
+    .sort((a, b) => a.acquisitionDate.localeCompare(b.acquisitionDate));
+  if (played.length === 0) return { fastest: null, slowest: null };
+
+  return {
+    fastest: played.reduce((best, entry) => (entry.daysToFirstPlay < best.daysToFirstPlay ? entry : best)),
+    slowest: played.reduce((best, entry) => (entry.daysToFirstPlay > best.daysToFirstPlay ? entry : best)),
+  };
+}
+
+export {
+  FreshnessBucket,
+  getTimeToFirstPlay,
+  getFirstPlayRecords,
+};
@@ -0,0 +1,112 @@
+import { describe, test, expect } from 'vitest';
+import {
+  FreshnessBucket,
+  getTimeToFirstPlay,
+  getFirstPlayRecords,
+} from './shelf-aging.js';
+
+function baseGame(id, acquisitionDate, fields = {}) {
+  return {
+    id, name: `Game ${id}`, isBaseGame: true,
+    copies: [{ statusOwned: true, acquisitionDate }],
+    ...fields,
+  };
+}
+
+const games = [
+  baseGame(1, '2023-01-01'),
+  baseGame(2, '2023-03-01'),
+  baseGame(3, '2023-06-01'),
+  baseGame(4, '2023-09-01'),
+  baseGame(5, '2024-01-10'),
+  baseGame(6, '2024-02-01'),
+  // Not counted: expansion, sold, undated
+  baseGame(7, '2023-01-01', { isBaseGame: false, isExpansion: true }),
+  baseGame(8, '2023-01-01', { copies: [{ statusOwned: false, acquisitionDate: '2023-01-01' }] }),
+  baseGame(9, null),
+];
+
+const plays = [
+  { gameId: 1, date: '2023-01-08' },
+  { gameId: 1, date: '2023-01-05' },
+  { gameId: 1, date: '2023-02-01' },
+  { gameId: 2, date: '2023-03-31' },
+  { gameId: 3, date: '2024-05-01' },
+  { gameId: 5, date: '2023-12-25' },
+  { gameId: 7, date: '2023-01-01' },
+  { gameId: 8, date: '2023-01-01' },
+];
+
+describe('getTimeToFirstPlay', () => {
+  const report = getTimeToFirstPlay(games, plays, null, '2024-03-01');
+
+  test('measures the wait from acquisition to first play', () => {
+    expect(report.games.map(entry => [entry.game.id, entry.firstPlayDate, entry.daysToFirstPlay, entry.ageDays, entry.bucket])).toEqual([
+      [1, '2023-01-05', 4, null, FreshnessBucket.WEEK],
+      [2, '2023-03-31', 30, null, FreshnessBucket.MONTH],
+      [3, '2024-05-01', 335, null, FreshnessBucket.YEAR],
+      [4, null, null, 182, FreshnessBucket.NEVER],
+      [5, '2023-12-25', 0, null, FreshnessBucket.WEEK],
+      [6, null, null, 29, FreshnessBucket.NEVER],
+    ]);
+  });
+
+  test('buckets waits of more than a year as later', () => {
+    const slow = getTimeToFirstPlay([baseGame(1, '2020-01-01')], [{ gameId: 1, date: '2021-01-01' }], null, '2024-01-01');
+    expect(slow.games[0].bucket).toBe(FreshnessBucket.LATER);
+  });
+
+  test('summarizes waits by acquisition year', () => {
+    expect(report.byYear).toEqual([
+      { year: 2023, count: 4, playedCount: 3, unplayedCount: 1, medianDays: 30, meanDays: 123 },
+      { year: 2024, count: 2, playedCount: 1, unplayedCount: 1, medianDays: 0, meanDays: 0 },
+    ]);
+  });
+
+  test('has no average for years with nothing played', () => {
+    const unplayed = getTimeToFirstPlay(games, [], 2024, '2024-03-01');
+    expect(unplayed.byYear).toEqual([
+      { year: 2024, count: 2, playedCount: 0, unplayedCount: 2, medianDays: null, meanDays: null },
+    ]);
+  });
+
+  test('counts games per freshness bucket', () => {
+    expect(report.bucketCounts).toEqual({ week: 2, month: 1, year: 1, later: 0, never: 2 });
+  });
+
+  test('filters by acquisition year', () => {
+    expect(getTimeToFirstPlay(games, plays, 2024, '2024-03-01').games.map(entry => entry.game.id)).toEqual([5, 6]);
+  });
+
+  test('ages unplayed games to today by default', () => {
+    const [entry] = getTimeToFirstPlay([baseGame(1, '2020-01-01')], []).games;
+    expect(entry.ageDays).toBeGreaterThan(365);
+  });
+});
+
+describe('getFirstPlayRecords', () => {
+  test('finds the fastest and slowest first plays of the year\'s acquisitions', () => {
+    const { fastest, slowest } = getFirstPlayRecords(games, plays, 2023);
+    expect(fastest.game.id).toBe(1);
+    expect(slowest.game.id).toBe(3);
+    expect(slowest.daysToFirstPlay).toBe(335);
+  });
+
+  test('breaks ties in favor of the game acquired first', () => {
+    const tiedGames = [baseGame(1, '2023-05-01'), baseGame(2, '2023-02-01'), baseGame(3, '2023-03-01'), baseGame(4, '2023-06-01')];
+    const tiedPlays = [
+      { gameId: 1, date: '2023-05-03' },
+      { gameId: 2, date: '2023-03-04' },
+      { gameId: 3, date: '2023-03-03' },
+      { gameId: 4, date: '2023-07-02' },
+    ];
+    const { fastest, slowest } = getFirstPlayRecords(tiedGames, tiedPlays, 2023);
+    expect(fastest.game.id).toBe(3);
+    expect(slowest.game.id).toBe(2);
+  });
+
+  test('returns nulls when none of the year\'s acquisitions were played', () => {
+    expect(getFirstPlayRecords(games, plays, 2022)).toEqual({ fastest: null, slowest: null });
+    expect(getFirstPlayRecords([baseGame(1, '2023-01-01')], [], 2023)).toEqual({ fastest: null, slowest: null });
+  });
+});
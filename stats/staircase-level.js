@@ -109,19 +109,16 @@ function calculateHourStaircaseLevel(plays, year = null) {
 }
 
 /**
- * Calculate all-time staircase level through a specific year (includes all plays up to and including that year)
+ * Calculate all-time staircase level through a specific date (includes all plays up to and including that date)
  * @param {Array} games - Array of game objects
  * @param {Array} plays - Array of play objects
- * @param {number} year - Year to calculate through (inclusive)
+ * @param {string} date - Date to calculate through (inclusive), YYYY-MM-DD
  * @param {string} metric - Metric type: 'plays', 'sessions', or 'hours'
  * @returns {number} staircase level value
  */
-function calculateAllTimeStaircaseLevelThroughYear(games, plays, year, metric) {
-  // Filter plays up to and including the specified year
-  const filteredPlays = plays.filter(play => {
-    const playYear = parseInt(play.date.substring(0, 4));
-    return playYear <= year;
-  });
+function calculateAllTimeStaircaseLevelThroughDate(games, plays, date, metric) {
+  // Filter plays up to and including the specified date
+  const filteredPlays = plays.filter(play => play.date <= date);
 
   // Calculate staircase level based on metric type
   switch (metric) {
@@ -135,6 +132,18 @@ function calculateAllTimeStaircaseLevelThroughYear(games, plays, year, metric) {
   }
 }
 
+/**
+ * Calculate all-time staircase level through a specific year (includes all plays up to and including that year)
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number} year - Year to calculate through (inclusive)
+ * @param {string} metric - Metric type: 'plays', 'sessions', or 'hours'
+ * @returns {number} staircase level value
+ */
+function calculateAllTimeStaircaseLevelThroughYear(games, plays, year, metric) {
+  return calculateAllTimeStaircaseLevelThroughDate(games, plays, `${year}-12-31`, metric);
+}
+
 /**
  * Calculate year-over-year staircase level increase
  * @param {Array} games - Array of game objects
@@ -342,6 +351,7 @@ export {
   calculatePlayStaircaseLevel,
   calculateSessionStaircaseLevel,
   calculateHourStaircaseLevel,
+  calculateAllTimeStaircaseLevelThroughDate,
   calculateAllTimeStaircaseLevelThroughYear,
   calculateStaircaseLevelIncrease,
   getStaircaseLevelBreakdown,
@@ -4,6 +4,7 @@ import {
   calculatePlayStaircaseLevel,
   calculateSessionStaircaseLevel,
   calculateHourStaircaseLevel,
+  calculateAllTimeStaircaseLevelThroughDate,
   calculateAllTimeStaircaseLevelThroughYear,
   calculateStaircaseLevelIncrease,
   getStaircaseLevelBreakdown,
@@ -152,6 +153,34 @@ describe('calculateHourStaircaseLevel', () => {
   });
 });
 
+describe('calculateAllTimeStaircaseLevelThroughDate', () => {
+  const games = [{ id: 1 }, { id: 2 }];
+  const plays = [
+    { gameId: 1, date: '2023-01-10', durationMin: 60 },
+    { gameId: 1, date: '2023-02-10', durationMin: 60 },
+    { gameId: 2, date: '2023-02-28', durationMin: 120 },
+    { gameId: 2, date: '2023-03-01', durationMin: 60 },
+  ];
+
+  test('includes plays on the given date and excludes later ones', () => {
+    const cases = [
+      ['2023-01-31', 'plays', 1],
+      ['2023-02-28', 'plays', 2],
+      ['2023-03-31', 'plays', 2],
+      ['2023-02-28', 'sessions', 2],
+      ['2023-03-31', 'hours', 2],
+    ];
+    cases.forEach(([date, metric, expected]) => {
+      expect(calculateAllTimeStaircaseLevelThroughDate(games, plays, date, metric)).toBe(expected);
+    });
+  });
+
+  test('matches the through-year value at the end of the year', () => {
+    const level = calculateAllTimeStaircaseLevelThroughDate(games, plays, '2023-12-31', 'plays');
+    expect(level).toBe(calculateAllTimeStaircaseLevelThroughYear(games, plays, 2023, 'plays'));
+  });
+});
+
 describe('calculateAllTimeStaircaseLevelThroughYear', () => {
   test('calculates all-time staircase level through specified year for hours', () => {
     const level = calculateAllTimeStaircaseLevelThroughYear(typicalData.games, typicalData.plays, 2023, 'hours');
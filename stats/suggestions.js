@@ -4,6 +4,7 @@
 
 import { Metric, Milestone, ValueClub, MIN_FAVORITE_RATING } from './constants.js';
 import { isGameOwned } from './game-helpers.js';
+import { DEFAULT_CONFIG } from '../config.js';
 import {
   calculateTraditionalHIndex,
   calculatePlaySessionHIndex,
@@ -730,13 +731,14 @@ function suggestOwnedUnratedGame(gamePlayData) {
  * Get suggested games to play next based on play patterns
  * @param {Array} games - Array of game objects
  * @param {Array} plays - Array of play objects
+ * @param {Array<string>} [excludedTags] - Tags of games never to suggest (config suggestionExcludedTags)
  * @returns {Array} Array of {game, reasons, stats} in priority order
  */
-function getSuggestedGames(games, plays) {
-  // Filter to owned base games only, excluding games tagged Classic
-  // (games the owner is content to leave unplayed)
+function getSuggestedGames(games, plays, excludedTags = DEFAULT_CONFIG.suggestionExcludedTags) {
+  // Filter to owned base games only, excluding games with an excluded tag
+  // (by default Classic: games the owner is content to leave unplayed)
   const ownedBaseGames = games.filter(game =>
-    game.isBaseGame && isGameOwned(game) && !game.tags.includes('Classic'),
+    game.isBaseGame && isGameOwned(game) && !game.tags.some(tag => excludedTags.includes(tag)),
   );
 
   // Build play data for each game
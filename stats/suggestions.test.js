@@ -165,6 +165,19 @@ describe('Suggestion Algorithms', () => {
       expect(suggestedNames).not.toContain('Content Unplayed');
     });
 
+    test('excludes games with any of the given excluded tags instead of Classic', () => {
+      const testGames = [
+        { id: 1, name: 'Classic Game', isBaseGame: true, isExpansion: false, isExpandalone: false, tags: ['Classic'], copies: [{ statusOwned: true }] },
+        { id: 2, name: 'Retired Game', isBaseGame: true, isExpansion: false, isExpandalone: false, tags: ['Retired'], copies: [{ statusOwned: true }] },
+        { id: 3, name: 'Gift Game', isBaseGame: true, isExpansion: false, isExpandalone: false, tags: ['Gift'], copies: [{ statusOwned: true }] },
+      ];
+      const suggestions = getSuggestedGames(testGames, [], ['Retired', 'Gift']);
+      const suggestedNames = suggestions.map(s => s.game.name);
+      expect(suggestedNames).toContain('Classic Game');
+      expect(suggestedNames).not.toContain('Retired Game');
+      expect(suggestedNames).not.toContain('Gift Game');
+    });
+
     test('merges duplicate game suggestions', () => {
       const suggestions = getSuggestedGames(typicalData.games, typicalData.plays);
       const gameIds = suggestions.map(s => s.game.id);
@@ -0,0 +1,153 @@
+/**
+ * Timeline statistics - monthly series of plays, hours, h-index and staircase level for charts
+ */
+
+import { Metric } from './constants.js';
+import { isPlayInYear } from './play-helpers.js';
+import { calculateAllTimeHIndexThroughDate } from './h-index.js';
+import { calculateAllTimeStaircaseLevelThroughDate } from './staircase-level.js';
+
+/**
+ * Get the month (YYYY-MM) of a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {string} Month in YYYY-MM format
+ */
+function getMonth(date) {
+  return date.substring(0, 7);
+}
+
+/**
+ * Helper: Get the month after a month
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {string} Next month in YYYY-MM format
+ */
+function getNextMonth(month) {
+  const year = parseInt(month.substring(0, 4));
+  const monthNumber = parseInt(month.substring(5, 7));
+  return monthNumber === 12
+    ? `${year + 1}-01`
+    : `${year}-${String(monthNumber + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Get the months a timeline of dated events covers: from the first to the
+ * last date, or the months of the year up to the last date.
+ * @param {Array<string>} dates - Dates in YYYY-MM-DD format
+ * @param {number|null} year - Optional year filter
+ * @returns {Array<string>} Months in YYYY-MM format, oldest first
+ */
+function getTimelineMonthsFromDates(dates, year = null) {
+  if (dates.length === 0) return [];
+
+  const dateMonths = dates.map(getMonth).sort();
+  const lastDateMonth = dateMonths[dateMonths.length - 1];
+  const firstMonth = year ? `${year}-01` : dateMonths[0];
+  const lastMonth = year && `${year}-12` < lastDateMonth ? `${year}-12` : lastDateMonth;
+
+  const months = [];
+  for (let month = firstMonth; month <= lastMonth; month = getNextMonth(month)) {
+    months.push(month);
+  }
+  return months;
+}
+
+/**
+ * Get the months a timeline covers: from the first to the last logged play,
+ * or the months of the year up to the last logged play.
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter
+ * @returns {Array<string>} Months in YYYY-MM format, oldest first
+ */
+function getTimelineMonths(plays, year = null) {
+  return getTimelineMonthsFromDates(plays.map(play => play.date), year);
+}
+
+/**
+ * Get running totals of plays, hours and unique games at the end of each month
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter (totals start from zero in January)
+ * @returns {Array} Array of { month, plays, hours, uniqueGames }, oldest first
+ */
+function getCumulativeTimeline(plays, year = null) {
+  const filteredPlays = plays
+    .filter(play => isPlayInYear(play, year))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  let playCount = 0;
+  let totalMinutes = 0;
+  const gameIds = new Set();
+  let playIndex = 0;
+
+  return getTimelineMonths(plays, year).map(month => {
+    while (playIndex < filteredPlays.length && getMonth(filteredPlays[playIndex].date) <= month) {
+      const play = filteredPlays[playIndex];
+      playCount++;
+      totalMinutes += play.durationMin || 0;
+      gameIds.add(play.gameId);
+      playIndex++;
+    }
+    return { month, plays: playCount, hours: totalMinutes / 60, uniqueGames: gameIds.size };
+  });
+}
+
+/**
+ * Get plays and hours per calendar month, for each year with logged plays
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { year, plays, hours } where plays and hours hold
+ *   twelve monthly values (January first); sorted by year
+ */
+function getMonthlyPlayVolumeByYear(plays, year = null) {
+  const volumeByYear = new Map();
+
+  plays.forEach(play => {
+    if (!isPlayInYear(play, year)) return;
+
+    const playYear = parseInt(play.date.substring(0, 4));
+    if (!volumeByYear.has(playYear)) {
+      volumeByYear.set(playYear, { year: playYear, plays: new Array(12).fill(0), hours: new Array(12).fill(0) });
+    }
+    const volume = volumeByYear.get(playYear);
+    const monthIndex = parseInt(play.date.substring(5, 7)) - 1;
+    volume.plays[monthIndex]++;
+    volume.hours[monthIndex] += (play.durationMin || 0) / 60;
+  });
+
+  return Array.from(volumeByYear.values()).sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Get each h-index and staircase level at the end of each month, replaying the
+ * all-time calculations through each month end. With a year filter only that
+ * year's plays count, so the last value matches the year's dashboard figure.
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter
+ * @returns {Array} Array of { month, hIndex, staircaseLevel }, where hIndex and
+ *   staircaseLevel map each metric ('hours', 'sessions', 'plays') to its value
+ */
+function getHIndexTimeline(games, plays, year = null) {
+  const filteredPlays = plays.filter(play => isPlayInYear(play, year));
+  const metrics = [Metric.HOURS, Metric.SESSIONS, Metric.PLAYS];
+
+  return getTimelineMonths(plays, year).map(month => {
+    // Day 31 sorts after every real day of the month
+    const monthEnd = `${month}-31`;
+    const hIndex = {};
+    const staircaseLevel = {};
+    metrics.forEach(metric => {
+      hIndex[metric] = calculateAllTimeHIndexThroughDate(games, filteredPlays, monthEnd, metric);
+      staircaseLevel[metric] = calculateAllTimeStaircaseLevelThroughDate(games, filteredPlays, monthEnd, metric);
+    });
+    return { month, hIndex, staircaseLevel };
+  });
+}
+
+export {
+  getMonth,
+  getTimelineMonthsFromDates,
+  getTimelineMonths,
+  getCumulativeTimeline,
+  getMonthlyPlayVolumeByYear,
+  getHIndexTimeline,
+};
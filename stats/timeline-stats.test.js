@@ -0,0 +1,114 @@
+import { describe, test, expect } from 'vitest';
+import {
+  getMonth,
+  getTimelineMonthsFromDates,
+  getTimelineMonths,
+  getCumulativeTimeline,
+  getMonthlyPlayVolumeByYear,
+  getHIndexTimeline,
+} from './timeline-stats.js';
+
+const games = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+const plays = [
+  { gameId: 1, date: '2023-11-05', durationMin: 60 },
+  { gameId: 1, date: '2024-01-10', durationMin: 90 },
+  { gameId: 2, date: '2024-01-20', durationMin: 30 },
+  { gameId: 2, date: '2024-03-02', durationMin: 120 },
+  { gameId: 3, date: '2024-03-15' },
+];
+
+describe('getMonth', () => {
+  test('returns the month of a date', () => {
+    expect(getMonth('2024-03-15')).toBe('2024-03');
+  });
+});
+
+describe('getTimelineMonthsFromDates', () => {
+  test('covers every month from the first to the last date, in any order', () => {
+    expect(getTimelineMonthsFromDates(['2024-02-10', '2023-12-31', '2024-01-01'])).toEqual(['2023-12', '2024-01', '2024-02']);
+  });
+
+  test('covers the months of the year up to the last date', () => {
+    expect(getTimelineMonthsFromDates(['2023-06-01', '2024-02-10'], 2024)).toEqual(['2024-01', '2024-02']);
+  });
+
+  test('returns no months without dates', () => {
+    expect(getTimelineMonthsFromDates([])).toEqual([]);
+  });
+});
+
+describe('getTimelineMonths', () => {
+  test('covers every month from the first to the last play', () => {
+    expect(getTimelineMonths(plays)).toEqual(['2023-11', '2023-12', '2024-01', '2024-02', '2024-03']);
+  });
+
+  test('covers the months of the year up to the last play', () => {
+    expect(getTimelineMonths(plays, 2024)).toEqual(['2024-01', '2024-02', '2024-03']);
+    expect(getTimelineMonths(plays, 2023)).toHaveLength(12);
+    expect(getTimelineMonths(plays, 2023)[11]).toBe('2023-12');
+  });
+
+  test('returns no months without plays', () => {
+    expect(getTimelineMonths([])).toEqual([]);
+    expect(getTimelineMonths(plays, 2025)).toEqual([]);
+  });
+});
+
+describe('getCumulativeTimeline', () => {
+  test('keeps running totals across months, including months without plays', () => {
+    expect(getCumulativeTimeline(plays)).toEqual([
+      { month: '2023-11', plays: 1, hours: 1, uniqueGames: 1 },
+      { month: '2023-12', plays: 1, hours: 1, uniqueGames: 1 },
+      { month: '2024-01', plays: 3, hours: 3, uniqueGames: 2 },
+      { month: '2024-02', plays: 3, hours: 3, uniqueGames: 2 },
+      { month: '2024-03', plays: 5, hours: 5, uniqueGames: 3 },
+    ]);
+  });
+
+  test('starts from zero at the start of the filtered year', () => {
+    expect(getCumulativeTimeline(plays, 2024)[0]).toEqual({ month: '2024-01', plays: 2, hours: 2, uniqueGames: 2 });
+  });
+
+  test('handles unsorted plays', () => {
+    const result = getCumulativeTimeline([...plays].reverse());
+    expect(result[result.length - 1]).toEqual({ month: '2024-03', plays: 5, hours: 5, uniqueGames: 3 });
+  });
+});
+
+describe('getMonthlyPlayVolumeByYear', () => {
+  test('counts plays and hours per calendar month for each year', () => {
+    const result = getMonthlyPlayVolumeByYear(plays);
+
+    expect(result.map(volume => volume.year)).toEqual([2023, 2024]);
+    expect(result[0].plays[10]).toBe(1);
+    expect(result[1].plays.slice(0, 3)).toEqual([2, 0, 2]);
+    expect(result[1].hours.slice(0, 3)).toEqual([2, 0, 2]);
+    expect(result[1].plays).toHaveLength(12);
+  });
+
+  test('filters by year', () => {
+    expect(getMonthlyPlayVolumeByYear(plays, 2023).map(volume => volume.year)).toEqual([2023]);
+  });
+});
+
+describe('getHIndexTimeline', () => {
+  test('replays each h-index and staircase level through each month end', () => {
+    const result = getHIndexTimeline(games, plays);
+
+    expect(result.map(entry => entry.month)).toEqual(['2023-11', '2023-12', '2024-01', '2024-02', '2024-03']);
+    expect(result[0]).toEqual({
+      month: '2023-11',
+      hIndex: { hours: 1, sessions: 1, plays: 1 },
+      staircaseLevel: { hours: 1, sessions: 1, plays: 1 },
+    });
+    expect(result[4].hIndex).toEqual({ hours: 2, sessions: 2, plays: 2 });
+    expect(result[4].staircaseLevel).toEqual({ hours: 2, sessions: 2, plays: 2 });
+  });
+
+  test('only counts plays in the filtered year', () => {
+    const result = getHIndexTimeline(games, plays, 2024);
+
+    expect(result[0].hIndex).toEqual({ hours: 1, sessions: 1, plays: 1 });
+  });
+});
@@ -7,6 +7,7 @@ import {
   isGameOwned,
   wasCopyAcquiredInYear,
   wasCopyAcquiredInOrBeforeYear,
+  wasGameOwnedAtEndOfYear,
 } from "./game-helpers.js";
 import {
   getMetricValueFromPlayData,
@@ -332,6 +333,25 @@ function getSkippedValueClubCount(
   });
 }
 
+/**
+ * Compare cost-per-metric entries: costPerMetric ascending (best value first),
+ * then current metric > hours > sessions > plays (descending - more is better)
+ * @param {Object} a - Entry with costPerMetric, metricValue, hours, sessions, plays
+ * @param {Object} b - Entry with costPerMetric, metricValue, hours, sessions, plays
+ * @returns {number} Sort order
+ */
+function compareCostPerMetric(a, b) {
+  const costDiff = a.costPerMetric - b.costPerMetric;
+  if (costDiff !== 0) return costDiff;
+  const metricDiff = b.metricValue - a.metricValue;
+  if (metricDiff !== 0) return metricDiff;
+  const hoursDiff = b.hours - a.hours;
+  if (hoursDiff !== 0) return hoursDiff;
+  const sessionsDiff = b.sessions - a.sessions;
+  if (sessionsDiff !== 0) return sessionsDiff;
+  return b.plays - a.plays;
+}
+
 /**
  * Calculate cost-per-metric statistics for owned games
  * Includes both played games (cost/metric) and unplayed games (cost = price paid)
@@ -399,18 +419,7 @@ function getCostPerMetricStats(games, plays, metric, year = null) {
   });
 
   // Sort by costPerMetric ascending (best value first)
-  // Secondary sort: current metric > hours > sessions > plays (descending - more is better)
-  eligibleGames.sort((a, b) => {
-    const costDiff = a.costPerMetric - b.costPerMetric;
-    if (costDiff !== 0) return costDiff;
-    const metricDiff = b.metricValue - a.metricValue;
-    if (metricDiff !== 0) return metricDiff;
-    const hoursDiff = b.hours - a.hours;
-    if (hoursDiff !== 0) return hoursDiff;
-    const sessionsDiff = b.sessions - a.sessions;
-    if (sessionsDiff !== 0) return sessionsDiff;
-    return b.plays - a.plays;
-  });
+  eligibleGames.sort(compareCostPerMetric);
 
   const costPerMetricValues = eligibleGames.map((g) => g.costPerMetric);
   const totalCost = eligibleGames.reduce((sum, g) => sum + g.pricePaid, 0);
@@ -429,6 +438,92 @@ function getCostPerMetricStats(games, plays, metric, year = null) {
   };
 }
 
+/**
+ * Calculate net cost-per-metric statistics for every base game ever bought,
+ * including games since sold or traded away. A game's net cost is what its
+ * copies cost minus what the ones sold brought in; copies traded or given
+ * away without a sale price count as bringing in nothing. Games sold for
+ * more than they cost have a negative net cost.
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {string} metric - Metric type: 'hours', 'sessions', or 'plays'
+ * @param {number|null} year - Optional year filter (copies acquired and sold through year, plays through year)
+ * @returns {Object} { median, gameAverage, overallRate, gameCount, totalNetCost, disposedCount, games }
+ */
+function getNetCostPerMetricStats(games, plays, metric, year = null) {
+  const metricValues = getMetricValuesThroughYear(plays, year);
+  const eligibleGames = [];
+
+  games.forEach((game) => {
+    if (!game.isBaseGame) return;
+
+    const boughtCopies = game.copies.filter(
+      (copy) =>
+        copy.pricePaid !== null &&
+        copy.pricePaid !== undefined &&
+        (!year || wasCopyAcquiredInOrBeforeYear(copy, year))
+    );
+    if (boughtCopies.length === 0) return;
+
+    const pricePaid = boughtCopies.reduce((sum, copy) => sum + copy.pricePaid, 0);
+    const salePrice = boughtCopies
+      .filter(
+        (copy) =>
+          copy.disposalDate &&
+          (!year || parseInt(copy.disposalDate.substring(0, 4)) <= year)
+      )
+      .reduce((sum, copy) => sum + (copy.salePrice ?? 0), 0);
+    const netCost = pricePaid - salePrice;
+
+    const playData = metricValues.get(game.id);
+    const metricValue = playData
+      ? getMetricValueFromPlayData(playData, metric)
+      : 0;
+
+    let costPerMetric;
+    if (metricValue === 0) {
+      costPerMetric = netCost;
+    } else if (netCost >= 0) {
+      costPerMetric = calculateCostPerMetric(netCost, metricValue);
+    } else {
+      costPerMetric = netCost / metricValue;
+    }
+
+    eligibleGames.push({
+      game,
+      pricePaid,
+      salePrice,
+      netCost,
+      isOwned: year ? wasGameOwnedAtEndOfYear(game, year) : isGameOwned(game),
+      metricValue,
+      costPerMetric,
+      hours: playData ? playData.totalMinutes / 60 : 0,
+      sessions: playData ? playData.uniqueDates.size : 0,
+      plays: playData ? playData.playCount : 0,
+    });
+  });
+
+  eligibleGames.sort(compareCostPerMetric);
+
+  const costPerMetricValues = eligibleGames.map((g) => g.costPerMetric);
+  const totalNetCost = eligibleGames.reduce((sum, g) => sum + g.netCost, 0);
+  const totalMetric = eligibleGames.reduce((sum, g) => sum + g.metricValue, 0);
+
+  return {
+    median: calculateMedian(costPerMetricValues),
+    gameAverage:
+      costPerMetricValues.length > 0
+        ? costPerMetricValues.reduce((sum, v) => sum + v, 0) /
+          costPerMetricValues.length
+        : null,
+    overallRate: totalMetric > 0 ? totalNetCost / totalMetric : null,
+    gameCount: eligibleGames.length,
+    totalNetCost,
+    disposedCount: eligibleGames.filter((g) => !g.isOwned).length,
+    games: eligibleGames,
+  };
+}
+
 /**
  * Get shelf of shame - owned base games with known price but not played (through year if specified)
  * @param {Array} games - Array of game objects
@@ -545,6 +640,7 @@ export {
   getNewValueClubGames,
   getSkippedValueClubCount,
   getCostPerMetricStats,
+  getNetCostPerMetricStats,
   getShelfOfShame,
   getShelfOfShameChanges,
   getGamePricePaid,
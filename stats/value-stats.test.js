@@ -6,6 +6,7 @@ import {
   getNewValueClubGames,
   getSkippedValueClubCount,
   getCostPerMetricStats,
+  getNetCostPerMetricStats,
   getShelfOfShame,
   getShelfOfShameChanges,
 } from './value-stats.js';
@@ -1271,6 +1272,78 @@ describe('getCostPerMetricStats', () => {
   });
 });
 
+describe('getNetCostPerMetricStats', () => {
+  const games = [
+    {
+      id: 1, name: 'Sold', isBaseGame: true,
+      copies: [{ statusOwned: false, acquisitionDate: '2021-01-01', pricePaid: 60, disposalDate: '2023-05-01', salePrice: 40 }],
+    },
+    {
+      id: 2, name: 'Kept', isBaseGame: true,
+      copies: [{ statusOwned: true, acquisitionDate: '2022-01-01', pricePaid: 30, disposalDate: null, salePrice: null }],
+    },
+    {
+      id: 3, name: 'Traded', isBaseGame: true,
+      copies: [{ statusOwned: false, acquisitionDate: '2020-01-01', pricePaid: 25, disposalDate: '2022-03-01', salePrice: null }],
+    },
+    {
+      id: 4, name: 'Expansion', isBaseGame: false,
+      copies: [{ statusOwned: true, acquisitionDate: '2020-01-01', pricePaid: 15, disposalDate: null, salePrice: null }],
+    },
+    { id: 5, name: 'No Price', isBaseGame: true, copies: [{ statusOwned: true, acquisitionDate: '2020-01-01', pricePaid: null }] },
+  ];
+  const plays = [
+    { gameId: 1, date: '2021-02-01', durationMin: 120 },
+    { gameId: 1, date: '2022-02-01', durationMin: 120 },
+    { gameId: 2, date: '2022-02-01', durationMin: 600 },
+  ];
+
+  test('subtracts sale prices and includes games no longer owned', () => {
+    const result = getNetCostPerMetricStats(games, plays, Metric.HOURS);
+
+    expect(result.games.map(g => [g.game.name, g.pricePaid, g.salePrice, g.netCost, g.isOwned, g.costPerMetric])).toEqual([
+      ['Kept', 30, 0, 30, true, 3],
+      ['Sold', 60, 40, 20, false, 5],
+      ['Traded', 25, 0, 25, false, 25],
+    ]);
+    expect(result.gameCount).toBe(3);
+    expect(result.totalNetCost).toBe(75);
+    expect(result.disposedCount).toBe(2);
+    expect(result.median).toBe(5);
+    expect(result.gameAverage).toBe(11);
+    expect(result.overallRate).toBe(75 / 14);
+  });
+
+  test('only counts copies bought, sold and played through the year', () => {
+    const result = getNetCostPerMetricStats(games, plays, Metric.SESSIONS, 2021);
+
+    expect(result.games.map(g => [g.game.name, g.netCost, g.isOwned, g.metricValue])).toEqual([
+      ['Traded', 25, true, 0],
+      ['Sold', 60, true, 1],
+    ]);
+    expect(result.disposedCount).toBe(0);
+  });
+
+  test('spreads a profit across the metric', () => {
+    const profitable = [{
+      id: 1, name: 'Flipped', isBaseGame: true,
+      copies: [{ statusOwned: false, acquisitionDate: '2021-01-01', pricePaid: 40, disposalDate: '2022-01-01', salePrice: 50 }],
+    }];
+    const result = getNetCostPerMetricStats(profitable, plays, Metric.PLAYS);
+
+    expect(result.games[0].netCost).toBe(-10);
+    expect(result.games[0].costPerMetric).toBe(-5);
+  });
+
+  test('returns empty stats when no game has a price', () => {
+    const result = getNetCostPerMetricStats([], [], Metric.HOURS);
+
+    expect(result).toEqual({
+      median: null, gameAverage: null, overallRate: null, gameCount: 0, totalNetCost: 0, disposedCount: 0, games: [],
+    });
+  });
+});
+
 describe('getShelfOfShame', () => {
   test('returns object with totalCost, count, games', () => {
     const result = getShelfOfShame(typicalData.games, typicalData.plays);
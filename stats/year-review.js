@@ -1,9 +1,15 @@
 /**
- * Year-in-review statistics - streaks, achievements, solo stats, locations
+ * Year-in-review statistics - streaks, achievements, solo stats, locations, year-over-year
+ * comparison, play distribution
  */
 
+import { calculateGiniCoefficient, calculateHerfindahlIndex } from '../utils.js';
 import { Metric } from './constants.js';
 import { filterPlaysByYear } from './play-helpers.js';
+import { getPlayTimeByGame, getDaysPlayedByGame } from './play-stats.js';
+
+// Number of top games whose share of plays, sessions and hours the play distribution reports
+const PLAY_DISTRIBUTION_TOP_GAMES = 10;
 
 /**
  * Get time and activity statistics for Gaming Year in Review
@@ -514,6 +520,196 @@ function getMostConsistentGame(games, plays, year) {
   };
 }
 
+/**
+ * Helper: Get the totals compared between years
+ * @param {Array} plays - Plays in the year
+ * @param {number} year - Year of the plays
+ * @param {Map} firstPlayDates - Map of gameId -> earliest play date across all plays
+ * @param {number} selfPlayerId - The player ID representing the user
+ * @param {number} anonymousPlayerId - The player ID for anonymous players
+ * @returns {Object} { plays, sessions, uniqueGames, hours, newToMeGames, players, locations }
+ */
+function getComparisonTotals(plays, year, firstPlayDates, selfPlayerId, anonymousPlayerId) {
+  const sessions = new Set();
+  const games = new Set();
+  const players = new Set();
+  const locations = new Set();
+  let minutes = 0;
+
+  plays.forEach(play => {
+    sessions.add(`${play.gameId}|${play.date}`);
+    games.add(play.gameId);
+    play.players.forEach(playerId => {
+      if (playerId !== selfPlayerId && playerId !== anonymousPlayerId) {
+        players.add(playerId);
+      }
+    });
+    locations.add(play.locationId);
+    minutes += play.durationMin;
+  });
+
+  const newToMeGames = Array.from(games)
+    .filter(gameId => firstPlayDates.get(gameId).startsWith(`${year}-`))
+    .length;
+
+  return {
+    plays: plays.length,
+    sessions: sessions.size,
+    uniqueGames: games.size,
+    hours: minutes / 60,
+    newToMeGames,
+    players: players.size,
+    locations: locations.size,
+  };
+}
+
+/**
+ * Compare two years: totals with absolute and % changes, and the games whose
+ * play counts rose or fell the most. The years needn't be consecutive.
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number} selfPlayerId - The player ID representing the user (not counted as a player)
+ * @param {number} anonymousPlayerId - The player ID for anonymous players (not counted as a player)
+ * @param {number} fromYear - Year compared from (e.g. last year)
+ * @param {number} toYear - Year compared to (e.g. this year)
+ * @param {number} count - Number of games to return per list
+ * @returns {Object} { fromYear, toYear, totals, biggestIncreases, biggestDecreases } where
+ *   totals maps plays, sessions, uniqueGames, hours, newToMeGames, players and locations to
+ *   { from, to, change, percentChange } (percentChange is null when from is 0), and the game
+ *   lists hold { game, from, to, change } by play count
+ */
+function getYearComparison(games, plays, selfPlayerId, anonymousPlayerId, fromYear, toYear, count = 5) {
+  // Earliest play of each game decides which year it was new to me in
+  const firstPlayDates = new Map();
+  plays.forEach(play => {
+    const firstDate = firstPlayDates.get(play.gameId);
+    if (!firstDate || play.date < firstDate) {
+      firstPlayDates.set(play.gameId, play.date);
+    }
+  });
+
+  const fromPlays = filterPlaysByYear(plays, fromYear);
+  const toPlays = filterPlaysByYear(plays, toYear);
+  const fromTotals = getComparisonTotals(fromPlays, fromYear, firstPlayDates, selfPlayerId, anonymousPlayerId);
+  const toTotals = getComparisonTotals(toPlays, toYear, firstPlayDates, selfPlayerId, anonymousPlayerId);
+
+  const totals = {};
+  Object.keys(toTotals).forEach(key => {
+    const from = fromTotals[key];
+    const to = toTotals[key];
+    totals[key] = {
+      from,
+      to,
+      change: to - from,
+      percentChange: from > 0 ? ((to - from) / from) * 100 : null,
+    };
+  });
+
+  // Play count per game in each year
+  const playCounts = new Map();
+  const countPlay = (play, key) => {
+    if (!playCounts.has(play.gameId)) {
+      playCounts.set(play.gameId, { from: 0, to: 0 });
+    }
+    playCounts.get(play.gameId)[key]++;
+  };
+  fromPlays.forEach(play => countPlay(play, 'from'));
+  toPlays.forEach(play => countPlay(play, 'to'));
+
+  const gameMap = new Map(games.map(g => [g.id, g]));
+  const changes = Array.from(playCounts.entries())
+    .map(([gameId, { from, to }]) => ({ game: gameMap.get(gameId), from, to, change: to - from }))
+    .filter(item => item.game);
+
+  // Ties go to the game played more in the later year (increases) or the earlier one (decreases)
+  const biggestIncreases = changes
+    .filter(item => item.change > 0)
+    .sort((a, b) => b.change - a.change || b.to - a.to || a.game.name.localeCompare(b.game.name))
+    .slice(0, count);
+  const biggestDecreases = changes
+    .filter(item => item.change < 0)
+    .sort((a, b) => a.change - b.change || b.from - a.from || a.game.name.localeCompare(b.game.name))
+    .slice(0, count);
+
+  return {
+    fromYear,
+    toYear,
+    totals,
+    biggestIncreases,
+    biggestDecreases,
+  };
+}
+
+/**
+ * Helper: Get the share of a total held by the largest values
+ * @param {Array<number>} values - Per-game values
+ * @param {number} count - Number of largest values
+ * @returns {number|null} Fraction (0-1) of the total, or null if the total is 0
+ */
+function getTopShare(values, count) {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (total === 0) return null;
+
+  const topTotal = [...values]
+    .sort((a, b) => b - a)
+    .slice(0, count)
+    .reduce((sum, value) => sum + value, 0);
+  return topTotal / total;
+}
+
+/**
+ * Get how plays are spread across games: the share of plays, sessions and hours
+ * from the top games, how concentrated play counts are, and how many plays went to
+ * new-to-me games. Every value is a share or index, so years of any size compare.
+ * @param {Array} games - Array of game objects
+ * @param {Array} plays - Array of play objects
+ * @param {number|null} year - Optional year filter
+ * @param {number} topCount - Number of top games
+ * @returns {Object} { gameCount, topGamesShare, gini, herfindahl, newToMePlays, familiarPlays,
+ *   newToMeShare } where topGamesShare holds the fraction (0-1) of plays, sessions and hours
+ *   from the top games by each, gini and herfindahl are over per-game play counts, and the
+ *   new-to-me vs previously played counts are null for all time. Shares and indexes are
+ *   null without plays.
+ */
+function getPlayDistribution(games, plays, year = null, topCount = PLAY_DISTRIBUTION_TOP_GAMES) {
+  const playTimeByGame = getPlayTimeByGame(games, plays, year);
+  const playCounts = playTimeByGame.map(item => item.playCount);
+
+  const distribution = {
+    gameCount: playTimeByGame.length,
+    topGamesShare: {
+      plays: getTopShare(playCounts, topCount),
+      sessions: getTopShare(getDaysPlayedByGame(games, plays, year).map(item => item.uniqueDays), topCount),
+      hours: getTopShare(playTimeByGame.map(item => item.totalMinutes), topCount),
+    },
+    gini: calculateGiniCoefficient(playCounts),
+    herfindahl: calculateHerfindahlIndex(playCounts),
+    newToMePlays: null,
+    familiarPlays: null,
+    newToMeShare: null,
+  };
+  if (!year) return distribution;
+
+  // A play is of a new-to-me game if the game was first played this year
+  const firstPlayDates = new Map();
+  plays.forEach(play => {
+    const firstDate = firstPlayDates.get(play.gameId);
+    if (!firstDate || play.date < firstDate) {
+      firstPlayDates.set(play.gameId, play.date);
+    }
+  });
+
+  const yearPlays = filterPlaysByYear(plays, year);
+  const newToMePlays = yearPlays.filter(play => firstPlayDates.get(play.gameId).startsWith(`${year}-`)).length;
+
+  return {
+    ...distribution,
+    newToMePlays,
+    familiarPlays: yearPlays.length - newToMePlays,
+    newToMeShare: yearPlays.length > 0 ? newToMePlays / yearPlays.length : null,
+  };
+}
+
 export {
   getTimeAndActivityStats,
   getLoggingTotals,
@@ -523,4 +719,6 @@ export {
   getTopGamesByUniqueLocations,
   getAllLocationsBySession,
   getMostConsistentGame,
+  getYearComparison,
+  getPlayDistribution,
 };
@@ -8,6 +8,8 @@ import {
   getTopGamesByUniqueLocations,
   getAllLocationsBySession,
   getMostConsistentGame,
+  getYearComparison,
+  getPlayDistribution,
 } from './year-review.js';
 
 describe('getTimeAndActivityStats', () => {
@@ -1193,3 +1195,176 @@ describe('getMostConsistentGame', () => {
     expect(result).toBeNull();
   });
 });
+
+describe('getYearComparison', () => {
+  const games = [
+    { id: 1, name: 'Azul' },
+    { id: 2, name: 'Brass' },
+    { id: 3, name: 'Cascadia' },
+    { id: 4, name: 'Dune' },
+  ];
+  const selfPlayerId = 1;
+  const anonymousPlayerId = 99;
+  const plays = [
+    { gameId: 1, date: '2021-05-01', durationMin: 30, players: [1], locationId: 1 },
+    { gameId: 1, date: '2022-02-01', durationMin: 30, players: [1, 2], locationId: 1 },
+    { gameId: 1, date: '2022-02-01', durationMin: 30, players: [1, 2], locationId: 1 },
+    { gameId: 2, date: '2022-03-01', durationMin: 120, players: [1, 3], locationId: 2 },
+    { gameId: 2, date: '2022-03-02', durationMin: 120, players: [1, 3], locationId: 2 },
+    { gameId: 1, date: '2024-01-05', durationMin: 30, players: [1, 99], locationId: 1 },
+    { gameId: 3, date: '2024-01-06', durationMin: 45, players: [1, 2, 4], locationId: 1 },
+    { gameId: 3, date: '2024-01-07', durationMin: 45, players: [1, 2], locationId: 1 },
+    { gameId: 3, date: '2024-01-08', durationMin: 45, players: [1], locationId: 1 },
+    { gameId: 5, date: '2024-02-01', durationMin: 60, players: [1], locationId: 1 },
+  ];
+
+  test('compares totals with absolute and percent changes', () => {
+    const result = getYearComparison(games, plays, selfPlayerId, anonymousPlayerId, 2022, 2024);
+
+    expect(result.fromYear).toBe(2022);
+    expect(result.toYear).toBe(2024);
+    expect(result.totals.plays).toEqual({ from: 4, to: 5, change: 1, percentChange: 25 });
+    // Same game on the same day is one session
+    expect(result.totals.sessions).toEqual({ from: 3, to: 5, change: 2, percentChange: (2 / 3) * 100 });
+    expect(result.totals.uniqueGames).toEqual({ from: 2, to: 3, change: 1, percentChange: 50 });
+    expect(result.totals.hours).toEqual({ from: 5, to: 3.75, change: -1.25, percentChange: -25 });
+    expect(result.totals.players).toEqual({ from: 2, to: 2, change: 0, percentChange: 0 });
+    expect(result.totals.locations).toEqual({ from: 2, to: 1, change: -1, percentChange: -50 });
+  });
+
+  test('counts games first played in each year as new to me', () => {
+    const result = getYearComparison(games, plays, selfPlayerId, anonymousPlayerId, 2022, 2024);
+
+    // Azul was first played in 2021, so only Brass was new in 2022
+    expect(result.totals.newToMeGames).toEqual({ from: 1, to: 2, change: 1, percentChange: 100 });
+  });
+
+  test('lists games with the biggest play count increases and decreases', () => {
+    const result = getYearComparison(games, plays, selfPlayerId, anonymousPlayerId, 2022, 2024);
+
+    expect(result.biggestIncreases).toEqual([
+      { game: games[2], from: 0, to: 3, change: 3 },
+    ]);
+    expect(result.biggestDecreases).toEqual([
+      { game: games[1], from: 2, to: 0, change: -2 },
+      { game: games[0], from: 2, to: 1, change: -1 },
+    ]);
+  });
+
+  test('breaks ties by the larger play count, then by name', () => {
+    const tiedPlays = [
+      { gameId: 2, date: '2023-01-01', durationMin: 30, players: [1], locationId: 1 },
+      { gameId: 2, date: '2024-01-01', durationMin: 30, players: [1], locationId: 1 },
+      { gameId: 2, date: '2024-01-02', durationMin: 30, players: [1], locationId: 1 },
+      { gameId: 1, date: '2024-01-04', durationMin: 30, players: [1], locationId: 1 },
+      { gameId: 3, date: '2023-01-02', durationMin: 30, players: [1], locationId: 1 },
+      { gameId: 3, date: '2023-01-03', durationMin: 30, players: [1], locationId: 1 },
+      { gameId: 3, date: '2024-01-05', durationMin: 30, players: [1], locationId: 1 },
+      { gameId: 4, date: '2023-01-04', durationMin: 30, players: [1], locationId: 1 },
+      { gameId: 4, date: '2023-01-05', durationMin: 30, players: [1], locationId: 1 },
+      { gameId: 4, date: '2023-01-06', durationMin: 30, players: [1], locationId: 1 },
+      { gameId: 4, date: '2024-01-06', durationMin: 30, players: [1], locationId: 1 },
+      { gameId: 4, date: '2024-01-07', durationMin: 30, players: [1], locationId: 1 },
+    ];
+
+    const result = getYearComparison(games, tiedPlays, selfPlayerId, anonymousPlayerId, 2023, 2024);
+
+    // Brass and Azul both gained one play; Brass reached more plays
+    expect(result.biggestIncreases.map(item => item.game.name)).toEqual(['Brass', 'Azul']);
+    // Cascadia and Dune both lost one play; Dune started higher
+    expect(result.biggestDecreases.map(item => item.game.name)).toEqual(['Dune', 'Cascadia']);
+  });
+
+  test('breaks remaining ties by name and limits the lists', () => {
+    const tiedPlays = [
+      { gameId: 2, date: '2024-01-01', durationMin: 30, players: [1], locationId: 1 },
+      { gameId: 1, date: '2024-01-02', durationMin: 30, players: [1], locationId: 1 },
+      { gameId: 4, date: '2023-01-01', durationMin: 30, players: [1], locationId: 1 },
+      { gameId: 3, date: '2023-01-02', durationMin: 30, players: [1], locationId: 1 },
+    ];
+
+    const result = getYearComparison(games, tiedPlays, selfPlayerId, anonymousPlayerId, 2023, 2024);
+
+    expect(result.biggestIncreases.map(item => item.game.name)).toEqual(['Azul', 'Brass']);
+    expect(result.biggestDecreases.map(item => item.game.name)).toEqual(['Cascadia', 'Dune']);
+
+    const limited = getYearComparison(games, tiedPlays, selfPlayerId, anonymousPlayerId, 2023, 2024, 1);
+    expect(limited.biggestIncreases.map(item => item.game.name)).toEqual(['Azul']);
+    expect(limited.biggestDecreases.map(item => item.game.name)).toEqual(['Cascadia']);
+  });
+
+  test('compares any two years, with no percent change from an empty year', () => {
+    const result = getYearComparison(games, plays, selfPlayerId, anonymousPlayerId, 2023, 2021);
+
+    expect(result.totals.plays).toEqual({ from: 0, to: 1, change: 1, percentChange: null });
+    expect(result.biggestIncreases).toEqual([{ game: games[0], from: 0, to: 1, change: 1 }]);
+    expect(result.biggestDecreases).toEqual([]);
+  });
+});
+
+describe('getPlayDistribution', () => {
+  const games = [
+    { id: 1, name: 'Azul' },
+    { id: 2, name: 'Brass' },
+    { id: 3, name: 'Cascadia' },
+  ];
+  const plays = [
+    { gameId: 1, date: '2023-05-01', durationMin: 30 },
+    { gameId: 1, date: '2024-01-01', durationMin: 30 },
+    { gameId: 1, date: '2024-01-01', durationMin: 30 },
+    { gameId: 1, date: '2024-01-02', durationMin: 30 },
+    { gameId: 2, date: '2024-02-01', durationMin: 120 },
+    { gameId: 3, date: '2024-03-01', durationMin: 0 },
+  ];
+
+  test('reports the share of plays, sessions and hours from the top games', () => {
+    const result = getPlayDistribution(games, plays, 2024, 1);
+
+    expect(result.gameCount).toBe(3);
+    expect(result.topGamesShare).toEqual({
+      plays: 3 / 5,
+      sessions: 2 / 4,
+      hours: 120 / 210,
+    });
+  });
+
+  test('measures how concentrated play counts are', () => {
+    const result = getPlayDistribution(games, plays, 2024);
+
+    // Play counts of 3, 1 and 1
+    expect(result.topGamesShare.plays).toBe(1);
+    expect(result.gini).toBeCloseTo(4 / 15);
+    expect(result.herfindahl).toBeCloseTo(11 / 25);
+  });
+
+  test('splits the year\'s plays between new-to-me and previously played games', () => {
+    const result = getPlayDistribution(games, plays, 2024);
+
+    expect(result.newToMePlays).toBe(2);
+    expect(result.familiarPlays).toBe(3);
+    expect(result.newToMeShare).toBe(0.4);
+  });
+
+  test('leaves out the new-to-me split for all time', () => {
+    const result = getPlayDistribution(games, plays);
+
+    expect(result.gini).toBeCloseTo(1 / 3);
+    expect(result.newToMePlays).toBeNull();
+    expect(result.familiarPlays).toBeNull();
+    expect(result.newToMeShare).toBeNull();
+  });
+
+  test('returns null shares and indexes for a year without plays', () => {
+    const result = getPlayDistribution(games, plays, 2020);
+
+    expect(result).toEqual({
+      gameCount: 0,
+      topGamesShare: { plays: null, sessions: null, hours: null },
+      gini: null,
+      herfindahl: null,
+      newToMePlays: 0,
+      familiarPlays: 0,
+      newToMeShare: null,
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Table export module for stat detail tables
+ *
+ * Builds CSV and SpreadsheetML (Excel 2003 XML) files from the rows a detail
+ * table shows, using the column configurations in table-sorting.js for raw
+ * values and the on-screen column labels for headers.
+ */
+
+import { tableColumnConfigs } from './table-sorting.js';
+
+/**
+ * Export file formats.
+ * @constant {Object<string, {extension: string, mimeType: string}>}
+ */
+export const ExportFormat = {
+    CSV: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    // SpreadsheetML is XML, not the binary .xls format: an .xls name makes
+    // Excel warn about a mismatched extension and other apps open it as text
+    SPREADSHEET: { extension: 'xml', mimeType: 'application/xml;charset=utf-8' },
+};
+
+/**
+ * Split a multi-value column label into one label per value.
+ * "Min/Max Play Time" becomes ["Min Play Time", "Max Play Time"]; labels
+ * without that shape get a numeric suffix.
+ *
+ * @param {string} label - On-screen column label
+ * @returns {Array<string>} Two labels
+ */
+function splitMultiValueLabel(label) {
+    const match = label.match(/^(\S+)\/(\S+)(.*)$/);
+    if (match) {
+        return [`${match[1]}${match[3]}`, `${match[2]}${match[3]}`];
+    }
+    return [`${label} (1)`, `${label} (2)`];
+}
+
+/**
+ * Get the export columns for a table.
+ *
+ * Each on-screen column becomes one export column using its config's
+ * exportValue (or getValue). Multi-value columns (getValues) become one column
+ * per value. Columns of tables without a sort config can carry their own
+ * exportValue. Columns with no underlying value (icons) are left out.
+ *
+ * @param {string|null} statType - The stat type identifier
+ * @param {Array<{key: string, label: string, exportValue?: Function}>} columns - On-screen columns with labels
+ * @returns {Array<{label: string, getValue: Function}>} Export columns
+ */
+export function getExportColumns(statType, columns) {
+    const config = tableColumnConfigs[statType] || [];
+
+    return columns.flatMap(col => {
+        const colConfig = config.find(c => c.key === col.key) || col;
+
+        if (colConfig.getValues) {
+            return splitMultiValueLabel(col.label).map((label, index) => ({
+                label,
+                getValue: item => colConfig.getValues(item)[index],
+            }));
+        }
+
+        const getValue = colConfig.exportValue || colConfig.getValue;
+        return getValue ? [{ label: col.label, getValue }] : [];
+    });
+}
+
+/**
+ * Build the header and rows of an export.
+ *
+ * @param {string|null} statType - The stat type identifier
+ * @param {Array<{key: string, label: string, exportValue?: Function}>} columns - On-screen columns with labels
+ * @param {Array} items - Table rows, already filtered and sorted as shown
+ * @returns {{ headers: Array<string>, rows: Array<Array> }} Raw values (null for empty cells)
+ */
+export function buildExportTable(statType, columns, items) {
+    const exportColumns = getExportColumns(statType, columns);
+    return {
+        headers: exportColumns.map(col => col.label),
+        rows: items.map(item => exportColumns.map(col => col.getValue(item) ?? null)),
+    };
+}
+
+/**
+ * Format one CSV field, quoting it when it contains a comma, quote or line break.
+ *
+ * @param {*} value - Raw value (null and undefined become empty)
+ * @returns {string} CSV field
+ */
+export function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format an export as CSV (RFC 4180, CRLF line endings).
+ *
+ * @param {{ headers: Array<string>, rows: Array<Array> }} exportTable - Export table
+ * @returns {string} CSV text
+ */
+export function toCsv({ headers, rows }) {
+    return [headers, ...rows]
+        .map(row => row.map(toCsvField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for XML content and attributes, dropping control characters XML can't hold.
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format one SpreadsheetML cell, typed by its raw value.
+ *
+ * @param {*} value - Raw value
+ * @returns {string} <Cell> element
+ */
+function toSpreadsheetCell(value) {
+    if (value === null || value === undefined) return '<Cell/>';
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<Cell><Data ss:Type="Number">${value}</Data></Cell>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<Cell><Data ss:Type="Boolean">${value ? 1 : 0}</Data></Cell>`;
+    }
+    return `<Cell><Data ss:Type="String">${escapeXml(value)}</Data></Cell>`;
+}
+
+/**
+ * Format an export as a SpreadsheetML workbook, which Excel, LibreOffice and
+ * Numbers open as a spreadsheet with numeric cells kept numeric.
+ *
+ * @param {{ headers: Array<string>, rows: Array<Array> }} exportTable - Export table
+ * @param {string} sheetName - Worksheet name (invalid characters removed, max 31 characters)
+ * @returns {string} XML text
+ */
+export function toSpreadsheetMl({ headers, rows }, sheetName) {
+    const safeSheetName = sheetName.replace(/[[\]:*?/\\]/g, '').slice(0, 31) || 'Sheet1';
+    const headerRow = `<Row ss:StyleID="header">${headers.map(toSpreadsheetCell).join('')}</Row>`;
+    const dataRows = rows.map(row => `<Row>${row.map(toSpreadsheetCell).join('')}</Row>`);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<?mso-application progid="Excel.Sheet"?>',
+        '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+        '<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>',
+        `<Worksheet ss:Name="${escapeXml(safeSheetName)}">`,
+        '<Table>',
+        headerRow,
+        ...dataRows,
+        '</Table>',
+        '</Worksheet>',
+        '</Workbook>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Get the download file name for an export.
+ *
+ * @param {string} statType - The stat type identifier
+ * @param {number|null} year - Year filter (null for all time)
+ * @param {{extension: string}} format - Export format
+ * @returns {string} File name, e.g. "players-2024.csv"
+ */
+export function getExportFileName(statType, year, format) {
+    const baseName = statType.replace(/[^a-z0-9-]+/gi, '-');
+    return `${baseName}-${year ?? 'all-time'}.${format.extension}`;
+}
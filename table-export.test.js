@@ -0,0 +1,214 @@
+import { describe, test, expect } from 'vitest';
+import {
+    ExportFormat,
+    getExportColumns,
+    buildExportTable,
+    toCsvField,
+    toCsv,
+    toSpreadsheetMl,
+    getExportFileName,
+} from './table-export.js';
+
+describe('getExportColumns', () => {
+    test('uses on-screen labels for single-value columns', () => {
+        const columns = getExportColumns('games-played', [
+            { key: 'game', label: 'Game' },
+            { key: 'plays', label: 'Plays' },
+        ]);
+        expect(columns.map(col => col.label)).toEqual(['Game', 'Plays']);
+    });
+
+    test('splits multi-value columns into one column per value', () => {
+        const columns = getExportColumns('total-play-time', [
+            { key: 'minmax', label: 'Min/Max Play Time' },
+        ]);
+        expect(columns.map(col => col.label)).toEqual(['Min Play Time', 'Max Play Time']);
+
+        const dayColumns = getExportColumns('total-days-played', [
+            { key: 'medavgplays', label: 'Median/Avg Plays Per Day' },
+        ]);
+        expect(dayColumns.map(col => col.label)).toEqual(['Median Plays Per Day', 'Avg Plays Per Day']);
+    });
+
+    test('numbers multi-value labels without a slash', () => {
+        const columns = getExportColumns('total-play-time', [{ key: 'minmax', label: 'Range' }]);
+        expect(columns.map(col => col.label)).toEqual(['Range (1)', 'Range (2)']);
+    });
+
+    test('leaves out columns without a value', () => {
+        const columns = getExportColumns('games-played', [
+            { key: 'game', label: 'Game' },
+            { key: 'status', label: 'Others\' 👥' },
+            { key: 'unknown', label: 'Unknown' },
+        ]);
+        expect(columns.map(col => col.label)).toEqual(['Game']);
+    });
+
+    test('uses column exportValue when the table has no sort config', () => {
+        const columns = getExportColumns(null, [
+            { key: 'name', label: 'Name', exportValue: item => item.name },
+            { key: 'icon', label: 'Icon' },
+        ]);
+        expect(columns.map(col => col.label)).toEqual(['Name']);
+        expect(columns[0].getValue({ name: 'Catan' })).toBe('Catan');
+    });
+});
+
+describe('buildExportTable', () => {
+    test('exports raw values in the given row order', () => {
+        const items = [
+            { game: { name: 'Brass' }, totalMinutes: 600, minMinutes: 120, maxMinutes: 180, medianMinutes: 150, avgMinutes: 150 },
+            { game: { name: 'Azul' }, totalMinutes: 90, minMinutes: 30, maxMinutes: 30, medianMinutes: 30, avgMinutes: 30 },
+        ];
+        const table = buildExportTable('total-play-time', [
+            { key: 'game', label: 'Game' },
+            { key: 'time', label: 'Time Played' },
+            { key: 'minmax', label: 'Min/Max Play Time' },
+            { key: 'durations', label: 'Play Durations' },
+        ], items);
+
+        expect(table).toEqual({
+            headers: ['Game', 'Time Played', 'Min Play Time', 'Max Play Time'],
+            rows: [
+                ['Brass', 600, 120, 180],
+                ['Azul', 90, 30, 30],
+            ],
+        });
+    });
+
+    test('uses exportValue instead of sort keys', () => {
+        const table = buildExportTable('collection-rating', [
+            { key: 'game', label: 'Game' },
+            { key: 'rating', label: 'Rating' },
+            { key: 'acquired', label: 'Acquired' },
+        ], [
+            { game: { name: 'Unrated' }, rating: null, acquisitionDate: null },
+            { game: { name: 'Rated' }, rating: 8, acquisitionDate: '2023-05-01' },
+        ]);
+
+        expect(table.rows).toEqual([
+            ['Unrated', null, null],
+            ['Rated', 8, '2023-05-01'],
+        ]);
+    });
+
+    test('exports hours columns in hours', () => {
+        const table = buildExportTable('players', [
+            { key: 'player', label: 'Player' },
+            { key: 'hours', label: 'Hours' },
+        ], [{ name: 'Alex', minutes: 90, sessions: 2, plays: 3 }]);
+
+        expect(table.rows).toEqual([['Alex', 1.5]]);
+    });
+
+    test('exports contribution as a boolean', () => {
+        const table = buildExportTable('h-index', [
+            { key: 'rank', label: 'Rank' },
+            { key: 'contributes', label: 'Contributes to H-Index?' },
+        ], [{ rank: 1, contributes: true }, { rank: 2, contributes: false }]);
+
+        expect(table.rows).toEqual([[1, true], [2, false]]);
+    });
+
+    test('turns undefined values into null', () => {
+        const table = buildExportTable('data-quality-issues', [
+            { key: 'date', label: 'Date' },
+            { key: 'details', label: 'Details' },
+        ], [{ message: 'Game 5 is not in the collection' }]);
+
+        expect(table.rows).toEqual([[null, 'Game 5 is not in the collection']]);
+    });
+
+    test('exports no rows for an empty table', () => {
+        const table = buildExportTable('unknown-stat', [{ key: 'game', label: 'Game' }], []);
+        expect(table).toEqual({ headers: [], rows: [] });
+    });
+});
+
+describe('toCsvField', () => {
+    test('quotes fields only when needed', () => {
+        const cases = [
+            [null, ''],
+            [undefined, ''],
+            [42, '42'],
+            [1.5, '1.5'],
+            [true, 'true'],
+            ['Azul', 'Azul'],
+            ['Brass: Birmingham, Deluxe', '"Brass: Birmingham, Deluxe"'],
+            ['The "Best" Game', '"The ""Best"" Game"'],
+            ['Line\nbreak', '"Line\nbreak"'],
+        ];
+        cases.forEach(([value, expected]) => {
+            expect(toCsvField(value)).toBe(expected);
+        });
+    });
+});
+
+describe('toCsv', () => {
+    test('writes a header row and data rows with CRLF line endings', () => {
+        const csv = toCsv({
+            headers: ['Game', 'Hours'],
+            rows: [['Brass, Lancashire', 2.5], ['Azul', null]],
+        });
+        expect(csv).toBe('Game,Hours\r\n"Brass, Lancashire",2.5\r\nAzul,\r\n');
+    });
+});
+
+describe('toSpreadsheetMl', () => {
+    const table = {
+        headers: ['Game', 'Hours', 'Contributes?'],
+        rows: [['Tom & Jerry <Deluxe>', 2.5, true], ['Azul', null, false]],
+    };
+
+    test('writes a SpreadsheetML workbook', () => {
+        const xml = toSpreadsheetMl(table, 'players');
+        expect(xml).toContain('<?xml version="1.0" encoding="UTF-8"?>');
+        expect(xml).toContain('<?mso-application progid="Excel.Sheet"?>');
+        expect(xml).toContain('<Worksheet ss:Name="players">');
+    });
+
+    test('types cells by value', () => {
+        const xml = toSpreadsheetMl(table, 'players');
+        expect(xml).toContain('<Row ss:StyleID="header"><Cell><Data ss:Type="String">Game</Data></Cell>');
+        expect(xml).toContain('<Cell><Data ss:Type="String">Tom &amp; Jerry &lt;Deluxe&gt;</Data></Cell>');
+        expect(xml).toContain('<Cell><Data ss:Type="Number">2.5</Data></Cell>');
+        expect(xml).toContain('<Cell><Data ss:Type="Boolean">1</Data></Cell>');
+        expect(xml).toContain('<Row><Cell><Data ss:Type="String">Azul</Data></Cell><Cell/><Cell><Data ss:Type="Boolean">0</Data></Cell></Row>');
+    });
+
+    test('writes non-finite numbers as text', () => {
+        const xml = toSpreadsheetMl({ headers: ['Cost'], rows: [[Infinity]] }, 'cost');
+        expect(xml).toContain('<Cell><Data ss:Type="String">Infinity</Data></Cell>');
+    });
+
+    test('drops control characters and escapes quotes', () => {
+        const xml = toSpreadsheetMl({ headers: ['Note'], rows: [['a\u0007"b"']] }, 'notes');
+        expect(xml).toContain('<Data ss:Type="String">a&quot;b&quot;</Data>');
+    });
+
+    test('cleans up sheet names', () => {
+        const cases = [
+            ['top-ten:Co-op', 'top-tenCo-op'],
+            ['a'.repeat(40), 'a'.repeat(31)],
+            ['[]', 'Sheet1'],
+        ];
+        cases.forEach(([sheetName, expected]) => {
+            expect(toSpreadsheetMl(table, sheetName)).toContain(`<Worksheet ss:Name="${expected}">`);
+        });
+    });
+});
+
+describe('ExportFormat', () => {
+    test('names SpreadsheetML files as XML so the extension matches the content', () => {
+        expect(ExportFormat.SPREADSHEET).toEqual({ extension: 'xml', mimeType: 'application/xml;charset=utf-8' });
+        expect(toSpreadsheetMl({ headers: ['Game'], rows: [['Azul']] }, 'Sheet')).toMatch(/^<\?xml [^>]+\?>\n<\?mso-application progid="Excel.Sheet"\?>/);
+    });
+});
+
+describe('getExportFileName', () => {
+    test('names files by stat type, year and format', () => {
+        expect(getExportFileName('players', 2024, ExportFormat.CSV)).toBe('players-2024.csv');
+        expect(getExportFileName('players', null, ExportFormat.SPREADSHEET)).toBe('players-all-time.xml');
+        expect(getExportFileName('top-ten:Co-op Games', 2023, ExportFormat.CSV)).toBe('top-ten-Co-op-Games-2023.csv');
+    });
+});
@@ -5,6 +5,20 @@
  * for interactive table sorting with URL persistence.
  */
 
+/**
+ * Columns shared by the designer, mechanic and category breakdown tables.
+ */
+const metadataColumns = [
+    { key: 'name', getValue: item => item.name, type: 'string' },
+    { key: 'games', getValue: item => item.gameCount },
+    { key: 'hours', getValue: item => item.minutes, exportValue: item => item.minutes / 60 },
+    { key: 'sessions', getValue: item => item.sessions },
+    { key: 'plays', getValue: item => item.plays },
+    { key: 'rating', getValue: item => item.averageRating },
+    { key: 'costper', getValue: item => item.costPerMetric },
+    { key: 'hindex', getValue: item => item.hIndex },
+];
+
 /**
  * Column configurations for each sortable table.
  *
@@ -16,6 +30,8 @@
  * - type: 'string' for alphabetical sort, numeric is default
  * - defaultDir: 'asc' or 'desc' - marks this as the default sort column
  * - sortable: false to disable sorting for this column
+ * - exportValue: Function to extract the raw value for CSV/spreadsheet export, when
+ *                getValue returns a sort key instead (defaults to getValue)
  */
 export const tableColumnConfigs = {
     'total-play-time': [
@@ -41,48 +57,51 @@ export const tableColumnConfigs = {
         { key: 'rank', getValue: item => item.rank },
         { key: 'game', getValue: item => item.game.name, type: 'string' },
         { key: 'value', getValue: item => item.value, defaultDir: 'desc' },
-        { key: 'contributes', getValue: item => item.contributes ? 1 : 0 },
+        { key: 'contributes', getValue: item => item.contributes ? 1 : 0, exportValue: item => item.contributes },
     ],
     'people-h-index': [
         { key: 'rank', getValue: item => item.rank },
         { key: 'game', getValue: item => item.game.name, type: 'string' },
         { key: 'players', getValue: item => item.uniquePlayers, defaultDir: 'desc' },
-        { key: 'contributes', getValue: item => item.contributes ? 1 : 0 },
+        { key: 'contributes', getValue: item => item.contributes ? 1 : 0, exportValue: item => item.contributes },
     ],
     'staircase-level': [
         { key: 'rank', getValue: item => item.rank },
         { key: 'game', getValue: item => item.game.name, type: 'string' },
         { key: 'value', getValue: item => item.value, defaultDir: 'desc' },
         { key: 'threshold', getValue: item => item.threshold },
-        { key: 'contributes', getValue: item => item.contributes ? 1 : 0 },
+        { key: 'contributes', getValue: item => item.contributes ? 1 : 0, exportValue: item => item.contributes },
     ],
     'players': [
         { key: 'player', getValue: item => item.name, type: 'string' },
-        { key: 'hours', getValue: item => item.minutes },
+        { key: 'hours', getValue: item => item.minutes, exportValue: item => item.minutes / 60 },
         { key: 'sessions', getValue: item => item.sessions },
         { key: 'plays', getValue: item => item.plays },
     ],
     'solo': [
         { key: 'game', getValue: item => item.game.name, type: 'string' },
-        { key: 'hours', getValue: item => item.minutes },
+        { key: 'hours', getValue: item => item.minutes, exportValue: item => item.minutes / 60 },
         { key: 'sessions', getValue: item => item.sessions },
         { key: 'plays', getValue: item => item.plays },
     ],
     'locations': [
         { key: 'location', getValue: item => item.name, type: 'string' },
-        { key: 'hours', getValue: item => item.minutes },
+        { key: 'hours', getValue: item => item.minutes, exportValue: item => item.minutes / 60 },
         { key: 'sessions', getValue: item => item.sessions },
         { key: 'plays', getValue: item => item.plays },
     ],
+    'designers': metadataColumns,
+    'mechanics': metadataColumns,
+    'categories': metadataColumns,
     'collection-rating': [
         { key: 'game', getValue: item => item.game.name, type: 'string' },
-        { key: 'rating', getValue: item => item.rating ?? -1, defaultDir: 'desc' },
-        { key: 'acquired', getValue: item => item.acquisitionDate || '', type: 'string' },
+        { key: 'rating', getValue: item => item.rating ?? -1, exportValue: item => item.rating, defaultDir: 'desc' },
+        { key: 'acquired', getValue: item => item.acquisitionDate || '', exportValue: item => item.acquisitionDate, type: 'string' },
     ],
     'played-rating': [
         { key: 'game', getValue: item => item.game.name, type: 'string' },
-        { key: 'rating', getValue: item => item.rating ?? -1, defaultDir: 'desc' },
-        { key: 'hours', getValue: item => item.playData.totalMinutes },
+        { key: 'rating', getValue: item => item.rating ?? -1, exportValue: item => item.rating, defaultDir: 'desc' },
+        { key: 'hours', getValue: item => item.playData.totalMinutes, exportValue: item => item.playData.totalMinutes / 60 },
         { key: 'sessions', getValue: item => item.playData.uniqueDates },
         { key: 'plays', getValue: item => item.playData.playCount },
         { key: 'weight', getValue: item => item.weightShare },
@@ -106,7 +125,7 @@ export const tableColumnConfigs = {
     ],
     'total-cost': [
         { key: 'game', getValue: item => item.game.name, type: 'string' },
-        { key: 'price', getValue: item => item.totalPricePaid ?? 0, defaultDir: 'desc' },
+        { key: 'price', getValue: item => item.totalPricePaid ?? 0, exportValue: item => item.totalPricePaid, defaultDir: 'desc' },
     ],
     'value-clubs': [
         { key: 'game', getValue: item => item.game.name, type: 'string' },
@@ -120,10 +139,33 @@ export const tableColumnConfigs = {
         { key: 'costper', getValue: item => item.costPerMetric, defaultDir: 'asc' },
         { key: 'price', getValue: item => item.pricePaid },
     ],
+    'net-cost-per-metric': [
+        { key: 'game', getValue: item => item.game.name, type: 'string' },
+        { key: 'value', getValue: item => item.metricValue },
+        { key: 'costper', getValue: item => item.costPerMetric, defaultDir: 'asc' },
+        { key: 'price', getValue: item => item.pricePaid },
+        { key: 'sale', getValue: item => item.salePrice },
+        { key: 'net', getValue: item => item.netCost },
+        { key: 'status', getValue: item => (item.isOwned ? 'Owned' : 'No longer owned'), type: 'string' },
+    ],
     'shelf-of-shame': [
         { key: 'game', getValue: item => item.game.name, type: 'string' },
         { key: 'price', getValue: item => item.pricePaid, defaultDir: 'desc' },
     ],
+    'shelf-aging': [
+        { key: 'game', getValue: item => item.game.name, type: 'string' },
+        { key: 'acquired', getValue: item => item.acquisitionDate, type: 'string', defaultDir: 'desc' },
+        { key: 'firstplay', getValue: item => item.firstPlayDate, type: 'string' },
+        { key: 'days', getValue: item => item.daysToFirstPlay },
+        { key: 'age', getValue: item => item.ageDays },
+        { key: 'freshness', getValue: item => item.daysToFirstPlay, exportValue: item => item.label },
+    ],
+    'win-rates': [
+        { key: 'game', getValue: item => item.game.name, type: 'string' },
+        { key: 'plays', getValue: item => item.plays, defaultDir: 'desc' },
+        { key: 'wins', getValue: item => item.wins },
+        { key: 'winrate', getValue: item => item.winRate },
+    ],
     'bgg-entries': [
         { key: 'name', getValue: item => item.name, type: 'string' },
         { key: 'type', getValue: item => item.type, type: 'string' },
@@ -134,6 +176,20 @@ export const tableColumnConfigs = {
         { key: 'type', getValue: item => item.type, type: 'string' },
         { key: 'date', getValue: item => item.acquisitionDate, type: 'string', defaultDir: 'desc' },
     ],
+    'collection-timeline': [
+        { key: 'period', getValue: item => item.period, type: 'string', defaultDir: 'desc' },
+        { key: 'count', getValue: item => item.count },
+        { key: 'spend', getValue: item => item.spend },
+        { key: 'average', getValue: item => item.averagePrice },
+        { key: 'plays', getValue: item => item.plays },
+        { key: 'ratio', getValue: item => item.acquisitionToPlayRatio },
+    ],
+    'data-quality-issues': [
+        { key: 'issue', getValue: item => item.label, type: 'string' },
+        { key: 'game', getValue: item => item.name, type: 'string' },
+        { key: 'date', getValue: item => item.date || '', exportValue: item => item.date, type: 'string', defaultDir: 'desc' },
+        { key: 'details', sortable: false, exportValue: item => item.message },
+    ],
 };
 
 /**
@@ -148,7 +204,7 @@ export function getDefaultSort(statType, currentMetric) {
     if (!config) return null;
 
     // Tables with metric-based default sort
-    const metricBasedTables = ['players', 'solo', 'locations'];
+    const metricBasedTables = ['players', 'solo', 'locations', 'designers', 'mechanics', 'categories'];
     if (currentMetric && metricBasedTables.includes(statType)) {
         return {
             column: currentMetric, // 'hours', 'sessions', or 'plays'
@@ -18,6 +18,27 @@ describe('tableColumnConfigs', () => {
         expect(defaultCol.key).toBe('time');
         expect(defaultCol.defaultDir).toBe('desc');
     });
+
+    test('exportValue returns raw values where getValue returns sort keys', () => {
+        const exportValue = (statType, key, item) =>
+            tableColumnConfigs[statType].find(c => c.key === key).exportValue(item);
+
+        ['players', 'solo', 'locations', 'designers', 'mechanics', 'categories'].forEach(statType => {
+            expect(exportValue(statType, 'hours', { minutes: 90 })).toBe(1.5);
+        });
+        ['h-index', 'people-h-index', 'staircase-level'].forEach(statType => {
+            expect(exportValue(statType, 'contributes', { contributes: true })).toBe(true);
+        });
+        ['collection-rating', 'played-rating'].forEach(statType => {
+            expect(exportValue(statType, 'rating', { rating: null })).toBe(null);
+        });
+        expect(exportValue('played-rating', 'hours', { playData: { totalMinutes: 30 } })).toBe(0.5);
+        expect(exportValue('collection-rating', 'acquired', { acquisitionDate: null })).toBe(null);
+        expect(exportValue('total-cost', 'price', { totalPricePaid: null })).toBe(null);
+        expect(exportValue('data-quality-issues', 'date', { date: null })).toBe(null);
+        expect(exportValue('data-quality-issues', 'details', { message: 'Unknown game' })).toBe('Unknown game');
+        expect(exportValue('shelf-aging', 'freshness', { daysToFirstPlay: null, label: 'Never played' })).toBe('Never played');
+    });
 });
 
 describe('getDefaultSort', () => {
@@ -56,6 +77,11 @@ describe('getDefaultSort', () => {
         expect(result).toEqual({ column: 'plays', direction: 'desc' });
     });
 
+    test('returns metric-based default for designers table', () => {
+        const result = getDefaultSort('designers', 'hours');
+        expect(result).toEqual({ column: 'hours', direction: 'desc' });
+    });
+
     test('returns null for tables without defaultDir when no metric specified', () => {
         // players, solo, locations have no defaultDir - they use currentMetric
         const result = getDefaultSort('players');
@@ -305,6 +331,24 @@ describe('sortTableData - all table types', () => {
         expect(sortTableData(data, 'locations', 'plays', 'desc')[0].plays).toBe(20);
     });
 
+    test('designers, mechanics and categories sort by all columns', () => {
+        const data = [
+            { name: 'Klaus Teuber', gameCount: 1, minutes: 100, sessions: 5, plays: 10, averageRating: 9, costPerMetric: 2, hIndex: 1 },
+            { name: 'Cole Wehrle', gameCount: 3, minutes: 200, sessions: 10, plays: 20, averageRating: null, costPerMetric: null, hIndex: 4 },
+        ];
+        ['designers', 'mechanics', 'categories'].forEach(statType => {
+            expect(sortTableData(data, statType, 'name', 'asc')[0].name).toBe('Cole Wehrle');
+            expect(sortTableData(data, statType, 'games', 'desc')[0].gameCount).toBe(3);
+            expect(sortTableData(data, statType, 'hours', 'desc')[0].minutes).toBe(200);
+            expect(sortTableData(data, statType, 'sessions', 'desc')[0].sessions).toBe(10);
+            expect(sortTableData(data, statType, 'plays', 'desc')[0].plays).toBe(20);
+            // Unrated and unpriced groups sort last
+            expect(sortTableData(data, statType, 'rating', 'desc')[0].averageRating).toBe(9);
+            expect(sortTableData(data, statType, 'costper', 'asc')[0].costPerMetric).toBe(2);
+            expect(sortTableData(data, statType, 'hindex', 'desc')[0].hIndex).toBe(4);
+        });
+    });
+
     test('fives sorts by game and count', () => {
         const data = [
             { game: { name: 'Catan' }, count: 5 },
@@ -387,6 +431,21 @@ describe('sortTableData - all table types', () => {
         expect(sortTableData(data, 'cost-per-metric', 'price', 'desc')[0].pricePaid).toBe(50);
     });
 
+    test('net-cost-per-metric sorts by all columns', () => {
+        const data = [
+            { game: { name: 'Catan' }, metricValue: 10, costPerMetric: 5, pricePaid: 50, salePrice: 0, netCost: 50, isOwned: true },
+            { game: { name: 'Azul' }, metricValue: 20, costPerMetric: 1, pricePaid: 40, salePrice: 20, netCost: 20, isOwned: false },
+        ];
+        expect(getDefaultSort('net-cost-per-metric')).toEqual({ column: 'costper', direction: 'asc' });
+        expect(sortTableData(data, 'net-cost-per-metric', 'game', 'asc')[0].game.name).toBe('Azul');
+        expect(sortTableData(data, 'net-cost-per-metric', 'value', 'desc')[0].metricValue).toBe(20);
+        expect(sortTableData(data, 'net-cost-per-metric', 'costper', 'desc')[0].costPerMetric).toBe(5);
+        expect(sortTableData(data, 'net-cost-per-metric', 'price', 'desc')[0].pricePaid).toBe(50);
+        expect(sortTableData(data, 'net-cost-per-metric', 'sale', 'desc')[0].salePrice).toBe(20);
+        expect(sortTableData(data, 'net-cost-per-metric', 'net', 'asc')[0].netCost).toBe(20);
+        expect(sortTableData(data, 'net-cost-per-metric', 'status', 'asc')[0].game.name).toBe('Azul');
+    });
+
     test('shelf-of-shame sorts by game and price', () => {
         const data = [
             { game: { name: 'Catan' }, pricePaid: 50 },
@@ -396,6 +455,32 @@ describe('sortTableData - all table types', () => {
         expect(sortTableData(data, 'shelf-of-shame', 'price', 'desc')[0].pricePaid).toBe(100);
     });
 
+    test('win-rates sorts by all columns', () => {
+        const data = [
+            { game: { name: 'Catan' }, plays: 4, wins: 1, winRate: 0.25 },
+            { game: { name: 'Azul' }, plays: 2, wins: 2, winRate: 1 },
+        ];
+        expect(getDefaultSort('win-rates')).toEqual({ column: 'plays', direction: 'desc' });
+        expect(sortTableData(data, 'win-rates', 'game', 'asc')[0].game.name).toBe('Azul');
+        expect(sortTableData(data, 'win-rates', 'plays', 'desc')[0].game.name).toBe('Catan');
+        expect(sortTableData(data, 'win-rates', 'wins', 'desc')[0].game.name).toBe('Azul');
+        expect(sortTableData(data, 'win-rates', 'winrate', 'asc')[0].game.name).toBe('Catan');
+    });
+
+    test('shelf-aging sorts by all columns', () => {
+        const data = [
+            { game: { name: 'Catan' }, acquisitionDate: '2024-01-01', firstPlayDate: '2024-01-05', daysToFirstPlay: 4, ageDays: null, label: 'Within a week' },
+            { game: { name: 'Azul' }, acquisitionDate: '2024-06-01', firstPlayDate: null, daysToFirstPlay: null, ageDays: 90, label: 'Never played' },
+        ];
+        expect(getDefaultSort('shelf-aging')).toEqual({ column: 'acquired', direction: 'desc' });
+        expect(sortTableData(data, 'shelf-aging', 'game', 'asc')[0].game.name).toBe('Azul');
+        expect(sortTableData(data, 'shelf-aging', 'acquired', 'asc')[0].game.name).toBe('Catan');
+        expect(sortTableData(data, 'shelf-aging', 'firstplay', 'desc')[0].game.name).toBe('Catan');
+        expect(sortTableData(data, 'shelf-aging', 'days', 'desc')[0].game.name).toBe('Catan');
+        expect(sortTableData(data, 'shelf-aging', 'age', 'desc')[0].game.name).toBe('Azul');
+        expect(sortTableData(data, 'shelf-aging', 'freshness', 'asc')[0].game.name).toBe('Catan');
+    });
+
     test('bgg-entries sorts by all columns', () => {
         const data = [
             { name: 'Catan', type: 'boardgame', acquisitionDate: '2024-01-01' },
@@ -416,6 +501,30 @@ describe('sortTableData - all table types', () => {
         expect(sortTableData(data, 'expansions', 'date', 'desc')[0].acquisitionDate).toBe('2024-06-01');
     });
 
+    test('collection-timeline sorts by all columns', () => {
+        const data = [
+            { period: '2023', count: 12, spend: 300, averagePrice: 25, plays: 40, acquisitionToPlayRatio: 0.3 },
+            { period: '2024', count: 8, spend: 360, averagePrice: 45, plays: 80, acquisitionToPlayRatio: 0.1 },
+        ];
+        expect(getDefaultSort('collection-timeline')).toEqual({ column: 'period', direction: 'desc' });
+        expect(sortTableData(data, 'collection-timeline', 'period', 'asc')[0].period).toBe('2023');
+        expect(sortTableData(data, 'collection-timeline', 'count', 'asc')[0].count).toBe(8);
+        expect(sortTableData(data, 'collection-timeline', 'spend', 'desc')[0].spend).toBe(360);
+        expect(sortTableData(data, 'collection-timeline', 'average', 'asc')[0].averagePrice).toBe(25);
+        expect(sortTableData(data, 'collection-timeline', 'plays', 'desc')[0].plays).toBe(80);
+        expect(sortTableData(data, 'collection-timeline', 'ratio', 'desc')[0].acquisitionToPlayRatio).toBe(0.3);
+    });
+
+    test('data-quality-issues sorts by all columns', () => {
+        const data = [
+            { label: 'Play over 24 hours', name: 'Catan', date: '2024-01-01' },
+            { label: 'Expansion without base game', name: 'Azul: Crystal Mosaic', date: null },
+        ];
+        expect(sortTableData(data, 'data-quality-issues', 'issue', 'asc')[0].label).toBe('Expansion without base game');
+        expect(sortTableData(data, 'data-quality-issues', 'game', 'asc')[0].name).toBe('Azul: Crystal Mosaic');
+        expect(sortTableData(data, 'data-quality-issues', 'date', 'desc')[0].date).toBe('2024-01-01');
+    });
+
     test('played-rating sorts by all columns', () => {
         const data = [
             { game: { name: 'Catan' }, rating: 7, playData: { totalMinutes: 120, uniqueDates: 3, playCount: 5 } },
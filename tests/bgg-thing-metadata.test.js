@@ -0,0 +1,116 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, test, expect } from 'vitest';
+import {
+  parseBggThingXml,
+  loadBggThingXmlDir,
+  loadBggThingCache,
+  saveBggThingCache,
+} from '../scripts/bgg-thing-metadata.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BGG_THINGS_DIR = path.join(__dirname, 'fixtures', 'bgg-things');
+const TEMP_THING_CACHE_PATH = path.join(os.tmpdir(), 'bgg-thing-test-cache.json');
+
+const catanMetadata = {
+  weight: 2.3,
+  mechanics: ['Dice Rolling', 'Trading'],
+  categories: ['Negotiation'],
+  designers: ['Klaus Teuber'],
+  publishers: ['KOSMOS', 'Catan Studio & Friends'],
+  bestPlayerCounts: [4],
+  recommendedPlayerCounts: [3, 4],
+};
+
+/**
+ * Tests for bgg-thing-metadata.js
+ *
+ * Fixtures are saved responses from the BGG XML API thing endpoint (stats=1).
+ */
+
+describe('parseBggThingXml', () => {
+  const metadata = parseBggThingXml(fs.readFileSync(path.join(BGG_THINGS_DIR, 'things-1.xml'), 'utf-8'));
+
+  test('keys metadata by BGG ID string', () => {
+    expect([...metadata.keys()]).toEqual(['13', '325']);
+  });
+
+  test('extracts weight, links and player count poll results', () => {
+    expect(metadata.get('13')).toEqual(catanMetadata);
+  });
+
+  test('treats a zero weight and a missing poll as unknown', () => {
+    expect(metadata.get('325')).toEqual({
+      weight: null,
+      mechanics: [],
+      categories: [],
+      designers: ['Klaus Teuber'],
+      publishers: [],
+      bestPlayerCounts: [],
+      recommendedPlayerCounts: [],
+    });
+  });
+
+  test('handles items without statistics, items without IDs, and polls without votes', () => {
+    const xml = `
+      <items>
+        <item type="boardgame"><name value="No ID"/></item>
+        <item type="boardgame" id="1">
+          <poll name="suggested_numplayers">
+            <results numplayers="2"/>
+            <results numplayers="3">
+              <result value="Best" numvotes="4"/>
+              <result value="Recommended" numvotes="0"/>
+              <result value="Not Recommended" numvotes="4"/>
+            </results>
+          </poll>
+          <statistics><ratings/></statistics>
+        </item>
+        <item type="boardgame" id="2"><statistics/></item>
+      </items>`;
+    const result = parseBggThingXml(xml);
+
+    expect([...result.keys()]).toEqual(['1', '2']);
+    // 3 players: Best ties Not Recommended (best), but Best + Recommended doesn't outvote it (not recommended)
+    expect(result.get('1')).toMatchObject({ weight: null, bestPlayerCounts: [3], recommendedPlayerCounts: [] });
+    expect(result.get('2').weight).toBeNull();
+  });
+});
+
+describe('loadBggThingXmlDir', () => {
+  test('reads every XML file in the directory', () => {
+    const metadata = loadBggThingXmlDir(BGG_THINGS_DIR);
+
+    expect([...metadata.keys()].sort()).toEqual(['13', '230802', '325']);
+    expect(metadata.get('230802').designers).toEqual(['Michael Kiesling']);
+  });
+
+  test('ignores non-XML files and lets later files win', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bgg-things-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'a.xml'), '<items><item id="1"><link type="boardgamedesigner" value="First"/></item></items>');
+      fs.writeFileSync(path.join(dir, 'b.XML'), '<items><item id="1"><link type="boardgamedesigner" value="Second"/></item></items>');
+      fs.writeFileSync(path.join(dir, 'notes.txt'), 'not xml');
+
+      const metadata = loadBggThingXmlDir(dir);
+      expect(metadata.get('1').designers).toEqual(['Second']);
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+});
+
+describe('loadBggThingCache / saveBggThingCache', () => {
+  test('round-trips the cache through disk', () => {
+    saveBggThingCache(TEMP_THING_CACHE_PATH, new Map([['13', catanMetadata]]));
+
+    expect(loadBggThingCache(TEMP_THING_CACHE_PATH)).toEqual(new Map([['13', catanMetadata]]));
+    fs.rmSync(TEMP_THING_CACHE_PATH);
+  });
+
+  test('returns an empty cache when the file is missing', () => {
+    expect(loadBggThingCache(path.join(os.tmpdir(), 'no-such-bgg-thing-cache.json'))).toEqual(new Map());
+  });
+});
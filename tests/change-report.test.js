@@ -0,0 +1,258 @@
+import { describe, test, expect } from 'vitest';
+import { diffData, hasChanges, formatChangeReport } from '../scripts/change-report.js';
+
+/**
+ * Tests for change-report.js
+ *
+ * Inputs are data.json-shaped objects: the previous run's output and the new one.
+ */
+
+function createGame(id, name, { rating = null, copies = [] } = {}) {
+  return { id, name, rating, copies };
+}
+
+function createCopy(copyId, { statusOwned = true, pricePaid = null, currency = null } = {}) {
+  return { copyId, statusOwned, pricePaid, currency, acquisitionDate: null };
+}
+
+function createPlay(gameId, timestamp, overrides = {}) {
+  return {
+    gameId,
+    copyId: null,
+    date: timestamp.split(' ')[0],
+    timestamp,
+    durationMin: 60,
+    durationEstimated: false,
+    players: [1],
+    locationId: 1,
+    ...overrides,
+  };
+}
+
+function createPrevious() {
+  return {
+    generatedAt: '2024-01-10T00:00:00.000Z',
+    games: [
+      createGame(1, 'Catan', { rating: 7, copies: [createCopy('c1', { pricePaid: 40, currency: 'USD' })] }),
+      createGame(2, 'Azul', { copies: [createCopy('c2', { statusOwned: false })] }),
+      createGame(3, 'Old Game', { copies: [createCopy('c3')] }),
+    ],
+    plays: [
+      createPlay(1, '2024-01-05 19:00:00'),
+      createPlay(1, '2024-01-06 19:00:00', { durationMin: 30, durationEstimated: true }),
+      createPlay(2, '2024-01-07 19:00:00'),
+      createPlay(3, '2024-01-08 19:00:00'),
+    ],
+  };
+}
+
+function createCurrent() {
+  return {
+    generatedAt: '2024-02-01T00:00:00.000Z',
+    games: [
+      createGame(1, 'Catan', { rating: 8, copies: [createCopy('c1', { pricePaid: 45, currency: 'USD' })] }),
+      createGame(2, 'Azul', { copies: [createCopy('c2', { statusOwned: true })] }),
+      createGame(4, 'New Game'),
+    ],
+    plays: [
+      createPlay(1, '2024-01-05 19:00:00', { durationMin: 75, players: [1, 2] }),
+      // Estimated duration shifted with the typical play time: not an edit
+      createPlay(1, '2024-01-06 19:00:00', { durationMin: 45, durationEstimated: true }),
+      createPlay(2, '2024-01-07 19:00:00'),
+      createPlay(4, '2024-01-30 19:00:00'),
+    ],
+  };
+}
+
+describe('diffData', () => {
+  test('records the generatedAt of both runs', () => {
+    const changes = diffData(createPrevious(), createCurrent());
+
+    expect(changes.previousGeneratedAt).toBe('2024-01-10T00:00:00.000Z');
+    expect(changes.generatedAt).toBe('2024-02-01T00:00:00.000Z');
+  });
+
+  test('finds new and deleted plays by game and timestamp', () => {
+    const changes = diffData(createPrevious(), createCurrent());
+
+    expect(changes.plays.added.map(p => [p.gameId, p.timestamp])).toEqual([[4, '2024-01-30 19:00:00']]);
+    expect(changes.plays.removed.map(p => [p.gameId, p.timestamp])).toEqual([[3, '2024-01-08 19:00:00']]);
+  });
+
+  test('finds edited plays and the fields that changed, ignoring estimated durations', () => {
+    const changes = diffData(createPrevious(), createCurrent());
+
+    expect(changes.plays.edited).toHaveLength(1);
+    expect(changes.plays.edited[0].after.timestamp).toBe('2024-01-05 19:00:00');
+    expect(changes.plays.edited[0].fields).toEqual(['durationMin', 'players']);
+  });
+
+  test('reports a logged duration replacing an estimate as an edit', () => {
+    const previous = createPrevious();
+    const current = createPrevious();
+    current.plays[1] = { ...current.plays[1], durationMin: 30, durationEstimated: false };
+
+    const changes = diffData(previous, current);
+    expect(changes.plays.edited.map(e => e.fields)).toEqual([['durationMin']]);
+  });
+
+  test('pairs plays sharing a game and timestamp one-to-one', () => {
+    const previous = { games: [], plays: [createPlay(1, '2024-01-01 10:00:00')] };
+    const current = {
+      games: [],
+      plays: [createPlay(1, '2024-01-01 10:00:00'), createPlay(1, '2024-01-01 10:00:00', { locationId: 2 })],
+    };
+
+    const changes = diffData(previous, current);
+    expect(changes.plays.added).toHaveLength(1);
+    expect(changes.plays.edited).toHaveLength(0);
+    expect(changes.previousGeneratedAt).toBeNull();
+    expect(changes.generatedAt).toBeNull();
+  });
+
+  test('finds games added to and removed from the collection', () => {
+    const changes = diffData(createPrevious(), createCurrent());
+
+    expect(changes.games.added).toEqual([{ gameId: 4, name: 'New Game' }]);
+    expect(changes.games.removed).toEqual([{ gameId: 3, name: 'Old Game' }]);
+  });
+
+  test('finds ownership flips', () => {
+    const changes = diffData(createPrevious(), createCurrent());
+
+    expect(changes.ownership).toEqual([{ gameId: 2, name: 'Azul', before: false, after: true }]);
+  });
+
+  test('finds rating changes, including games becoming rated or unrated', () => {
+    const previous = createPrevious();
+    const current = createCurrent();
+    current.games[1] = { ...current.games[1], rating: 6 };
+
+    const changes = diffData(previous, current);
+    expect(changes.ratings).toEqual([
+      { gameId: 1, name: 'Catan', before: 7, after: 8 },
+      { gameId: 2, name: 'Azul', before: null, after: 6 },
+    ]);
+  });
+
+  test('finds price and currency edits on copies present in both runs', () => {
+    const previous = createPrevious();
+    const current = createCurrent();
+    current.games[1] = { ...current.games[1], copies: [createCopy('c2', { currency: 'EUR' }), createCopy('c2b', { pricePaid: 10 })] };
+
+    const changes = diffData(previous, current);
+    expect(changes.prices).toEqual([
+      {
+        gameId: 1, name: 'Catan', copyId: 'c1',
+        before: { pricePaid: 40, currency: 'USD' },
+        after: { pricePaid: 45, currency: 'USD' },
+      },
+      {
+        gameId: 2, name: 'Azul', copyId: 'c2',
+        before: { pricePaid: null, currency: null },
+        after: { pricePaid: null, currency: 'EUR' },
+      },
+    ]);
+  });
+
+  test('ignores converted price changes when only the exchange rates changed', () => {
+    const convertedCopy = (copyId, pricePaid, currency) => ({
+      ...createCopy(copyId, { pricePaid, currency }),
+      originalPricePaid: 30,
+      originalCurrency: 'GBP',
+    });
+    const previous = { games: [createGame(1, 'Catan', { copies: [convertedCopy('c1', 37.5, 'USD'), convertedCopy('c2', null, null)] })], plays: [] };
+    const current = { games: [createGame(1, 'Catan', { copies: [convertedCopy('c1', 39, 'USD'), convertedCopy('c2', 39, 'USD')] })], plays: [] };
+
+    const changes = diffData(previous, current);
+    expect(changes.prices).toEqual([]);
+    expect(hasChanges(changes)).toBe(false);
+  });
+
+  test('compares entered prices, including against data.json files without them', () => {
+    const previous = { games: [createGame(1, 'Catan', { copies: [createCopy('c1', { pricePaid: 30, currency: 'GBP' })] })], plays: [] };
+    const current = {
+      games: [createGame(1, 'Catan', {
+        copies: [{ ...createCopy('c1', { pricePaid: 40, currency: 'USD' }), originalPricePaid: 32, originalCurrency: 'GBP' }],
+      })],
+      plays: [],
+    };
+
+    expect(diffData(previous, current).prices).toEqual([
+      { gameId: 1, name: 'Catan', copyId: 'c1', before: { pricePaid: 30, currency: 'GBP' }, after: { pricePaid: 32, currency: 'GBP' } },
+    ]);
+    expect(diffData(current, current).prices).toEqual([]);
+  });
+
+  test('handles games without copies', () => {
+    const previous = { games: [{ id: 1, name: 'Bare' }], plays: [] };
+    const current = { games: [{ id: 1, name: 'Bare' }], plays: [] };
+
+    const changes = diffData(previous, current);
+    expect(hasChanges(changes)).toBe(false);
+  });
+});
+
+describe('hasChanges', () => {
+  test('is false for identical data', () => {
+    expect(hasChanges(diffData(createPrevious(), createPrevious()))).toBe(false);
+  });
+
+  test('is true when anything changed', () => {
+    expect(hasChanges(diffData(createPrevious(), createCurrent()))).toBe(true);
+  });
+});
+
+describe('formatChangeReport', () => {
+  test('reports no changes for identical data', () => {
+    const previous = createPrevious();
+    const report = formatChangeReport(diffData(previous, previous), previous, previous);
+
+    expect(report).toBe('No changes since the last run.');
+  });
+
+  test('lists every kind of change with game names', () => {
+    const previous = createPrevious();
+    const current = createCurrent();
+    const report = formatChangeReport(diffData(previous, current), previous, current);
+
+    expect(report.split('\n')).toEqual([
+      '=== Changes Since Last Run ===',
+      'Plays: 1 new, 1 edited, 1 deleted',
+      '  + 2024-01-30 New Game',
+      '  ~ 2024-01-05 Catan (durationMin: 60 min → 75 min; players: [1] → [1, 2])',
+      '  - 2024-01-08 Old Game',
+      'Games: 1 added, 1 removed',
+      '  + New Game',
+      '  - Old Game',
+      'Ownership changes: 1',
+      '  Azul: now owned',
+      'Rating changes: 1',
+      '  Catan: 7 → 8',
+      'Price edits: 1',
+      '  Catan: 40.00 USD → 45.00 USD',
+    ]);
+  });
+
+  test('formats unrated, unpriced, estimated and missing values', () => {
+    const previous = createPrevious();
+    const current = createPrevious();
+    current.games = [
+      createGame(1, 'Catan', { copies: [createCopy('c1', { pricePaid: 40 })] }),
+      createGame(2, 'Azul', { copies: [createCopy('c2', { statusOwned: false, pricePaid: 12.5 })] }),
+      createGame(3, 'Old Game', { copies: [createCopy('c3', { statusOwned: false })] }),
+    ];
+    current.plays = previous.plays.map(play => ({ ...play }));
+    current.plays[0] = { ...current.plays[0], durationEstimated: true, locationId: null, players: undefined };
+    current.plays[2] = { ...current.plays[2], gameId: 99 };
+
+    const report = formatChangeReport(diffData(previous, current), previous, current);
+
+    expect(report).toContain('  ~ 2024-01-05 Catan (durationMin: 60 min → estimated; players: [1] → []; locationId: 1 → none)');
+    expect(report).toContain('  + 2024-01-07 Game 99');
+    expect(report).toContain('  Old Game: no longer owned');
+    expect(report).toContain('  Catan: 7 → unrated');
+    expect(report).toContain('  Catan: 40.00 USD → 40.00');
+    expect(report).toContain('  Azul: none → 12.50');
+  });
+});
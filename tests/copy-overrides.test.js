@@ -0,0 +1,53 @@
+import { describe, test, expect } from 'vitest';
+import { applyCopyOverride, validateCopyOverrides } from '../scripts/copy-overrides.js';
+
+/**
+ * Tests for copy-overrides.js
+ */
+
+function copy(fields = {}) {
+  return { copyId: 'c1', disposalDate: null, disposalMethod: null, salePrice: null, saleCurrency: null, ...fields };
+}
+
+describe('applyCopyOverride', () => {
+  test('fills in missing disposal details', () => {
+    const result = applyCopyOverride(copy(), { disposalDate: '2023-05-01', disposalMethod: ' Sold ', salePrice: 40, saleCurrency: 'CAD' });
+
+    expect(result).toEqual(copy({ disposalDate: '2023-05-01', disposalMethod: 'sold', salePrice: 40, saleCurrency: 'CAD' }));
+  });
+
+  test('keeps details already recorded in BG Stats', () => {
+    const result = applyCopyOverride(copy({ disposalDate: '2023-01-01', salePrice: 35 }), { disposalDate: '2023-05-01', salePrice: 40 });
+
+    expect(result).toEqual(copy({ disposalDate: '2023-01-01', salePrice: 35 }));
+  });
+
+  test('returns the copy unchanged without an override', () => {
+    const original = copy();
+    expect(applyCopyOverride(original, undefined)).toBe(original);
+  });
+});
+
+describe('validateCopyOverrides', () => {
+  test('accepts a well-formed table', () => {
+    expect(() => validateCopyOverrides({})).not.toThrow();
+    expect(() => validateCopyOverrides({
+      c1: { disposalDate: '2023-05-01', disposalMethod: 'sold', salePrice: 40, saleCurrency: 'USD' },
+      c2: { disposalMethod: 'traded' },
+    })).not.toThrow();
+  });
+
+  test('rejects tables that are not objects', () => {
+    expect(() => validateCopyOverrides(null)).toThrow('Invalid copy overrides: expected an object keyed by copy ID');
+    expect(() => validateCopyOverrides([])).toThrow('Invalid copy overrides: expected an object keyed by copy ID');
+  });
+
+  test('lists every problem in one error', () => {
+    expect(() => validateCopyOverrides({
+      c1: 'sold',
+      c2: { soldOn: '2023-05-01', disposalDate: '05/01/2023', disposalMethod: ' ', salePrice: -1, saleCurrency: 'usd' },
+    })).toThrow('Invalid copy overrides: c1: expected an object; c2: unknown key "soldOn"; '
+      + 'c2: "disposalDate" must be a YYYY-MM-DD date; c2: "disposalMethod" must be a non-empty string; '
+      + 'c2: "salePrice" must be a number of at least 0; c2: "saleCurrency" must be a three-letter currency code');
+  });
+});
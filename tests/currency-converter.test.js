@@ -0,0 +1,91 @@
+import { describe, test, expect } from 'vitest';
+import { createCurrencyConverter, validateExchangeRates } from '../scripts/currency-converter.js';
+
+/**
+ * Tests for currency-converter.js
+ */
+
+const exchangeRates = {
+  base: 'USD',
+  rates: {
+    '2023-01-01': { CAD: 1.35, EUR: 0.9 },
+    '2022-01-01': { CAD: 1.25, EUR: 0.8 },
+    '2024-01-01': { CAD: 1.5 },
+  },
+};
+
+describe('createCurrencyConverter', () => {
+  test('converts with the latest rate on or before the date', () => {
+    const convert = createCurrencyConverter(exchangeRates, 'USD');
+
+    expect(convert(135, 'CAD', '2023-06-15')).toBe(100);
+    expect(convert(125, 'CAD', '2022-12-31')).toBe(100);
+    expect(convert(150, 'CAD', '2024-01-01')).toBe(100);
+  });
+
+  test('uses the latest rate listing the currency', () => {
+    const convert = createCurrencyConverter(exchangeRates, 'USD');
+
+    expect(convert(45, 'EUR', '2024-06-01')).toBe(50);
+  });
+
+  test('uses the earliest rate before the table starts and the latest with no date', () => {
+    const convert = createCurrencyConverter(exchangeRates, 'USD');
+
+    expect(convert(80, 'EUR', '2015-01-01')).toBe(100);
+    expect(convert(150, 'CAD', null)).toBe(100);
+  });
+
+  test('converts through the table base to another base currency', () => {
+    const convert = createCurrencyConverter(exchangeRates, 'CAD');
+
+    expect(convert(90, 'EUR', '2023-03-01')).toBe(135);
+    expect(convert(100, 'USD', '2022-03-01')).toBe(125);
+  });
+
+  test('rounds to cents', () => {
+    const convert = createCurrencyConverter(exchangeRates, 'USD');
+
+    expect(convert(10, 'CAD', '2023-01-01')).toBe(7.41);
+  });
+
+  test('leaves base currency and currency-less prices unchanged', () => {
+    const convert = createCurrencyConverter(exchangeRates, 'EUR');
+
+    expect(convert(12.345, 'EUR', '2023-01-01')).toBe(12.345);
+    expect(convert(20, null, '2023-01-01')).toBe(20);
+  });
+
+  test('returns null when there is no rate for a currency', () => {
+    const convert = createCurrencyConverter(exchangeRates, 'USD');
+    const withoutTable = createCurrencyConverter(null, 'USD');
+
+    expect(convert(10, 'GBP', '2023-01-01')).toBeNull();
+    expect(withoutTable(10, 'CAD', '2023-01-01')).toBeNull();
+    expect(withoutTable(10, 'USD', '2023-01-01')).toBe(10);
+    expect(createCurrencyConverter(exchangeRates, 'GBP')(10, 'CAD', '2023-01-01')).toBeNull();
+  });
+});
+
+describe('validateExchangeRates', () => {
+  test('accepts a well-formed table', () => {
+    expect(() => validateExchangeRates(exchangeRates)).not.toThrow();
+    expect(() => validateExchangeRates({ base: 'EUR', rates: {} })).not.toThrow();
+  });
+
+  test('rejects tables that are not objects', () => {
+    expect(() => validateExchangeRates(null)).toThrow('Invalid exchange rates: expected an object');
+    expect(() => validateExchangeRates([])).toThrow('Invalid exchange rates: expected an object');
+  });
+
+  test('lists every problem in one error', () => {
+    expect(() => validateExchangeRates({ base: 'usd', rates: [] }))
+      .toThrow('Invalid exchange rates: "base" must be a three-letter currency code; "rates" must be an object keyed by date');
+    expect(() => validateExchangeRates({ base: 'USD', rates: { '2024-1-1': {}, '2024-01-01': { CAD: 0, eur: 1 } } }))
+      .toThrow('"2024-1-1" is not a YYYY-MM-DD date; 2024-01-01: CAD must be a currency code with a positive rate; 2024-01-01: eur must be a currency code with a positive rate');
+  });
+
+  test('is applied when creating a converter', () => {
+    expect(() => createCurrencyConverter({ base: 'USD' }, 'USD')).toThrow('"rates" must be an object keyed by date');
+  });
+});
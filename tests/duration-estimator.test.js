@@ -0,0 +1,82 @@
+import { describe, test, expect } from 'vitest';
+import { DurationModel, MIN_SAMPLES, TREND_WINDOW, createDurationEstimator } from '../scripts/duration-estimator.js';
+
+/**
+ * Tests for duration-estimator.js
+ */
+
+function sample(date, playerCount, durationMin, expansionIds = []) {
+  return { gameId: 1, date, playerCount, expansionIds, durationMin };
+}
+
+function playToEstimate(date, playerCount, expansionIds = []) {
+  return { gameId: 1, date, playerCount, expansionIds };
+}
+
+describe('createDurationEstimator', () => {
+  test('uses plays at the same player count with the same expansions first', () => {
+    const estimate = createDurationEstimator([
+      sample('2024-01-01', 4, 150, [20, 10]),
+      sample('2024-01-02', 4, 170, [10, 20]),
+      sample('2024-01-03', 4, 90),
+      sample('2024-01-04', 4, 100),
+    ]);
+
+    expect(estimate(playToEstimate('2024-02-01', 4, [10, 20]), 60)).toEqual({
+      durationMin: 160,
+      model: DurationModel.PLAYERS_AND_EXPANSIONS,
+    });
+  });
+
+  test('falls back to the player count when too few plays used the same expansions', () => {
+    const estimate = createDurationEstimator([
+      sample('2024-01-01', 4, 150, [10]),
+      sample('2024-01-03', 4, 90),
+      sample('2024-01-04', 4, 100),
+      sample('2024-01-05', 2, 40),
+      sample('2024-01-06', 2, 50),
+    ]);
+
+    expect(estimate(playToEstimate('2024-02-01', 4, [10]), 60)).toEqual({ durationMin: 100, model: DurationModel.PLAYERS });
+    expect(estimate(playToEstimate('2024-02-01', 2), 60)).toEqual({ durationMin: 45, model: DurationModel.PLAYERS_AND_EXPANSIONS });
+  });
+
+  test('falls back to all plays of the game when the player count is sparse or unknown', () => {
+    const estimate = createDurationEstimator([
+      sample('2024-01-01', 2, 40),
+      sample('2024-01-02', 2, 50),
+      sample('2024-01-03', 5, 200),
+    ]);
+
+    expect(estimate(playToEstimate('2024-02-01', 5), 60)).toEqual({ durationMin: 50, model: DurationModel.TREND });
+    expect(estimate(playToEstimate('2024-02-01', 0), 60)).toEqual({ durationMin: 50, model: DurationModel.TREND });
+    expect(MIN_SAMPLES).toBe(2);
+  });
+
+  test('follows the trend by using the plays nearest in time', () => {
+    const early = ['2023-01-01', '2023-01-02', '2023-01-03', '2023-01-04', '2023-01-05']
+      .map(date => sample(date, 2, 120));
+    const late = ['2024-06-01', '2024-06-02', '2024-06-03', '2024-06-04', '2024-06-05']
+      .map(date => sample(date, 2, 60));
+    const estimate = createDurationEstimator([...early, ...late]);
+
+    expect(TREND_WINDOW).toBe(5);
+    expect(estimate(playToEstimate('2023-01-10', 2), 90).durationMin).toBe(120);
+    expect(estimate(playToEstimate('2024-07-01', 2), 90).durationMin).toBe(60);
+  });
+
+  test('ignores plays without a logged duration and plays of other games', () => {
+    const estimate = createDurationEstimator([
+      sample('2024-01-01', 2, 0),
+      { ...sample('2024-01-02', 2, 45), gameId: 2 },
+    ]);
+
+    expect(estimate(playToEstimate('2024-02-01', 2), 30)).toEqual({ durationMin: 30, model: DurationModel.DEFAULT });
+  });
+
+  test('returns null when there is nothing to estimate from', () => {
+    const estimate = createDurationEstimator([]);
+
+    expect(estimate(playToEstimate('2024-02-01', 2), null)).toBeNull();
+  });
+});
@@ -0,0 +1,299 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { describe, test, expect } from 'vitest';
+import { parseXml, findChild, findChildren, decodeEntities } from '../scripts/importers/xml.js';
+import { convertBggXml } from '../scripts/importers/bgg-xml.js';
+import { ImportSource, importSource } from '../scripts/importers/index.js';
+import { processData } from '../scripts/transform-game-data.js';
+
+const BGG_PLAYS_FILE = fileURLToPath(new URL('./fixtures/bgg-plays.xml', import.meta.url));
+const BGG_COLLECTION_FILE = fileURLToPath(new URL('./fixtures/bgg-collection.xml', import.meta.url));
+const MINIMAL_FILE = fileURLToPath(new URL('./fixtures/minimal.json', import.meta.url));
+
+const bggPlaysXml = fs.readFileSync(BGG_PLAYS_FILE, 'utf-8');
+const bggCollectionXml = fs.readFileSync(BGG_COLLECTION_FILE, 'utf-8');
+
+/**
+ * Tests for the importer layer in scripts/importers
+ *
+ * Importers convert other export formats into the BG Stats export shape,
+ * so the output is verified both directly and after running through processData.
+ */
+
+describe('XML parser', () => {
+  test('parses nested elements, attributes and text', () => {
+    const root = parseXml('<?xml version="1.0"?><a x="1" y=\'two\'><b>hello</b><c/><b>world</b></a>');
+
+    expect(root.name).toBe('a');
+    expect(root.attributes).toEqual({ x: '1', y: 'two' });
+    expect(findChildren(root, 'b').map(b => b.text)).toEqual(['hello', 'world']);
+    expect(findChild(root, 'c').children).toEqual([]);
+    expect(findChild(root, 'missing')).toBeUndefined();
+  });
+
+  test('decodes named and numeric entities in text and attributes', () => {
+    const root = parseXml('<a title="&quot;Q&quot; &amp; A">&lt;&#65;&#x42;&gt; &apos;x&apos; &unknown;</a>');
+
+    expect(root.attributes.title).toBe('"Q" & A');
+    expect(root.text).toBe('<AB> \'x\' &unknown;');
+  });
+
+  test('keeps CDATA verbatim and ignores comments and doctypes', () => {
+    const root = parseXml('<!DOCTYPE a><a><!-- note --><![CDATA[<raw> & text]]></a>');
+
+    expect(root.text).toBe('<raw> & text');
+    expect(root.children).toEqual([]);
+  });
+
+  test('throws on mismatched or unclosed tags', () => {
+    expect(() => parseXml('<a><b></a>')).toThrow('Mismatched closing tag </a>');
+    expect(() => parseXml('<a><b>')).toThrow('Unclosed tag <b>');
+  });
+
+  test('throws when there is no root element', () => {
+    expect(() => parseXml('<?xml version="1.0"?>')).toThrow('no root element');
+  });
+
+  test('decodeEntities leaves plain text unchanged', () => {
+    expect(decodeEntities('plain text')).toBe('plain text');
+  });
+});
+
+describe('BGG XML importer', () => {
+  describe('Collection', () => {
+    test('creates one game per BGG object, keyed by BGG ID', () => {
+      const data = convertBggXml(null, bggCollectionXml);
+
+      expect(data.games.map(g => g.id)).toEqual([13, 926, 68448]);
+      data.games.forEach(game => expect(game.bggId).toBe(game.id));
+    });
+
+    test('maps name, year and images', () => {
+      const catan = convertBggXml(null, bggCollectionXml).games.find(g => g.bggId === 13);
+
+      expect(catan.name).toBe('CATAN');
+      expect(catan.bggYear).toBe(1995);
+      expect(catan.urlThumb).toBe('https://cf.geekdo-images.com/catan_thumb.jpg');
+      expect(catan.urlImage).toBe('https://cf.geekdo-images.com/catan.jpg');
+    });
+
+    test('classifies by collection subtype', () => {
+      const data = convertBggXml(null, bggCollectionXml);
+      const catan = data.games.find(g => g.bggId === 13);
+      const seafarers = data.games.find(g => g.bggId === 926);
+
+      expect(catan).toMatchObject({ isBaseGame: 1, isExpansion: 0 });
+      expect(seafarers).toMatchObject({ isBaseGame: 0, isExpansion: 1 });
+    });
+
+    test('packs private info, rating and comment into copy metaData', () => {
+      const catan = convertBggXml(null, bggCollectionXml).games.find(g => g.bggId === 13);
+
+      expect(catan.copies).toHaveLength(1);
+      expect(catan.copies[0].uuid).toBe('bgg-collection-1001');
+      expect(catan.copies[0].statusOwned).toBe(true);
+      expect(JSON.parse(catan.copies[0].metaData)).toEqual({
+        AcquisitionDate: '2020-03-01',
+        PricePaid: '42.50',
+        PricePaidCurrency: 'USD',
+        Rating: '7.5',
+        PublicComment: 'Classic & still fun',
+      });
+    });
+
+    test('omits empty private info, zero dates and N/A ratings', () => {
+      const seafarers = convertBggXml(null, bggCollectionXml).games.find(g => g.bggId === 926);
+
+      expect(JSON.parse(seafarers.copies[0].metaData)).toEqual({});
+    });
+
+    test('merges repeated collection items into multiple copies', () => {
+      const sevenWonders = convertBggXml(null, bggCollectionXml).games.find(g => g.bggId === 68448);
+
+      expect(sevenWonders.copies.map(c => c.uuid)).toEqual(['bgg-collection-1003', 'bgg-collection-1004']);
+      expect(sevenWonders.copies.map(c => c.statusOwned)).toEqual([false, true]);
+    });
+
+    test('defaults to a single self player when no plays are given', () => {
+      const data = convertBggXml(null, bggCollectionXml);
+
+      expect(data.userInfo.meRefId).toBe(1);
+      expect(data.players).toEqual([{ id: 1, name: 'Me', isAnonymous: false }]);
+      expect(data.plays).toEqual([]);
+      expect(data.locations).toEqual([]);
+    });
+
+    test('skips non-thing items', () => {
+      const data = convertBggXml(null, '<items><item objecttype="family" objectid="1" collid="1"><name>X</name></item></items>');
+
+      expect(data.games).toEqual([]);
+    });
+  });
+
+  describe('Plays', () => {
+    test('expands quantity into separate plays with the length split evenly', () => {
+      const data = convertBggXml(bggPlaysXml, null);
+      const azulPlays = data.plays.filter(p => p.gameRefId === 230802);
+
+      expect(azulPlays).toHaveLength(2);
+      azulPlays.forEach(play => {
+        expect(play.playDate).toBe('2024-02-10 00:00:00');
+        expect(play.durationMin).toBe(45);
+      });
+    });
+
+    test('skips plays of non-thing items', () => {
+      const data = convertBggXml(bggPlaysXml, null);
+
+      expect(data.plays.some(p => p.gameRefId === 5)).toBe(false);
+      expect(data.plays).toHaveLength(5);
+    });
+
+    test('creates games for played items missing from the collection', () => {
+      const azul = convertBggXml(bggPlaysXml, null).games.find(g => g.bggId === 230802);
+
+      expect(azul).toMatchObject({ name: 'Azul', isBaseGame: 1, isExpansion: 0, copies: [] });
+    });
+
+    test('classifies played items by subtype', () => {
+      const seafarers = convertBggXml(bggPlaysXml, null).games.find(g => g.bggId === 926);
+
+      expect(seafarers).toMatchObject({ isBaseGame: 0, isExpansion: 1 });
+    });
+
+    test('makes the exporting user player 1 using their logged display name', () => {
+      const data = convertBggXml(bggPlaysXml, null);
+
+      expect(data.userInfo.meRefId).toBe(1);
+      expect(data.players[0]).toEqual({ id: 1, name: 'Test User', isAnonymous: false });
+    });
+
+    test('dedupes players by username (case-insensitive), otherwise by name', () => {
+      const data = convertBggXml(bggPlaysXml, null);
+
+      expect(data.players).toEqual([
+        { id: 1, name: 'Test User', isAnonymous: false },
+        { id: 2, name: 'Anonymous player', isAnonymous: true },
+        { id: 3, name: 'Friend One', isAnonymous: false },
+        { id: 4, name: 'Sam', isAnonymous: false },
+      ]);
+      const catanPlay = data.plays.find(p => p.gameRefId === 13 && p.playerScores.length > 0);
+      expect(catanPlay.playerScores.map(ps => ps.playerRefId)).toEqual([1, 3, 4]);
+    });
+
+    test('carries scores and winners into player scores', () => {
+      const data = convertBggXml(bggPlaysXml, null);
+      const catanPlay = data.plays.find(p => p.gameRefId === 13 && p.playerScores.length > 0);
+
+      expect(catanPlay.playerScores).toEqual([
+        { playerRefId: 1, score: '10', winner: true, startPlayer: false },
+        { playerRefId: 3, score: '8', winner: false, startPlayer: false },
+        { playerRefId: 4, score: '6', winner: false, startPlayer: false },
+      ]);
+    });
+
+    test('treats plays without players as having no participants', () => {
+      const data = convertBggXml(bggPlaysXml, null);
+      const soloLog = data.plays.find(p => p.playDate === '2023-12-31 00:00:00');
+
+      expect(soloLog.playerScores).toEqual([]);
+    });
+
+    test('assigns sequential location IDs and null for blank locations', () => {
+      const data = convertBggXml(bggPlaysXml, null);
+
+      expect(data.locations).toEqual([
+        { id: 1, name: 'Café "Meeples"' },
+        { id: 2, name: 'Home' },
+      ]);
+      expect(data.plays.find(p => p.gameRefId === 926).locationRefId).toBeNull();
+    });
+
+    test('falls back to a generic self player when the dump has no username', () => {
+      const data = convertBggXml('<plays><play date="2024-01-01" quantity="0"><item name="G" objecttype="thing" objectid="7"/><players><player name=""/></players></play></plays>', null);
+
+      expect(data.players).toEqual([
+        { id: 1, name: 'Me', isAnonymous: false },
+        { id: 2, name: 'Anonymous player', isAnonymous: true },
+      ]);
+      expect(data.plays).toHaveLength(1);
+      expect(data.plays[0].durationMin).toBe(0);
+    });
+  });
+
+  describe('processData integration', () => {
+    test('produces the standard games/plays/players/locations output', async () => {
+      const output = await processData(convertBggXml(bggPlaysXml, bggCollectionXml));
+
+      expect(output.selfPlayerId).toBe(1);
+      expect(output.anonymousPlayerId).toBe(2);
+      expect(output.games.map(g => g.name)).toEqual(['7 Wonders', 'Azul', 'CATAN', 'CATAN: Seafarers']);
+      expect(output.plays).toHaveLength(5);
+      expect(output.players.map(p => p.name)).toEqual(['Test User', 'Anonymous player', 'Friend One', 'Sam']);
+      expect(output.locations.map(l => l.name)).toEqual(['Café "Meeples"', 'Home']);
+    });
+
+    test('carries collection metadata through to game and copy output', async () => {
+      const output = await processData(convertBggXml(bggPlaysXml, bggCollectionXml));
+      const catan = output.games.find(g => g.bggId === 13);
+      const sevenWonders = output.games.find(g => g.bggId === 68448);
+
+      expect(catan.rating).toBe(7.5);
+      expect(catan.playCount).toBe(2);
+      expect(catan.uniquePlayDays).toBe(2);
+      expect(catan.copies[0]).toMatchObject({
+        copyId: 'bgg-collection-1001',
+        acquisitionDate: '2020-03-01',
+        statusOwned: true,
+        pricePaid: 42.5,
+        currency: 'USD',
+        publicComment: 'Classic & still fun',
+      });
+      expect(sevenWonders.rating).toBe(8);
+    });
+
+    test('attributes plays to the owned copy and estimates missing durations', async () => {
+      const output = await processData(convertBggXml(bggPlaysXml, bggCollectionXml));
+      const seafarersPlay = output.plays.find(p => p.gameId === 926);
+      const catanPlay = output.plays.find(p => p.gameId === 13 && p.date === '2024-01-20');
+
+      expect(catanPlay.copyId).toBe('bgg-collection-1001');
+      expect(catanPlay.players).toEqual([1, 3, 4]);
+      expect(catanPlay.locationId).toBe(2);
+      expect(seafarersPlay.durationMin).toBe(30);
+      expect(seafarersPlay.durationEstimated).toBe(true);
+    });
+  });
+});
+
+describe('importSource', () => {
+  test('loads a BG Stats export by default source name', () => {
+    const data = importSource(ImportSource.BG_STATS, { bgStatsFile: MINIMAL_FILE });
+
+    expect(data).toEqual(JSON.parse(fs.readFileSync(MINIMAL_FILE, 'utf-8')));
+  });
+
+  test('loads BGG plays and collection XML from disk', () => {
+    const data = importSource(ImportSource.BGG_XML, {
+      bggPlaysFile: BGG_PLAYS_FILE,
+      bggCollectionFile: BGG_COLLECTION_FILE,
+    });
+
+    expect(data).toEqual(convertBggXml(bggPlaysXml, bggCollectionXml));
+  });
+
+  test('loads BGG XML when only one dump is given', () => {
+    const data = importSource(ImportSource.BGG_XML, { bggCollectionFile: BGG_COLLECTION_FILE });
+
+    expect(data.games).toHaveLength(3);
+    expect(data.plays).toEqual([]);
+  });
+
+  test('requires at least one BGG XML dump', () => {
+    expect(() => importSource(ImportSource.BGG_XML, {})).toThrow('--bgg-plays and/or --bgg-collection');
+  });
+
+  test('rejects unknown sources', () => {
+    expect(() => importSource('csv', {})).toThrow('Unknown import source "csv"');
+  });
+});
@@ -0,0 +1,272 @@
+import { describe, test, expect } from 'vitest';
+import { mergeExports } from '../scripts/merge-exports.js';
+import { processData } from '../scripts/transform-game-data.js';
+
+/**
+ * Tests for merge-exports.js
+ *
+ * Two household members' BG Stats databases: IDs differ between them, some
+ * entities are shared by UUID, others only by name (or BGG ID for games).
+ */
+
+function createPrimaryExport() {
+  return {
+    userInfo: { meRefId: 1 },
+    tags: [
+      { uuid: 'tag-coop', id: 1, name: 'Co-op', type: 'Personal' },
+      { id: 2, name: 'Family', type: 'Personal' },
+    ],
+    players: [
+      { uuid: 'p-alex', id: 1, name: 'Alex', isAnonymous: false },
+      { uuid: 'p-jordan-a', id: 2, name: 'Jordan', isAnonymous: false },
+      { uuid: 'p-anon-a', id: 3, name: 'Anonymous', isAnonymous: true },
+    ],
+    locations: [
+      { uuid: 'l-home', id: 1, name: '🏡 Home' },
+    ],
+    games: [
+      {
+        uuid: 'g-catan-a', id: 1, name: 'Catan', bggId: 13, bggYear: 1995,
+        isBaseGame: 1, isExpansion: 0, tags: [{ tagRefId: 2 }],
+        copies: [{ uuid: 'copy-catan-a', statusOwned: true, metaData: '{"AcquisitionDate":"2020-01-01"}' }],
+      },
+      {
+        uuid: 'g-seafarers-a', id: 2, name: 'Seafarers', bggId: 926, bggYear: 1997,
+        isBaseGame: 0, isExpansion: 1, tags: [], copies: [],
+      },
+    ],
+    plays: [
+      {
+        uuid: 'play-shared', gameRefId: 1, playDate: '2024-01-10 19:00:00', durationMin: 60,
+        locationRefId: 1, playerScores: [{ playerRefId: 1 }, { playerRefId: 2 }], expansionPlays: [],
+      },
+      {
+        uuid: 'play-a-only', gameRefId: 1, playDate: '2024-01-12 19:00:00', durationMin: 0,
+        locationRefId: 1, playerScores: [{ playerRefId: 1 }, { playerRefId: 2 }], expansionPlays: [],
+      },
+      {
+        uuid: 'play-a-solo', gameRefId: 1, playDate: '2024-01-15 19:00:00', durationMin: 30,
+        locationRefId: 1, playerScores: [{ playerRefId: 1 }], expansionPlays: [],
+      },
+    ],
+  };
+}
+
+function createPartnerExport() {
+  return {
+    userInfo: { meRefId: 1 },
+    tags: [
+      { uuid: 'tag-coop', id: 5, name: 'Co-op', type: 'Personal' },
+      { id: 6, name: 'family', type: 'Personal' },
+      { id: 7, name: 'Heavy', type: 'Personal' },
+    ],
+    players: [
+      { uuid: 'p-jordan-b', id: 1, name: 'jordan ', isAnonymous: false },
+      { uuid: 'p-alex', id: 2, name: 'Alex B', isAnonymous: false },
+      { uuid: 'p-anon-b', id: 3, name: 'Anonymous', isAnonymous: true },
+      { uuid: 'p-sam', id: 4, name: 'Sam', isAnonymous: false },
+    ],
+    locations: [
+      { uuid: 'l-cafe', id: 1, name: 'Cafe' },
+      { uuid: 'l-home-b', id: 2, name: '🏡 home' },
+    ],
+    games: [
+      {
+        uuid: 'g-seafarers-b', id: 1, name: 'Catan: Seafarers', bggId: 926, bggYear: 1997,
+        isBaseGame: 0, isExpansion: 1, tags: [], copies: [
+          { uuid: 'copy-seafarers-b', statusOwned: true, metaData: '{}' },
+        ],
+      },
+      {
+        uuid: 'g-catan-b', id: 2, name: 'Catan', bggId: 13, bggYear: 1995,
+        isBaseGame: 1, isExpansion: 0, tags: [{ tagRefId: 6 }, { tagRefId: 7 }],
+        copies: [
+          { uuid: 'copy-catan-a', statusOwned: true, metaData: '{"AcquisitionDate":"2020-01-01"}' },
+          { uuid: 'copy-catan-b', statusOwned: false, metaData: '{}' },
+        ],
+      },
+      {
+        uuid: 'g-homebrew', id: 3, name: 'Homebrew', bggId: 0,
+        isBaseGame: 1, isExpansion: 0, tags: [{ tagRefId: 99 }], copies: [],
+      },
+    ],
+    plays: [
+      {
+        // Same session shared between databases (same UUID)
+        uuid: 'play-shared', gameRefId: 2, playDate: '2024-01-10 19:05:00', durationMin: 65,
+        locationRefId: 2, playerScores: [{ playerRefId: 1 }, { playerRefId: 2 }], expansionPlays: [],
+      },
+      {
+        // Same session logged independently: extra player, expansion and a duration
+        uuid: 'play-b-dup', gameRefId: 2, playDate: '2024-01-12 20:00:00', durationMin: 50,
+        locationRefId: 2, playerScores: [{ playerRefId: 1 }, { playerRefId: 4 }],
+        expansionPlays: [{ gameRefId: 1 }],
+      },
+      {
+        // Same game and day, but no overlapping players: a separate session
+        uuid: 'play-b-separate', gameRefId: 2, playDate: '2024-01-15 10:00:00', durationMin: 30,
+        locationRefId: 1, playerScores: [{ playerRefId: 4 }], expansionPlays: [],
+      },
+      {
+        uuid: 'play-b-new', gameRefId: 3, playDate: '2024-01-20 10:00:00', durationMin: 20,
+        locationRefId: 1, playerScores: [{ playerRefId: 1 }, { playerRefId: 3 }],
+      },
+    ],
+  };
+}
+
+describe('mergeExports', () => {
+  describe('Entity reconciliation', () => {
+    test('matches players by UUID or normalized name and keeps primary IDs', () => {
+      const merged = mergeExports([createPrimaryExport(), createPartnerExport()]);
+
+      expect(merged.players.map(p => [p.id, p.name])).toEqual([
+        [1, 'Alex'],
+        [2, 'Jordan'],
+        [3, 'Anonymous'],
+        [4, 'Sam'],
+      ]);
+    });
+
+    test('keeps the primary export owner as the self player', () => {
+      const merged = mergeExports([createPrimaryExport(), createPartnerExport()]);
+
+      expect(merged.userInfo.meRefId).toBe(1);
+    });
+
+    test('matches locations by normalized name and assigns new IDs to new locations', () => {
+      const merged = mergeExports([createPrimaryExport(), createPartnerExport()]);
+
+      expect(merged.locations.map(l => [l.id, l.name])).toEqual([
+        [1, '🏡 Home'],
+        [2, 'Cafe'],
+      ]);
+    });
+
+    test('matches games by BGG ID and combines copies without duplicating shared ones', () => {
+      const merged = mergeExports([createPrimaryExport(), createPartnerExport()]);
+      const catan = merged.games.find(g => g.bggId === 13);
+      const seafarers = merged.games.find(g => g.bggId === 926);
+
+      expect(catan.id).toBe(1);
+      expect(catan.copies.map(c => c.uuid)).toEqual(['copy-catan-a', 'copy-catan-b']);
+      expect(seafarers.id).toBe(2);
+      expect(seafarers.name).toBe('Seafarers');
+      expect(seafarers.copies.map(c => c.uuid)).toEqual(['copy-seafarers-b']);
+    });
+
+    test('merges tags by UUID or type and name, and remaps game tag references', () => {
+      const merged = mergeExports([createPrimaryExport(), createPartnerExport()]);
+      const catan = merged.games.find(g => g.bggId === 13);
+
+      expect(merged.tags.map(t => [t.id, t.name])).toEqual([[1, 'Co-op'], [2, 'Family'], [7, 'Heavy']]);
+      expect(catan.tags).toEqual([{ tagRefId: 2 }, { tagRefId: 7 }]);
+    });
+
+    test('matches games without a BGG ID by name', () => {
+      const homebrewAgain = createPartnerExport();
+      homebrewAgain.games = [homebrewAgain.games[2]];
+      homebrewAgain.plays = [];
+      const merged = mergeExports([createPrimaryExport(), createPartnerExport(), homebrewAgain]);
+      const homebrews = merged.games.filter(g => g.name === 'Homebrew');
+
+      expect(homebrews).toHaveLength(1);
+      expect(homebrews[0].id).toBe(3);
+      // Unknown tag references are left unchanged
+      expect(homebrews[0].tags).toEqual([{ tagRefId: 99 }]);
+    });
+  });
+
+  describe('Play deduplication', () => {
+    test('merges plays shared by UUID and records both loggers', () => {
+      const merged = mergeExports([createPrimaryExport(), createPartnerExport()]);
+      const shared = merged.plays.filter(p => p.uuid === 'play-shared');
+
+      expect(shared).toHaveLength(1);
+      expect(shared[0].loggedBy).toEqual([1, 2]);
+      expect(shared[0].durationMin).toBe(60);
+    });
+
+    test('merges independently logged duplicates, combining players, expansions and duration', () => {
+      const merged = mergeExports([createPrimaryExport(), createPartnerExport()]);
+      const play = merged.plays.find(p => p.uuid === 'play-a-only');
+
+      expect(merged.plays.some(p => p.uuid === 'play-b-dup')).toBe(false);
+      expect(play.loggedBy).toEqual([1, 2]);
+      expect(play.playerScores.map(ps => ps.playerRefId)).toEqual([1, 2, 4]);
+      expect(play.expansionPlays).toEqual([{ gameRefId: 2 }]);
+      expect(play.durationMin).toBe(50);
+    });
+
+    test('keeps plays with no overlapping players as separate sessions', () => {
+      const merged = mergeExports([createPrimaryExport(), createPartnerExport()]);
+      const separate = merged.plays.find(p => p.uuid === 'play-b-separate');
+
+      expect(separate.loggedBy).toEqual([2]);
+      expect(separate.gameRefId).toBe(1);
+      expect(separate.locationRefId).toBe(2);
+    });
+
+    test('remaps IDs on plays only one export logged', () => {
+      const merged = mergeExports([createPrimaryExport(), createPartnerExport()]);
+      const newPlay = merged.plays.find(p => p.uuid === 'play-b-new');
+
+      expect(newPlay.gameRefId).toBe(3);
+      expect(newPlay.playerScores.map(ps => ps.playerRefId)).toEqual([2, 3]);
+      expect(newPlay.expansionPlays).toEqual([]);
+      expect(newPlay.loggedBy).toEqual([2]);
+    });
+
+    test('does not merge plays whose durations differ beyond the tolerance', () => {
+      const primary = createPrimaryExport();
+      const partner = createPartnerExport();
+      partner.plays = [{ ...partner.plays[0], uuid: 'other', durationMin: 120 }];
+
+      const merged = mergeExports([primary, partner]);
+      expect(merged.plays.filter(p => p.playDate.startsWith('2024-01-10'))).toHaveLength(2);
+
+      const lenient = mergeExports([createPrimaryExport(), partner], { durationToleranceMin: 60 });
+      expect(lenient.plays.filter(p => p.playDate.startsWith('2024-01-10'))).toHaveLength(1);
+    });
+
+    test('pairs duplicates one-to-one when the same game was played twice in a day', () => {
+      const primary = createPrimaryExport();
+      primary.plays = [
+        { uuid: 'a1', gameRefId: 1, playDate: '2024-02-01 18:00:00', durationMin: 30, playerScores: [] },
+        { uuid: 'a2', gameRefId: 1, playDate: '2024-02-01 19:00:00', durationMin: 30, playerScores: [] },
+      ];
+      const partner = createPartnerExport();
+      partner.plays = [
+        { uuid: 'b1', gameRefId: 2, playDate: '2024-02-01 18:00:00', durationMin: 30, playerScores: [] },
+        { uuid: 'b2', gameRefId: 2, playDate: '2024-02-01 19:00:00', durationMin: 30, playerScores: [] },
+        { uuid: 'b3', gameRefId: 2, playDate: '2024-02-01 20:00:00', durationMin: 30, playerScores: [] },
+      ];
+
+      const merged = mergeExports([primary, partner]);
+
+      expect(merged.plays.map(p => [p.uuid, p.loggedBy])).toEqual([
+        ['a1', [1, 2]],
+        ['a2', [1, 2]],
+        ['b3', [2]],
+      ]);
+    });
+
+    test('does not record the same logger twice', () => {
+      const merged = mergeExports([createPrimaryExport(), createPrimaryExport()]);
+
+      expect(merged.plays).toHaveLength(3);
+      merged.plays.forEach(play => expect(play.loggedBy).toEqual([1]));
+    });
+  });
+
+  describe('processData integration', () => {
+    test('passes loggedBy through to processed plays', async () => {
+      const output = await processData(mergeExports([createPrimaryExport(), createPartnerExport()]));
+
+      expect(output.plays).toHaveLength(5);
+      expect(output.plays.find(p => p.date === '2024-01-10').loggedBy).toEqual([1, 2]);
+      expect(output.plays.find(p => p.date === '2024-01-20').loggedBy).toEqual([2]);
+      expect(output.homeLocationId).toBe(1);
+    });
+  });
+});
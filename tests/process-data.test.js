@@ -1,13 +1,17 @@
+import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { fileURLToPath } from 'url';
 import { describe, test, expect, vi } from 'vitest';
 import { processData } from '../scripts/transform-game-data.js';
+import { resolveConfig } from '../config.js';
 import minimalFixture from './fixtures/minimal.json';
 import typicalFixture from './fixtures/typical.json';
 import edgeCasesFixture from './fixtures/edge-cases.json';
 import expandaloneFixture from './fixtures/expandalone.json';
 import durationMissingFixture from './fixtures/duration-missing.json';
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const TEMP_CACHE_PATH = path.join(os.tmpdir(), 'bgg-test-cache.json');
 
 /**
@@ -151,6 +155,107 @@ describe('process-data.js transformation logic', () => {
       expect(game.copies[0].currency).toBeNull();
     });
 
+    test('converts prices to the base currency at the acquisition date', async () => {
+      const fixtureInCad = {
+        ...minimalFixture,
+        games: [{
+          ...minimalFixture.games[0],
+          copies: [{
+            uuid: 'cad-copy',
+            statusOwned: true,
+            metaData: '{"AcquisitionDate":"2021-01-15","PricePaid":"39.99","PricePaidCurrency":"CAD"}'
+          }, {
+            uuid: 'gbp-copy',
+            statusOwned: true,
+            metaData: '{"AcquisitionDate":"2021-01-15","PricePaid":"20","PricePaidCurrency":"GBP"}'
+          }]
+        }]
+      };
+      const exchangeRates = { base: 'USD', rates: { '2020-01-01': { CAD: 1.25 }, '2022-01-01': { CAD: 1.5 } } };
+
+      const output = await processData(fixtureInCad, { exchangeRates });
+      const [cadCopy, gbpCopy] = output.games[0].copies;
+
+      expect(cadCopy).toMatchObject({ pricePaid: 31.99, currency: 'USD', originalPricePaid: 39.99, originalCurrency: 'CAD' });
+      expect(gbpCopy).toMatchObject({ pricePaid: null, currency: null, originalPricePaid: 20, originalCurrency: 'GBP' });
+    });
+
+    test('keeps base currency prices and records them as entered', async () => {
+      const output = await processData(minimalFixture);
+      const game = output.games.find(g => g.name === 'Test Base Game');
+
+      expect(game.copies[0].originalPricePaid).toBe(29.99);
+      expect(game.copies[0].originalCurrency).toBe('USD');
+    });
+
+    test('extracts disposal details and converts the sale price at the disposal date', async () => {
+      const fixtureWithSale = {
+        ...minimalFixture,
+        games: [{
+          ...minimalFixture.games[0],
+          copies: [{
+            uuid: 'sold-copy',
+            statusOwned: false,
+            metaData: '{"AcquisitionDate":"2021-01-15","PricePaid":"60","PricePaidCurrency":"USD",'
+              + '"DisposalDate":"2023-05-01","DisposalMethod":"Sold","SalePrice":"60","SalePriceCurrency":"CAD"}'
+          }]
+        }]
+      };
+      const exchangeRates = { base: 'USD', rates: { '2023-01-01': { CAD: 1.5 } } };
+
+      const output = await processData(fixtureWithSale, { exchangeRates });
+
+      expect(output.games[0].copies[0]).toMatchObject({
+        disposalDate: '2023-05-01',
+        disposalMethod: 'sold',
+        salePrice: 40,
+        saleCurrency: 'USD',
+        originalSalePrice: 60,
+        originalSaleCurrency: 'CAD',
+      });
+    });
+
+    test('fills in missing disposal details from copy overrides', async () => {
+      const fixtureWithTrade = {
+        ...minimalFixture,
+        games: [{
+          ...minimalFixture.games[0],
+          copies: [{
+            uuid: 'traded-copy',
+            statusOwned: false,
+            metaData: '{"AcquisitionDate":"2021-01-15","DisposalMethod":"Traded"}'
+          }]
+        }]
+      };
+      const copyOverrides = { 'traded-copy': { disposalDate: '2022-08-01', disposalMethod: 'sold', salePrice: 15 } };
+
+      const output = await processData(fixtureWithTrade, { copyOverrides });
+
+      expect(output.games[0].copies[0]).toMatchObject({
+        disposalDate: '2022-08-01',
+        disposalMethod: 'traded',
+        salePrice: 15,
+        saleCurrency: 'USD',
+      });
+    });
+
+    test('leaves disposal details null for copies still owned', async () => {
+      const output = await processData(minimalFixture);
+      const game = output.games.find(g => g.name === 'Test Base Game');
+
+      expect(game.copies[0]).toMatchObject({ disposalDate: null, disposalMethod: null, salePrice: null, saleCurrency: null });
+    });
+
+    test('rejects a malformed copy overrides table', async () => {
+      await expect(processData(minimalFixture, { copyOverrides: [] }))
+        .rejects.toThrow('Invalid copy overrides');
+    });
+
+    test('rejects a malformed exchange rate table', async () => {
+      await expect(processData(minimalFixture, { exchangeRates: { base: 'USD', rates: null } }))
+        .rejects.toThrow('Invalid exchange rates');
+    });
+
     test('handles missing acquisition dates', async () => {
       const output = await processData(edgeCasesFixture);
       const game = output.games.find(g => g.name === 'Game With No Acquisition Date');
@@ -399,9 +504,49 @@ describe('process-data.js transformation logic', () => {
         if (play.durationMin > 0) {
           expect(play.durationEstimated).toBe(true);
           expect(play.durationMin).toBe(30);
+          expect(play.durationModel).toBe('default');
         }
       });
     });
+
+    test('estimates duration from logged plays with the same player count and expansions', async () => {
+      const scores = (...playerIds) => playerIds.map(playerRefId => ({ playerRefId }));
+      const fixture = {
+        userInfo: { meRefId: 1 },
+        tags: [],
+        players: [
+          { id: 1, name: "Player 1", isAnonymous: false },
+          { id: 2, name: "Player 2", isAnonymous: false },
+          { id: 3, name: "Player 3", isAnonymous: false },
+        ],
+        locations: [],
+        games: [
+          { id: 1, name: "Scaling Game", bggId: 1001, isBaseGame: 1, isExpansion: 0, copies: [], tags: [] },
+          { id: 2, name: "Scaling Game: Expansion", bggId: 1002, isBaseGame: 0, isExpansion: 1, copies: [], tags: [] },
+        ],
+        plays: [
+          { gameRefId: 1, playDate: '2024-01-01 10:00:00', durationMin: 30, playerScores: scores(1, 2) },
+          { gameRefId: 1, playDate: '2024-01-02 10:00:00', durationMin: 90, playerScores: scores(1, 2, 3) },
+          { gameRefId: 1, playDate: '2024-01-03 10:00:00', durationMin: 100, playerScores: scores(1, 2, 3) },
+          { gameRefId: 1, playDate: '2024-01-04 10:00:00', durationMin: 0, playerScores: scores(1, 2, 3) },
+          { gameRefId: 1, playDate: '2024-01-05 10:00:00', durationMin: 0, playerScores: scores(1) },
+          { gameRefId: 1, playDate: '2024-01-06 10:00:00', durationMin: 150, playerScores: scores(1, 2, 3), expansionPlays: [{ gameRefId: 2 }] },
+          { gameRefId: 1, playDate: '2024-01-07 10:00:00', durationMin: 170, playerScores: scores(1, 2, 3), expansionPlays: [{ gameRefId: 2 }] },
+          { gameRefId: 1, playDate: '2024-01-08 10:00:00', durationMin: 0, playerScores: scores(1, 2, 3), expansionPlays: [{ gameRefId: 2 }] },
+        ],
+      };
+
+      const output = await processData(fixture);
+      const threePlayer = output.plays.find(p => p.date === '2024-01-04');
+      const solo = output.plays.find(p => p.date === '2024-01-05');
+      const withExpansion = output.plays.find(p => p.date === '2024-01-08');
+      const logged = output.plays.find(p => p.date === '2024-01-01');
+
+      expect(threePlayer).toMatchObject({ durationMin: 95, durationEstimated: true, durationModel: 'players-expansions' });
+      expect(solo).toMatchObject({ durationMin: 100, durationEstimated: true, durationModel: 'trend' });
+      expect(withExpansion).toMatchObject({ durationMin: 160, durationEstimated: true, durationModel: 'players-expansions' });
+      expect(logged).toMatchObject({ durationMin: 30, durationEstimated: false, durationModel: null });
+    });
   });
 
   describe('Data Processing', () => {
@@ -472,6 +617,14 @@ describe('process-data.js transformation logic', () => {
       expect(output.plays[0].copyId).toBeNull();
     });
 
+    test('attributes plays from a single export to its owner', async () => {
+      const output = await processData(typicalFixture);
+
+      output.plays.forEach(play => {
+        expect(play.loggedBy).toEqual([typicalFixture.userInfo.meRefId]);
+      });
+    });
+
     test('sorts games alphabetically', async () => {
       const output = await processData(typicalFixture);
 
@@ -489,6 +642,104 @@ describe('process-data.js transformation logic', () => {
     });
   });
 
+  describe('Configuration', () => {
+    const configFixture = {
+      userInfo: { meRefId: 1 },
+      tags: [
+        { id: 1, name: 'Data:Expandalone', type: 'Personal', group: 'Default', isInternal: false },
+        { id: 2, name: 'Standalone', type: 'Personal', group: 'Default', isInternal: false },
+        { id: 3, name: 'Legacy', type: 'Personal', group: 'Default', isInternal: false },
+      ],
+      players: [{ id: 1, name: 'Player 1', isAnonymous: false }],
+      locations: [{ id: 1, name: '🏡 Home' }, { id: 2, name: 'Home' }],
+      games: [{
+        id: 10, name: 'Tagged Game', bggId: 5001, bggYear: 2020,
+        isBaseGame: 1, isExpansion: 0, copies: [],
+        tags: [{ tagRefId: 1 }, { tagRefId: 2 }, { tagRefId: 3 }],
+      }],
+      plays: [{ gameRefId: 10, playDate: '2024-01-15 14:30:00', durationMin: 60, locationRefId: 1 }],
+    };
+
+    test('embeds the default config when none is given', async () => {
+      const output = await processData(configFixture);
+
+      expect(output.config).toEqual(resolveConfig(null));
+      expect(output.homeLocationId).toBe(1);
+      expect(output.generatedAt).toBe('2024-01-15T21:30:00.000Z');
+      expect(output.games[0].isExpandalone).toBe(true);
+      expect(output.games[0].isNonReplayable).toBe(false);
+    });
+
+    test('uses configured timezone, home location and tag names', async () => {
+      const config = {
+        timezone: 'Europe/London',
+        homeLocationName: 'Home',
+        expandaloneTagName: 'standalone',
+        oneTimeTagName: 'Legacy',
+      };
+      const output = await processData(configFixture, { config });
+
+      expect(output.config).toEqual(resolveConfig(config));
+      expect(output.homeLocationId).toBe(2);
+      expect(output.generatedAt).toBe('2024-01-15T14:30:00.000Z');
+      expect(output.games[0].isExpandalone).toBe(true);
+      expect(output.games[0].isNonReplayable).toBe(true);
+      // The default expandalone tag is no longer promoted; Data: tags stay hidden
+      expect(output.games[0].tags).toEqual([]);
+    });
+
+    test('rejects an invalid config', async () => {
+      await expect(processData(configFixture, { config: { timezone: 'Nowhere/Special' } }))
+        .rejects.toThrow('"timezone" is not a valid IANA timezone');
+    });
+  });
+
+  describe('BGG Thing Metadata', () => {
+    const BGG_THINGS_DIR = path.join(__dirname, 'fixtures', 'bgg-things');
+    const TEMP_THING_CACHE_PATH = path.join(os.tmpdir(), 'bgg-thing-process-test-cache.json');
+    const metadataFixture = {
+      userInfo: { meRefId: 1 },
+      tags: [],
+      players: [{ id: 1, name: 'Player 1', isAnonymous: false }],
+      locations: [{ id: 1, name: 'Home' }],
+      games: [
+        { id: 1, name: 'Catan', bggId: 13, bggYear: 1995, isBaseGame: 1, isExpansion: 0, copies: [], tags: [] },
+        { id: 2, name: 'Azul', bggId: 230802, bggYear: 2017, isBaseGame: 1, isExpansion: 0, copies: [], tags: [] },
+        { id: 3, name: 'Unknown to BGG', bggId: 0, bggYear: null, isBaseGame: 1, isExpansion: 0, copies: [], tags: [] },
+      ],
+      plays: [],
+    };
+
+    test('sets bggMetadata to null when no metadata is available', async () => {
+      const output = await processData(metadataFixture);
+
+      output.games.forEach(game => expect(game.bggMetadata).toBeNull());
+    });
+
+    test('attaches metadata read from saved XML files', async () => {
+      const output = await processData(metadataFixture, { bggThingXmlDir: BGG_THINGS_DIR });
+      const catan = output.games.find(g => g.name === 'Catan');
+
+      expect(catan.bggMetadata.designers).toEqual(['Klaus Teuber']);
+      expect(catan.bggMetadata.weight).toBe(2.3);
+      expect(output.games.find(g => g.name === 'Azul').bggMetadata.mechanics).toEqual(['Pattern Building']);
+      expect(output.games.find(g => g.name === 'Unknown to BGG').bggMetadata).toBeNull();
+    });
+
+    test('saves XML metadata to the cache and reuses it without the XML files', async () => {
+      fs.rmSync(TEMP_THING_CACHE_PATH, { force: true });
+      try {
+        await processData(metadataFixture, { bggThingCachePath: TEMP_THING_CACHE_PATH, bggThingXmlDir: BGG_THINGS_DIR });
+        expect(Object.keys(JSON.parse(fs.readFileSync(TEMP_THING_CACHE_PATH, 'utf-8')))).toEqual(['13', '325', '230802']);
+
+        const output = await processData(metadataFixture, { bggThingCachePath: TEMP_THING_CACHE_PATH });
+        expect(output.games.find(g => g.name === 'Catan').bggMetadata.categories).toEqual(['Negotiation']);
+      } finally {
+        fs.rmSync(TEMP_THING_CACHE_PATH, { force: true });
+      }
+    });
+  });
+
   describe('NPC Player Filtering', () => {
     test('excludes playerScores with isNpc: 1 from play.players', async () => {
       const fixtureWithNpc = {
@@ -637,6 +888,74 @@ describe('process-data.js transformation logic', () => {
     });
   });
 
+  describe('Player Results', () => {
+    const resultsFixture = {
+      userInfo: { meRefId: 1 },
+      tags: [],
+      players: [
+        { id: 1, name: "Player 1", isAnonymous: false },
+        { id: 2, name: "Player 2", isAnonymous: false },
+        { id: 3, name: "Player 3", isAnonymous: false },
+      ],
+      locations: [{ id: 1, name: "Home" }],
+      games: [
+        { id: 1, name: "Competitive Game", bggId: 1001, isBaseGame: 1, isExpansion: 0, copies: [], tags: [] },
+        { id: 2, name: "Co-op Game", bggId: 1002, isBaseGame: 1, isExpansion: 0, cooperative: true, copies: [], tags: [] },
+      ],
+      plays: [{
+        gameRefId: 1,
+        playDate: '2024-01-01 10:00:00',
+        durationMin: 60,
+        locationRefId: 1,
+        playerScores: [
+          { playerRefId: 1, score: '42', winner: true, rank: 1, team: 'Red', startPlayer: true },
+          { playerRefId: 2, score: '37.5', winner: false, rank: 2, team: '', startPlayer: false },
+          { playerRefId: 3, score: 'n/a', winner: false, rank: 0, metaData: '{"isNpc":1}' },
+        ],
+      }],
+    };
+
+    test('captures score, winner, rank, team and start player per player', async () => {
+      const output = await processData(resultsFixture);
+
+      expect(output.plays[0].results).toEqual([
+        { playerId: 1, score: 42, isWinner: true, rank: 1, team: 'Red', isStartPlayer: true },
+        { playerId: 2, score: 37.5, isWinner: false, rank: 2, team: null, isStartPlayer: false },
+      ]);
+    });
+
+    test('treats missing scores, zero ranks and missing flags as unknown', async () => {
+      const output = await processData({
+        ...resultsFixture,
+        plays: [{
+          ...resultsFixture.plays[0],
+          playerScores: [{ playerRefId: 1, score: '' }, { playerRefId: 2, score: 'n/a', rank: 0 }],
+        }],
+      });
+
+      expect(output.plays[0].results).toEqual([
+        { playerId: 1, score: null, isWinner: false, rank: null, team: null, isStartPlayer: false },
+        { playerId: 2, score: null, isWinner: false, rank: null, team: null, isStartPlayer: false },
+      ]);
+    });
+
+    test('returns empty results for plays without player scores', async () => {
+      const output = await processData({
+        ...resultsFixture,
+        plays: [{ gameRefId: 1, playDate: '2024-01-01 10:00:00', durationMin: 60 }],
+      });
+
+      expect(output.plays[0].results).toEqual([]);
+    });
+
+    test('flags cooperative games', async () => {
+      const output = await processData(resultsFixture);
+
+      expect(output.games.find(g => g.id === 1).isCooperative).toBe(false);
+      expect(output.games.find(g => g.id === 2).isCooperative).toBe(true);
+    });
+  });
+
   describe('Image URL Processing', () => {
     test('preserves thumbnailUrl and coverUrl from source data', async () => {
       const testData = {
@@ -857,6 +1176,15 @@ describe('process-data.js transformation logic', () => {
       expect(baseA.expansionIds).toContain(40);
     });
 
+    test('records the expansions used in each play', async () => {
+      const output = await processData(expansionLinkingFixture);
+
+      expect(output.plays.map(play => [play.date, play.expansionIds])).toEqual([
+        ['2024-02-20', [30, 40]],
+        ['2024-01-15', [30]],
+      ]);
+    });
+
     test('links expansions to base game via BGG API', async () => {
       const originalFetch = globalThis.fetch;
       // BGG says expansion 5006 (Unlinked Expansion) expands base 5001 (Base Game A)
@@ -0,0 +1,146 @@
+import os from 'os';
+import path from 'path';
+import { describe, test, expect } from 'vitest';
+import { SITE_TITLE, resolveOutputDir, getYearPagePath, getGamePagePath, renderPage, buildSite } from '../scripts/site-renderer.js';
+
+/**
+ * Tests for site-renderer.js
+ */
+
+const data = {
+  selfPlayerId: 1,
+  anonymousPlayerId: 2,
+  games: [
+    {
+      id: 1, name: 'Catan', bggId: 13, rating: 8, isBaseGame: true, isExpansion: false, isExpandalone: false,
+      copies: [{ statusOwned: true, acquisitionDate: '2023-01-01' }], coverUrl: 'https://example.com/catan.jpg',
+    },
+    {
+      id: 2, name: 'Dune & "Friends" <Deluxe>', bggId: null, rating: null, isBaseGame: true, isExpansion: false,
+      isExpandalone: false, copies: [],
+    },
+  ],
+  plays: [
+    { gameId: 1, date: '2023-03-01', durationMin: 60, players: [1, 3], locationId: 1 },
+    { gameId: 1, date: '2024-05-01', durationMin: 90, players: [1, 3], locationId: 1 },
+    { gameId: 1, date: '2024-05-02', durationMin: 30, players: [1], locationId: 1 },
+  ],
+};
+
+describe('resolveOutputDir', () => {
+  const rootDir = path.resolve('/projects/stats');
+
+  test('defaults to dist/ and accepts folders inside it', () => {
+    expect(resolveOutputDir(null, rootDir)).toBe(path.join(rootDir, 'dist'));
+    expect(resolveOutputDir(path.join(rootDir, 'dist', 'preview'), rootDir)).toBe(path.join(rootDir, 'dist', 'preview'));
+  });
+
+  test('rejects folders the build would wipe outside dist/', () => {
+    [
+      rootDir,
+      path.dirname(rootDir),
+      path.join(rootDir, 'distribution'),
+      path.join(rootDir, 'dist', '..', 'scripts'),
+      os.homedir(),
+      '.',
+      '..',
+    ].forEach(out => {
+      expect(() => resolveOutputDir(out, rootDir)).toThrow('--out must be dist/ or a folder inside it');
+    });
+  });
+});
+
+describe('page paths', () => {
+  test('puts year and game pages in their own folders', () => {
+    expect(getYearPagePath(2024)).toBe('years/2024.html');
+    expect(getGamePagePath({ id: 7 })).toBe('games/7.html');
+  });
+});
+
+describe('renderPage', () => {
+  const page = { path: 'games/1.html', title: 'Catan', description: 'Played "a lot"', body: '<p>Body</p>' };
+
+  test('renders title, description and Open Graph tags', () => {
+    const html = renderPage(page);
+
+    expect(html).toContain(`<title>Catan - ${SITE_TITLE}</title>`);
+    expect(html).toContain('<meta name="description" content="Played &quot;a lot&quot;">');
+    expect(html).toContain('<meta property="og:title" content="Catan">');
+    expect(html).toContain('<meta name="twitter:card" content="summary">');
+    expect(html).not.toContain('og:url');
+    expect(html).not.toContain('og:image');
+    expect(html).toContain('<p>Body</p>');
+  });
+
+  test('links assets relative to the page', () => {
+    expect(renderPage(page)).toContain('href="../styles.css"');
+    expect(renderPage({ ...page, path: 'index.html' })).toContain('href="styles.css"');
+  });
+
+  test('adds og:url from the site URL and og:image from the page image', () => {
+    const html = renderPage({ ...page, image: 'https://example.com/catan.jpg' }, 'https://example.com/stats/');
+
+    expect(html).toContain('<meta property="og:url" content="https://example.com/stats/games/1.html">');
+    expect(html).toContain('<meta property="og:image" content="https://example.com/catan.jpg">');
+    expect(html).toContain('<meta name="twitter:card" content="summary_large_image">');
+  });
+
+  test('uses the site title alone for the dashboard', () => {
+    expect(renderPage({ ...page, title: SITE_TITLE })).toContain(`<title>${SITE_TITLE}</title>`);
+  });
+});
+
+describe('buildSite', () => {
+  const pages = buildSite(data, { siteUrl: 'https://example.com' });
+
+  test('renders the dashboard, a page per year with plays and a page per game', () => {
+    expect([...pages.keys()]).toEqual([
+      'index.html',
+      'years/2024.html',
+      'years/2023.html',
+      'games/1.html',
+      'games/2.html',
+    ]);
+  });
+
+  test('renders all-time totals, top games and year links on the dashboard', () => {
+    const html = pages.get('index.html');
+
+    expect(html).toContain('<meta property="og:description" content="3 plays of 1 game over 3 hours. H-index 1.">');
+    expect(html).toContain('<a href="games/1.html">Catan</a>');
+    expect(html).toContain('<a href="years/2024.html">2024 Year in Review</a>');
+  });
+
+  test('renders the year in review with h-index changes', () => {
+    const html = pages.get('years/2024.html');
+
+    expect(html).toContain('<title>2024 Year in Review - My Board Game Stats</title>');
+    expect(html).toContain('2 plays of 1 game (0 new) over 2 hours in 2024.');
+    expect(html).toContain('<a href="../games/1.html">Catan</a>');
+    expect(pages.get('years/2023.html')).toContain('1 play of 1 game (1 new) over 1 hour in 2023.');
+    expect(pages.get('years/2023.html')).toContain('+1 in 2023');
+    expect(html).toContain('No change in 2024');
+  });
+
+  test('renders game stats, rankings and preview image', () => {
+    const html = pages.get('games/1.html');
+
+    expect(html).toContain('<meta property="og:description" content="Played 3 times over 3h. Rated 8/10.">');
+    expect(html).toContain('<meta property="og:image" content="https://example.com/catan.jpg">');
+    expect(html).toContain('<span class="label">First Played</span><span class="value">Mar\u00A01, 2023</span>');
+    expect(html).toContain('<span class="label">By Hours</span><span class="value">#1</span>');
+    expect(html).toContain('https://boardgamegeek.com/boardgame/13');
+  });
+
+  test('escapes game names and handles unplayed, unrated games', () => {
+    const html = pages.get('games/2.html');
+
+    expect(html).toContain('<title>Dune &amp; "Friends" &lt;Deluxe&gt; - My Board Game Stats</title>');
+    expect(html).toContain('<meta property="og:title" content="Dune &amp; &quot;Friends&quot; &lt;Deluxe&gt;">');
+    expect(html).toContain('content="Not played yet."');
+    expect(html).toContain('<span class="label">Rating</span><span class="value">Not rated</span>');
+    expect(html).not.toContain('First Played');
+    expect(html).not.toContain('og:image');
+    expect(html).not.toContain('boardgamegeek.com');
+  });
+});
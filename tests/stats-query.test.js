@@ -0,0 +1,271 @@
+import { describe, test, expect } from 'vitest';
+import {
+  OutputFormat,
+  COMMANDS,
+  parseArgs,
+  findGameByName,
+  formatTable,
+  formatCsv,
+  formatJson,
+  getUsage,
+  runQuery,
+} from '../scripts/stats-query.js';
+
+/**
+ * Tests for stats-query.js (the bgstats CLI)
+ */
+
+const ownedCopy = pricePaid => ({ statusOwned: true, pricePaid, acquisitionDate: '2023-01-01' });
+
+const data = {
+  selfPlayerId: 1,
+  anonymousPlayerId: 2,
+  config: { suggestionExcludedTags: [] },
+  games: [
+    { id: 1, name: 'Wingspan', rating: 9, isBaseGame: true, isExpansion: false, isExpandalone: false, tags: [], copies: [ownedCopy(50)] },
+    { id: 2, name: 'Wingspan Asia', rating: null, isBaseGame: true, isExpansion: false, isExpandalone: false, tags: [], copies: [ownedCopy(30)] },
+    { id: 3, name: 'Azul', rating: 7, isBaseGame: true, isExpansion: false, isExpandalone: false, tags: [], copies: [ownedCopy(null)] },
+  ],
+  plays: [
+    { gameId: 1, date: '2024-01-01', timestamp: '2024-01-01 19:00:00', durationMin: 60, durationEstimated: false, players: [1, 3], locationId: 1 },
+    { gameId: 1, date: '2024-01-02', timestamp: '2024-01-02 19:00:00', durationMin: 90, durationEstimated: false, players: [1, 3], locationId: 1 },
+    { gameId: 1, date: '2025-02-01', timestamp: '2025-02-01 19:00:00', durationMin: 30, durationEstimated: false, players: [1], locationId: 1 },
+  ],
+};
+
+const result = (playerId, isWinner = false) => ({ playerId, score: null, rank: null, isWinner, team: null });
+
+const resultsData = {
+  ...data,
+  players: [
+    { playerId: 1, name: 'Me' },
+    { playerId: 3, name: 'Alice' },
+    { playerId: 4, name: 'Bob' },
+    { playerId: 5, name: 'Carol' },
+    { playerId: 6, name: 'Dan' },
+  ],
+  plays: [
+    ['2024-01-01', [result(1, true), result(3)]],
+    ['2024-01-02', [result(1), result(3, true)]],
+    ['2024-01-03', [result(1, true), result(3)]],
+    ['2024-01-04', [result(1), result(4, true)]],
+    ['2024-01-05', [result(1), result(4, true)]],
+    ['2025-01-06', [result(1), result(4, true)]],
+    ['2024-02-01', [result(1), result(5, true), result(6)]],
+  ].map(([date, results]) => ({
+    gameId: 1, date, timestamp: `${date} 19:00:00`, durationMin: 60, durationEstimated: false,
+    players: results.map(r => r.playerId), locationId: 1, results,
+  })),
+};
+
+describe('parseArgs', () => {
+  test('splits command, positional arguments and options', () => {
+    expect(parseArgs(['game', 'Wingspan', 'Asia', '--format', 'json'])).toEqual({
+      command: 'game',
+      positional: ['Wingspan', 'Asia'],
+      options: { format: 'json' },
+    });
+  });
+
+  test('treats --help and -h as flags', () => {
+    expect(parseArgs(['--help']).options.help).toBe(true);
+    expect(parseArgs(['suggest', '-h'])).toEqual({ command: 'suggest', positional: [], options: { help: true } });
+  });
+
+  test('returns a null command when none is given', () => {
+    expect(parseArgs([]).command).toBeNull();
+  });
+
+  test('rejects options without a value', () => {
+    expect(() => parseArgs(['h-index', '--year'])).toThrow('Option --year needs a value');
+    expect(() => parseArgs(['h-index', '--year', '--format', 'csv'])).toThrow('Option --year needs a value');
+  });
+});
+
+describe('findGameByName', () => {
+  test('prefers an exact case-insensitive match', () => {
+    expect(findGameByName(data.games, 'wingspan').id).toBe(1);
+  });
+
+  test('falls back to a unique partial match', () => {
+    expect(findGameByName(data.games, 'asia').id).toBe(2);
+  });
+
+  test('throws when nothing or several games match', () => {
+    expect(() => findGameByName(data.games, 'Catan')).toThrow('No game matches "Catan"');
+    expect(() => findGameByName(data.games, 'wing')).toThrow('"wing" matches 2 games (Wingspan, Wingspan Asia); be more specific');
+  });
+
+  test('lists at most five matches', () => {
+    const games = Array.from({ length: 6 }, (_, i) => ({ id: i, name: `Game ${i}` }));
+
+    expect(() => findGameByName(games, 'game')).toThrow('matches 6 games (Game 0, Game 1, Game 2, Game 3, Game 4, ...)');
+  });
+});
+
+describe('formatters', () => {
+  const result = {
+    columns: [{ key: 'game', label: 'Game' }, { key: 'note', label: 'Note' }],
+    rows: [{ game: 'Azul', note: 'Tiles, "pretty"' }, { game: 'Wingspan', note: null }],
+  };
+
+  test('formatTable aligns columns under a header', () => {
+    expect(formatTable(result)).toBe([
+      'Game      Note',
+      '--------  ---------------',
+      'Azul      Tiles, "pretty"',
+      'Wingspan',
+    ].join('\n'));
+  });
+
+  test('formatTable shows records as label/value lines and empty results as a note', () => {
+    expect(formatTable({ ...result, rows: [result.rows[1]], record: true })).toBe('Game: Wingspan\nNote:');
+    expect(formatTable({ ...result, rows: [] })).toBe('(no results)');
+  });
+
+  test('formatCsv quotes fields with commas, quotes and newlines', () => {
+    expect(formatCsv(result)).toBe('game,note\nAzul,"Tiles, ""pretty"""\nWingspan,');
+    expect(formatCsv({ columns: [{ key: 'a', label: 'A' }], rows: [{ a: 'one\ntwo' }] })).toBe('a\n"one\ntwo"');
+  });
+
+  test('formatJson returns rows, or the single object for records', () => {
+    expect(JSON.parse(formatJson(result))).toEqual(result.rows);
+    expect(JSON.parse(formatJson({ ...result, rows: [result.rows[0]], record: true }))).toEqual(result.rows[0]);
+  });
+});
+
+describe('getUsage', () => {
+  test('lists every command', () => {
+    const usage = getUsage();
+
+    Object.values(COMMANDS).forEach(command => {
+      expect(usage).toContain(command.usage);
+      expect(usage).toContain(command.description);
+    });
+  });
+});
+
+describe('runQuery', () => {
+  const query = args => JSON.parse(runQuery(data, parseArgs([...args, '--format', OutputFormat.JSON])));
+
+  test('h-index reports every metric, or one with --metric, optionally for a year', () => {
+    expect(query(['h-index'])).toEqual([
+      { metric: 'hours', hIndex: 1 },
+      { metric: 'sessions', hIndex: 1 },
+      { metric: 'plays', hIndex: 1 },
+    ]);
+    expect(query(['h-index', '--metric', 'sessions', '--year', '2023'])).toEqual([{ metric: 'sessions', hIndex: 0 }]);
+  });
+
+  test('validates --year and --metric', () => {
+    expect(() => query(['h-index', '--year', '24'])).toThrow('Invalid --year "24": expected a four-digit year');
+    expect(() => query(['h-index', '--metric', 'minutes'])).toThrow('Invalid --metric "minutes": expected one of hours, sessions, plays');
+  });
+
+  test('suggest lists games with their reasons', () => {
+    const rows = query(['suggest']);
+
+    expect(rows.length).toBeGreaterThan(0);
+    rows.forEach(row => {
+      expect(typeof row.game).toBe('string');
+      expect(row.reasons.length).toBeGreaterThan(0);
+    });
+  });
+
+  test('suggest falls back to the default excluded tags without a config', () => {
+    const rows = JSON.parse(runQuery({ ...data, config: undefined }, parseArgs(['suggest', '--format', 'json'])));
+
+    expect(rows.length).toBeGreaterThan(0);
+  });
+
+  test('achievements filters by --since and --type', () => {
+    const all = query(['achievements']);
+    const recent = query(['achievements', '--since', '2025-01-01']);
+    const logging = query(['achievements', '--type', 'logging']);
+
+    expect(all.length).toBeGreaterThan(recent.length);
+    recent.forEach(row => expect(row.date >= '2025-01-01').toBe(true));
+    logging.forEach(row => expect(row.type).toBe('logging'));
+    expect(all[0]).toEqual(expect.objectContaining({ date: expect.any(String), type: expect.any(String) }));
+    expect(all.some(row => row.game === 'Wingspan')).toBe(true);
+    expect(all.some(row => row.game === null && row.metric === null)).toBe(true);
+    expect(() => query(['achievements', '--since', '2025'])).toThrow('Invalid --since "2025": expected YYYY-MM-DD');
+  });
+
+  test('shelf-of-shame lists unplayed owned games with a price', () => {
+    expect(query(['shelf-of-shame'])).toEqual([{ game: 'Wingspan Asia', pricePaid: 30 }]);
+    expect(query(['shelf-of-shame', '--year', '2022'])).toEqual([]);
+  });
+
+  test('game reports stats and rankings for one game', () => {
+    expect(query(['game', 'Wingspan'])).toEqual({
+      name: 'Wingspan',
+      rating: 9,
+      hours: 3,
+      sessions: 3,
+      plays: 3,
+      medianMinutes: 60,
+      ratingRank: 1,
+      hoursRank: 1,
+      sessionsRank: 1,
+      playsRank: 1,
+    });
+  });
+
+  test('game reports zeros and null ranks for unplayed, unrated games', () => {
+    expect(query(['game', 'Wingspan', 'Asia', '--year', '2024'])).toEqual({
+      name: 'Wingspan Asia',
+      rating: null,
+      hours: 0,
+      sessions: 0,
+      plays: 0,
+      medianMinutes: null,
+      ratingRank: null,
+      hoursRank: null,
+      sessionsRank: null,
+      playsRank: null,
+    });
+  });
+
+  test('game requires a name', () => {
+    expect(() => query(['game'])).toThrow('Missing game name');
+  });
+
+  test('win-rates reports my record per game, optionally for a year', () => {
+    expect(JSON.parse(runQuery(resultsData, parseArgs(['win-rates', '--format', 'json'])))).toEqual([
+      { game: 'Wingspan', plays: 7, wins: 2, winPercent: 28.6 },
+    ]);
+    expect(JSON.parse(runQuery(resultsData, parseArgs(['win-rates', '--year', '2025', '--format', 'json'])))).toEqual([
+      { game: 'Wingspan', plays: 1, wins: 0, winPercent: 0 },
+    ]);
+  });
+
+  test('win-rates --by opponent adds head-to-head records', () => {
+    expect(JSON.parse(runQuery(resultsData, parseArgs(['win-rates', '--by', 'opponent', '--format', 'json'])))).toEqual([
+      { opponent: 'Alice', plays: 3, wins: 2, theirWins: 1, winPercent: 66.7, headToHead: '2-1-0' },
+      { opponent: 'Bob', plays: 3, wins: 0, theirWins: 3, winPercent: 0, headToHead: '0-3-0' },
+      { opponent: 'Carol', plays: 1, wins: 0, theirWins: 1, winPercent: 0, headToHead: '0-1-0' },
+      { opponent: 'Dan', plays: 1, wins: 0, theirWins: 0, winPercent: 0, headToHead: null },
+    ]);
+    expect(() => query(['win-rates', '--by', 'player'])).toThrow('Invalid --by "player": expected game or opponent');
+  });
+
+  test('rivals picks my nemesis and favourite victim', () => {
+    expect(JSON.parse(runQuery(resultsData, parseArgs(['rivals', '--format', 'json'])))).toEqual([
+      { rival: 'nemesis', opponent: 'Bob', plays: 3, wins: 0, losses: 3, ties: 0, winPercent: 0 },
+      { rival: 'favourite victim', opponent: 'Alice', plays: 3, wins: 2, losses: 1, ties: 0, winPercent: 66.7 },
+    ]);
+    expect(JSON.parse(runQuery({ ...resultsData, plays: data.plays }, parseArgs(['rivals', '--format', 'json'])))).toEqual([]);
+  });
+
+  test('formats as a table by default and as CSV on request', () => {
+    expect(runQuery(data, parseArgs(['h-index', '--metric', 'plays']))).toBe('Metric  H-Index\n------  -------\nplays   1');
+    expect(runQuery(data, parseArgs(['h-index', '--metric', 'plays', '--format', 'csv']))).toBe('metric,hIndex\nplays,1');
+  });
+
+  test('rejects unknown commands and formats', () => {
+    expect(() => runQuery(data, parseArgs(['nope']))).toThrow('Unknown command "nope"');
+    expect(() => runQuery(data, parseArgs(['toString']))).toThrow('Unknown command "toString"');
+    expect(() => runQuery(data, parseArgs(['suggest', '--format', 'xml']))).toThrow('Invalid --format "xml"');
+  });
+});
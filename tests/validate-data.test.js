@@ -0,0 +1,153 @@
+import { describe, test, expect } from 'vitest';
+import { processData } from '../scripts/transform-game-data.js';
+import {
+  Severity,
+  OUTPUT_SCHEMA,
+  validateSchema,
+  validateSource,
+  validateOutput,
+  formatValidationReport,
+} from '../scripts/validate-data.js';
+import minimalFixture from './fixtures/minimal.json';
+import typicalFixture from './fixtures/typical.json';
+import edgeCasesFixture from './fixtures/edge-cases.json';
+import expandaloneFixture from './fixtures/expandalone.json';
+import durationMissingFixture from './fixtures/duration-missing.json';
+
+/**
+ * Tests for validate-data.js
+ */
+
+describe('validateSchema', () => {
+  test('accepts values of an allowed type', () => {
+    expect(validateSchema(3, { type: 'integer' })).toEqual([]);
+    expect(validateSchema(3, { type: 'number' })).toEqual([]);
+    expect(validateSchema(null, { type: ['string', 'null'] })).toEqual([]);
+  });
+
+  test('rejects values of the wrong type', () => {
+    expect(validateSchema(1.5, { type: 'integer' })).toEqual(['$: expected integer, got number']);
+    expect(validateSchema([], { type: ['object', 'null'] }, '$.x')).toEqual(['$.x: expected object or null, got array']);
+  });
+
+  test('checks minimum and pattern', () => {
+    expect(validateSchema(-1, { type: 'number', minimum: 0 })).toEqual(['$: -1 is less than 0']);
+    expect(validateSchema('2024-1-1', { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' }))
+      .toEqual(['$: "2024-1-1" does not match ^\\d{4}-\\d{2}-\\d{2}$']);
+  });
+
+  test('checks required and nested properties, treating undefined as absent', () => {
+    const schema = {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: { id: { type: 'integer' }, name: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } },
+    };
+
+    expect(validateSchema({ id: 'x', name: undefined, tags: ['a', 2] }, schema)).toEqual([
+      '$: missing required property "name"',
+      '$.id: expected integer, got string',
+      '$.tags[1]: expected string, got integer',
+    ]);
+  });
+});
+
+describe('validateSource', () => {
+  test('accepts well-formed fixtures', () => {
+    expect(validateSource(typicalFixture)).toEqual([]);
+  });
+
+  test('flags invalid metaData JSON on copies, plays and player scores', () => {
+    const data = {
+      games: [
+        { id: 1, name: 'Catan', copies: [{ uuid: 'c1', metaData: '{bad' }, { uuid: 'c2', metaData: '{}' }] },
+        { id: 2, name: 'Azul' },
+      ],
+      plays: [
+        { gameRefId: 1, playDate: '2024-01-01 10:00:00', durationMin: 60, metaData: 'nope', playerScores: [{ metaData: '{' }] },
+        { gameRefId: 2, playDate: '2024-01-02 10:00:00', durationMin: 60, playerScores: [{ metaData: '{"isNpc":1}' }] },
+      ],
+    };
+
+    expect(validateSource(data)).toEqual([
+      { severity: Severity.ERROR, message: 'Game "Catan": copy c1 has invalid metaData JSON' },
+      { severity: Severity.ERROR, message: 'Play of game 1 on 2024-01-01 10:00:00: invalid metaData JSON' },
+      { severity: Severity.ERROR, message: 'Play of game 1 on 2024-01-01 10:00:00: invalid player metaData JSON' },
+    ]);
+  });
+
+  test('warns about plays without a duration', () => {
+    const data = {
+      games: [{ id: 1, name: 'Catan', copies: [] }],
+      plays: [
+        { gameRefId: 1, playDate: '2024-01-01 10:00:00' },
+        { gameRefId: 1, playDate: '2024-01-02 10:00:00', durationMin: null },
+        { gameRefId: 1, playDate: '2024-01-03 10:00:00', durationMin: 0 },
+      ],
+    };
+
+    expect(validateSource(data).map(issue => issue.message)).toEqual([
+      'Play of game 1 on 2024-01-01 10:00:00: missing durationMin (treated as 0)',
+      'Play of game 1 on 2024-01-02 10:00:00: missing durationMin (treated as 0)',
+    ]);
+  });
+});
+
+describe('validateOutput', () => {
+  test.each([
+    ['minimal', minimalFixture],
+    ['typical', typicalFixture],
+    ['edge-cases', edgeCasesFixture],
+    ['expandalone', expandaloneFixture],
+    ['duration-missing', durationMissingFixture],
+  ])('processData output for %s fixture matches the schema', async (_name, fixture) => {
+    const output = await processData(fixture);
+
+    expect(validateSchema(output, OUTPUT_SCHEMA)).toEqual([]);
+  });
+
+  test('reports schema errors and skips anomaly checks', () => {
+    const issues = validateOutput({ selfPlayerId: 1, games: [], plays: [{ gameId: 99 }] });
+
+    expect(issues.length).toBeGreaterThan(0);
+    expect(issues.every(issue => issue.severity === Severity.ERROR)).toBe(true);
+    expect(issues[0].message).toBe('$: missing required property "anonymousPlayerId"');
+  });
+
+  test('reports data quality anomalies as warnings', async () => {
+    const output = await processData(typicalFixture);
+    output.plays[0] = { ...output.plays[0], durationMin: 1500 };
+    output.plays.push({ ...output.plays[1], gameId: 999 });
+    const gameName = output.games.find(game => game.id === output.plays[0].gameId).name;
+
+    expect(validateOutput(output)).toEqual([
+      { severity: Severity.WARNING, message: `Game 999 (${output.plays[1].date}): 1 play reference unknown game ID 999` },
+      { severity: Severity.WARNING, message: `"${gameName}" (${output.plays[0].date}): Play lasted 1500 minutes` },
+      // Issues without a date omit it
+      { severity: Severity.WARNING, message: '"Expandalone Game": Expandalone is not linked to any base game' },
+      { severity: Severity.WARNING, message: '"Expansion Only": Expansion is not linked to any base game' },
+      // Without exchange rates the EUR copy can't be converted
+      { severity: Severity.WARNING, message: '"Multiple Copies Game" (2018-03-01): Price 15.00 EUR has no exchange rate' },
+    ]);
+  });
+});
+
+describe('formatValidationReport', () => {
+  test('reports a clean pass', () => {
+    expect(formatValidationReport([])).toBe('Validation passed: no issues found.');
+  });
+
+  test('counts errors and warnings and lists every issue', () => {
+    const report = formatValidationReport([
+      { severity: Severity.ERROR, message: 'a' },
+      { severity: Severity.WARNING, message: 'b' },
+      { severity: Severity.WARNING, message: 'c' },
+    ]);
+
+    expect(report.split('\n')).toEqual([
+      '=== Validation: 1 error, 2 warnings ===',
+      '  [error] a',
+      '  [warning] b',
+      '  [warning] c',
+    ]);
+  });
+});
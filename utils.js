@@ -22,3 +22,47 @@ export function calculateMedian(values) {
     return sorted[mid];
   }
 }
+
+/**
+ * Calculate the Gini coefficient of an array of non-negative numbers: 0 when all
+ * values are equal, approaching 1 as a single value holds the whole total
+ * @param {number[]} values - Array of non-negative numeric values
+ * @returns {number|null} Gini coefficient or null if the values total 0
+ */
+export function calculateGiniCoefficient(values) {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (total === 0) {
+    return null;
+  }
+
+  const sorted = values.slice().sort((a, b) => a - b);
+  const n = sorted.length;
+  const rankWeightedSum = sorted.reduce((sum, value, i) => sum + (i + 1) * value, 0);
+  return (2 * rankWeightedSum) / (n * total) - (n + 1) / n;
+}
+
+/**
+ * Calculate the Herfindahl index of an array of non-negative numbers: the sum of
+ * each value's squared share of the total, from 1/n when all are equal to 1 when
+ * a single value holds the whole total
+ * @param {number[]} values - Array of non-negative numeric values
+ * @returns {number|null} Herfindahl index or null if the values total 0
+ */
+export function calculateHerfindahlIndex(values) {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (total === 0) {
+    return null;
+  }
+
+  return values.reduce((sum, value) => sum + (value / total) ** 2, 0);
+}
+
+/**
+ * Calculate the number of days from one date to a later one
+ * @param {string} startDate - Date in YYYY-MM-DD format
+ * @param {string} endDate - Date in YYYY-MM-DD format
+ * @returns {number} Days between the dates (negative if endDate is earlier)
+ */
+export function calculateDaysBetween(startDate, endDate) {
+  return Math.round((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24));
+}
@@ -1,5 +1,5 @@
 import { describe, test, expect } from 'vitest';
-import { calculateMedian } from './utils.js';
+import { calculateMedian, calculateGiniCoefficient, calculateHerfindahlIndex, calculateDaysBetween } from './utils.js';
 
 describe('calculateMedian', () => {
   test('returns null for empty array', () => {
@@ -25,3 +25,49 @@ describe('calculateMedian', () => {
     expect(calculateMedian([4, 1, 3, 2])).toBe(2.5);
   });
 });
+
+describe('calculateGiniCoefficient', () => {
+  test('returns 0 for equal values', () => {
+    expect(calculateGiniCoefficient([4, 4, 4])).toBe(0);
+    expect(calculateGiniCoefficient([7])).toBe(0);
+  });
+
+  test('grows as the total concentrates in fewer values', () => {
+    expect(calculateGiniCoefficient([0, 0, 0, 10])).toBeCloseTo(0.75);
+    expect(calculateGiniCoefficient([1, 2, 3, 4])).toBeCloseTo(0.25);
+  });
+
+  test('ignores the order of the values', () => {
+    expect(calculateGiniCoefficient([4, 1, 3, 2])).toBeCloseTo(0.25);
+  });
+
+  test('returns null when the values total 0', () => {
+    expect(calculateGiniCoefficient([])).toBeNull();
+    expect(calculateGiniCoefficient([0, 0])).toBeNull();
+  });
+});
+
+describe('calculateHerfindahlIndex', () => {
+  test('sums the squared shares of the total', () => {
+    expect(calculateHerfindahlIndex([5, 5])).toBe(0.5);
+    expect(calculateHerfindahlIndex([6, 2, 2])).toBeCloseTo(0.44);
+    expect(calculateHerfindahlIndex([9])).toBe(1);
+  });
+
+  test('returns null when the values total 0', () => {
+    expect(calculateHerfindahlIndex([])).toBeNull();
+    expect(calculateHerfindahlIndex([0, 0])).toBeNull();
+  });
+});
+
+describe('calculateDaysBetween', () => {
+  test('counts days between two dates, across months and leap days', () => {
+    expect(calculateDaysBetween('2024-01-01', '2024-01-01')).toBe(0);
+    expect(calculateDaysBetween('2024-02-28', '2024-03-01')).toBe(2);
+    expect(calculateDaysBetween('2023-12-25', '2024-01-01')).toBe(7);
+  });
+
+  test('is negative when the end date comes first', () => {
+    expect(calculateDaysBetween('2024-01-08', '2024-01-01')).toBe(-7);
+  });
+});